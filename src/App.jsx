@@ -3,8 +3,13 @@ import CadCanvas from './canvas/CadCanvas';
 import Toolbar from './ui/Toolbar';
 import CommandBar from './ui/CommandBar';
 import StatusBar from './ui/StatusBar';
+import RecoveryDialog from './ui/RecoveryDialog';
+import QuickSelectPanel from './ui/QuickSelectPanel';
+import SelectionSetsPanel from './ui/SelectionSetsPanel';
+import HistoryPanel from './ui/HistoryPanel';
 import useCADStore from './app/store';
 import commandBus from './app/commandBus';
+import autosave from './app/autosave';
 
 // Import all command classes
 import DrawLineCommand from './app/DrawLineCommand';
@@ -20,6 +25,29 @@ import MirrorCommand from './app/MirrorCommand';
 import TrimCommand from './app/TrimCommand';
 import ExtendCommand from './app/ExtendCommand';
 import OffsetCommand from './app/OffsetCommand';
+import FilletCommand from './app/FilletCommand';
+import ChamferCommand from './app/ChamferCommand';
+import ArrayCommand from './app/ArrayCommand';
+import ArrayEditCommand from './app/ArrayEditCommand';
+import StretchCommand from './app/StretchCommand';
+import BreakCommand, { BreakAtPointCommand } from './app/BreakCommand';
+import JoinCommand from './app/JoinCommand';
+import PeditCommand from './app/PeditCommand';
+import GripEditCommand from './app/GripEditCommand';
+import QuickSelectCommand from './app/QuickSelectCommand';
+import SelectSimilarCommand from './app/SelectSimilarCommand';
+import SelectionSetCommand from './app/SelectionSetCommand';
+import UndoCommand, { RedoCommand } from './app/UndoCommand';
+import HistoryCommand from './app/HistoryCommand';
+import ExplodeCommand from './app/ExplodeCommand';
+import ConvertPolyCommand from './app/ConvertPolyCommand';
+import SaveCommand from './app/SaveCommand';
+import OpenCommand from './app/OpenCommand';
+import ImportDxfCommand from './app/ImportDxfCommand';
+import ExportDxfCommand from './app/ExportDxfCommand';
+import ExportSvgCommand from './app/ExportSvgCommand';
+import PlotCommand from './app/PlotCommand';
+import RecoverCommand from './app/RecoverCommand';
 
 // Register all commands
 commandBus.register('line', DrawLineCommand);
@@ -35,6 +63,35 @@ commandBus.register('mirror', MirrorCommand);
 commandBus.register('trim', TrimCommand);
 commandBus.register('extend', ExtendCommand);
 commandBus.register('offset', OffsetCommand);
+commandBus.register('fillet', FilletCommand);
+commandBus.register('chamfer', ChamferCommand);
+commandBus.register('array', ArrayCommand);
+commandBus.register('arrayedit', ArrayEditCommand);
+commandBus.register('stretch', StretchCommand);
+commandBus.register('break', BreakCommand);
+commandBus.register('breakatpoint', BreakAtPointCommand);
+commandBus.register('join', JoinCommand);
+commandBus.register('pedit', PeditCommand);
+commandBus.register('gripedit', GripEditCommand);
+commandBus.register('qselect', QuickSelectCommand);
+commandBus.register('selectsimilar', SelectSimilarCommand);
+commandBus.register('selset', SelectionSetCommand);
+commandBus.register('undo', UndoCommand);
+commandBus.register('u', UndoCommand);
+commandBus.register('redo', RedoCommand);
+commandBus.register('history', HistoryCommand);
+commandBus.register('explode', ExplodeCommand);
+commandBus.register('convertpoly', ConvertPolyCommand);
+commandBus.register('save', SaveCommand);
+commandBus.register('open', OpenCommand);
+commandBus.register('importdxf', ImportDxfCommand);
+commandBus.register('dxfin', ImportDxfCommand);
+commandBus.register('exportdxf', ExportDxfCommand);
+commandBus.register('dxfout', ExportDxfCommand);
+commandBus.register('exportsvg', ExportSvgCommand);
+commandBus.register('svgout', ExportSvgCommand);
+commandBus.register('plot', PlotCommand);
+commandBus.register('recover', RecoverCommand);
 
 function App() {
   const [mousePosition, setMousePosition] = useState({ x: 0, y: 0 });
@@ -50,6 +107,8 @@ function App() {
   // Add some sample entities for testing
   useEffect(() => {
     const store = useCADStore.getState();
+    // The sample drawing is where undo starts, not a step of its own
+    store.beginTransaction();
     
     // Add sample line
     store.addEntity({
@@ -70,6 +129,14 @@ function App() {
       layerId: '0',
       color: '#00ff00'
     });
+
+    store.endTransaction();
+  }, []);
+
+  // Autosave to IndexedDB; started after the sample entities so they form the baseline
+  useEffect(() => {
+    autosave.start();
+    return () => autosave.stop();
   }, []);
 
   return (
@@ -80,6 +147,10 @@ function App() {
       {/* Main canvas area */}
       <div className="flex-1 relative overflow-hidden">
         <CadCanvas />
+        <RecoveryDialog />
+        <QuickSelectPanel />
+        <SelectionSetsPanel />
+        <HistoryPanel />
       </div>
       
       {/* Command bar */}
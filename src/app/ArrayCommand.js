@@ -0,0 +1,360 @@
+import { BaseCommand } from './commandBus';
+import useCADStore from './store';
+import { EntityEdit } from './EntityEdit';
+import { pickEntity } from '../core/selection/hitTest';
+import { ArrayEntity } from '../core/entities/ArrayEntity';
+import { entityToJSON } from '../core/entities';
+
+const ARRAYABLE = ['line', 'circle', 'arc', 'rectangle', 'polyline'];
+const PATH_TYPES = ['line', 'arc', 'polyline'];
+const MAX_COPIES = 10000;
+
+const KIND_KEYS = { r: 'rectangular', o: 'polar', a: 'path' };
+const KIND_ARGS = { rect: 'rectangular', rectangular: 'rectangular', polar: 'polar', path: 'path' };
+
+/**
+ * Array Command
+ * Repeats the selected entities in a rectangular grid, around a centre
+ * (polar) or along a path. Each parameter is prompted for in turn with a
+ * default (Enter accepts it) and the array is previewed as it is set up.
+ * Associative arrays become one ARRAY entity that ARRAYEDIT can change later;
+ * otherwise the copies are separate entities. ARRAY POLAR / ARRAY PATH skip
+ * the type prompt.
+ */
+export class ArrayCommand extends BaseCommand {
+  constructor(args = {}) {
+    super(args);
+    this.selectedEntities = [];
+    this.kind = null;
+    this.values = {};
+    this.associative = true;
+    this.steps = [];
+    this.stepIndex = 0;
+    this.previewEntities = [];
+    this.state = 'waitingForSelection';
+  }
+
+  async execute() {
+    const option = ((this.args.args && this.args.args[0]) || '').toLowerCase();
+    this.presetKind = KIND_ARGS[option] || null;
+
+    const store = useCADStore.getState();
+    this.selectedEntities = Array.from(store.selection)
+      .map(id => store.entities.get(id))
+      .filter(entity => entity && ARRAYABLE.includes(entity.type));
+
+    if (this.selectedEntities.length > 0) {
+      this.selectionDone();
+    } else {
+      this.setPrompt('Select objects to array:');
+    }
+
+    return new Promise((resolve, reject) => {
+      this.resolveCommand = resolve;
+      this.rejectCommand = reject;
+    });
+  }
+
+  async handleInput(type, value) {
+    switch (type) {
+      case 'point':
+        return this.handlePointInput(value);
+
+      case 'selection':
+        if (this.state === 'waitingForSelection') {
+          this.addToSelection(value);
+          return true;
+        }
+        break;
+
+      case 'distance':
+        if (this.state === 'waitingForParameter') {
+          return this.acceptValue(value);
+        }
+        break;
+
+      case 'angle':
+        if (this.state === 'waitingForParameter' && this.currentStep().type === 'angle') {
+          return this.acceptValue(value * 180 / Math.PI);
+        }
+        break;
+
+      case 'key':
+        return this.handleKeyInput(value);
+    }
+
+    return false;
+  }
+
+  async handleKeyInput(key) {
+    if (key === 'Escape') {
+      await this.cancel();
+      return true;
+    }
+
+    const lower = key.length === 1 ? key.toLowerCase() : key;
+
+    switch (this.state) {
+      case 'waitingForSelection':
+        if (key === 'Enter' && this.selectedEntities.length > 0) {
+          this.selectionDone();
+          return true;
+        }
+        break;
+
+      case 'waitingForKind':
+        if (key === 'Enter') {
+          this.startKind('rectangular');
+          return true;
+        }
+        if (KIND_KEYS[lower]) {
+          this.startKind(KIND_KEYS[lower]);
+          return true;
+        }
+        break;
+
+      case 'waitingForParameter': {
+        const step = this.currentStep();
+        if (key === 'Enter' && step.defaultValue !== undefined) {
+          return this.acceptValue(step.defaultValue);
+        }
+        if (step.type === 'yesno' && (lower === 'y' || lower === 'n')) {
+          return this.acceptValue(lower === 'y');
+        }
+        break;
+      }
+    }
+
+    return false;
+  }
+
+  async handlePointInput(point) {
+    if (this.state === 'waitingForSelection') {
+      const entity = pickEntity(point, { filter: candidate => ARRAYABLE.includes(candidate.type) });
+      if (entity) {
+        this.addToSelection([entity.id]);
+      }
+      return true;
+    }
+
+    if (this.state === 'waitingForParameter') {
+      const step = this.currentStep();
+      if (step.type === 'point') {
+        return this.acceptValue({ ...point });
+      }
+      if (step.type === 'path') {
+        const entity = pickEntity(point, { filter: candidate => PATH_TYPES.includes(candidate.type) });
+        if (!entity) {
+          this.setPrompt(`No path found. ${step.prompt}`);
+          return true;
+        }
+        return this.acceptValue(entityToJSON(entity));
+      }
+    }
+
+    return false;
+  }
+
+  addToSelection(ids) {
+    const store = useCADStore.getState();
+    ids.forEach(id => {
+      const entity = store.entities.get(id);
+      if (entity && ARRAYABLE.includes(entity.type) && !this.selectedEntities.includes(entity)) {
+        this.selectedEntities.push(entity);
+      }
+    });
+
+    if (this.selectedEntities.length > 0) {
+      this.setPrompt(`${this.selectedEntities.length} entities selected. Press Enter to continue or select more:`);
+    } else {
+      this.setPrompt('Select objects to array:');
+    }
+  }
+
+  selectionDone() {
+    if (this.presetKind) {
+      this.startKind(this.presetKind);
+      return;
+    }
+    this.state = 'waitingForKind';
+    this.setPrompt('Enter array type [Rectangular/pOlar/pAth] <Rectangular>:');
+  }
+
+  /**
+   * Size of the selection, used for default spacings
+   */
+  selectionBounds() {
+    return this.selectedEntities.map(entity => entity.getBounds()).reduce((acc, b) => ({
+      minX: Math.min(acc.minX, b.minX),
+      minY: Math.min(acc.minY, b.minY),
+      maxX: Math.max(acc.maxX, b.maxX),
+      maxY: Math.max(acc.maxY, b.maxY)
+    }));
+  }
+
+  startKind(kind) {
+    this.kind = kind;
+    const bounds = this.selectionBounds();
+    const width = bounds.maxX - bounds.minX;
+    const height = bounds.maxY - bounds.minY;
+    const spacing = (size) => +((size > 0 ? size : Math.max(width, height, 1)) * 1.5).toFixed(4);
+
+    switch (kind) {
+      case 'rectangular':
+        this.steps = [
+          { name: 'columns', type: 'count', min: 1, prompt: 'Enter number of columns', defaultValue: 4 },
+          { name: 'rows', type: 'count', min: 1, prompt: 'Enter number of rows', defaultValue: 3 },
+          { name: 'columnSpacing', type: 'length', prompt: 'Specify distance between columns', defaultValue: spacing(width) },
+          { name: 'rowSpacing', type: 'length', prompt: 'Specify distance between rows', defaultValue: spacing(height) },
+          { name: 'angle', type: 'angle', prompt: 'Specify angle of the rows', defaultValue: 0 }
+        ];
+        break;
+
+      case 'polar':
+        this.steps = [
+          { name: 'center', type: 'point', prompt: 'Specify center point of array:' },
+          { name: 'count', type: 'count', min: 2, prompt: 'Enter number of items', defaultValue: 6 },
+          { name: 'fillAngle', type: 'angle', prompt: 'Specify the angle to fill (+=ccw, -=cw)', defaultValue: 360 },
+          { name: 'rotateItems', type: 'yesno', prompt: 'Rotate arrayed items?', defaultValue: true }
+        ];
+        break;
+
+      case 'path':
+        this.steps = [
+          { name: 'path', type: 'path', prompt: 'Select path curve:' },
+          { name: 'count', type: 'count', min: 2, prompt: 'Enter number of items', defaultValue: 6 },
+          { name: 'spacing', type: 'length', allowZero: true, prompt: 'Specify distance between items (0 to divide evenly)', defaultValue: 0 },
+          { name: 'alignItems', type: 'yesno', prompt: 'Align items to path?', defaultValue: true }
+        ];
+        break;
+    }
+
+    this.steps.push({ name: 'associative', type: 'yesno', prompt: 'Create associative array?', defaultValue: true });
+    this.values = {};
+    this.stepIndex = 0;
+    this.state = 'waitingForParameter';
+    this.promptStep();
+  }
+
+  currentStep() {
+    return this.steps[this.stepIndex];
+  }
+
+  promptStep(prefix = '') {
+    const step = this.currentStep();
+    if (step.defaultValue === undefined) {
+      this.setPrompt(`${prefix}${step.prompt}`);
+      return;
+    }
+    const fallback = step.type === 'yesno' ? (step.defaultValue ? 'Yes' : 'No') : step.defaultValue;
+    const options = step.type === 'yesno' ? ' [Yes/No]' : '';
+    this.setPrompt(`${prefix}${step.prompt}${options} <${fallback}>:`);
+  }
+
+  /**
+   * Validate and store the value for the current step, then move on
+   */
+  acceptValue(value) {
+    const step = this.currentStep();
+
+    if (step.type === 'count' && (!Number.isInteger(value) || value < step.min)) {
+      this.promptStep(`Enter a whole number of at least ${step.min}. `);
+      return true;
+    }
+    if (step.type === 'length' && (value < 0 || (value === 0 && !step.allowZero))) {
+      this.promptStep('Distance must be positive. ');
+      return true;
+    }
+
+    if (step.name === 'associative') {
+      this.associative = value;
+    } else {
+      this.values[step.name] = value;
+    }
+
+    const array = this.buildArray();
+    if (array && array.getCopyCount() > MAX_COPIES) {
+      delete this.values[step.name];
+      this.promptStep(`That would make more than ${MAX_COPIES} copies. `);
+      return true;
+    }
+
+    this.stepIndex++;
+    this.updatePreview();
+    if (this.stepIndex >= this.steps.length) {
+      this.complete();
+    } else {
+      this.promptStep();
+    }
+    return true;
+  }
+
+  /**
+   * Array from the values entered so far (defaults for the rest), or null
+   * while a required point or path is still missing. Angles are entered in
+   * degrees and stored in radians.
+   */
+  buildArray() {
+    const params = {};
+    for (const step of this.steps) {
+      if (step.name === 'associative') continue;
+      const value = this.values[step.name] !== undefined ? this.values[step.name] : step.defaultValue;
+      if (value === undefined) return null;
+      params[step.name] = step.type === 'angle' ? value * Math.PI / 180 : value;
+    }
+    return new ArrayEntity(this.kind, this.selectedEntities, params, {
+      layerId: useCADStore.getState().currentLayer
+    });
+  }
+
+  updatePreview() {
+    this.clearPreviews();
+    const array = this.buildArray();
+    if (!array) return;
+
+    array.id = 'array-preview';
+    array.color = '#666666';
+    array.isPreview = true;
+    useCADStore.getState().addEntity(array);
+    this.previewEntities = [array];
+  }
+
+  clearPreviews() {
+    const store = useCADStore.getState();
+    this.previewEntities.forEach(entity => store.removeEntity(entity.id));
+    this.previewEntities = [];
+  }
+
+  complete() {
+    this.clearPreviews();
+    this.state = 'completed';
+
+    const array = this.buildArray();
+    const created = this.associative ? [array] : array.explode();
+    const edit = new EntityEdit();
+    edit.replace(this.selectedEntities, created);
+
+    if (this.resolveCommand) {
+      this.resolveCommand({
+        completed: true,
+        message: `${this.kind[0].toUpperCase()}${this.kind.slice(1)} array of ${array.getCopyCount()} copies created` +
+          (this.associative ? '' : ' (not associative)'),
+        entities: created,
+        undo: () => edit.undo(),
+        redo: () => edit.redo()
+      });
+    }
+  }
+
+  async cancel() {
+    if (this.state === 'completed' || this.state === 'cancelled') return;
+
+    this.clearPreviews();
+    this.state = 'cancelled';
+    if (this.rejectCommand) {
+      this.rejectCommand(new Error('Command cancelled'));
+    }
+  }
+}
+
+export default ArrayCommand;
@@ -0,0 +1,246 @@
+import { BaseCommand } from './commandBus';
+import useCADStore from './store';
+import { EntityEdit, editHistory } from './EntityEdit';
+import { pickEntity } from '../core/selection/hitTest';
+
+const MAX_COPIES = 10000;
+
+// Option key -> parameter for each array kind. Toggles flip a yes/no parameter.
+const EDIT_OPTIONS = {
+  rectangular: {
+    prompt: '[Columns/Rows/Spacing/Angle/eXplode]',
+    keys: {
+      c: { name: 'columns', type: 'count', min: 1, prompt: 'Enter number of columns' },
+      r: { name: 'rows', type: 'count', min: 1, prompt: 'Enter number of rows' },
+      s: { name: 'columnSpacing', type: 'length', prompt: 'Specify distance between columns', next: 'rowSpacing' },
+      a: { name: 'angle', type: 'angle', prompt: 'Specify angle of the rows' }
+    },
+    followUps: {
+      rowSpacing: { name: 'rowSpacing', type: 'length', prompt: 'Specify distance between rows' }
+    }
+  },
+  polar: {
+    prompt: '[Items/Fill angle/Rotate items/eXplode]',
+    keys: {
+      i: { name: 'count', type: 'count', min: 2, prompt: 'Enter number of items' },
+      f: { name: 'fillAngle', type: 'angle', prompt: 'Specify the angle to fill (+=ccw, -=cw)' },
+      r: { name: 'rotateItems', type: 'toggle' }
+    }
+  },
+  path: {
+    prompt: '[Items/Spacing/Align items/eXplode]',
+    keys: {
+      i: { name: 'count', type: 'count', min: 2, prompt: 'Enter number of items' },
+      s: { name: 'spacing', type: 'length', allowZero: true, prompt: 'Specify distance between items (0 to divide evenly)' },
+      a: { name: 'alignItems', type: 'toggle' }
+    }
+  }
+};
+
+const formatValue = (option, value) => (
+  option.type === 'angle' ? +(value * 180 / Math.PI).toFixed(4) : value
+);
+
+/**
+ * Array Edit Command
+ * Changes the count, spacing or angle of an associative array; the array is
+ * regenerated after every change. X explodes it into separate entities.
+ * Enter ends the command.
+ */
+export class ArrayEditCommand extends BaseCommand {
+  constructor(args = {}) {
+    super(args);
+    this.array = null;
+    this.option = null;
+    this.edits = [];
+    this.state = 'waitingForArray';
+  }
+
+  async execute() {
+    const store = useCADStore.getState();
+    const selected = Array.from(store.selection)
+      .map(id => store.entities.get(id))
+      .find(entity => entity && entity.type === 'array');
+
+    if (selected) {
+      this.startEditing(selected);
+    } else {
+      this.setPrompt('Select array:');
+    }
+
+    return new Promise((resolve, reject) => {
+      this.resolveCommand = resolve;
+      this.rejectCommand = reject;
+    });
+  }
+
+  async handleInput(type, value) {
+    switch (type) {
+      case 'point':
+        if (this.state === 'waitingForArray') {
+          const entity = pickEntity(value, { filter: candidate => candidate.type === 'array' });
+          if (!entity) {
+            this.setPrompt('No array found. Select array:');
+            return true;
+          }
+          this.startEditing(entity);
+          return true;
+        }
+        break;
+
+      case 'distance':
+        if (this.state === 'waitingForValue') {
+          return this.setValue(this.option.type === 'angle' ? value * Math.PI / 180 : value);
+        }
+        break;
+
+      case 'angle':
+        if (this.state === 'waitingForValue' && this.option.type === 'angle') {
+          return this.setValue(value);
+        }
+        break;
+
+      case 'key':
+        return this.handleKeyInput(value);
+    }
+
+    return false;
+  }
+
+  async handleKeyInput(key) {
+    if (key === 'Escape') {
+      await this.cancel();
+      return true;
+    }
+
+    const lower = key.length === 1 ? key.toLowerCase() : key;
+
+    if (this.state === 'waitingForOption') {
+      if (key === 'Enter') {
+        this.finish();
+        return true;
+      }
+      if (lower === 'x') {
+        this.explode();
+        return true;
+      }
+      const option = EDIT_OPTIONS[this.array.kind].keys[lower];
+      if (!option) return false;
+      if (option.type === 'toggle') {
+        this.apply({ [option.name]: !this.array.params[option.name] });
+        this.promptOption();
+      } else {
+        this.askFor(option);
+      }
+      return true;
+    }
+
+    if (this.state === 'waitingForValue' && key === 'Enter') {
+      // Keep the current value
+      return this.setValue(this.array.params[this.option.name]);
+    }
+
+    return false;
+  }
+
+  startEditing(array) {
+    this.array = array;
+    this.state = 'waitingForOption';
+    this.promptOption();
+  }
+
+  promptOption(prefix = '') {
+    const count = this.array.getCopyCount();
+    this.setPrompt(
+      `${prefix}${this.array.kind} array, ${count} cop${count === 1 ? 'y' : 'ies'}. ` +
+      `Select option ${EDIT_OPTIONS[this.array.kind].prompt} <exit>:`
+    );
+  }
+
+  askFor(option, prefix = '') {
+    this.option = option;
+    this.state = 'waitingForValue';
+    this.setPrompt(`${prefix}${option.prompt} <${formatValue(option, this.array.params[option.name])}>:`);
+  }
+
+  setValue(value) {
+    const option = this.option;
+
+    if (option.type === 'count' && (!Number.isInteger(value) || value < option.min)) {
+      this.askFor(option, `Enter a whole number of at least ${option.min}. `);
+      return true;
+    }
+    if (option.type === 'length' && (value < 0 || (value === 0 && !option.allowZero))) {
+      this.askFor(option, 'Distance must be positive. ');
+      return true;
+    }
+    if (this.array.withParams({ [option.name]: value }).getCopyCount() > MAX_COPIES) {
+      this.askFor(option, `That would make more than ${MAX_COPIES} copies. `);
+      return true;
+    }
+
+    if (value !== this.array.params[option.name]) {
+      this.apply({ [option.name]: value });
+    }
+
+    if (option.next) {
+      this.askFor(EDIT_OPTIONS[this.array.kind].followUps[option.next]);
+      return true;
+    }
+
+    this.option = null;
+    this.state = 'waitingForOption';
+    this.promptOption();
+    return true;
+  }
+
+  /**
+   * Regenerate the array with changed parameters (keeps its id)
+   */
+  apply(params) {
+    const updated = this.array.withParams(params);
+    const edit = new EntityEdit();
+    edit.replace([this.array], [updated]);
+    this.edits.push(edit);
+    this.array = updated;
+  }
+
+  explode() {
+    const items = this.array.explode();
+    const edit = new EntityEdit();
+    edit.replace([this.array], items);
+    this.edits.push(edit);
+    this.finish(`Array exploded into ${items.length} entities`);
+  }
+
+  finish(message) {
+    this.state = 'completed';
+
+    const edits = [...this.edits];
+    if (this.resolveCommand) {
+      this.resolveCommand({
+        completed: edits.length > 0,
+        message: message || (edits.length > 0 ? 'Array updated' : 'Array unchanged'),
+        entities: edits.flatMap(edit => edit.added),
+        ...editHistory(edits)
+      });
+    }
+  }
+
+  async cancel() {
+    if (this.state === 'completed' || this.state === 'cancelled') return;
+
+    // Changes already made stay in the drawing and go on the undo stack
+    if (this.edits.length > 0) {
+      this.finish();
+      return;
+    }
+
+    this.state = 'cancelled';
+    if (this.rejectCommand) {
+      this.rejectCommand(new Error('Command cancelled'));
+    }
+  }
+}
+
+export default ArrayEditCommand;
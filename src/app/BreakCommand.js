@@ -0,0 +1,152 @@
+import { BaseCommand } from './commandBus';
+import { EntityEdit } from './EntityEdit';
+import { pickEntity } from '../core/selection/hitTest';
+import { BREAKABLE, breakEntity, breakEntityAtPoint } from '../modify/break';
+
+/**
+ * Break Command
+ * Removes the part of an object between two points. The point used to select
+ * the object is the first break point unless F (First point) is chosen to
+ * give it separately. Circles become arcs; the part removed runs
+ * counterclockwise from the first point to the second.
+ */
+export class BreakCommand extends BaseCommand {
+  constructor(args = {}) {
+    super(args);
+    this.entity = null;
+    this.firstPoint = null;
+    this.state = 'waitingForObject';
+  }
+
+  async execute() {
+    this.setPrompt('Select object:');
+
+    return new Promise((resolve, reject) => {
+      this.resolveCommand = resolve;
+      this.rejectCommand = reject;
+    });
+  }
+
+  async handleInput(type, value) {
+    switch (type) {
+      case 'point':
+        return this.handlePointInput(value);
+
+      case 'key':
+        if (value === 'Escape') {
+          await this.cancel();
+          return true;
+        }
+        if (this.state === 'waitingForSecondPoint' && value.toLowerCase() === 'f') {
+          this.state = 'waitingForFirstPoint';
+          this.setPrompt('Specify first break point:');
+          return true;
+        }
+        break;
+    }
+
+    return false;
+  }
+
+  async handlePointInput(point) {
+    switch (this.state) {
+      case 'waitingForObject': {
+        const entity = pickEntity(point, { filter: candidate => BREAKABLE.includes(candidate.type) });
+        if (!entity) {
+          this.setPrompt('No object found. Select object:');
+          return true;
+        }
+        this.entity = entity;
+        this.firstPoint = { ...point };
+        this.state = 'waitingForSecondPoint';
+        this.setPrompt('Specify second break point or [First point]:');
+        return true;
+      }
+
+      case 'waitingForFirstPoint':
+        this.firstPoint = { ...point };
+        this.state = 'waitingForSecondPoint';
+        this.setPrompt('Specify second break point:');
+        return true;
+
+      case 'waitingForSecondPoint': {
+        const pieces = breakEntity(this.entity, this.firstPoint, point);
+        if (!pieces) {
+          this.setPrompt('Break points are the same. Specify second break point or [First point]:');
+          return true;
+        }
+        this.complete(pieces, 'Object broken');
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  complete(pieces, message) {
+    this.state = 'completed';
+
+    const edit = new EntityEdit();
+    edit.replace([this.entity], pieces);
+
+    if (this.resolveCommand) {
+      this.resolveCommand({
+        completed: true,
+        message,
+        entities: pieces,
+        undo: () => edit.undo(),
+        redo: () => edit.redo()
+      });
+    }
+  }
+
+  async cancel() {
+    if (this.state === 'completed' || this.state === 'cancelled') return;
+
+    this.state = 'cancelled';
+    if (this.rejectCommand) {
+      this.rejectCommand(new Error('Command cancelled'));
+    }
+  }
+}
+
+/**
+ * Break At Point Command
+ * Splits an object into two at one point, without a gap. Closed polylines
+ * and rectangles are opened at the point instead.
+ */
+export class BreakAtPointCommand extends BreakCommand {
+  async handlePointInput(point) {
+    switch (this.state) {
+      case 'waitingForObject': {
+        const entity = pickEntity(point, { filter: candidate => BREAKABLE.includes(candidate.type) });
+        if (!entity) {
+          this.setPrompt('No object found. Select object:');
+          return true;
+        }
+        if (entity.type === 'circle') {
+          this.setPrompt('A circle cannot be broken at a single point. Select object:');
+          return true;
+        }
+        this.entity = entity;
+        this.state = 'waitingForBreakPoint';
+        this.setPrompt('Specify break point:');
+        return true;
+      }
+
+      case 'waitingForBreakPoint': {
+        const pieces = breakEntityAtPoint(this.entity, point);
+        if (!pieces) {
+          this.setPrompt('Cannot break at an end point. Specify break point:');
+          return true;
+        }
+        this.complete(pieces, pieces.length === 1 ? 'Object opened' : 'Object split in two');
+        return true;
+      }
+    }
+
+    return false;
+  }
+}
+
+export default BreakCommand;
@@ -0,0 +1,323 @@
+import { BaseCommand } from './commandBus';
+import useCADStore from './store';
+import { EntityEdit, editHistory } from './EntityEdit';
+import { pickEntity } from '../core/selection/hitTest';
+import { chamferEntities, chamferPolyline, CHAMFER_METHODS } from '../modify/chamfer';
+
+const CHAMFERABLE = ['line', 'polyline'];
+
+// Remembered between runs like AutoCAD's CHAMFERA/B/C/D, CHAMMODE and TRIMMODE
+const settings = {
+  method: 'distance',
+  distance1: 0,
+  distance2: 0,
+  length: 0,
+  angle: 0,
+  trim: true
+};
+
+const formatAngle = (radians) => `${+(radians * 180 / Math.PI).toFixed(4)}°`;
+
+/**
+ * Chamfer Command
+ * Bevels the corner between two lines or two adjacent polyline segments.
+ * Options at the first prompt: P = every corner of a polyline, D = two
+ * distances, A = length and angle, T = trim/no trim, E = switch method,
+ * M = multiple. The result is previewed while hovering the second object.
+ */
+export class ChamferCommand extends BaseCommand {
+  constructor(args = {}) {
+    super(args);
+    this.multiple = false;
+    this.first = null;
+    this.edits = [];
+    this.previewEntities = [];
+    this.previewHidden = [];
+    this.state = 'waitingForFirst';
+  }
+
+  async execute() {
+    this.promptFirst();
+
+    return new Promise((resolve, reject) => {
+      this.resolveCommand = resolve;
+      this.rejectCommand = reject;
+    });
+  }
+
+  promptFirst(prefix = '') {
+    const current = settings.method === 'angle'
+      ? `length = ${settings.length}, angle = ${formatAngle(settings.angle)}`
+      : `distances = ${settings.distance1}, ${settings.distance2}`;
+    const mode = settings.trim ? 'trim' : 'no trim';
+    this.setPrompt(
+      `${prefix}Select first line or [Polyline/Distance/Angle/Trim/mEthod/Multiple] ` +
+      `(${current}, ${mode}${this.multiple ? ', multiple' : ''}):`
+    );
+  }
+
+  async handleInput(type, value) {
+    switch (type) {
+      case 'distance':
+        return this.handleValueInput(value);
+
+      case 'angle':
+        if (this.state === 'waitingForAngle') {
+          return this.setAngle(value);
+        }
+        break;
+
+      case 'point':
+        return this.handlePointInput(value);
+
+      case 'key':
+        return this.handleKeyInput(value);
+
+      case 'mousemove':
+        if (this.state === 'waitingForSecond') {
+          this.updatePreview(value);
+        }
+        break;
+    }
+
+    return false;
+  }
+
+  handleValueInput(value) {
+    if (value < 0) return false;
+
+    switch (this.state) {
+      case 'waitingForDistance1':
+        settings.distance1 = value;
+        settings.distance2 = value;
+        this.state = 'waitingForDistance2';
+        this.setPrompt(`Specify second chamfer distance <${value}>:`);
+        return true;
+
+      case 'waitingForDistance2':
+        settings.distance2 = value;
+        settings.method = 'distance';
+        this.state = 'waitingForFirst';
+        this.promptFirst();
+        return true;
+
+      case 'waitingForLength':
+        settings.length = value;
+        this.state = 'waitingForAngle';
+        this.setPrompt(`Specify chamfer angle from the first line <${formatAngle(settings.angle)}>:`);
+        return true;
+
+      case 'waitingForAngle':
+        // A plain number is taken as degrees
+        return this.setAngle(value * Math.PI / 180);
+    }
+
+    return false;
+  }
+
+  setAngle(radians) {
+    if (radians < 0 || radians >= Math.PI) return false;
+    settings.angle = radians;
+    settings.method = 'angle';
+    this.state = 'waitingForFirst';
+    this.promptFirst();
+    return true;
+  }
+
+  async handleKeyInput(key) {
+    if (key === 'Escape') {
+      await this.cancel();
+      return true;
+    }
+
+    const lower = key.length === 1 ? key.toLowerCase() : key;
+
+    if (this.state === 'waitingForFirst') {
+      switch (lower) {
+        case 'Enter':
+          this.finish();
+          return true;
+        case 'p':
+          this.state = 'waitingForPolyline';
+          this.setPrompt('Select 2D polyline:');
+          return true;
+        case 'd':
+          this.state = 'waitingForDistance1';
+          this.setPrompt(`Specify first chamfer distance <${settings.distance1}>:`);
+          return true;
+        case 'a':
+          this.state = 'waitingForLength';
+          this.setPrompt(`Specify chamfer length on the first line <${settings.length}>:`);
+          return true;
+        case 't':
+          settings.trim = !settings.trim;
+          this.promptFirst();
+          return true;
+        case 'e': {
+          const index = CHAMFER_METHODS.indexOf(settings.method);
+          settings.method = CHAMFER_METHODS[(index + 1) % CHAMFER_METHODS.length];
+          this.promptFirst();
+          return true;
+        }
+        case 'm':
+          this.multiple = !this.multiple;
+          this.promptFirst();
+          return true;
+      }
+      return false;
+    }
+
+    // Enter keeps the default shown in the prompt
+    if (key === 'Enter') {
+      switch (this.state) {
+        case 'waitingForDistance1':
+          return this.handleValueInput(settings.distance1);
+        case 'waitingForDistance2':
+          return this.handleValueInput(settings.distance2);
+        case 'waitingForLength':
+          return this.handleValueInput(settings.length);
+        case 'waitingForAngle':
+          return this.setAngle(settings.angle);
+      }
+    }
+
+    return false;
+  }
+
+  async handlePointInput(point) {
+    switch (this.state) {
+      case 'waitingForFirst': {
+        const entity = pickEntity(point, { filter: candidate => CHAMFERABLE.includes(candidate.type) });
+        if (!entity) {
+          this.promptFirst('No line found. ');
+          return true;
+        }
+        this.first = { entity, point: { ...point } };
+        this.state = 'waitingForSecond';
+        this.setPrompt('Select second line:');
+        return true;
+      }
+
+      case 'waitingForSecond': {
+        this.clearPreviews();
+        const entity = pickEntity(point, { filter: candidate => CHAMFERABLE.includes(candidate.type) });
+        if (!entity) {
+          this.setPrompt('No line found. Select second line:');
+          return true;
+        }
+        const result = chamferEntities(this.first, { entity, point: { ...point } }, settings);
+        this.first = null;
+        this.state = 'waitingForFirst';
+        if (!result) {
+          this.promptFirst('Cannot chamfer these objects with these settings. ');
+          return true;
+        }
+        this.apply(result.remove, result.add);
+        this.afterChamfer('Chamfer applied. ');
+        return true;
+      }
+
+      case 'waitingForPolyline': {
+        const entity = pickEntity(point, { filter: candidate => candidate.type === 'polyline' });
+        this.state = 'waitingForFirst';
+        if (!entity) {
+          this.promptFirst('No polyline found. ');
+          return true;
+        }
+        const { polyline, chamfered, tooShort } = chamferPolyline(entity, settings);
+        const short = tooShort > 0 ? `, ${tooShort} too short` : '';
+        if (!polyline) {
+          this.promptFirst(`0 corners chamfered${short}. `);
+          return true;
+        }
+        this.apply([entity], [polyline]);
+        this.afterChamfer(`${chamfered} corner${chamfered === 1 ? '' : 's'} chamfered${short}. `);
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Show the chamfer that picking at the mouse would make. The preview only
+   * adds preview entities; the objects it changes stay in the drawing and
+   * are hidden from view (commandState.previewHidden) while it is up.
+   */
+  updatePreview(mousePoint) {
+    this.clearPreviews();
+    const entity = pickEntity(mousePoint, { filter: candidate => CHAMFERABLE.includes(candidate.type) });
+    if (!entity) return;
+
+    const result = chamferEntities(this.first, { entity, point: mousePoint }, settings);
+    if (!result) return;
+
+    const store = useCADStore.getState();
+    this.previewHidden = result.remove.map(removed => removed.id);
+    store.updateCommandState({ previewHidden: this.previewHidden });
+    this.previewEntities = result.add.map((added, index) => {
+      added.id = `${added.id}-chamfer-preview-${index}`;
+      added.color = '#666666';
+      added.isPreview = true;
+      store.addEntity(added);
+      return added;
+    });
+  }
+
+  clearPreviews() {
+    const store = useCADStore.getState();
+    this.previewEntities.forEach(entity => store.removeEntity(entity.id));
+    if (this.previewHidden.length > 0) {
+      store.updateCommandState({ previewHidden: [] });
+    }
+    this.previewEntities = [];
+    this.previewHidden = [];
+  }
+
+  apply(oldEntities, newEntities) {
+    const edit = new EntityEdit();
+    edit.replace(oldEntities, newEntities);
+    this.edits.push(edit);
+  }
+
+  afterChamfer(message) {
+    if (this.multiple) {
+      this.promptFirst(message);
+    } else {
+      this.finish();
+    }
+  }
+
+  finish() {
+    this.clearPreviews();
+    this.state = 'completed';
+
+    const edits = [...this.edits];
+    if (this.resolveCommand) {
+      this.resolveCommand({
+        completed: edits.length > 0,
+        message: edits.length > 0 ? 'Chamfer completed' : 'Nothing chamfered',
+        entities: edits.flatMap(edit => edit.added),
+        ...editHistory(edits)
+      });
+    }
+  }
+
+  async cancel() {
+    if (this.state === 'completed' || this.state === 'cancelled') return;
+
+    // Chamfers already made stay in the drawing and go on the undo stack
+    if (this.edits.length > 0) {
+      this.finish();
+      return;
+    }
+
+    this.clearPreviews();
+    this.state = 'cancelled';
+    if (this.rejectCommand) {
+      this.rejectCommand(new Error('Command cancelled'));
+    }
+  }
+}
+
+export default ChamferCommand;
@@ -0,0 +1,112 @@
+import { BaseCommand } from './commandBus';
+import useCADStore from './store';
+import { EntityEdit } from './EntityEdit';
+import { pickEntity } from '../core/selection/hitTest';
+
+const isRectangle = (entity) => !!entity && entity.type === 'rectangle';
+
+/**
+ * Convert Poly Command
+ * Turns rectangles into closed polylines (keeping their ids) so their
+ * vertices can be edited individually.
+ */
+export class ConvertPolyCommand extends BaseCommand {
+  constructor(args = {}) {
+    super(args);
+    this.selectedEntities = [];
+    this.state = 'waitingForSelection';
+  }
+
+  async execute() {
+    const result = new Promise((resolve, reject) => {
+      this.resolveCommand = resolve;
+      this.rejectCommand = reject;
+    });
+
+    const store = useCADStore.getState();
+    this.selectedEntities = Array.from(store.selection)
+      .map(id => store.entities.get(id))
+      .filter(isRectangle);
+
+    // A pre-selection is converted straight away
+    if (this.selectedEntities.length > 0) {
+      this.convert();
+    } else {
+      this.setPrompt('Select rectangles to convert to polylines:');
+    }
+
+    return result;
+  }
+
+  async handleInput(type, value) {
+    switch (type) {
+      case 'point':
+        if (this.state === 'waitingForSelection') {
+          const entity = pickEntity(value, { filter: isRectangle });
+          if (entity) this.addToSelection([entity.id]);
+          else this.setPrompt('No rectangle found. Select rectangles to convert to polylines:');
+          return true;
+        }
+        break;
+
+      case 'selection':
+        if (this.state === 'waitingForSelection') {
+          this.addToSelection(value);
+          return true;
+        }
+        break;
+
+      case 'key':
+        if (value === 'Escape') {
+          await this.cancel();
+          return true;
+        } else if (value === 'Enter' && this.state === 'waitingForSelection' && this.selectedEntities.length > 0) {
+          this.convert();
+          return true;
+        }
+        break;
+    }
+
+    return false;
+  }
+
+  addToSelection(ids) {
+    const store = useCADStore.getState();
+    ids.forEach(id => {
+      const entity = store.entities.get(id);
+      if (isRectangle(entity) && !this.selectedEntities.includes(entity)) {
+        this.selectedEntities.push(entity);
+      }
+    });
+    this.setPrompt(`${this.selectedEntities.length} rectangles selected. Press Enter to convert or select more:`);
+  }
+
+  convert() {
+    this.state = 'completed';
+
+    const polylines = this.selectedEntities.map(entity => entity.toPolyline());
+    const edit = new EntityEdit();
+    edit.replace(this.selectedEntities, polylines);
+
+    if (this.resolveCommand) {
+      this.resolveCommand({
+        completed: true,
+        message: `${polylines.length} rectangle${polylines.length === 1 ? '' : 's'} converted to polylines`,
+        entities: polylines,
+        undo: () => edit.undo(),
+        redo: () => edit.redo()
+      });
+    }
+  }
+
+  async cancel() {
+    if (this.state === 'completed' || this.state === 'cancelled') return;
+
+    this.state = 'cancelled';
+    if (this.rejectCommand) {
+      this.rejectCommand(new Error('Command cancelled'));
+    }
+  }
+}
+
+export default ConvertPolyCommand;
@@ -72,6 +72,8 @@ export class CopyCommand extends BaseCommand {
     switch (this.state) {
       case 'waitingForBasePoint':
         this.basePoint = { ...point };
+        // Ortho, perpendicular and tangent snaps work from the base point
+        useCADStore.getState().updateCommandState({ lastPoint: this.basePoint });
         this.state = 'waitingForTarget';
         this.setPrompt('Specify target point:');
         return true;
@@ -136,6 +138,7 @@ export class CopyCommand extends BaseCommand {
         
       case 'polyline':
         copied.vertices = entity.vertices.map(vertex => ({
+          ...vertex,
           x: vertex.x + offset.x,
           y: vertex.y + offset.y
         }));
@@ -90,9 +90,9 @@ export class DrawArcCommand extends BaseCommand {
 
       this.previewArc = new Arc(this.center, radius, 0, 2 * Math.PI, {
         color: '#666666',
-        lineweight: 1,
-        isPreview: true
+        lineweight: 1
       });
+      this.previewArc.isPreview = true;
     } else if (mode === 'arc' && this.startPoint) {
       // Calculate angles
       const startAngle = Math.atan2(this.startPoint.y - this.center.y, this.startPoint.x - this.center.x);
@@ -105,9 +105,9 @@ export class DrawArcCommand extends BaseCommand {
 
       this.previewArc = new Arc(this.center, radius, startAngle, endAngle, {
         color: '#666666',
-        lineweight: 1,
-        isPreview: true
+        lineweight: 1
       });
+      this.previewArc.isPreview = true;
     }
 
     if (this.previewArc) {
@@ -137,7 +137,7 @@ export class DrawArcCommand extends BaseCommand {
     const arc = new Arc(this.center, radius, startAngle, endAngle, {
       layerId: store.currentLayer,
       color: null, // Use layer color
-      lineweight: 1
+      lineweight: null // Use layer lineweight
     });
 
     // Add to drawing
@@ -83,9 +83,9 @@ export class DrawCircleCommand extends BaseCommand {
     // Create preview circle
     this.previewCircle = new Circle(this.center, radius, {
       color: '#666666',
-      lineweight: 1,
-      isPreview: true
+      lineweight: 1
     });
+    this.previewCircle.isPreview = true;
 
     store.addEntity(this.previewCircle);
   }
@@ -103,7 +103,7 @@ export class DrawCircleCommand extends BaseCommand {
     const circle = new Circle(this.center, this.radius, {
       layerId: store.currentLayer,
       color: null, // Use layer color
-      lineweight: 1
+      lineweight: null // Use layer lineweight
     });
 
     // Add to drawing
@@ -1,10 +1,13 @@
 import { BaseCommand } from '../app/commandBus';
 import useCADStore from '../app/store';
 import Line from '../core/entities/Line';
+import snapEngine from '../core/snapping/SnapEngine';
 
 /**
  * Draw Line Command
- * Implements two-point line drawing with preview
+ * Implements two-point line drawing with preview. A first point picked with
+ * a perpendicular or tangent snap is deferred: it slides along the entity
+ * until the next point fixes where the line meets it.
  */
 export class DrawLineCommand extends BaseCommand {
   constructor(args = {}) {
@@ -12,11 +15,14 @@ export class DrawLineCommand extends BaseCommand {
     this.startPoint = null;
     this.endPoint = null;
     this.previewLine = null;
+    // Perpendicular or tangent snap the start point waits on
+    this.deferredStart = null;
     this.state = 'waitingForStart';
   }
 
   async execute() {
     this.setPrompt('Specify first point:');
+    useCADStore.getState().updateCommandState({ deferredSnap: true });
     
     return new Promise((resolve, reject) => {
       this.resolveCommand = resolve;
@@ -24,10 +30,10 @@ export class DrawLineCommand extends BaseCommand {
     });
   }
 
-  async handleInput(type, value) {
+  async handleInput(type, value, modifiers = {}) {
     switch (type) {
       case 'point':
-        return this.handlePointInput(value);
+        return this.handlePointInput(value, modifiers.snap);
       
       case 'key':
         if (value === 'Escape') {
@@ -62,7 +68,7 @@ export class DrawLineCommand extends BaseCommand {
     }
   }
 
-  async handlePointInput(point) {
+  async handlePointInput(point, snap) {
     const store = useCADStore.getState();
     
     switch (this.state) {
@@ -70,7 +76,14 @@ export class DrawLineCommand extends BaseCommand {
         this.startPoint = { ...point };
         this.state = 'waitingForEnd';
         this.setPrompt('Specify next point:');
-        
+        store.updateCommandState({ deferredSnap: false });
+
+        // A deferred start is no fixed point to work from yet
+        if (snap && snap.deferred) {
+          this.deferredStart = snap;
+          return true;
+        }
+
         // Store the last point for ortho mode
         store.updateCommandState({ lastPoint: this.startPoint });
         return true;
@@ -84,6 +97,15 @@ export class DrawLineCommand extends BaseCommand {
     return false;
   }
 
+  /**
+   * Start of the line ending at `endPoint`, placing a deferred start on its
+   * entity (the picked point if the line cannot be perpendicular or tangent)
+   */
+  resolveStart(endPoint) {
+    if (!this.deferredStart) return this.startPoint;
+    return snapEngine.resolveDeferred(this.deferredStart, endPoint) || this.startPoint;
+  }
+
   updatePreview(mousePoint) {
     if (!this.startPoint) return;
 
@@ -95,11 +117,11 @@ export class DrawLineCommand extends BaseCommand {
     }
 
     // Create preview line
-    this.previewLine = new Line(this.startPoint, mousePoint, {
+    this.previewLine = new Line(this.resolveStart(mousePoint), mousePoint, {
       color: '#666666',
-      lineweight: 1,
-      isPreview: true
+      lineweight: 1
     });
+    this.previewLine.isPreview = true;
 
     store.addEntity(this.previewLine);
   }
@@ -114,10 +136,10 @@ export class DrawLineCommand extends BaseCommand {
     }
 
     // Create final line
-    const line = new Line(this.startPoint, this.endPoint, {
+    const line = new Line(this.resolveStart(this.endPoint), this.endPoint, {
       layerId: store.currentLayer,
       color: null, // Use layer color
-      lineweight: 1
+      lineweight: null // Use layer lineweight
     });
 
     // Add to drawing
@@ -126,6 +148,7 @@ export class DrawLineCommand extends BaseCommand {
     // AutoCAD-style continuous line drawing - always continue unless explicitly cancelled
     this.startPoint = { ...this.endPoint };
     this.endPoint = null;
+    this.deferredStart = null;
     this.state = 'waitingForEnd';
     this.setPrompt('Specify next point or press Enter to finish:');
     
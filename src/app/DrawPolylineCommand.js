@@ -1,10 +1,16 @@
 import { BaseCommand } from './commandBus';
 import useCADStore from './store';
 import Polyline from '../core/entities/Polyline';
+import { segmentEndTangent, tangentBulge } from '../core/geometry/bulge';
+
+// A point straight behind the current direction cannot end a tangent arc
+const MAX_BULGE = 1e6;
 
 /**
  * Draw Polyline Command
- * Implements multi-point polyline drawing with preview
+ * Implements multi-point polyline drawing with preview. In Arc mode (A) each
+ * new segment is an arc tangent to the previous one, stored as a bulge on
+ * its start vertex; L switches back to straight segments.
  */
 export class DrawPolylineCommand extends BaseCommand {
   constructor(args = {}) {
@@ -12,6 +18,7 @@ export class DrawPolylineCommand extends BaseCommand {
     this.vertices = [];
     this.previewPolyline = null;
     this.previewLine = null;
+    this.segmentMode = 'line';
     this.state = 'waitingForFirstPoint';
   }
 
@@ -38,12 +45,25 @@ export class DrawPolylineCommand extends BaseCommand {
           return true;
         } else if (value === 'c' || value === 'C') {
           if (this.vertices.length >= 3) {
+            if (this.segmentMode === 'arc') {
+              // The closing segment is a tangent arc back to the first point
+              const bulge = this.arcBulge(this.vertices[0]);
+              if (bulge !== null) this.vertices[this.vertices.length - 1].bulge = bulge;
+            }
             await this.commitPolyline(true); // Close the polyline
             return true;
           }
         } else if (value === 'u' || value === 'U') {
           this.undoLastVertex();
           return true;
+        } else if ((value === 'a' || value === 'A') && this.state === 'waitingForNextPoint') {
+          this.segmentMode = 'arc';
+          this.updatePrompt();
+          return true;
+        } else if ((value === 'l' || value === 'L') && this.state === 'waitingForNextPoint') {
+          this.segmentMode = 'line';
+          this.updatePrompt();
+          return true;
         }
         break;
         
@@ -58,17 +78,60 @@ export class DrawPolylineCommand extends BaseCommand {
   }
 
   async handlePointInput(point) {
-    this.vertices.push({ ...point });
+    if (this.segmentMode === 'arc' && this.vertices.length > 0) {
+      const bulge = this.arcBulge(point);
+      if (bulge === null) {
+        this.setPrompt('Cannot draw a tangent arc to that point. Specify arc end point:');
+        return true;
+      }
+      this.vertices[this.vertices.length - 1].bulge = bulge;
+    }
+    this.vertices.push({ x: point.x, y: point.y });
+    // Ortho, perpendicular and tangent snaps work from the last vertex
+    useCADStore.getState().updateCommandState({ lastPoint: { x: point.x, y: point.y } });
     
     if (this.state === 'waitingForFirstPoint') {
       this.state = 'waitingForNextPoint';
-      this.setPrompt('Specify next point (Enter to finish, C to close, U to undo):');
     }
+    this.updatePrompt();
     
     this.updatePolylinePreview();
     return true;
   }
 
+  updatePrompt() {
+    if (this.segmentMode === 'arc') {
+      this.setPrompt('Specify arc end point (Enter to finish, C to close, U to undo, L for lines):');
+    } else {
+      this.setPrompt('Specify next point (Enter to finish, C to close, U to undo, A for arcs):');
+    }
+  }
+
+  /**
+   * Direction the next segment starts in: along the end of the previous
+   * segment, or +X before there is one
+   */
+  currentTangent() {
+    const count = this.vertices.length;
+    if (count >= 2) {
+      const previous = this.vertices[count - 2];
+      const tangent = segmentEndTangent(previous, this.vertices[count - 1], previous.bulge);
+      if (tangent) return tangent;
+    }
+    return { x: 1, y: 0 };
+  }
+
+  /**
+   * Bulge of the tangent arc from the last vertex to a point
+   * @returns {number|null} Bulge, or null when no tangent arc reaches the point
+   */
+  arcBulge(point) {
+    const lastVertex = this.vertices[this.vertices.length - 1];
+    if (Math.hypot(point.x - lastVertex.x, point.y - lastVertex.y) < 1e-9) return null;
+    const bulge = tangentBulge(lastVertex, this.currentTangent(), point);
+    return Math.abs(bulge) > MAX_BULGE ? null : bulge;
+  }
+
   updatePreview(mousePoint) {
     if (this.vertices.length === 0) return;
 
@@ -79,9 +142,17 @@ export class DrawPolylineCommand extends BaseCommand {
       store.removeEntity(this.previewLine.id);
     }
 
-    // Create preview line from last vertex to mouse
+    // Create preview segment from last vertex to mouse
     const lastVertex = this.vertices[this.vertices.length - 1];
-    this.previewLine = {
+    const bulge = this.segmentMode === 'arc' ? this.arcBulge(mousePoint) : null;
+    this.previewLine = bulge ? {
+      id: 'polyline-preview-line',
+      type: 'polyline',
+      vertices: [{ x: lastVertex.x, y: lastVertex.y, bulge }, { x: mousePoint.x, y: mousePoint.y }],
+      color: '#666666',
+      lineweight: 1,
+      isPreview: true
+    } : {
       id: 'polyline-preview-line',
       type: 'line',
       start: lastVertex,
@@ -107,9 +178,9 @@ export class DrawPolylineCommand extends BaseCommand {
     // Create preview polyline
     this.previewPolyline = new Polyline(this.vertices, {
       color: '#888888',
-      lineweight: 1,
-      isPreview: true
+      lineweight: 1
     });
+    this.previewPolyline.isPreview = true;
 
     store.addEntity(this.previewPolyline);
   }
@@ -117,10 +188,17 @@ export class DrawPolylineCommand extends BaseCommand {
   undoLastVertex() {
     if (this.vertices.length > 0) {
       this.vertices.pop();
+      const lastVertex = this.vertices[this.vertices.length - 1];
+      useCADStore.getState().updateCommandState({
+        lastPoint: lastVertex ? { x: lastVertex.x, y: lastVertex.y } : null
+      });
       
       if (this.vertices.length === 0) {
         this.state = 'waitingForFirstPoint';
         this.setPrompt('Specify first point:');
+      } else {
+        // The new last vertex no longer starts a segment
+        delete this.vertices[this.vertices.length - 1].bulge;
       }
       
       this.updatePolylinePreview();
@@ -150,7 +228,7 @@ export class DrawPolylineCommand extends BaseCommand {
     const polyline = new Polyline(this.vertices, {
       layerId: store.currentLayer,
       color: null, // Use layer color
-      lineweight: 1,
+      lineweight: null, // Use layer lineweight
       closed: closed
     });
 
@@ -76,9 +76,9 @@ export class DrawRectangleCommand extends BaseCommand {
     // Create preview rectangle
     this.previewRectangle = new Rectangle(this.firstCorner, mousePoint, {
       color: '#666666',
-      lineweight: 1,
-      isPreview: true
+      lineweight: 1
     });
+    this.previewRectangle.isPreview = true;
 
     store.addEntity(this.previewRectangle);
   }
@@ -96,7 +96,7 @@ export class DrawRectangleCommand extends BaseCommand {
     const rectangle = new Rectangle(this.firstCorner, this.secondCorner, {
       layerId: store.currentLayer,
       color: '#ff0000', // Ensure visible color
-      lineweight: 1
+      lineweight: null // Use layer lineweight
     });
     console.log('Committing rectangle:', rectangle); // Debug log
 
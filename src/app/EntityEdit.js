@@ -0,0 +1,69 @@
+import useCADStore from './store';
+
+/**
+ * Entity Edit
+ * Records entities replaced by a modify operation so it can be undone and
+ * redone. Several replacements can be folded into one edit: an entity that
+ * was added earlier in the same edit and is replaced again simply drops out.
+ */
+export class EntityEdit {
+  constructor() {
+    this.removed = [];
+    this.added = [];
+  }
+
+  /**
+   * Replace entities in the store and record the change
+   * @param {Array<Object>} oldEntities - Entities to remove
+   * @param {Array<Object>} newEntities - Entities to add (may reuse ids of removed ones)
+   */
+  replace(oldEntities, newEntities) {
+    const store = useCADStore.getState();
+
+    oldEntities.forEach(entity => {
+      store.removeEntity(entity.id);
+      const addedIndex = this.added.indexOf(entity);
+      if (addedIndex >= 0) {
+        this.added.splice(addedIndex, 1);
+      } else {
+        this.removed.push(entity);
+      }
+    });
+
+    newEntities.forEach(entity => {
+      store.addEntity(entity);
+      this.added.push(entity);
+    });
+  }
+
+  isEmpty() {
+    return this.removed.length === 0 && this.added.length === 0;
+  }
+
+  undo() {
+    const store = useCADStore.getState();
+    this.added.forEach(entity => store.removeEntity(entity.id));
+    this.removed.forEach(entity => store.addEntity(entity));
+  }
+
+  redo() {
+    const store = useCADStore.getState();
+    this.removed.forEach(entity => store.removeEntity(entity.id));
+    this.added.forEach(entity => store.addEntity(entity));
+  }
+}
+
+/**
+ * Build undo/redo callbacks for a list of edits applied in order
+ * @param {Array<EntityEdit>} edits - Edits
+ * @returns {{undo: Function, redo: Function}} History callbacks
+ */
+export const editHistory = (edits) => {
+  const list = [...edits];
+  return {
+    undo: () => [...list].reverse().forEach(edit => edit.undo()),
+    redo: () => list.forEach(edit => edit.redo())
+  };
+};
+
+export default EntityEdit;
@@ -0,0 +1,122 @@
+import { BaseCommand } from './commandBus';
+import useCADStore from './store';
+import { EntityEdit } from './EntityEdit';
+import { pickEntity } from '../core/selection/hitTest';
+
+// Compound entities provide explode(entities) returning their pieces
+const isExplodable = (entity) => !!entity && typeof entity.explode === 'function';
+
+/**
+ * Explode Command
+ * Breaks compound objects into their parts: rectangles and polylines into
+ * lines, dimensions into lines and text, arrays into separate entities. The
+ * parts keep the layer, color, lineweight and linetype of the object.
+ */
+export class ExplodeCommand extends BaseCommand {
+  constructor(args = {}) {
+    super(args);
+    this.selectedEntities = [];
+    this.state = 'waitingForSelection';
+  }
+
+  async execute() {
+    const result = new Promise((resolve, reject) => {
+      this.resolveCommand = resolve;
+      this.rejectCommand = reject;
+    });
+
+    const store = useCADStore.getState();
+    this.selectedEntities = Array.from(store.selection)
+      .map(id => store.entities.get(id))
+      .filter(isExplodable);
+
+    // A pre-selection is exploded straight away
+    if (this.selectedEntities.length > 0) {
+      this.explode();
+    } else {
+      this.setPrompt('Select objects to explode:');
+    }
+
+    return result;
+  }
+
+  async handleInput(type, value) {
+    switch (type) {
+      case 'point':
+        if (this.state === 'waitingForSelection') {
+          const entity = pickEntity(value, { filter: isExplodable });
+          if (entity) this.addToSelection([entity.id]);
+          else this.setPrompt('No object that can be exploded found. Select objects to explode:');
+          return true;
+        }
+        break;
+
+      case 'selection':
+        if (this.state === 'waitingForSelection') {
+          this.addToSelection(value);
+          return true;
+        }
+        break;
+
+      case 'key':
+        if (value === 'Escape') {
+          await this.cancel();
+          return true;
+        } else if (value === 'Enter' && this.state === 'waitingForSelection' && this.selectedEntities.length > 0) {
+          this.explode();
+          return true;
+        }
+        break;
+    }
+
+    return false;
+  }
+
+  addToSelection(ids) {
+    const store = useCADStore.getState();
+    ids.forEach(id => {
+      const entity = store.entities.get(id);
+      if (isExplodable(entity) && !this.selectedEntities.includes(entity)) {
+        this.selectedEntities.push(entity);
+      }
+    });
+    this.setPrompt(`${this.selectedEntities.length} entities selected. Press Enter to explode or select more:`);
+  }
+
+  explode() {
+    this.state = 'completed';
+
+    const { entities } = useCADStore.getState();
+    const edit = new EntityEdit();
+    let exploded = 0;
+    this.selectedEntities.forEach(entity => {
+      const pieces = entity.explode(entities);
+      if (!pieces || pieces.length === 0) return;
+      edit.replace([entity], pieces);
+      exploded++;
+    });
+
+    const skipped = this.selectedEntities.length - exploded;
+    if (this.resolveCommand) {
+      this.resolveCommand({
+        completed: exploded > 0,
+        message: `${exploded} object${exploded === 1 ? '' : 's'} exploded` +
+          (skipped > 0 ? `, ${skipped} could not be exploded` : ''),
+        entities: edit.added,
+        undo: () => edit.undo(),
+        redo: () => edit.redo()
+      });
+    }
+  }
+
+  async cancel() {
+    if (this.state === 'completed' || this.state === 'cancelled') return;
+
+    this.state = 'cancelled';
+    if (this.rejectCommand) {
+      this.rejectCommand(new Error('Command cancelled'));
+    }
+  }
+}
+
+export default ExplodeCommand;
@@ -0,0 +1,37 @@
+import { BaseCommand } from './commandBus';
+import useCADStore from './store';
+import { writeDxf } from '../io/dxfWriter';
+import { downloadFile } from '../io/fileIO';
+
+/**
+ * Export DXF Command
+ * Downloads the current drawing as an AutoCAD 2000 DXF file
+ */
+export class ExportDxfCommand extends BaseCommand {
+  constructor(args = {}) {
+    super(args);
+    this.state = 'exporting';
+  }
+
+  async execute() {
+    const store = useCADStore.getState();
+    const baseName = (this.args.args && this.args.args[0]) || 'drawing';
+    const filename = baseName.toLowerCase().endsWith('.dxf') ? baseName : `${baseName}.dxf`;
+
+    const { text, skipped } = writeDxf(store);
+    downloadFile(filename, text, 'application/dxf');
+
+    const skippedTypes = Object.keys(skipped);
+    if (skippedTypes.length > 0) {
+      console.warn('Entity types not exported to DXF:', skipped);
+    }
+
+    this.state = 'completed';
+    return {
+      completed: true,
+      message: `Drawing exported to ${filename}`
+    };
+  }
+}
+
+export default ExportDxfCommand;
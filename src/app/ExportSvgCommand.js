@@ -0,0 +1,31 @@
+import { BaseCommand } from './commandBus';
+import useCADStore from './store';
+import { writeSvg } from '../io/svgWriter';
+import { downloadFile } from '../io/fileIO';
+
+/**
+ * Export SVG Command
+ * Downloads the current drawing as a layered SVG in real-world units
+ */
+export class ExportSvgCommand extends BaseCommand {
+  constructor(args = {}) {
+    super(args);
+    this.state = 'exporting';
+  }
+
+  async execute() {
+    const store = useCADStore.getState();
+    const baseName = (this.args.args && this.args.args[0]) || 'drawing';
+    const filename = baseName.toLowerCase().endsWith('.svg') ? baseName : `${baseName}.svg`;
+
+    downloadFile(filename, writeSvg(store), 'image/svg+xml');
+
+    this.state = 'completed';
+    return {
+      completed: true,
+      message: `Drawing exported to ${filename}`
+    };
+  }
+}
+
+export default ExportSvgCommand;
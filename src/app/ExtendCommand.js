@@ -1,43 +1,228 @@
 import { BaseCommand } from './commandBus';
+import useCADStore from './store';
+import { EntityEdit, editHistory } from './EntityEdit';
+import { pickEntity, isPickable } from '../core/selection/hitTest';
+import { extendEntity } from '../modify/extend';
+import { trimEntity } from '../modify/trim';
+
+const targetPrompt = (edgeMode) => (
+  `Select object to extend or shift-select to trim [Edge (${edgeMode ? 'extend' : 'no extend'})/Undo]:`
+);
 
 /**
  * Extend Command
- * Basic implementation for extending entities
+ * Lengthens lines, arcs and open polylines to the nearest boundary edge.
+ * Edge mode (E) also uses the boundaries' implied extensions; shift+click
+ * trims instead. The result is previewed under the cursor.
  */
 export class ExtendCommand extends BaseCommand {
   constructor(args = {}) {
     super(args);
-    this.state = 'waitingForSelection';
+    this.acceptsShiftPick = true;
+    this.boundaryIds = new Set();
+    this.useAllBoundaries = false;
+    this.edgeMode = false;
+    this.edits = [];
+    this.previewEntities = [];
+    this.state = 'waitingForBoundaries';
   }
 
   async execute() {
-    this.setPrompt('Select boundary edges, then entities to extend:');
-    
+    this.setPrompt('Select boundary edges or press Enter to use all objects:');
+
     return new Promise((resolve, reject) => {
       this.resolveCommand = resolve;
       this.rejectCommand = reject;
     });
   }
 
-  async handleInput(type, value) {
-    if (type === 'key' && value === 'Escape') {
+  async handleInput(type, value, modifiers = {}) {
+    switch (type) {
+      case 'point':
+        return this.handlePointInput(value, modifiers);
+
+      case 'selection':
+        if (this.state === 'waitingForBoundaries') {
+          value.forEach(id => this.boundaryIds.add(id));
+          this.promptBoundaryCount();
+          return true;
+        }
+        break;
+
+      case 'key':
+        return this.handleKeyInput(value);
+
+      case 'mousemove':
+        if (this.state === 'waitingForTarget') {
+          this.updatePreview(value);
+        }
+        break;
+    }
+
+    return false;
+  }
+
+  async handleKeyInput(key) {
+    if (key === 'Escape') {
       await this.cancel();
       return true;
     }
-    
+
+    if (this.state === 'waitingForBoundaries' && key === 'Enter') {
+      this.useAllBoundaries = this.boundaryIds.size === 0;
+      this.state = 'waitingForTarget';
+      this.setPrompt(targetPrompt(this.edgeMode));
+      return true;
+    }
+
+    if (this.state === 'waitingForTarget') {
+      if (key === 'Enter') {
+        this.finish();
+        return true;
+      } else if (key === 'e' || key === 'E') {
+        this.edgeMode = !this.edgeMode;
+        this.setPrompt(targetPrompt(this.edgeMode));
+        return true;
+      } else if (key === 'u' || key === 'U') {
+        this.undoLast();
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  async handlePointInput(point, modifiers) {
+    if (this.state === 'waitingForBoundaries') {
+      const entity = pickEntity(point);
+      if (entity) {
+        this.boundaryIds.add(entity.id);
+      }
+      this.promptBoundaryCount();
+      return true;
+    }
+
+    if (this.state === 'waitingForTarget') {
+      this.clearPreviews();
+      const entity = pickEntity(point);
+      if (!entity) {
+        this.setPrompt(`No object found. ${targetPrompt(this.edgeMode)}`);
+        return true;
+      }
+
+      const replacement = this.computeReplacement(entity, point, modifiers.shiftKey);
+      if (!replacement) {
+        const reason = modifiers.shiftKey ? 'Nothing to trim' : 'Object does not reach a boundary edge';
+        this.setPrompt(`${reason}. ${targetPrompt(this.edgeMode)}`);
+        return true;
+      }
+
+      const edit = new EntityEdit();
+      const boundaryIdsBefore = new Set(this.boundaryIds);
+      edit.replace([entity], replacement);
+      if (!this.useAllBoundaries && this.boundaryIds.has(entity.id)) {
+        this.boundaryIds.delete(entity.id);
+        replacement.forEach(piece => this.boundaryIds.add(piece.id));
+      }
+      this.edits.push({ edit, boundaryIdsBefore });
+      this.setPrompt(`Object ${modifiers.shiftKey ? 'trimmed' : 'extended'}. ${targetPrompt(this.edgeMode)}`);
+      return true;
+    }
+
+    return false;
+  }
+
+  isSelecting() {
+    return this.state === 'waitingForBoundaries';
+  }
+
+  promptBoundaryCount() {
+    this.setPrompt(`${this.boundaryIds.size} boundary edges selected. Select more or press Enter:`);
+  }
+
+  /**
+   * Current boundary edges (all drawing objects when none were selected)
+   */
+  getBoundaries() {
+    const { entities } = useCADStore.getState();
+    if (this.useAllBoundaries) {
+      return Array.from(entities.values()).filter(isPickable);
+    }
+    return Array.from(this.boundaryIds).map(id => entities.get(id)).filter(Boolean);
+  }
+
+  /**
+   * Entities that replace the picked one, or null when nothing changes
+   * @returns {Array<Object>|null} Replacement entities
+   */
+  computeReplacement(entity, point, trim) {
+    const boundaries = this.getBoundaries();
+    if (trim) {
+      return trimEntity(entity, point, boundaries);
+    }
+    const extended = extendEntity(entity, point, boundaries, { edgeMode: this.edgeMode });
+    return extended ? [extended] : null;
+  }
+
+  updatePreview(mousePoint) {
+    this.clearPreviews();
+    const entity = pickEntity(mousePoint);
+    if (!entity) return;
+
+    const extended = extendEntity(entity, mousePoint, this.getBoundaries(), { edgeMode: this.edgeMode });
+    if (!extended) return;
+
+    const store = useCADStore.getState();
+    extended.id = `${entity.id}-preview`;
+    extended.color = '#666666';
+    extended.isPreview = true;
+    store.addEntity(extended);
+    this.previewEntities = [extended];
+  }
+
+  clearPreviews() {
+    const store = useCADStore.getState();
+    this.previewEntities.forEach(entity => store.removeEntity(entity.id));
+    this.previewEntities = [];
+  }
+
+  undoLast() {
+    this.clearPreviews();
+    const step = this.edits.pop();
+    if (!step) {
+      this.setPrompt(`Everything has been undone. ${targetPrompt(this.edgeMode)}`);
+      return;
+    }
+    step.edit.undo();
+    this.boundaryIds = step.boundaryIdsBefore;
+    this.setPrompt(targetPrompt(this.edgeMode));
+  }
+
+  finish() {
+    this.clearPreviews();
     this.state = 'completed';
-    
+
+    const edits = this.edits.map(step => step.edit);
     if (this.resolveCommand) {
       this.resolveCommand({
-        completed: true,
-        message: 'Extend command executed (basic implementation)'
+        completed: edits.length > 0,
+        message: edits.length > 0 ? 'Extend completed' : 'Nothing extended',
+        entities: edits.flatMap(edit => edit.added),
+        ...editHistory(edits)
       });
     }
-    
-    return true;
   }
 
   async cancel() {
+    if (this.state === 'completed' || this.state === 'cancelled') return;
+
+    // Changes already made stay in the drawing and go on the undo stack
+    if (this.edits.length > 0) {
+      this.finish();
+      return;
+    }
+
+    this.clearPreviews();
     this.state = 'cancelled';
     if (this.rejectCommand) {
       this.rejectCommand(new Error('Command cancelled'));
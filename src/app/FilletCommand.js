@@ -0,0 +1,200 @@
+import { BaseCommand } from './commandBus';
+import { EntityEdit, editHistory } from './EntityEdit';
+import { pickEntity } from '../core/selection/hitTest';
+import { filletEntities, filletPolyline } from '../modify/fillet';
+
+const FILLETABLE = ['line', 'arc', 'circle', 'polyline'];
+
+// Remembered between runs like AutoCAD's FILLETRAD
+let lastRadius = 0;
+
+/**
+ * Fillet Command
+ * Joins two lines, arcs, circles or polyline segments with a tangent arc,
+ * trimming or extending them to it. Options at the first prompt:
+ * P = fillet every corner of a polyline, R = radius, M = multiple.
+ * Radius 0 (or shift+click on the second object) makes a sharp corner.
+ */
+export class FilletCommand extends BaseCommand {
+  constructor(args = {}) {
+    super(args);
+    this.acceptsShiftPick = true;
+    this.multiple = false;
+    this.first = null;
+    this.edits = [];
+    this.state = 'waitingForFirst';
+  }
+
+  async execute() {
+    this.promptFirst();
+
+    return new Promise((resolve, reject) => {
+      this.resolveCommand = resolve;
+      this.rejectCommand = reject;
+    });
+  }
+
+  promptFirst(prefix = '') {
+    const multiple = this.multiple ? ', multiple' : '';
+    this.setPrompt(`${prefix}Select first object or [Polyline/Radius/Multiple] (radius = ${lastRadius}${multiple}):`);
+  }
+
+  async handleInput(type, value, modifiers = {}) {
+    switch (type) {
+      case 'distance':
+        if (this.state === 'waitingForRadius' && value >= 0) {
+          lastRadius = value;
+          this.state = 'waitingForFirst';
+          this.promptFirst();
+          return true;
+        }
+        break;
+
+      case 'point':
+        return this.handlePointInput(value, modifiers);
+
+      case 'key':
+        return this.handleKeyInput(value);
+    }
+
+    return false;
+  }
+
+  async handleKeyInput(key) {
+    if (key === 'Escape') {
+      await this.cancel();
+      return true;
+    }
+
+    if (this.state === 'waitingForFirst') {
+      if (key === 'Enter') {
+        this.finish();
+        return true;
+      } else if (key === 'p' || key === 'P') {
+        this.state = 'waitingForPolyline';
+        this.setPrompt('Select 2D polyline:');
+        return true;
+      } else if (key === 'r' || key === 'R') {
+        this.state = 'waitingForRadius';
+        this.setPrompt(`Specify fillet radius <${lastRadius}>:`);
+        return true;
+      } else if (key === 'm' || key === 'M') {
+        this.multiple = !this.multiple;
+        this.promptFirst();
+        return true;
+      }
+    }
+
+    if (key === 'Enter' && this.state === 'waitingForRadius') {
+      this.state = 'waitingForFirst';
+      this.promptFirst();
+      return true;
+    }
+
+    return false;
+  }
+
+  async handlePointInput(point, modifiers) {
+    switch (this.state) {
+      case 'waitingForFirst': {
+        const entity = pickEntity(point, { filter: candidate => FILLETABLE.includes(candidate.type) });
+        if (!entity) {
+          this.promptFirst('No object found. ');
+          return true;
+        }
+        this.first = { entity, point: { ...point } };
+        this.state = 'waitingForSecond';
+        this.setPrompt('Select second object or shift-select to apply corner:');
+        return true;
+      }
+
+      case 'waitingForSecond': {
+        const entity = pickEntity(point, { filter: candidate => FILLETABLE.includes(candidate.type) });
+        if (!entity) {
+          this.setPrompt('No object found. Select second object or shift-select to apply corner:');
+          return true;
+        }
+        const radius = modifiers.shiftKey ? 0 : lastRadius;
+        const result = filletEntities(this.first, { entity, point: { ...point } }, radius);
+        this.first = null;
+        this.state = 'waitingForFirst';
+        if (!result) {
+          this.promptFirst('Cannot fillet these objects with this radius. ');
+          return true;
+        }
+        this.apply(result.remove, result.add);
+        this.afterFillet('Fillet applied. ');
+        return true;
+      }
+
+      case 'waitingForPolyline': {
+        const entity = pickEntity(point, { filter: candidate => candidate.type === 'polyline' });
+        this.state = 'waitingForFirst';
+        if (!entity) {
+          this.promptFirst('No polyline found. ');
+          return true;
+        }
+        if (lastRadius <= 0) {
+          this.promptFirst('Set a radius greater than 0 to fillet a polyline. ');
+          return true;
+        }
+        const { polyline, filleted, tooShort } = filletPolyline(entity, lastRadius);
+        const short = tooShort > 0 ? `, ${tooShort} too short` : '';
+        if (!polyline) {
+          this.promptFirst(`0 corners filleted${short}. `);
+          return true;
+        }
+        this.apply([entity], [polyline]);
+        this.afterFillet(`${filleted} corner${filleted === 1 ? '' : 's'} filleted${short}. `);
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  apply(oldEntities, newEntities) {
+    const edit = new EntityEdit();
+    edit.replace(oldEntities, newEntities);
+    this.edits.push(edit);
+  }
+
+  afterFillet(message) {
+    if (this.multiple) {
+      this.promptFirst(message);
+    } else {
+      this.finish();
+    }
+  }
+
+  finish() {
+    this.state = 'completed';
+
+    const edits = [...this.edits];
+    if (this.resolveCommand) {
+      this.resolveCommand({
+        completed: edits.length > 0,
+        message: edits.length > 0 ? 'Fillet completed' : 'Nothing filleted',
+        entities: edits.flatMap(edit => edit.added),
+        ...editHistory(edits)
+      });
+    }
+  }
+
+  async cancel() {
+    if (this.state === 'completed' || this.state === 'cancelled') return;
+
+    // Fillets already made stay in the drawing and go on the undo stack
+    if (this.edits.length > 0) {
+      this.finish();
+      return;
+    }
+
+    this.state = 'cancelled';
+    if (this.rejectCommand) {
+      this.rejectCommand(new Error('Command cancelled'));
+    }
+  }
+}
+
+export default FilletCommand;
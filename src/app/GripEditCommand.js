@@ -0,0 +1,189 @@
+import { BaseCommand } from './commandBus';
+import useCADStore from './store';
+import { EntityEdit } from './EntityEdit';
+import { GRIP_MODES, gripEditEntities } from '../modify/gripEdit';
+
+const MODE_PROMPTS = {
+  stretch: 'Specify stretch point or distance',
+  move: 'Specify move point or distance',
+  rotate: 'Specify rotation angle',
+  scale: 'Specify scale factor',
+  mirror: 'Specify second point of mirror line'
+};
+
+/**
+ * Grip Edit Command
+ * Started by the canvas when a grip of the selection is clicked, with the
+ * grip as `args.grip`. The hot grip follows the cursor (with snapping and
+ * ortho from the grip) until a point is picked; Space or Enter cycles
+ * through stretch, move, rotate, scale and mirror. A typed number is a
+ * distance along the cursor direction, an angle in degrees or a factor,
+ * depending on the mode. Each edit is one undo step and the edited entities
+ * stay selected.
+ */
+export class GripEditCommand extends BaseCommand {
+  constructor(args = {}) {
+    super(args);
+    this.grip = args.grip || null;
+    this.mode = 0;
+    this.selectedEntities = [];
+    this.previewEntities = [];
+    this.keepsSelection = true;
+    this.state = 'waitingForPoint';
+  }
+
+  async execute() {
+    const result = new Promise((resolve, reject) => {
+      this.resolveCommand = resolve;
+      this.rejectCommand = reject;
+    });
+
+    const store = useCADStore.getState();
+    this.selectedEntities = Array.from(store.selection)
+      .map(id => store.entities.get(id))
+      .filter(Boolean);
+
+    if (!this.grip || this.selectedEntities.length === 0) {
+      this.state = 'completed';
+      this.resolveCommand({ completed: false, message: 'Select entities and pick one of their grips' });
+      return result;
+    }
+
+    // Ortho and polar work from the hot grip
+    store.updateCommandState({ lastPoint: this.grip.point, hotGrip: this.grip });
+    this.updatePrompt();
+    return result;
+  }
+
+  get modeName() {
+    return GRIP_MODES[this.mode];
+  }
+
+  async handleInput(type, value) {
+    switch (type) {
+      case 'point':
+        this.commit({ point: value });
+        return true;
+
+      case 'distance':
+        return this.handleTypedValue(value);
+
+      case 'angle':
+        if (this.modeName !== 'rotate') return false;
+        this.commit({ point: this.getMousePosition(), angle: value });
+        return true;
+
+      case 'mousemove':
+        this.updatePreview({ point: value });
+        break;
+
+      case 'key':
+        if (value === 'Escape') {
+          await this.cancel();
+          return true;
+        } else if (value === ' ' || value === 'Enter') {
+          this.mode = (this.mode + 1) % GRIP_MODES.length;
+          this.updatePrompt();
+          this.updatePreview({ point: this.getMousePosition() });
+          return true;
+        }
+        break;
+    }
+
+    return false;
+  }
+
+  handleTypedValue(value) {
+    const base = this.grip.point;
+    switch (this.modeName) {
+      case 'stretch':
+      case 'move': {
+        // Direct distance entry along the cursor direction
+        const mouse = this.getMousePosition();
+        const length = Math.hypot(mouse.x - base.x, mouse.y - base.y);
+        if (length < 1e-9) return false;
+        this.commit({
+          point: {
+            x: base.x + (mouse.x - base.x) / length * value,
+            y: base.y + (mouse.y - base.y) / length * value
+          }
+        });
+        return true;
+      }
+
+      case 'rotate':
+        this.commit({ point: this.getMousePosition(), angle: value * Math.PI / 180 });
+        return true;
+
+      case 'scale':
+        if (value <= 0) return false;
+        this.commit({ point: this.getMousePosition(), factor: value });
+        return true;
+    }
+    return false;
+  }
+
+  updatePrompt() {
+    const name = this.modeName.toUpperCase();
+    this.setPrompt(`** ${name} ** ${MODE_PROMPTS[this.modeName]} (Space for next mode):`);
+  }
+
+  compute(value) {
+    return gripEditEntities(this.selectedEntities, this.modeName, this.grip, value);
+  }
+
+  updatePreview(value) {
+    this.clearPreviews();
+
+    const store = useCADStore.getState();
+    this.previewEntities = this.compute(value).add.map(entity => {
+      entity.id = `${entity.id}-grip-preview`;
+      entity.color = '#666666';
+      entity.isPreview = true;
+      store.addEntity(entity);
+      return entity;
+    });
+  }
+
+  clearPreviews() {
+    const store = useCADStore.getState();
+    this.previewEntities.forEach(entity => store.removeEntity(entity.id));
+    this.previewEntities = [];
+  }
+
+  commit(value) {
+    this.clearPreviews();
+    this.state = 'completed';
+
+    const store = useCADStore.getState();
+    const { remove, add } = this.compute(value);
+    const edit = new EntityEdit();
+    edit.replace(remove, add);
+    // Replacing removes entities from the selection; the edited ones keep their ids
+    const ids = this.selectedEntities.map(entity => entity.id);
+    store.setSelection(ids);
+
+    if (this.resolveCommand) {
+      this.resolveCommand({
+        completed: add.length > 0,
+        message: `${add.length} entit${add.length === 1 ? 'y' : 'ies'} edited (${this.modeName})`,
+        entities: add,
+        undo: () => edit.undo(),
+        redo: () => edit.redo()
+      });
+    }
+  }
+
+  async cancel() {
+    if (this.state === 'completed' || this.state === 'cancelled') return;
+
+    this.clearPreviews();
+    this.state = 'cancelled';
+
+    if (this.rejectCommand) {
+      this.rejectCommand(new Error('Command cancelled'));
+    }
+  }
+}
+
+export default GripEditCommand;
@@ -0,0 +1,24 @@
+import { BaseCommand } from './commandBus';
+import useCADStore from './store';
+
+/**
+ * History Command
+ * Opens the undo history panel, where any step can be jumped back (or forward) to
+ */
+export class HistoryCommand extends BaseCommand {
+  constructor(args = {}) {
+    super(args);
+    this.keepsSelection = true;
+    this.state = 'completed';
+  }
+
+  async execute() {
+    useCADStore.getState().setHistoryOpen(true);
+    return {
+      completed: false,
+      message: 'Select a step to go back to'
+    };
+  }
+}
+
+export default HistoryCommand;
@@ -0,0 +1,80 @@
+import { BaseCommand } from './commandBus';
+import useCADStore from './store';
+import { readDxf, summarizeDxfImport } from '../io/dxfReader';
+import { pickTextFile } from '../io/fileIO';
+
+/**
+ * Import DXF Command
+ * Reads a DXF file and merges its layers, linetypes and entities into the drawing
+ */
+export class ImportDxfCommand extends BaseCommand {
+  constructor(args = {}) {
+    super(args);
+    this.state = 'waitingForFile';
+  }
+
+  async execute() {
+    this.setPrompt('Select a DXF file to import:');
+
+    const file = await pickTextFile('.dxf');
+    if (!file) {
+      this.state = 'cancelled';
+      return { completed: false, message: 'Import cancelled' };
+    }
+
+    const result = readDxf(file.text);
+    const { addedEntities, addedLayers } = this.applyImport(result);
+    const summary = summarizeDxfImport(result);
+
+    this.state = 'completed';
+    return {
+      completed: true,
+      message: summary,
+      summary: result.unsupported,
+      entities: addedEntities,
+      undo: () => {
+        const store = useCADStore.getState();
+        addedEntities.forEach(entity => store.removeEntity(entity.id));
+        addedLayers.forEach(layerId => store.removeLayer(layerId));
+      },
+      redo: () => {
+        this.applyImport(result);
+      }
+    };
+  }
+
+  /**
+   * Merge a readDxf result into the store
+   * @param {Object} result - Result of readDxf
+   * @returns {Object} { addedEntities, addedLayers }
+   */
+  applyImport(result) {
+    const store = useCADStore.getState();
+    const addedLayers = [];
+
+    // Adopt the file's units when importing into an empty drawing
+    if (result.lengthUnit && store.entities.size === 0) {
+      store.setUnits({ lengthUnit: result.lengthUnit });
+    }
+
+    result.linetypes.forEach(linetype => store.addLinetype(linetype));
+
+    result.layers.forEach(layer => {
+      if (store.layers.has(layer.id)) {
+        // Keep the existing layer name (e.g. "Layer 0"), take the DXF properties
+        const { name: _name, ...properties } = layer;
+        store.updateLayer(layer.id, properties);
+      } else {
+        store.addLayer(layer);
+        addedLayers.push(layer.id);
+      }
+    });
+
+    // addEntity keeps the spatial index in sync so snapping works on imported geometry
+    result.entities.forEach(entity => store.addEntity(entity));
+
+    return { addedEntities: result.entities, addedLayers };
+  }
+}
+
+export default ImportDxfCommand;
@@ -0,0 +1,150 @@
+import { BaseCommand } from './commandBus';
+import useCADStore from './store';
+import { EntityEdit } from './EntityEdit';
+import { pickEntity } from '../core/selection/hitTest';
+import { DEFAULT_JOIN_TOLERANCE, JOINABLE, joinEntities } from '../modify/join';
+
+// Remembered between runs
+let tolerance = DEFAULT_JOIN_TOLERANCE;
+
+/**
+ * Join Command
+ * Merges collinear lines, arcs on the same circle, and lines, arcs and open
+ * polylines that meet end to end into single objects. T sets how far apart
+ * two ends may be and still join.
+ */
+export class JoinCommand extends BaseCommand {
+  constructor(args = {}) {
+    super(args);
+    this.selectedEntities = [];
+    this.state = 'waitingForSelection';
+  }
+
+  async execute() {
+    const store = useCADStore.getState();
+    this.selectedEntities = Array.from(store.selection)
+      .map(id => store.entities.get(id))
+      .filter(entity => entity && JOINABLE.includes(entity.type));
+
+    const result = new Promise((resolve, reject) => {
+      this.resolveCommand = resolve;
+      this.rejectCommand = reject;
+    });
+
+    // A pre-selection of two or more objects is joined straight away
+    if (this.selectedEntities.length > 1) {
+      this.join();
+    } else {
+      this.promptSelection();
+    }
+
+    return result;
+  }
+
+  promptSelection(prefix = '') {
+    const count = this.selectedEntities.length;
+    const selected = count > 0 ? `${count} selected. ` : '';
+    this.setPrompt(`${prefix}${selected}Select objects to join or [Tolerance (${tolerance})]:`);
+  }
+
+  async handleInput(type, value) {
+    switch (type) {
+      case 'point':
+        if (this.state === 'waitingForSelection') {
+          const entity = pickEntity(value, { filter: candidate => JOINABLE.includes(candidate.type) });
+          if (entity) this.addToSelection([entity.id]);
+          else this.promptSelection('No object found. ');
+          return true;
+        }
+        break;
+
+      case 'selection':
+        if (this.state === 'waitingForSelection') {
+          this.addToSelection(value);
+          return true;
+        }
+        break;
+
+      case 'distance':
+        if (this.state === 'waitingForTolerance' && value >= 0) {
+          tolerance = value;
+          this.state = 'waitingForSelection';
+          this.promptSelection();
+          return true;
+        }
+        break;
+
+      case 'key':
+        return this.handleKeyInput(value);
+    }
+
+    return false;
+  }
+
+  async handleKeyInput(key) {
+    if (key === 'Escape') {
+      await this.cancel();
+      return true;
+    }
+
+    if (this.state === 'waitingForSelection') {
+      if (key === 'Enter' && this.selectedEntities.length > 1) {
+        this.join();
+        return true;
+      }
+      if (key.toLowerCase() === 't') {
+        this.state = 'waitingForTolerance';
+        this.setPrompt(`Specify join tolerance <${tolerance}>:`);
+        return true;
+      }
+    } else if (this.state === 'waitingForTolerance' && key === 'Enter') {
+      this.state = 'waitingForSelection';
+      this.promptSelection();
+      return true;
+    }
+
+    return false;
+  }
+
+  addToSelection(ids) {
+    const store = useCADStore.getState();
+    ids.forEach(id => {
+      const entity = store.entities.get(id);
+      if (entity && JOINABLE.includes(entity.type) && !this.selectedEntities.includes(entity)) {
+        this.selectedEntities.push(entity);
+      }
+    });
+    this.promptSelection();
+  }
+
+  join() {
+    this.state = 'completed';
+
+    const { remove, add, joined } = joinEntities(this.selectedEntities, tolerance);
+    const edit = new EntityEdit();
+    edit.replace(remove, add);
+
+    if (this.resolveCommand) {
+      this.resolveCommand({
+        completed: joined > 0,
+        message: joined > 0
+          ? `${joined} object${joined === 1 ? '' : 's'} joined into ${add.length}`
+          : 'Nothing to join',
+        entities: add,
+        undo: () => edit.undo(),
+        redo: () => edit.redo()
+      });
+    }
+  }
+
+  async cancel() {
+    if (this.state === 'completed' || this.state === 'cancelled') return;
+
+    this.state = 'cancelled';
+    if (this.rejectCommand) {
+      this.rejectCommand(new Error('Command cancelled'));
+    }
+  }
+}
+
+export default JoinCommand;
@@ -1,18 +1,42 @@
 import { BaseCommand } from './commandBus';
+import useCADStore from './store';
+import { EntityEdit } from './EntityEdit';
+import { pickEntity } from '../core/selection/hitTest';
+import { mirrorEntities } from '../modify/mirror';
+
+const erasePrompt = (mirrorText) => (
+  `Erase source objects? [Yes/No/Text (${mirrorText ? 'mirrored' : 'readable'})] <N>:`
+);
 
 /**
  * Mirror Command
- * Basic implementation for mirroring entities
+ * Reflects the selected entities across a line given by two points, with a
+ * live preview while the second point is picked. The sources can be kept or
+ * erased; T at the last prompt toggles whether text is mirrored or kept readable.
  */
 export class MirrorCommand extends BaseCommand {
   constructor(args = {}) {
     super(args);
+    this.selectedEntities = [];
+    this.firstPoint = null;
+    this.secondPoint = null;
+    this.previewEntities = [];
     this.state = 'waitingForSelection';
   }
 
   async execute() {
-    this.setPrompt('Select entities to mirror:');
-    
+    const store = useCADStore.getState();
+    this.selectedEntities = Array.from(store.selection)
+      .map(id => store.entities.get(id))
+      .filter(Boolean);
+
+    if (this.selectedEntities.length > 0) {
+      this.state = 'waitingForFirstPoint';
+      this.setPrompt(`${this.selectedEntities.length} entities selected. Specify first point of mirror line:`);
+    } else {
+      this.setPrompt('Select entities to mirror:');
+    }
+
     return new Promise((resolve, reject) => {
       this.resolveCommand = resolve;
       this.rejectCommand = reject;
@@ -20,24 +44,165 @@ export class MirrorCommand extends BaseCommand {
   }
 
   async handleInput(type, value) {
-    if (type === 'key' && value === 'Escape') {
+    switch (type) {
+      case 'point':
+        return this.handlePointInput(value);
+
+      case 'selection':
+        if (this.state === 'waitingForSelection') {
+          this.addToSelection(value);
+          return true;
+        }
+        break;
+
+      case 'key':
+        return this.handleKeyInput(value);
+
+      case 'mousemove':
+        if (this.state === 'waitingForSecondPoint') {
+          this.updatePreview(value);
+        }
+        break;
+    }
+
+    return false;
+  }
+
+  async handleKeyInput(key) {
+    if (key === 'Escape') {
       await this.cancel();
       return true;
     }
-    
+
+    if (this.state === 'waitingForSelection' && key === 'Enter' && this.selectedEntities.length > 0) {
+      this.state = 'waitingForFirstPoint';
+      this.setPrompt('Specify first point of mirror line:');
+      return true;
+    }
+
+    if (this.state === 'waitingForErase') {
+      if (key === 'y' || key === 'Y') {
+        this.complete(true);
+        return true;
+      } else if (key === 'n' || key === 'N' || key === 'Enter') {
+        this.complete(false);
+        return true;
+      } else if (key === 't' || key === 'T') {
+        const store = useCADStore.getState();
+        store.setMirrorText(!store.mirrorText);
+        this.updatePreview(this.secondPoint);
+        this.setPrompt(erasePrompt(useCADStore.getState().mirrorText));
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  async handlePointInput(point) {
+    switch (this.state) {
+      case 'waitingForSelection': {
+        const entity = pickEntity(point);
+        if (entity) {
+          this.addToSelection([entity.id]);
+        }
+        return true;
+      }
+
+      case 'waitingForFirstPoint':
+        this.firstPoint = { ...point };
+        // Ortho, perpendicular and tangent snaps work from the first point
+        useCADStore.getState().updateCommandState({ lastPoint: this.firstPoint });
+        this.state = 'waitingForSecondPoint';
+        this.setPrompt('Specify second point of mirror line:');
+        return true;
+
+      case 'waitingForSecondPoint':
+        if (Math.hypot(point.x - this.firstPoint.x, point.y - this.firstPoint.y) < 1e-9) {
+          this.setPrompt('Points must differ. Specify second point of mirror line:');
+          return true;
+        }
+        this.secondPoint = { ...point };
+        this.updatePreview(this.secondPoint);
+        this.state = 'waitingForErase';
+        this.setPrompt(erasePrompt(useCADStore.getState().mirrorText));
+        return true;
+    }
+
+    return false;
+  }
+
+  addToSelection(ids) {
+    const store = useCADStore.getState();
+    ids.forEach(id => {
+      const entity = store.entities.get(id);
+      if (entity && !this.selectedEntities.includes(entity)) {
+        this.selectedEntities.push(entity);
+      }
+    });
+
+    if (this.selectedEntities.length > 0) {
+      this.setPrompt(`${this.selectedEntities.length} entities selected. Press Enter to continue or select more:`);
+    } else {
+      this.setPrompt('Select entities to mirror:');
+    }
+  }
+
+  /**
+   * Mirrored copies of the selection across the line from the first point to a point
+   */
+  computeMirror(point) {
+    const store = useCADStore.getState();
+    return mirrorEntities(this.selectedEntities, this.firstPoint, point, {
+      mirrorText: store.mirrorText,
+      lookup: id => store.entities.get(id)
+    });
+  }
+
+  updatePreview(mousePoint) {
+    this.clearPreviews();
+    if (Math.hypot(mousePoint.x - this.firstPoint.x, mousePoint.y - this.firstPoint.y) < 1e-9) return;
+
+    const store = useCADStore.getState();
+    this.previewEntities = this.computeMirror(mousePoint).copies.map(entity => {
+      entity.id = `${entity.id}-mirror-preview`;
+      entity.color = '#666666';
+      entity.isPreview = true;
+      store.addEntity(entity);
+      return entity;
+    });
+  }
+
+  clearPreviews() {
+    const store = useCADStore.getState();
+    this.previewEntities.forEach(entity => store.removeEntity(entity.id));
+    this.previewEntities = [];
+  }
+
+  complete(eraseSource) {
+    this.clearPreviews();
     this.state = 'completed';
-    
+
+    const { sources, copies: mirrored } = this.computeMirror(this.secondPoint);
+    const edit = new EntityEdit();
+    // Only sources that were mirrored are erased, so nothing is lost
+    edit.replace(eraseSource ? sources : [], mirrored);
+
     if (this.resolveCommand) {
       this.resolveCommand({
-        completed: true,
-        message: 'Mirror command executed (basic implementation)'
+        completed: mirrored.length > 0,
+        message: `Mirrored ${mirrored.length} entities${eraseSource ? ' (sources erased)' : ''}`,
+        entities: mirrored,
+        undo: () => edit.undo(),
+        redo: () => edit.redo()
       });
     }
-    
-    return true;
   }
 
   async cancel() {
+    if (this.state === 'completed' || this.state === 'cancelled') return;
+
+    this.clearPreviews();
     this.state = 'cancelled';
     if (this.rejectCommand) {
       this.rejectCommand(new Error('Command cancelled'));
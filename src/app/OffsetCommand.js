@@ -1,43 +1,239 @@
 import { BaseCommand } from './commandBus';
+import useCADStore from './store';
+import { EntityEdit, editHistory } from './EntityEdit';
+import { pickEntity } from '../core/selection/hitTest';
+import { offsetEntity, throughDistance } from '../modify/offset';
+
+const OFFSETTABLE = ['line', 'circle', 'arc', 'rectangle', 'polyline'];
+
+// Remembered between runs like AutoCAD's OFFSETDIST
+let lastDistance = null;
 
 /**
  * Offset Command
- * Basic implementation for offsetting entities
+ * Creates parallel copies of entities at a typed distance (or through a
+ * point), repeating until Escape. Options while choosing the distance:
+ * T = through point, L = result layer (source/current), J = join (miter/round).
  */
 export class OffsetCommand extends BaseCommand {
   constructor(args = {}) {
     super(args);
+    this.distance = null;
+    this.through = false;
+    this.useCurrentLayer = false;
+    this.join = 'miter';
+    this.firstDistancePoint = null;
+    this.sourceEntity = null;
+    this.edits = [];
+    this.previewEntities = [];
     this.state = 'waitingForDistance';
   }
 
   async execute() {
-    this.setPrompt('Specify offset distance or point:');
-    
+    this.promptDistance();
+
     return new Promise((resolve, reject) => {
       this.resolveCommand = resolve;
       this.rejectCommand = reject;
     });
   }
 
+  promptDistance() {
+    const fallback = lastDistance !== null ? ` <${lastDistance}>` : ' <Through>';
+    const layer = this.useCurrentLayer ? 'current' : 'source';
+    this.setPrompt(`Specify offset distance or [Through/Layer (${layer})/Join (${this.join})]${fallback}:`);
+  }
+
+  promptObject() {
+    this.setPrompt('Select object to offset or press Enter to exit:');
+  }
+
   async handleInput(type, value) {
-    if (type === 'key' && value === 'Escape') {
+    switch (type) {
+      case 'distance':
+        if (this.state === 'waitingForDistance' && value > 0) {
+          this.setDistance(value);
+          return true;
+        }
+        break;
+
+      case 'point':
+        return this.handlePointInput(value);
+
+      case 'key':
+        return this.handleKeyInput(value);
+
+      case 'mousemove':
+        if (this.state === 'waitingForSide' || this.state === 'waitingForThroughPoint') {
+          this.updatePreview(value);
+        }
+        break;
+    }
+
+    return false;
+  }
+
+  async handleKeyInput(key) {
+    if (key === 'Escape') {
       await this.cancel();
       return true;
     }
-    
+
+    if (this.state === 'waitingForDistance') {
+      if (key === 'Enter') {
+        // Accept the remembered distance, or Through when there is none
+        if (lastDistance !== null) {
+          this.setDistance(lastDistance);
+        } else {
+          this.setThrough();
+        }
+        return true;
+      } else if (key === 't' || key === 'T') {
+        this.setThrough();
+        return true;
+      } else if (key === 'l' || key === 'L') {
+        this.useCurrentLayer = !this.useCurrentLayer;
+        this.promptDistance();
+        return true;
+      } else if (key === 'j' || key === 'J') {
+        this.join = this.join === 'miter' ? 'round' : 'miter';
+        this.promptDistance();
+        return true;
+      }
+      return false;
+    }
+
+    if (key === 'Enter') {
+      this.finish();
+      return true;
+    }
+    return false;
+  }
+
+  async handlePointInput(point) {
+    switch (this.state) {
+      case 'waitingForDistance':
+        // Distance by two points
+        if (!this.firstDistancePoint) {
+          this.firstDistancePoint = { ...point };
+          this.setPrompt('Specify second point:');
+        } else {
+          const distance = Math.hypot(point.x - this.firstDistancePoint.x, point.y - this.firstDistancePoint.y);
+          this.firstDistancePoint = null;
+          if (distance > 0) {
+            this.setDistance(distance);
+          } else {
+            this.promptDistance();
+          }
+        }
+        return true;
+
+      case 'waitingForObject': {
+        const entity = pickEntity(point, { filter: candidate => OFFSETTABLE.includes(candidate.type) });
+        if (!entity) {
+          this.setPrompt('No object found. Select object to offset or press Enter to exit:');
+          return true;
+        }
+        this.sourceEntity = entity;
+        this.state = this.through ? 'waitingForThroughPoint' : 'waitingForSide';
+        this.setPrompt(this.through ? 'Specify through point:' : 'Specify point on side to offset:');
+        return true;
+      }
+
+      case 'waitingForSide':
+      case 'waitingForThroughPoint':
+        this.commitOffset(point);
+        return true;
+    }
+
+    return false;
+  }
+
+  setDistance(distance) {
+    this.distance = distance;
+    this.through = false;
+    lastDistance = distance;
+    this.state = 'waitingForObject';
+    this.promptObject();
+  }
+
+  setThrough() {
+    this.through = true;
+    this.state = 'waitingForObject';
+    this.promptObject();
+  }
+
+  /**
+   * Offsets of the source entity towards a point, empty if impossible
+   */
+  computeOffset(point) {
+    const distance = this.through ? throughDistance(this.sourceEntity, point) : this.distance;
+    return offsetEntity(this.sourceEntity, distance, point, {
+      join: this.join,
+      layerId: this.useCurrentLayer ? useCADStore.getState().currentLayer : null
+    });
+  }
+
+  updatePreview(mousePoint) {
+    this.clearPreviews();
+    this.previewEntities = this.computeOffset(mousePoint).map((preview, index) => {
+      preview.id = `${this.sourceEntity.id}-offset-preview-${index}`;
+      preview.color = '#666666';
+      preview.isPreview = true;
+      useCADStore.getState().addEntity(preview);
+      return preview;
+    });
+  }
+
+  clearPreviews() {
+    const store = useCADStore.getState();
+    this.previewEntities.forEach(entity => store.removeEntity(entity.id));
+    this.previewEntities = [];
+  }
+
+  commitOffset(point) {
+    this.clearPreviews();
+    const results = this.computeOffset(point);
+
+    this.sourceEntity = null;
+    this.state = 'waitingForObject';
+    if (results.length === 0) {
+      this.setPrompt('Cannot offset that object to that side. Select object to offset or press Enter to exit:');
+      return;
+    }
+
+    const edit = new EntityEdit();
+    // A closed shape offset inwards can split into several loops
+    edit.replace([], results);
+    this.edits.push(edit);
+    this.promptObject();
+  }
+
+  finish() {
+    this.clearPreviews();
     this.state = 'completed';
-    
+
+    const edits = [...this.edits];
     if (this.resolveCommand) {
       this.resolveCommand({
-        completed: true,
-        message: 'Offset command executed (basic implementation)'
+        completed: edits.length > 0,
+        message: `${edits.length} object${edits.length === 1 ? '' : 's'} offset`,
+        entities: edits.flatMap(edit => edit.added),
+        ...editHistory(edits)
       });
     }
-    
-    return true;
   }
 
   async cancel() {
+    if (this.state === 'completed' || this.state === 'cancelled') return;
+
+    // Offsets already made stay in the drawing and go on the undo stack
+    if (this.edits.length > 0) {
+      this.finish();
+      return;
+    }
+
+    this.clearPreviews();
     this.state = 'cancelled';
     if (this.rejectCommand) {
       this.rejectCommand(new Error('Command cancelled'));
@@ -0,0 +1,57 @@
+import { BaseCommand } from './commandBus';
+import useCADStore from './store';
+import { parseDrawing, FILE_EXTENSION } from '../io/tcadFormat';
+import { pickTextFile } from '../io/fileIO';
+
+/**
+ * Open Command
+ * Loads a native .tcad.json document, replacing the current drawing
+ */
+export class OpenCommand extends BaseCommand {
+  constructor(args = {}) {
+    super(args);
+    this.state = 'waitingForFile';
+  }
+
+  async execute() {
+    this.setPrompt('Select a drawing file to open:');
+
+    const file = await pickTextFile(`${FILE_EXTENSION},.json`);
+    if (!file) {
+      this.state = 'cancelled';
+      return { completed: false, message: 'Open cancelled' };
+    }
+
+    const store = useCADStore.getState();
+    const drawing = parseDrawing(file.text);
+
+    // Keep the previous drawing so the open can be undone
+    const previous = {
+      entities: store.entities,
+      layers: store.layers,
+      linetypes: store.linetypes,
+      selectionSets: store.selectionSets,
+      units: store.units,
+      snap: store.snap,
+      plotSettings: store.plotSettings,
+      mirrorText: store.mirrorText,
+      currentLayer: store.currentLayer
+    };
+
+    store.loadDrawing(drawing);
+
+    if (drawing.skipped.length > 0) {
+      console.warn(`Skipped ${drawing.skipped.length} unknown entities:`, drawing.skipped);
+    }
+
+    this.state = 'completed';
+    return {
+      completed: true,
+      message: `Opened ${file.name} (${drawing.entities.size} entities)`,
+      undo: () => useCADStore.getState().loadDrawing(previous),
+      redo: () => useCADStore.getState().loadDrawing(drawing)
+    };
+  }
+}
+
+export default OpenCommand;
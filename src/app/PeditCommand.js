@@ -0,0 +1,436 @@
+import { BaseCommand } from './commandBus';
+import useCADStore from './store';
+import { EntityEdit, editHistory } from './EntityEdit';
+import Polyline from '../core/entities/Polyline';
+import { pickEntity, pickTolerance } from '../core/selection/hitTest';
+import { DEFAULT_JOIN_TOLERANCE, JOINABLE } from '../modify/join';
+import {
+  PEDITABLE,
+  toEditablePolyline,
+  setClosed,
+  nearestSegment,
+  nearestVertex,
+  insertVertex,
+  moveVertex,
+  removeVertex,
+  setWidth,
+  setSegmentWidth,
+  reversePolyline,
+  fitPolyline,
+  decurvePolyline,
+  joinToPolyline
+} from '../modify/pedit';
+
+const PREVIEW_ID = 'pedit-preview';
+
+/**
+ * Polyline Edit Command (PEDIT)
+ * Edits one polyline through a loop of options: close/open, join touching
+ * geometry, constant or tapered widths, insert/move/erase vertices, reverse,
+ * fit a smooth curve and decurve. Lines, arcs and rectangles are turned into
+ * polylines first. Every change can be undone with U; Enter ends the command
+ * and the whole session is one undo step.
+ */
+export class PeditCommand extends BaseCommand {
+  constructor(args = {}) {
+    super(args);
+    this.polyline = null;
+    this.edits = [];
+    this.history = [];
+    this.joinCandidates = [];
+    this.segment = null;
+    this.vertex = null;
+    this.startWidth = 0;
+    this.state = 'waitingForPolyline';
+  }
+
+  async execute() {
+    const result = new Promise((resolve, reject) => {
+      this.resolveCommand = resolve;
+      this.rejectCommand = reject;
+    });
+
+    const store = useCADStore.getState();
+    const selected = Array.from(store.selection)
+      .map(id => store.entities.get(id))
+      .find(entity => entity && PEDITABLE.includes(entity.type));
+
+    if (selected) {
+      this.startEditing(selected);
+    } else {
+      this.setPrompt('Select polyline:');
+    }
+
+    return result;
+  }
+
+  async handleInput(type, value) {
+    switch (type) {
+      case 'point':
+        return this.handlePointInput(value);
+
+      case 'selection':
+        if (this.state === 'waitingForJoin') {
+          this.addJoinCandidates(value);
+          return true;
+        }
+        break;
+
+      case 'distance':
+        return this.handleWidthInput(value);
+
+      case 'mousemove':
+        this.updatePreview(value);
+        break;
+
+      case 'key':
+        return this.handleKeyInput(value);
+    }
+
+    return false;
+  }
+
+  handlePointInput(point) {
+    switch (this.state) {
+      case 'waitingForPolyline': {
+        const entity = pickEntity(point, { filter: candidate => PEDITABLE.includes(candidate.type) });
+        if (entity) this.startEditing(entity);
+        else this.setPrompt('No polyline found. Select polyline:');
+        return true;
+      }
+
+      case 'waitingForJoin': {
+        const entity = pickEntity(point, { filter: candidate => JOINABLE.includes(candidate.type) });
+        if (entity) this.addJoinCandidates([entity.id]);
+        else this.setPrompt('No object found. Select objects to join:');
+        return true;
+      }
+
+      case 'waitingForTaperSegment':
+      case 'waitingForInsertSegment': {
+        const nearest = nearestSegment(this.polyline, point);
+        if (!nearest || nearest.distance > pickTolerance()) {
+          this.setPrompt('Pick a point on a segment of the polyline:');
+          return true;
+        }
+        this.segment = nearest;
+        if (this.state === 'waitingForTaperSegment') {
+          this.askStartWidth();
+        } else {
+          this.state = 'waitingForInsertPoint';
+          this.setPrompt('Specify location for new vertex:');
+        }
+        return true;
+      }
+
+      case 'waitingForInsertPoint':
+        this.clearPreview();
+        this.apply(insertVertex(this.polyline, this.segment.segment, point, this.segment.u), 'Vertex inserted. ');
+        return true;
+
+      case 'waitingForMoveVertex':
+      case 'waitingForEraseVertex': {
+        const nearest = nearestVertex(this.polyline, point);
+        if (!nearest || nearest.distance > pickTolerance()) {
+          this.setPrompt('Pick a vertex of the polyline:');
+          return true;
+        }
+        if (this.state === 'waitingForEraseVertex') {
+          const updated = removeVertex(this.polyline, nearest.index);
+          if (updated) this.apply(updated, 'Vertex erased. ');
+          else this.promptOption('The polyline needs more vertices than that. ');
+          return true;
+        }
+        this.vertex = nearest.index;
+        this.state = 'waitingForMovePoint';
+        this.setPrompt('Specify new location for vertex:');
+        return true;
+      }
+
+      case 'waitingForMovePoint':
+        this.clearPreview();
+        this.apply(moveVertex(this.polyline, this.vertex, point), 'Vertex moved. ');
+        return true;
+    }
+
+    return false;
+  }
+
+  handleWidthInput(value) {
+    if (value < 0) return false;
+    switch (this.state) {
+      case 'waitingForWidth':
+        this.apply(setWidth(this.polyline, value), 'Width set. ');
+        return true;
+
+      case 'waitingForStartWidth':
+        this.startWidth = value;
+        this.askEndWidth();
+        return true;
+
+      case 'waitingForEndWidth':
+        this.apply(setSegmentWidth(this.polyline, this.segment.segment, this.startWidth, value), 'Segment width set. ');
+        return true;
+    }
+    return false;
+  }
+
+  async handleKeyInput(key) {
+    if (key === 'Escape') {
+      if (this.state !== 'waitingForOption' && this.polyline) {
+        // Back out of the current option
+        this.clearPreview();
+        this.promptOption();
+        return true;
+      }
+      await this.cancel();
+      return true;
+    }
+
+    const lower = key.length === 1 ? key.toLowerCase() : key;
+
+    if (this.state === 'waitingForOption') {
+      return this.handleOption(lower);
+    }
+
+    if (key === 'Enter') {
+      const current = this.segment ? this.segmentWidths() : null;
+      switch (this.state) {
+        case 'waitingForJoin':
+          this.join();
+          return true;
+        case 'waitingForStartWidth':
+          // Keep the current start width
+          this.startWidth = current.start;
+          this.askEndWidth();
+          return true;
+        case 'waitingForEndWidth':
+          // Same as the start width
+          this.apply(setSegmentWidth(this.polyline, this.segment.segment, this.startWidth, this.startWidth), 'Segment width set. ');
+          return true;
+      }
+    }
+
+    return false;
+  }
+
+  handleOption(key) {
+    const closed = this.polyline.closed;
+    switch (key) {
+      case 'Enter':
+        this.finish();
+        return true;
+
+      case 'c':
+      case 'o': {
+        if ((key === 'c') === closed) return false;
+        const updated = setClosed(this.polyline, !closed);
+        if (updated) this.apply(updated, closed ? 'Polyline opened. ' : 'Polyline closed. ');
+        else this.promptOption('A polyline needs 3 vertices to close. ');
+        return true;
+      }
+
+      case 'j':
+        if (closed) {
+          this.promptOption('Cannot join to a closed polyline. ');
+          return true;
+        }
+        this.joinCandidates = [];
+        this.state = 'waitingForJoin';
+        this.setPrompt('Select objects to join:');
+        return true;
+
+      case 'w':
+        this.state = 'waitingForWidth';
+        this.setPrompt('Specify new width for all segments:');
+        return true;
+
+      case 't':
+        this.state = 'waitingForTaperSegment';
+        this.setPrompt('Pick the segment to taper:');
+        return true;
+
+      case 'i':
+        this.state = 'waitingForInsertSegment';
+        this.setPrompt('Pick the segment to insert a vertex in:');
+        return true;
+
+      case 'm':
+        this.state = 'waitingForMoveVertex';
+        this.setPrompt('Pick the vertex to move:');
+        return true;
+
+      case 'e':
+        this.state = 'waitingForEraseVertex';
+        this.setPrompt('Pick the vertex to erase:');
+        return true;
+
+      case 'r':
+        this.apply(reversePolyline(this.polyline), 'Polyline reversed. ');
+        return true;
+
+      case 'f': {
+        const updated = fitPolyline(this.polyline);
+        if (updated) this.apply(updated, 'Curve fitted. ');
+        else this.promptOption('A polyline needs 3 vertices to fit a curve. ');
+        return true;
+      }
+
+      case 'd':
+        this.apply(decurvePolyline(this.polyline), 'Polyline decurved. ');
+        return true;
+
+      case 'u':
+        this.undoLast();
+        return true;
+    }
+    return false;
+  }
+
+  startEditing(entity) {
+    this.polyline = entity;
+    if (entity.type !== 'polyline') {
+      this.apply(toEditablePolyline(entity), `${entity.type[0].toUpperCase()}${entity.type.slice(1)} converted to a polyline. `);
+      return;
+    }
+    this.promptOption();
+  }
+
+  promptOption(prefix = '') {
+    this.state = 'waitingForOption';
+    this.segment = null;
+    this.vertex = null;
+    const close = this.polyline.closed ? 'Open' : 'Close';
+    const undo = this.edits.length > 0 ? '/Undo' : '';
+    this.setPrompt(
+      `${prefix}Enter an option [${close}/Join/Width/Taper/Insert vertex/Move vertex/Erase vertex/` +
+      `Reverse/Fit/Decurve${undo}] <exit>:`
+    );
+  }
+
+  segmentWidths() {
+    const vertex = this.polyline.vertices[this.segment.segment];
+    return { start: vertex.startWidth || 0, end: vertex.endWidth || 0 };
+  }
+
+  askStartWidth() {
+    this.state = 'waitingForStartWidth';
+    this.setPrompt(`Specify starting width <${this.segmentWidths().start}>:`);
+  }
+
+  askEndWidth() {
+    this.state = 'waitingForEndWidth';
+    this.setPrompt(`Specify ending width <${this.startWidth}>:`);
+  }
+
+  isSelecting() {
+    return this.state === 'waitingForJoin';
+  }
+
+  addJoinCandidates(ids) {
+    const store = useCADStore.getState();
+    ids.forEach(id => {
+      const entity = store.entities.get(id);
+      if (entity && JOINABLE.includes(entity.type) && entity.id !== this.polyline.id &&
+          !this.joinCandidates.includes(entity)) {
+        this.joinCandidates.push(entity);
+      }
+    });
+    this.setPrompt(`${this.joinCandidates.length} selected. Select objects to join or press Enter:`);
+  }
+
+  join() {
+    const result = joinToPolyline(this.polyline, this.joinCandidates, DEFAULT_JOIN_TOLERANCE);
+    this.joinCandidates = [];
+    if (!result) {
+      this.promptOption('Nothing touched the ends of the polyline. ');
+      return;
+    }
+    this.apply(result.polyline, `${result.joined.length} segment${result.joined.length === 1 ? '' : 's'} joined. `, result.joined);
+  }
+
+  /**
+   * Replace the polyline (keeping its id) and remove any joined entities
+   */
+  apply(updated, message = '', absorbed = []) {
+    if (!updated) {
+      this.promptOption();
+      return;
+    }
+    const edit = new EntityEdit();
+    edit.replace([this.polyline, ...absorbed], [updated]);
+    this.edits.push(edit);
+    this.history.push(this.polyline);
+    this.polyline = updated;
+    this.promptOption(message);
+  }
+
+  undoLast() {
+    if (this.edits.length === 0) {
+      this.promptOption('Nothing to undo. ');
+      return;
+    }
+    this.edits.pop().undo();
+    this.polyline = this.history.pop();
+    this.promptOption('Undone. ');
+  }
+
+  updatePreview(point) {
+    let candidate = null;
+    if (this.state === 'waitingForInsertPoint') {
+      candidate = insertVertex(this.polyline, this.segment.segment, point, this.segment.u);
+    } else if (this.state === 'waitingForMovePoint') {
+      candidate = moveVertex(this.polyline, this.vertex, point);
+    }
+    if (!candidate) return;
+
+    const store = useCADStore.getState();
+    store.removeEntity(PREVIEW_ID);
+    const preview = new Polyline(candidate.vertices, {
+      id: PREVIEW_ID,
+      layerId: this.polyline.layerId,
+      color: '#666666',
+      closed: candidate.closed
+    });
+    preview.isPreview = true;
+    store.addEntity(preview);
+  }
+
+  clearPreview() {
+    const store = useCADStore.getState();
+    if (store.entities.has(PREVIEW_ID)) store.removeEntity(PREVIEW_ID);
+  }
+
+  finish() {
+    this.clearPreview();
+    this.state = 'completed';
+
+    const edits = [...this.edits];
+    if (this.resolveCommand) {
+      this.resolveCommand({
+        completed: edits.length > 0,
+        message: edits.length > 0 ? 'Polyline edited' : 'Polyline unchanged',
+        entities: edits.length > 0 ? [this.polyline] : [],
+        ...editHistory(edits)
+      });
+    }
+  }
+
+  async cancel() {
+    if (this.state === 'completed' || this.state === 'cancelled') return;
+
+    // Changes already made stay in the drawing and go on the undo stack
+    if (this.edits.length > 0) {
+      this.finish();
+      return;
+    }
+
+    this.clearPreview();
+    this.state = 'cancelled';
+    if (this.rejectCommand) {
+      this.rejectCommand(new Error('Command cancelled'));
+    }
+  }
+}
+
+export default PeditCommand;
@@ -0,0 +1,71 @@
+import { BaseCommand } from './commandBus';
+import useCADStore from './store';
+import { plotToPdf, resolvePaperName, parsePlotScale } from '../io/plotter';
+import { downloadFile } from '../io/fileIO';
+
+/**
+ * Plot Command
+ * Renders the drawing to a vector PDF sheet. Runs headlessly: the PDF is
+ * returned in the result and only downloaded when a DOM is available.
+ *
+ * Command line: plot [paper] [scale] [portrait|landscape] [filename.pdf]
+ *   e.g. "plot A3 1:50", "plot ansi-b fit portrait"
+ * Programmatic: commandBus.run('plot', { paper, scale, orientation, titleBlock, download })
+ */
+export class PlotCommand extends BaseCommand {
+  constructor(args = {}) {
+    super(args);
+    this.state = 'plotting';
+  }
+
+  /**
+   * Merge store plot settings, keyword arguments and command line tokens
+   * @returns {Object} Plot settings
+   */
+  resolveSettings() {
+    const { args: tokens = [], ...overrides } = this.args;
+    const settings = { ...useCADStore.getState().plotSettings, ...overrides };
+    settings.titleBlock = {
+      ...useCADStore.getState().plotSettings.titleBlock,
+      ...(overrides.titleBlock || {})
+    };
+
+    tokens.forEach(token => {
+      const lower = token.toLowerCase();
+      if (lower === 'portrait' || lower === 'landscape') {
+        settings.orientation = lower;
+      } else if (lower.endsWith('.pdf')) {
+        settings.filename = token;
+      } else if (resolvePaperName(token)) {
+        settings.paper = resolvePaperName(token);
+      } else if (lower === 'fit' || parsePlotScale(token) !== null) {
+        settings.scale = lower === 'fit' ? 'fit' : token;
+      } else {
+        throw new Error(`Unrecognized plot option: ${token}`);
+      }
+    });
+
+    return settings;
+  }
+
+  async execute() {
+    const settings = this.resolveSettings();
+    const { pdf, layout, plotted } = plotToPdf(useCADStore.getState(), settings);
+
+    const shouldDownload = settings.download !== false && typeof document !== 'undefined';
+    const filename = settings.filename || 'plot.pdf';
+    if (shouldDownload) {
+      downloadFile(filename, pdf, 'application/pdf');
+    }
+
+    this.state = 'completed';
+    return {
+      completed: true,
+      message: `Plotted ${plotted} entities on ${layout.sheet.name} at ${layout.scaleLabel}`,
+      pdf,
+      layout
+    };
+  }
+}
+
+export default PlotCommand;
@@ -0,0 +1,40 @@
+import { BaseCommand } from './commandBus';
+import useCADStore from './store';
+import { parseQuickSelect, quickSelect } from '../core/selection/quickSelect';
+
+/**
+ * Quick Select Command
+ * Opens the quick select panel. With arguments it selects straight from the
+ * command line, e.g. QSELECT circle radius=6 layer=HOLES or
+ * QSELECT line length<0.5 append (see parseQuickSelect).
+ */
+export class QuickSelectCommand extends BaseCommand {
+  constructor(args = {}) {
+    super(args);
+    // The point of the command is the selection it leaves behind
+    this.keepsSelection = true;
+    this.state = 'selecting';
+  }
+
+  async execute() {
+    const words = this.args.args || [];
+    this.state = 'completed';
+
+    if (words.length === 0) {
+      useCADStore.getState().setQuickSelectOpen(true);
+      return {
+        completed: true,
+        message: 'Set the quick select filter'
+      };
+    }
+
+    const ids = quickSelect(parseQuickSelect(words));
+    useCADStore.getState().setSelection(ids);
+    return {
+      completed: true,
+      message: `${ids.length} entit${ids.length === 1 ? 'y' : 'ies'} selected`
+    };
+  }
+}
+
+export default QuickSelectCommand;
@@ -0,0 +1,40 @@
+import { BaseCommand } from './commandBus';
+import useCADStore from './store';
+import autosave from './autosave';
+import { isAutosaveAvailable } from '../io/autosaveDb';
+
+/**
+ * Recover Command
+ * Opens the list of autosave snapshots; RECOVER SAVE writes one immediately
+ */
+export class RecoverCommand extends BaseCommand {
+  constructor(args = {}) {
+    super(args);
+    this.state = 'recovering';
+  }
+
+  async execute() {
+    if (!isAutosaveAvailable()) {
+      throw new Error('Autosave is not available in this browser');
+    }
+
+    const option = ((this.args.args && this.args.args[0]) || '').toLowerCase();
+    this.state = 'completed';
+
+    if (option === 'save') {
+      const id = await autosave.saveNow('manual');
+      return {
+        completed: true,
+        message: id !== null ? 'Snapshot saved' : 'Snapshot could not be saved'
+      };
+    }
+
+    useCADStore.getState().setRecoveryOpen(true);
+    return {
+      completed: true,
+      message: 'Select a snapshot to restore'
+    };
+  }
+}
+
+export default RecoverCommand;
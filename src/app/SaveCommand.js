@@ -0,0 +1,33 @@
+import { BaseCommand } from './commandBus';
+import useCADStore from './store';
+import autosave from './autosave';
+import { stringifyDrawing, FILE_EXTENSION } from '../io/tcadFormat';
+import { downloadFile } from '../io/fileIO';
+
+/**
+ * Save Command
+ * Downloads the current drawing as a native .tcad.json document
+ */
+export class SaveCommand extends BaseCommand {
+  constructor(args = {}) {
+    super(args);
+    this.state = 'saving';
+  }
+
+  async execute() {
+    const store = useCADStore.getState();
+    const baseName = (this.args.args && this.args.args[0]) || 'drawing';
+    const filename = baseName.endsWith(FILE_EXTENSION) ? baseName : `${baseName}${FILE_EXTENSION}`;
+
+    downloadFile(filename, stringifyDrawing(store), 'application/json');
+    await autosave.markSaved();
+
+    this.state = 'completed';
+    return {
+      completed: true,
+      message: `Drawing saved to ${filename}`
+    };
+  }
+}
+
+export default SaveCommand;
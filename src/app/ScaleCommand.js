@@ -72,6 +72,8 @@ export class ScaleCommand extends BaseCommand {
     switch (this.state) {
       case 'waitingForBasePoint':
         this.basePoint = { ...point };
+        // Ortho, perpendicular and tangent snaps work from the base point
+        useCADStore.getState().updateCommandState({ lastPoint: this.basePoint });
         this.state = 'waitingForScale';
         this.setPrompt('Specify scale point or enter scale factor:');
         return true;
@@ -143,7 +145,7 @@ export class ScaleCommand extends BaseCommand {
         scaled.radius = entity.radius * factor;
         break;
       case 'polyline':
-        scaled.vertices = entity.vertices.map(vertex => scalePoint(vertex));
+        scaled.vertices = entity.vertices.map(vertex => ({ ...vertex, ...scalePoint(vertex) }));
         break;
     }
     return scaled;
@@ -0,0 +1,113 @@
+import { BaseCommand } from './commandBus';
+import useCADStore from './store';
+import { SIMILAR_PROPERTIES, findSimilar } from '../core/selection/selectionSets';
+
+/**
+ * Select Similar Command
+ * Selects every entity that matches one of the selected entities in the
+ * compared properties (by default type, layer, color and linetype).
+ * SELECTSIMILAR SETTINGS type layer ... chooses the properties.
+ */
+export class SelectSimilarCommand extends BaseCommand {
+  constructor(args = {}) {
+    super(args);
+    this.references = [];
+    this.keepsSelection = true;
+    this.state = 'waitingForSelection';
+  }
+
+  async execute() {
+    const result = new Promise((resolve, reject) => {
+      this.resolveCommand = resolve;
+      this.rejectCommand = reject;
+    });
+
+    const words = (this.args.args || []).map(word => word.toLowerCase());
+    if (words[0] === 'settings' || words[0] === 'se') {
+      this.changeSettings(words.slice(1));
+      return result;
+    }
+
+    const store = useCADStore.getState();
+    this.references = Array.from(store.selection).map(id => store.entities.get(id)).filter(Boolean);
+
+    // A pre-selection is used straight away
+    if (this.references.length > 0) {
+      this.selectSimilar();
+    } else {
+      this.setPrompt(`Select reference objects (compares ${store.similarProperties.join(', ')}):`);
+    }
+
+    return result;
+  }
+
+  async handleInput(type, value) {
+    switch (type) {
+      case 'selection':
+        if (this.state === 'waitingForSelection') {
+          const { entities } = useCADStore.getState();
+          this.references = value.map(id => entities.get(id)).filter(Boolean);
+          this.setPrompt(`${this.references.length} reference objects. Press Enter to select similar or select more:`);
+          return true;
+        }
+        break;
+
+      case 'key':
+        if (value === 'Escape') {
+          await this.cancel();
+          return true;
+        } else if (value === 'Enter' && this.state === 'waitingForSelection' && this.references.length > 0) {
+          this.selectSimilar();
+          return true;
+        }
+        break;
+    }
+
+    return false;
+  }
+
+  changeSettings(properties) {
+    this.state = 'completed';
+    const store = useCADStore.getState();
+
+    if (properties.length > 0) {
+      const unknown = properties.find(name => !SIMILAR_PROPERTIES.includes(name));
+      if (unknown) {
+        this.rejectCommand(new Error(`Unknown property: ${unknown} (use ${SIMILAR_PROPERTIES.join(', ')})`));
+        return;
+      }
+      store.setSimilarProperties(properties);
+    }
+
+    this.resolveCommand({
+      completed: false,
+      message: `SELECTSIMILAR compares ${useCADStore.getState().similarProperties.join(', ')}`
+    });
+  }
+
+  selectSimilar() {
+    this.state = 'completed';
+
+    const store = useCADStore.getState();
+    const ids = findSimilar(this.references, store.similarProperties);
+    store.setSelection(ids);
+
+    if (this.resolveCommand) {
+      this.resolveCommand({
+        completed: true,
+        message: `${ids.length} similar entit${ids.length === 1 ? 'y' : 'ies'} selected`
+      });
+    }
+  }
+
+  async cancel() {
+    if (this.state === 'completed' || this.state === 'cancelled') return;
+
+    this.state = 'cancelled';
+    if (this.rejectCommand) {
+      this.rejectCommand(new Error('Command cancelled'));
+    }
+  }
+}
+
+export default SelectSimilarCommand;
@@ -0,0 +1,76 @@
+import { BaseCommand } from './commandBus';
+import useCADStore from './store';
+import { combineSelection } from '../core/selection/selectionSets';
+
+// Command line options and the set operation they apply
+const OPERATION_OPTIONS = {
+  recall: 'replace',
+  union: 'union',
+  add: 'union',
+  subtract: 'subtract',
+  remove: 'subtract',
+  intersect: 'intersect'
+};
+
+/**
+ * Selection Set Command
+ * Named selection sets saved with the drawing. Without options it opens the
+ * selection sets panel; otherwise:
+ *   SELSET SAVE name      - store the current selection
+ *   SELSET RECALL name    - select the set
+ *   SELSET UNION name     - add the set to the selection (also SUBTRACT, INTERSECT)
+ *   SELSET DELETE name    - forget the set
+ *   SELSET LIST           - name the stored sets
+ */
+export class SelectionSetCommand extends BaseCommand {
+  constructor(args = {}) {
+    super(args);
+    this.keepsSelection = true;
+    this.state = 'selecting';
+  }
+
+  async execute() {
+    const [option = '', ...rest] = this.args.args || [];
+    const name = rest.join(' ').trim();
+    const store = useCADStore.getState();
+    this.state = 'completed';
+
+    if (!option) {
+      store.setSelectionSetsOpen(true);
+      return { completed: true, message: 'Choose a selection set' };
+    }
+
+    const keyword = option.toLowerCase();
+    if (keyword === 'list') {
+      const names = Array.from(store.selectionSets.values()).map(selectionSet => selectionSet.name);
+      return { completed: false, message: names.length > 0 ? `Selection sets: ${names.join(', ')}` : 'No selection sets' };
+    }
+
+    if (!name) {
+      throw new Error(`SELSET ${keyword.toUpperCase()} needs a set name`);
+    }
+
+    if (keyword === 'save') {
+      if (store.selection.size === 0) throw new Error('Nothing selected to save');
+      store.saveSelectionSet(name, Array.from(store.selection));
+      return { completed: true, message: `Selection set "${name}" saved (${store.selection.size} entities)` };
+    }
+
+    const selectionSet = store.selectionSets.get(name.toLowerCase());
+    if (!selectionSet) throw new Error(`No selection set named "${name}"`);
+
+    if (keyword === 'delete') {
+      store.deleteSelectionSet(name);
+      return { completed: true, message: `Selection set "${selectionSet.name}" deleted` };
+    }
+
+    const operation = OPERATION_OPTIONS[keyword];
+    if (!operation) throw new Error(`Unknown SELSET option: ${option}`);
+
+    store.setSelection(combineSelection(store.selection, selectionSet.ids, operation));
+    const count = useCADStore.getState().selection.size;
+    return { completed: true, message: `${count} entit${count === 1 ? 'y' : 'ies'} selected` };
+  }
+}
+
+export default SelectionSetCommand;
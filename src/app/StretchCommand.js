@@ -0,0 +1,183 @@
+import { BaseCommand } from './commandBus';
+import useCADStore from './store';
+import { EntityEdit } from './EntityEdit';
+import Rectangle from '../core/entities/Rectangle';
+import { entitiesInWindow, windowBounds } from '../core/selection/hitTest';
+import { stretchEntities } from '../modify/stretch';
+
+/**
+ * Stretch Command
+ * Select objects with one or more crossing windows, then a base point and a
+ * second point. Objects entirely inside a window move; of objects crossing
+ * its edge only the endpoints, vertices and corners inside move. Previewed
+ * like MOVE and recorded as a single undo step.
+ */
+export class StretchCommand extends BaseCommand {
+  constructor(args = {}) {
+    super(args);
+    this.windows = [];
+    this.selectedEntities = [];
+    this.firstCorner = null;
+    this.basePoint = null;
+    this.previewEntities = [];
+    this.state = 'waitingForFirstCorner';
+  }
+
+  async execute() {
+    this.setPrompt('Select objects to stretch by crossing-window. Specify first corner:');
+
+    return new Promise((resolve, reject) => {
+      this.resolveCommand = resolve;
+      this.rejectCommand = reject;
+    });
+  }
+
+  async handleInput(type, value) {
+    switch (type) {
+      case 'point':
+        return this.handlePointInput(value);
+
+      case 'key':
+        if (value === 'Escape') {
+          await this.cancel();
+          return true;
+        } else if (value === 'Enter' && this.state === 'waitingForFirstCorner' && this.selectedEntities.length > 0) {
+          this.state = 'waitingForBasePoint';
+          this.setPrompt('Specify base point:');
+          return true;
+        }
+        break;
+
+      case 'mousemove':
+        if (this.state === 'waitingForSecondCorner') {
+          this.updateWindowPreview(value);
+        } else if (this.state === 'waitingForTarget') {
+          this.updatePreview(value);
+        }
+        break;
+    }
+
+    return false;
+  }
+
+  async handlePointInput(point) {
+    switch (this.state) {
+      case 'waitingForFirstCorner':
+        this.firstCorner = { ...point };
+        this.state = 'waitingForSecondCorner';
+        this.setPrompt('Specify opposite corner:');
+        return true;
+
+      case 'waitingForSecondCorner':
+        this.clearPreviews();
+        this.addWindow(this.firstCorner, point);
+        this.firstCorner = null;
+        this.state = 'waitingForFirstCorner';
+        return true;
+
+      case 'waitingForBasePoint':
+        this.basePoint = { ...point };
+        // Ortho, perpendicular and tangent snaps work from the base point
+        useCADStore.getState().updateCommandState({ lastPoint: this.basePoint });
+        this.state = 'waitingForTarget';
+        this.setPrompt('Specify second point:');
+        return true;
+
+      case 'waitingForTarget':
+        this.commitStretch(point);
+        return true;
+    }
+
+    return false;
+  }
+
+  addWindow(corner1, corner2) {
+    this.windows.push(windowBounds(corner1, corner2));
+    entitiesInWindow(corner1, corner2, { crossing: true }).forEach(entity => {
+      if (!this.selectedEntities.some(selected => selected.id === entity.id)) {
+        this.selectedEntities.push(entity);
+      }
+    });
+
+    if (this.selectedEntities.length > 0) {
+      this.setPrompt(`${this.selectedEntities.length} entities found. Press Enter to continue or specify first corner:`);
+    } else {
+      this.setPrompt('No objects found. Specify first corner:');
+    }
+  }
+
+  offsetTo(point) {
+    return {
+      x: point.x - this.basePoint.x,
+      y: point.y - this.basePoint.y
+    };
+  }
+
+  updateWindowPreview(mousePoint) {
+    this.clearPreviews();
+
+    const preview = new Rectangle(this.firstCorner, mousePoint, { id: 'stretch-window-preview' });
+    preview.color = '#666666';
+    preview.isPreview = true;
+    useCADStore.getState().addEntity(preview);
+    this.previewEntities = [preview];
+  }
+
+  updatePreview(mousePoint) {
+    const store = useCADStore.getState();
+
+    // Remove previous preview
+    this.clearPreviews();
+
+    const { add } = stretchEntities(this.selectedEntities, this.windows, this.offsetTo(mousePoint));
+    this.previewEntities = add.map(entity => {
+      entity.id = `${entity.id}-preview`;
+      entity.color = '#666666';
+      entity.isPreview = true;
+
+      store.addEntity(entity);
+      return entity;
+    });
+  }
+
+  clearPreviews() {
+    const store = useCADStore.getState();
+
+    this.previewEntities.forEach(entity => {
+      store.removeEntity(entity.id);
+    });
+    this.previewEntities = [];
+  }
+
+  commitStretch(point) {
+    this.clearPreviews();
+    this.state = 'completed';
+
+    const { remove, add } = stretchEntities(this.selectedEntities, this.windows, this.offsetTo(point));
+    const edit = new EntityEdit();
+    edit.replace(remove, add);
+
+    if (this.resolveCommand) {
+      this.resolveCommand({
+        completed: add.length > 0,
+        message: `${add.length} entit${add.length === 1 ? 'y' : 'ies'} stretched`,
+        entities: add,
+        undo: () => edit.undo(),
+        redo: () => edit.redo()
+      });
+    }
+  }
+
+  async cancel() {
+    if (this.state === 'completed' || this.state === 'cancelled') return;
+
+    this.clearPreviews();
+    this.state = 'cancelled';
+
+    if (this.rejectCommand) {
+      this.rejectCommand(new Error('Command cancelled'));
+    }
+  }
+}
+
+export default StretchCommand;
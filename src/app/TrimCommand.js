@@ -1,43 +1,364 @@
 import { BaseCommand } from './commandBus';
+import useCADStore from './store';
+import { EntityEdit, editHistory } from './EntityEdit';
+import Polyline from '../core/entities/Polyline';
+import Rectangle from '../core/entities/Rectangle';
+import { pickEntity, pickTolerance, isPickable, distanceToEntity } from '../core/selection/hitTest';
+import { entityToPath, pathPoint } from '../core/geometry/paths';
+import { trimEntity, fenceCrossings } from '../modify/trim';
+import { extendEntity } from '../modify/extend';
+
+const TARGET_PROMPT = 'Select object to trim or shift-select to extend [Fence/Crossing/Undo]:';
 
 /**
  * Trim Command
- * Basic implementation for trimming entities
+ * Cuts entities at their intersections with cutting edges and removes the
+ * picked part. Shift+click extends to the edges instead. Fence (F) trims
+ * everything a drawn line crosses; Crossing (C) trims inside a window.
  */
 export class TrimCommand extends BaseCommand {
   constructor(args = {}) {
     super(args);
-    this.state = 'waitingForSelection';
+    this.acceptsShiftPick = true;
+    this.edgeIds = new Set();
+    this.useAllEdges = false;
+    this.edits = [];
+    this.fencePoints = [];
+    this.crossingCorner = null;
+    this.previewEntities = [];
+    this.state = 'waitingForEdges';
   }
 
   async execute() {
-    this.setPrompt('Select cutting edges, then entities to trim:');
-    
+    this.setPrompt('Select cutting edges or press Enter to use all objects:');
+
     return new Promise((resolve, reject) => {
       this.resolveCommand = resolve;
       this.rejectCommand = reject;
     });
   }
 
-  async handleInput(type, value) {
-    if (type === 'key' && value === 'Escape') {
+  async handleInput(type, value, modifiers = {}) {
+    switch (type) {
+      case 'point':
+        return this.handlePointInput(value, modifiers);
+
+      case 'selection':
+        if (this.state === 'waitingForEdges') {
+          value.forEach(id => this.edgeIds.add(id));
+          this.promptEdgeCount();
+          return true;
+        }
+        break;
+
+      case 'key':
+        return this.handleKeyInput(value);
+
+      case 'mousemove':
+        this.updatePreview(value);
+        break;
+    }
+
+    return false;
+  }
+
+  async handleKeyInput(key) {
+    if (key === 'Escape') {
       await this.cancel();
       return true;
     }
-    
+
+    switch (this.state) {
+      case 'waitingForEdges':
+        if (key === 'Enter') {
+          this.useAllEdges = this.edgeIds.size === 0;
+          this.state = 'waitingForTarget';
+          this.setPrompt(TARGET_PROMPT);
+          return true;
+        }
+        break;
+
+      case 'waitingForTarget':
+        if (key === 'Enter') {
+          this.finish();
+          return true;
+        } else if (key === 'f' || key === 'F') {
+          this.state = 'waitingForFence';
+          this.fencePoints = [];
+          this.setPrompt('Specify first fence point:');
+          return true;
+        } else if (key === 'c' || key === 'C') {
+          this.state = 'waitingForCrossing';
+          this.crossingCorner = null;
+          this.setPrompt('Specify first corner:');
+          return true;
+        } else if (key === 'u' || key === 'U') {
+          this.undoLast();
+          return true;
+        }
+        break;
+
+      case 'waitingForFence':
+        if (key === 'Enter') {
+          this.clearPreviews();
+          if (this.fencePoints.length >= 2) {
+            this.applyPicks(this.collectFencePicks(this.fencePoints), 'fence');
+          } else {
+            this.setPrompt(TARGET_PROMPT);
+          }
+          this.state = 'waitingForTarget';
+          return true;
+        }
+        break;
+    }
+
+    return false;
+  }
+
+  async handlePointInput(point, modifiers) {
+    switch (this.state) {
+      case 'waitingForEdges': {
+        const entity = pickEntity(point);
+        if (entity) {
+          this.edgeIds.add(entity.id);
+        }
+        this.promptEdgeCount();
+        return true;
+      }
+
+      case 'waitingForTarget': {
+        const entity = pickEntity(point);
+        if (!entity) {
+          this.setPrompt(`No object found. ${TARGET_PROMPT}`);
+          return true;
+        }
+        this.applyPicks([{ entity, point }], modifiers.shiftKey ? 'extend' : 'trim');
+        return true;
+      }
+
+      case 'waitingForFence':
+        this.fencePoints.push({ ...point });
+        this.setPrompt('Specify next fence point or press Enter to trim:');
+        return true;
+
+      case 'waitingForCrossing':
+        if (!this.crossingCorner) {
+          this.crossingCorner = { ...point };
+          this.setPrompt('Specify opposite corner:');
+        } else {
+          this.clearPreviews();
+          const picks = this.collectCrossingPicks(this.crossingCorner, point);
+          this.crossingCorner = null;
+          this.state = 'waitingForTarget';
+          this.applyPicks(picks, 'crossing');
+        }
+        return true;
+    }
+
+    return false;
+  }
+
+  isSelecting() {
+    return this.state === 'waitingForEdges';
+  }
+
+  promptEdgeCount() {
+    this.setPrompt(`${this.edgeIds.size} cutting edges selected. Select more or press Enter:`);
+  }
+
+  /**
+   * Current cutting edges (all drawing objects when none were selected)
+   */
+  getEdges() {
+    const { entities } = useCADStore.getState();
+    if (this.useAllEdges) {
+      return Array.from(entities.values()).filter(isPickable);
+    }
+    return Array.from(this.edgeIds).map(id => entities.get(id)).filter(Boolean);
+  }
+
+  /**
+   * Trim (or extend) each pick in turn as one undoable step. Later picks
+   * apply to whatever is left of the entity after earlier ones.
+   * @param {Array<{entity: Object, point: Object}>} picks - Entities and pick points
+   * @param {string} mode - 'trim', 'extend', 'fence' or 'crossing'
+   */
+  applyPicks(picks, mode) {
+    const edit = new EntityEdit();
+    const edgeIdsBefore = new Set(this.edgeIds);
+    const store = useCADStore.getState();
+    let changed = 0;
+
+    picks.forEach(({ entity, point }) => {
+      // The entity may already have been cut by an earlier pick
+      const current = store.entities.get(entity.id) === entity
+        ? entity
+        : this.findReplacement(edit, point);
+      if (!current) return;
+
+      const edges = this.getEdges();
+      const replacement = mode === 'extend'
+        ? extendEntity(current, point, edges)
+        : trimEntity(current, point, edges);
+      if (!replacement) return;
+
+      const pieces = Array.isArray(replacement) ? replacement : [replacement];
+      edit.replace([current], pieces);
+      this.updateEdgeIds(current, pieces);
+      changed++;
+    });
+
+    if (!edit.isEmpty()) {
+      this.edits.push({ edit, edgeIdsBefore });
+    }
+
+    const verb = mode === 'extend' ? 'extended' : 'trimmed';
+    if (changed > 0) {
+      this.setPrompt(`${changed} object${changed === 1 ? '' : 's'} ${verb}. ${TARGET_PROMPT}`);
+    } else {
+      const reason = mode === 'extend' ? 'Object does not reach a boundary edge' : 'Nothing to trim';
+      this.setPrompt(`${reason}. ${TARGET_PROMPT}`);
+    }
+  }
+
+  /**
+   * Find the piece added by this edit that lies under a point
+   */
+  findReplacement(edit, point) {
+    const tolerance = Math.max(pickTolerance() * 0.01, 1e-6);
+    let best = null;
+    let bestDistance = tolerance;
+    edit.added.forEach(entity => {
+      const distance = distanceToEntity(entity, point);
+      if (distance <= bestDistance) {
+        best = entity;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Keep selected cutting edges valid when an edge itself gets trimmed
+   */
+  updateEdgeIds(oldEntity, newEntities) {
+    if (this.useAllEdges || !this.edgeIds.has(oldEntity.id)) return;
+    this.edgeIds.delete(oldEntity.id);
+    newEntities.forEach(entity => this.edgeIds.add(entity.id));
+  }
+
+  /**
+   * Pick points for a fence: every place the fence crosses a trimmable object
+   */
+  collectFencePicks(fencePoints) {
+    const bounds = {
+      minX: Math.min(...fencePoints.map(p => p.x)),
+      minY: Math.min(...fencePoints.map(p => p.y)),
+      maxX: Math.max(...fencePoints.map(p => p.x)),
+      maxY: Math.max(...fencePoints.map(p => p.y))
+    };
+    const picks = [];
+    useCADStore.getState().queryEntities(bounds).filter(isPickable).forEach(entity => {
+      fenceCrossings(entity, fencePoints).forEach(point => picks.push({ entity, point }));
+    });
+    return picks;
+  }
+
+  /**
+   * Pick points for a crossing window: where objects cross the window border,
+   * plus the middle of objects lying entirely inside it
+   */
+  collectCrossingPicks(corner1, corner2) {
+    const bounds = {
+      minX: Math.min(corner1.x, corner2.x),
+      minY: Math.min(corner1.y, corner2.y),
+      maxX: Math.max(corner1.x, corner2.x),
+      maxY: Math.max(corner1.y, corner2.y)
+    };
+    const border = [
+      { x: bounds.minX, y: bounds.minY },
+      { x: bounds.maxX, y: bounds.minY },
+      { x: bounds.maxX, y: bounds.maxY },
+      { x: bounds.minX, y: bounds.maxY },
+      { x: bounds.minX, y: bounds.minY }
+    ];
+    const store = useCADStore.getState();
+
+    const picks = [];
+    store.queryEntities(bounds).filter(isPickable).forEach(entity => {
+      const crossings = fenceCrossings(entity, border);
+      if (crossings.length > 0) {
+        crossings.forEach(point => picks.push({ entity, point }));
+        return;
+      }
+      const path = entityToPath(entity);
+      const box = store.getEntityBounds(entity);
+      if (path && box && box.minX >= bounds.minX && box.maxX <= bounds.maxX &&
+          box.minY >= bounds.minY && box.maxY <= bounds.maxY) {
+        picks.push({ entity, point: pathPoint(path, path.pieces.length / 2) });
+      }
+    });
+    return picks;
+  }
+
+  undoLast() {
+    const step = this.edits.pop();
+    if (!step) {
+      this.setPrompt(`Everything has been undone. ${TARGET_PROMPT}`);
+      return;
+    }
+    step.edit.undo();
+    this.edgeIds = step.edgeIdsBefore;
+    this.setPrompt(TARGET_PROMPT);
+  }
+
+  updatePreview(mousePoint) {
+    if (this.state === 'waitingForFence' && this.fencePoints.length > 0) {
+      this.showPreview(new Polyline([...this.fencePoints, mousePoint], { id: 'trim-fence-preview' }));
+    } else if (this.state === 'waitingForCrossing' && this.crossingCorner) {
+      this.showPreview(new Rectangle(this.crossingCorner, mousePoint, { id: 'trim-crossing-preview' }));
+    }
+  }
+
+  showPreview(entity) {
+    this.clearPreviews();
+    entity.color = '#666666';
+    entity.isPreview = true;
+    useCADStore.getState().addEntity(entity);
+    this.previewEntities = [entity];
+  }
+
+  clearPreviews() {
+    const store = useCADStore.getState();
+    this.previewEntities.forEach(entity => store.removeEntity(entity.id));
+    this.previewEntities = [];
+  }
+
+  finish() {
+    this.clearPreviews();
     this.state = 'completed';
-    
+
+    const edits = this.edits.map(step => step.edit);
     if (this.resolveCommand) {
       this.resolveCommand({
-        completed: true,
-        message: 'Trim command executed (basic implementation)'
+        completed: edits.length > 0,
+        message: edits.length > 0 ? 'Trim completed' : 'Nothing trimmed',
+        entities: edits.flatMap(edit => edit.added),
+        ...editHistory(edits)
       });
     }
-    
-    return true;
   }
 
   async cancel() {
+    if (this.state === 'completed' || this.state === 'cancelled') return;
+
+    // Trims already made stay in the drawing and go on the undo stack
+    if (this.edits.length > 0) {
+      this.finish();
+      return;
+    }
+
+    this.clearPreviews();
     this.state = 'cancelled';
     if (this.rejectCommand) {
       this.rejectCommand(new Error('Command cancelled'));
@@ -0,0 +1,55 @@
+import commandBus, { BaseCommand } from './commandBus';
+
+/**
+ * Undo Command
+ * Reverts the last history step; UNDO n reverts n steps. The selection is
+ * kept, less the entities the steps take away.
+ */
+export class UndoCommand extends BaseCommand {
+  constructor(args = {}) {
+    super(args);
+    this.keepsSelection = true;
+    this.verb = 'undo';
+    this.state = 'undoing';
+  }
+
+  async step() {
+    return commandBus.undo();
+  }
+
+  async execute() {
+    const requested = parseInt((this.args.args && this.args.args[0]) || '1', 10);
+    const count = requested > 0 ? requested : 1;
+
+    let done = 0;
+    while (done < count && await this.step()) {
+      done++;
+    }
+    this.state = 'completed';
+
+    // Undo and redo are not history steps themselves
+    return {
+      completed: false,
+      message: done > 0
+        ? `${this.verb.toUpperCase()}: ${done} step${done === 1 ? '' : 's'}`
+        : `Nothing to ${this.verb}`
+    };
+  }
+}
+
+/**
+ * Redo Command
+ * Reapplies the last undone step; REDO n reapplies n steps
+ */
+export class RedoCommand extends UndoCommand {
+  constructor(args = {}) {
+    super(args);
+    this.verb = 'redo';
+  }
+
+  async step() {
+    return commandBus.redo();
+  }
+}
+
+export default UndoCommand;
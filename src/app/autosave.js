@@ -0,0 +1,232 @@
+import useCADStore from './store';
+import { serializeDrawing, deserializeDrawing } from '../io/tcadFormat';
+import {
+  isAutosaveAvailable,
+  saveSnapshot,
+  listSnapshots,
+  loadSnapshot,
+  getSessionState,
+  setSessionState
+} from '../io/autosaveDb';
+
+const DEFAULT_OPTIONS = {
+  intervalMs: 60000,  // Periodic snapshot while there are unsnapshotted changes
+  debounceMs: 2000,   // Quiet time after an edit before snapshotting
+  maxSnapshots: 10    // Snapshots kept in IndexedDB
+};
+
+// Store fields that make up the drawing; a new reference means it changed
+const DRAWING_KEYS = ['entities', 'layers', 'linetypes', 'selectionSets', 'units'];
+
+/**
+ * Autosave Manager
+ * Writes snapshots of the drawing and viewport to IndexedDB periodically and
+ * shortly after edits, and offers the previous session's work for recovery.
+ */
+export class AutosaveManager {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.sessionId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    this.running = false;
+    this.unsubscribe = null;
+    this.intervalId = null;
+    this.debounceId = null;
+    this.lastSnapshot = null;
+    this.savePromise = null;
+    this.startupRecovery = null;
+  }
+
+  /**
+   * Start watching the store. The current state is taken as the baseline.
+   */
+  start() {
+    if (this.running || !isAutosaveAvailable()) return;
+    this.running = true;
+    // Look for the previous session before this one writes anything
+    this.getStartupRecovery();
+    this.lastSnapshot = this.captureReferences(this.store.getState());
+
+    this.unsubscribe = this.store.subscribe((state) => {
+      if (this.hasDrawingChanged(state)) {
+        this.scheduleSave();
+      }
+    });
+    this.intervalId = setInterval(() => {
+      if (this.hasChanged(this.store.getState())) {
+        this.saveNow('interval');
+      }
+    }, this.options.intervalMs);
+  }
+
+  /**
+   * Stop watching the store
+   */
+  stop() {
+    if (!this.running) return;
+    this.running = false;
+    if (this.unsubscribe) this.unsubscribe();
+    clearInterval(this.intervalId);
+    clearTimeout(this.debounceId);
+    this.unsubscribe = null;
+    this.intervalId = null;
+    this.debounceId = null;
+  }
+
+  captureReferences(state) {
+    const references = { viewport: state.viewport };
+    DRAWING_KEYS.forEach(key => { references[key] = state[key]; });
+    return references;
+  }
+
+  hasDrawingChanged(state) {
+    return DRAWING_KEYS.some(key => state[key] !== this.lastSnapshot[key]);
+  }
+
+  // View changes alone are picked up by the periodic save only
+  hasChanged(state) {
+    return this.hasDrawingChanged(state) || state.viewport !== this.lastSnapshot.viewport;
+  }
+
+  scheduleSave() {
+    clearTimeout(this.debounceId);
+    this.debounceId = setTimeout(() => {
+      this.debounceId = null;
+      this.saveNow('change');
+    }, this.options.debounceMs);
+  }
+
+  /**
+   * Write a snapshot of the current state
+   * @param {string} reason - 'interval', 'change' or 'manual'
+   * @returns {Promise<number|null>} Snapshot id, or null if it could not be written
+   */
+  async saveNow(reason = 'manual') {
+    // Serialize writes so snapshots land in order
+    if (this.savePromise) {
+      await this.savePromise.catch(() => {});
+    }
+
+    const state = this.store.getState();
+    const references = this.captureReferences(state);
+    const timestamp = Date.now();
+    const snapshot = {
+      timestamp,
+      reason,
+      sessionId: this.sessionId,
+      entityCount: Array.from(state.entities.values()).filter(entity => !entity.isPreview).length,
+      document: serializeDrawing(state),
+      viewport: { scale: state.viewport.scale, offset: { ...state.viewport.offset } }
+    };
+
+    this.savePromise = (async () => {
+      const id = await saveSnapshot(snapshot, this.options.maxSnapshots);
+      await setSessionState({ sessionId: this.sessionId, dirty: true, updatedAt: timestamp });
+      this.lastSnapshot = references;
+      return id;
+    })();
+
+    try {
+      return await this.savePromise;
+    } catch (error) {
+      console.error('Autosave failed:', error);
+      return null;
+    } finally {
+      this.savePromise = null;
+    }
+  }
+
+  /**
+   * Record that the drawing was saved explicitly, so no recovery is offered for it
+   * @returns {Promise<void>}
+   */
+  async markSaved() {
+    if (!isAutosaveAvailable()) return;
+    clearTimeout(this.debounceId);
+    this.debounceId = null;
+    this.lastSnapshot = this.captureReferences(this.store.getState());
+    try {
+      await setSessionState({ sessionId: this.sessionId, dirty: false, updatedAt: Date.now() });
+    } catch (error) {
+      console.error('Autosave failed:', error);
+    }
+  }
+
+  /**
+   * Find unsaved work left by a previous session. Evaluated once per page load.
+   * @returns {Promise<Object|null>} Newest snapshot summary, or null if nothing to recover
+   */
+  getStartupRecovery() {
+    if (!this.startupRecovery) {
+      this.startupRecovery = (async () => {
+        if (!isAutosaveAvailable()) return null;
+        try {
+          const session = await getSessionState();
+          if (!session || !session.dirty || session.sessionId === this.sessionId) return null;
+          const snapshots = await listSnapshots();
+          return snapshots.find(snapshot => snapshot.sessionId === session.sessionId) || snapshots[0] || null;
+        } catch (error) {
+          console.error('Autosave recovery check failed:', error);
+          return null;
+        }
+      })();
+    }
+    return this.startupRecovery;
+  }
+
+  /**
+   * List stored snapshots, newest first
+   * @returns {Promise<Array<Object>>} Snapshot summaries
+   */
+  async listSnapshots() {
+    if (!isAutosaveAvailable()) return [];
+    return listSnapshots();
+  }
+
+  /**
+   * Replace the drawing and view with a stored snapshot
+   * @param {number} id - Snapshot id
+   * @returns {Promise<Object>} { id, timestamp, entityCount, skipped } of the restored snapshot
+   */
+  async restore(id) {
+    const snapshot = await loadSnapshot(id);
+    if (!snapshot) {
+      throw new Error('Snapshot no longer exists');
+    }
+
+    const drawing = deserializeDrawing(snapshot.document);
+    const store = this.store.getState();
+    store.loadDrawing(drawing);
+    if (snapshot.viewport) {
+      store.requestViewport(snapshot.viewport);
+    }
+
+    // The restored drawing only exists in autosave until it is saved again
+    this.lastSnapshot = this.captureReferences(this.store.getState());
+    await setSessionState({ sessionId: this.sessionId, dirty: true, updatedAt: Date.now() });
+
+    return {
+      id: snapshot.id,
+      timestamp: snapshot.timestamp,
+      entityCount: drawing.entities.size,
+      skipped: drawing.skipped.length
+    };
+  }
+
+  /**
+   * Decline recovery of the previous session (its snapshots stay listed)
+   * @returns {Promise<void>}
+   */
+  async discardRecovery() {
+    try {
+      await setSessionState({ sessionId: this.sessionId, dirty: false, updatedAt: Date.now() });
+    } catch (error) {
+      console.error('Autosave failed:', error);
+    }
+  }
+}
+
+// Global autosave instance
+const autosave = new AutosaveManager(useCADStore);
+
+export default autosave;
@@ -1,15 +1,56 @@
 import useCADStore from './store';
 
+/**
+ * Number of entities a history step added, changed or removed
+ * @param {Object} historyItem - History item
+ * @returns {number} Entity count
+ */
+const affectedEntityCount = (historyItem) => {
+  const { transaction, result } = historyItem;
+  if (!transaction) {
+    return result.entities ? result.entities.length : 0;
+  }
+  const ids = new Set();
+  let replaced = 0;
+  transaction.patches.forEach(patch => {
+    if (patch.path[0] !== 'entities') return;
+    if (patch.path.length > 1) {
+      ids.add(patch.path[1]);
+    } else if (patch.value) {
+      // The whole drawing was replaced (e.g. OPEN)
+      replaced = Math.max(replaced, patch.value.size);
+    }
+  });
+  return Math.max(ids.size, replaced);
+};
+
 /**
  * Command Bus - Central command execution system
  * Implements command pattern for all CAD operations
+ *
+ * Undo works on transactions: everything a command changes in the drawing
+ * is recorded by the store and becomes one history step. Changes made
+ * outside commands (e.g. from panels) are steps of their own.
+ *
+ * `history` is the current branch of steps, `historyIndex` the last one
+ * applied. A new step after some undos does not discard the undone steps:
+ * they are kept in `branches` ({ id, forkIndex, steps }, forking after
+ * history[forkIndex]) and can be switched back to.
  */
 class CommandBus {
   constructor() {
     this.commands = new Map();
     this.history = [];
     this.historyIndex = -1;
+    this.branches = [];
+    this.nextBranchId = 1;
     this.currentCommand = null;
+    // The command whose changes are being recorded: { command, name, args }
+    this.transaction = null;
+
+    useCADStore.getState().setTransactionListener(step => {
+      this.addToHistory(step.label, {}, { completed: true }, step);
+    });
   }
 
   /**
@@ -39,24 +80,26 @@ class CommandBus {
     }
 
     // Create and start new command
-    this.currentCommand = new CommandClass(args);
+    const command = new CommandClass(args);
+    this.currentCommand = command;
     useCADStore.getState().setCommand(commandName, { phase: 'started' });
+    this.beginTransaction(command, commandName, args);
 
+    let result = null;
     try {
-      const result = await this.currentCommand.execute();
-      
-      // Add to history if command completed successfully
-      if (result && result.completed) {
-        this.addToHistory(commandName, args, result);
-      }
-
+      result = await command.execute();
       return result;
     } catch (error) {
       console.error(`Command ${commandName} failed:`, error);
       throw error;
     } finally {
+      this.endTransaction(command, result);
       this.currentCommand = null;
       useCADStore.getState().clearCommand();
+      // The objects a command worked on are deselected when it ends
+      if (!command.keepsSelection) {
+        useCADStore.getState().clearSelection();
+      }
     }
   }
 
@@ -64,21 +107,55 @@ class CommandBus {
    * Cancel current command
    */
   async cancel() {
-    if (this.currentCommand && this.currentCommand.cancel) {
-      await this.currentCommand.cancel();
+    const command = this.currentCommand;
+    if (command && command.cancel) {
+      await command.cancel();
     }
+    // What the command changed before it was cancelled is still one step
+    this.endTransaction(command, null);
     this.currentCommand = null;
     useCADStore.getState().clearCommand();
   }
 
+  /**
+   * Start recording a command's changes
+   * @param {Object} command - Command instance
+   * @param {string} commandName - Command name
+   * @param {Object} args - Command arguments
+   */
+  beginTransaction(command, commandName, args) {
+    this.transaction = { command, name: commandName, args };
+    useCADStore.getState().beginTransaction();
+  }
+
+  /**
+   * Stop recording a command's changes and add them to the history
+   * @param {Object} command - Command instance
+   * @param {Object|null} result - Command result (null if it failed or was cancelled)
+   */
+  endTransaction(command, result) {
+    // Already ended when the command was cancelled
+    if (!this.transaction || this.transaction.command !== command) return;
+
+    const { name, args } = this.transaction;
+    this.transaction = null;
+    const step = useCADStore.getState().endTransaction();
+
+    // Add to history if command completed successfully or changed the drawing
+    if (step || (result && result.completed)) {
+      this.addToHistory(name, args, result || { completed: false }, step);
+    }
+  }
+
   /**
    * Send input to current command
    * @param {string} type - Input type ('point', 'text', 'key')
    * @param {*} value - Input value
+   * @param {Object} modifiers - Modifier keys held during the input ({ shiftKey })
    */
-  async sendInput(type, value) {
+  async sendInput(type, value, modifiers = {}) {
     if (this.currentCommand && this.currentCommand.handleInput) {
-      return await this.currentCommand.handleInput(type, value);
+      return await this.currentCommand.handleInput(type, value, modifiers);
     }
   }
 
@@ -87,19 +164,62 @@ class CommandBus {
    * @param {string} commandName - Command name
    * @param {Object} args - Command arguments
    * @param {Object} result - Command result
+   * @param {Object|null} transaction - Recorded drawing changes ({ patches, inversePatches })
    */
-  addToHistory(commandName, args, result) {
-    // Remove any commands after current position (for redo)
-    this.history = this.history.slice(0, this.historyIndex + 1);
+  addToHistory(commandName, args, result, transaction = null) {
+    // Keep any undone commands after current position as a branch
+    this.detachBranch(this.historyIndex);
     
-    this.history.push({
+    const historyItem = {
       command: commandName,
       args,
       result,
+      transaction,
       timestamp: Date.now()
-    });
+    };
+    historyItem.entityCount = affectedEntityCount(historyItem);
+    this.history.push(historyItem);
     
     this.historyIndex = this.history.length - 1;
+    this.publishHistory();
+  }
+
+  /**
+   * Move the history steps after a fork point into a branch of their own.
+   * Branches that forked inside the moved steps now fork at the same point.
+   * @param {number} forkIndex - Last step that stays in the history
+   */
+  detachBranch(forkIndex) {
+    const tail = this.history.slice(forkIndex + 1);
+    if (tail.length === 0) return;
+
+    this.branches.forEach(branch => {
+      if (branch.forkIndex > forkIndex) {
+        branch.steps = [...this.history.slice(forkIndex + 1, branch.forkIndex + 1), ...branch.steps];
+        branch.forkIndex = forkIndex;
+      }
+    });
+    this.branches.push({ id: this.nextBranchId++, forkIndex, steps: tail });
+    this.history = this.history.slice(0, forkIndex + 1);
+  }
+
+  /**
+   * Make a branch the current history: undo back to where it forked, keep
+   * the current steps after that point as a branch, and redo the branch
+   * @param {number} branchId - Branch id
+   * @returns {Promise<boolean>} False if there is no such branch
+   */
+  async switchBranch(branchId) {
+    const branch = this.branches.find(item => item.id === branchId);
+    if (!branch) return false;
+
+    await this.goToStep(branch.forkIndex);
+    this.branches = this.branches.filter(item => item !== branch);
+    this.detachBranch(branch.forkIndex);
+    this.history = [...this.history, ...branch.steps];
+    await this.goToStep(this.history.length - 1);
+    this.publishHistory();
+    return true;
   }
 
   /**
@@ -109,12 +229,15 @@ class CommandBus {
     if (this.historyIndex >= 0) {
       const historyItem = this.history[this.historyIndex];
       
-      // Execute undo operation if available
-      if (historyItem.result.undo) {
+      // Revert the recorded changes; steps without any fall back to the command's own undo
+      if (historyItem.transaction) {
+        useCADStore.getState().applyStep(historyItem.transaction, true);
+      } else if (historyItem.result.undo) {
         await historyItem.result.undo();
       }
       
       this.historyIndex--;
+      this.publishHistory();
       return true;
     }
     return false;
@@ -128,22 +251,62 @@ class CommandBus {
       this.historyIndex++;
       const historyItem = this.history[this.historyIndex];
       
-      // Execute redo operation if available
-      if (historyItem.result.redo) {
+      // Reapply the recorded changes; steps without any fall back to the command's own redo
+      if (historyItem.transaction) {
+        useCADStore.getState().applyStep(historyItem.transaction, false);
+      } else if (historyItem.result.redo) {
         await historyItem.result.redo();
       }
       
+      this.publishHistory();
       return true;
     }
     return false;
   }
 
+  /**
+   * Undo or redo until a history step is the current one
+   * @param {number} index - History index (-1 for before the first step)
+   */
+  async goToStep(index) {
+    const target = Math.max(-1, Math.min(index, this.history.length - 1));
+    while (this.historyIndex > target) {
+      await this.undo();
+    }
+    while (this.historyIndex < target) {
+      await this.redo();
+    }
+  }
+
+  /**
+   * Show the history in the store (for the history panel)
+   */
+  publishHistory() {
+    const summary = (item) => ({
+      // Commands show by name (LINE), other steps by what they did (Add layer)
+      label: this.commands.has(item.command.toLowerCase()) ? item.command.toUpperCase() : item.command,
+      timestamp: item.timestamp,
+      entityCount: item.entityCount
+    });
+
+    useCADStore.getState().setUndoHistory({
+      steps: this.history.map(summary),
+      index: this.historyIndex,
+      branches: this.branches.map(branch => ({
+        id: branch.id,
+        forkIndex: branch.forkIndex,
+        steps: branch.steps.map(summary)
+      }))
+    });
+  }
+
   /**
    * Repeat last command
    */
   async repeatLast() {
-    if (this.history.length > 0) {
-      const lastCommand = this.history[this.history.length - 1];
+    // Steps recorded outside commands (e.g. 'Add layer') cannot be repeated
+    const lastCommand = [...this.history].reverse().find(item => this.commands.has(item.command.toLowerCase()));
+    if (lastCommand) {
       return await this.run(lastCommand.command, lastCommand.args);
     }
   }
@@ -167,6 +330,10 @@ export class BaseCommand {
     this.state = 'initialized';
     this.prompts = [];
     this.currentPrompt = 0;
+    // Commands that give shift+click a meaning (e.g. TRIM's extend) turn off shift-panning
+    this.acceptsShiftPick = false;
+    // Commands that leave their objects selected (e.g. grip edits) skip the deselect at the end
+    this.keepsSelection = false;
   }
 
   /**
@@ -195,6 +362,16 @@ export class BaseCommand {
     console.log(`Command received input: ${type}`, value);
   }
 
+  /**
+   * Whether the command is collecting objects right now. While it is, canvas
+   * picks, windows and lassos build the selection and arrive as 'selection'
+   * input instead of points.
+   * @returns {boolean} True while selecting
+   */
+  isSelecting() {
+    return this.state === 'waitingForSelection';
+  }
+
   /**
    * Set current prompt message
    * @param {string} message - Prompt message
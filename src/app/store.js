@@ -1,10 +1,29 @@
 import { create } from 'zustand';
-import { produce } from 'immer';
+import { produce, produceWithPatches, applyPatches, current, isDraft } from 'immer';
 import RBush from 'rbush';
 import { v4 as uuidv4 } from 'uuid';
-import { enableMapSet } from 'immer';
+import { enableMapSet, enablePatches } from 'immer';
+import { DEFAULT_PLOT_SETTINGS } from '../io/plotter';
 
 enableMapSet();
+enablePatches();
+
+// Drawing content covered by undo; selection, view and settings changes are not recorded
+const TRACKED_KEYS = ['entities', 'layers', 'linetypes', 'selectionSets'];
+
+/**
+ * Copy of an entity with some properties changed, keeping its class.
+ * Entities are replaced rather than changed in place so every change
+ * shows up in the recorded patches.
+ * @param {Object} entity - Entity (class instance or draft)
+ * @param {Object} updates - Properties to change
+ * @returns {Object} New entity
+ */
+const updatedEntity = (entity, updates) => {
+  const base = isDraft(entity) ? current(entity) : entity;
+  return Object.assign(Object.create(Object.getPrototypeOf(base)), base, updates);
+};
+
 /**
  * Main CAD application store using Zustand
  * Manages entities, layers, selection, and spatial indexing
@@ -13,13 +32,70 @@ const useCADStore = create((set, get) => {
   // Spatial index for fast queries (snapping, hit testing)
   const spatialIndex = new RBush();
 
+  // Patches of the open transaction ({ patches, inversePatches }), null when none is open
+  let transaction = null;
+  // Receives the steps of changes made outside a transaction
+  let transactionListener = null;
+
+  const indexEntity = (id, entity) => {
+    const bbox = get().getEntityBounds(entity);
+    if (bbox) {
+      spatialIndex.insert({
+        minX: bbox.minX,
+        minY: bbox.minY,
+        maxX: bbox.maxX,
+        maxY: bbox.maxY,
+        entityId: id
+      });
+    }
+  };
+
+  const unindexEntity = (id) => {
+    const item = spatialIndex.all().find(item => item.entityId === id);
+    if (item) spatialIndex.remove(item);
+  };
+
+  /**
+   * Change the drawing and record the change: into the open transaction, or
+   * as a step of its own for the transaction listener. Changes to command
+   * previews are not recorded.
+   * @param {string} label - What the change is, for steps outside a transaction
+   * @param {Function} recipe - Immer recipe
+   */
+  const mutate = (label, recipe) => {
+    const before = get();
+    const [next, patches, inversePatches] = produceWithPatches(before, recipe);
+    set(next);
+
+    const recorded = (patch) => {
+      if (!TRACKED_KEYS.includes(patch.path[0])) return false;
+      if (patch.path[0] !== 'entities' || patch.path.length < 2) return true;
+      const entity = before.entities.get(patch.path[1]) || next.entities.get(patch.path[1]);
+      return !(entity && entity.isPreview);
+    };
+    const step = { patches: patches.filter(recorded), inversePatches: inversePatches.filter(recorded) };
+    if (step.patches.length === 0) return;
+
+    if (transaction) {
+      transaction.patches.push(...step.patches);
+      // Undo runs backwards through the changes
+      transaction.inversePatches.unshift(...step.inversePatches);
+    } else if (transactionListener) {
+      transactionListener({ label, ...step });
+    }
+  };
+
   return {
     // Core data
     entities: new Map(),
     layers: new Map([
-      ['0', { id: '0', name: 'Layer 0', visible: true, locked: false, color: '#ffffff' }]
+      ['0', { id: '0', name: 'Layer 0', visible: true, locked: false, plottable: true, color: '#ffffff' }]
     ]),
     selection: new Set(),
+    // Named selection sets, keyed by lower-case name: { name, ids }
+    selectionSets: new Map(),
+    // Drawing-specific linetype definitions (standard ones live in core/linetypes)
+    linetypes: new Map(),
     
     // UI state
     currentLayer: '0',
@@ -27,7 +103,8 @@ const useCADStore = create((set, get) => {
       type: 'decimal', // Options: decimal, architectural, engineering, fractional, scientific
       name: 'Decimal',
       scale: 1.0, // Drawing units per screen unit
-      precision: 2
+      precision: 2,
+      lengthUnit: 'mm' // What one world unit represents (see core/units)
     },
     setUnits: (units) => set(produce((draft) => {
       draft.units = { ...draft.units, ...units };
@@ -45,82 +122,149 @@ const useCADStore = create((set, get) => {
     },
     ortho: false,
     polar: false,
+    // Mirror text reflected (true) or keep it readable (false), like MIRRTEXT
+    mirrorText: false,
+    setMirrorText: (mirrorText) => set(produce((draft) => {
+      draft.mirrorText = !!mirrorText;
+    })),
+
+    // Plot (PDF) settings - paper, scale and title block
+    plotSettings: DEFAULT_PLOT_SETTINGS,
+    setPlotSettings: (settings) => set(produce((draft) => {
+      draft.plotSettings = {
+        ...draft.plotSettings,
+        ...settings,
+        titleBlock: { ...draft.plotSettings.titleBlock, ...(settings.titleBlock || {}) }
+      };
+    })),
     
     // Drawing state
     currentCommand: null,
     commandState: {},
     
-    // Viewport state
+    // Viewport state (mirrored from the canvas for autosave/recovery)
     viewport: {
       scale: 1.0,
       offset: { x: 0, y: 0 }
     },
+    // View the canvas should switch to on its next render (null when none)
+    pendingViewport: null,
+
+    // Autosave recovery dialog visibility
+    recoveryOpen: false,
+    // Quick select panel visibility
+    quickSelectOpen: false,
+    // Selection sets panel visibility
+    selectionSetsOpen: false,
+    // Undo history panel visibility
+    historyOpen: false,
+    // Undo steps as shown in the history panel (published by the command bus)
+    undoHistory: { steps: [], index: -1, branches: [] },
+    // Properties SELECTSIMILAR compares
+    similarProperties: ['type', 'layer', 'color', 'linetype'],
+
+    /**
+     * Record the canvas viewport
+     * @param {Object} viewport - { scale, offset }
+     */
+    setViewport: (viewport) => set(produce((draft) => {
+      draft.viewport = { scale: viewport.scale, offset: { ...viewport.offset } };
+    })),
+
+    /**
+     * Ask the canvas to switch to a view (consumed by CadCanvas)
+     * @param {Object|null} viewport - { scale, offset } or null to clear
+     */
+    requestViewport: (viewport) => set(produce((draft) => {
+      draft.pendingViewport = viewport ? { scale: viewport.scale, offset: { ...viewport.offset } } : null;
+    })),
+
+    /**
+     * Show or hide the autosave recovery dialog
+     * @param {boolean} open - Visibility
+     */
+    setRecoveryOpen: (open) => set(produce((draft) => {
+      draft.recoveryOpen = open;
+    })),
+
+    /**
+     * Show or hide the quick select panel
+     * @param {boolean} open - Visibility
+     */
+    setQuickSelectOpen: (open) => set(produce((draft) => {
+      draft.quickSelectOpen = open;
+    })),
+
+    /**
+     * Show or hide the selection sets panel
+     * @param {boolean} open - Visibility
+     */
+    setSelectionSetsOpen: (open) => set(produce((draft) => {
+      draft.selectionSetsOpen = open;
+    })),
+
+    /**
+     * Show or hide the undo history panel
+     * @param {boolean} open - Visibility
+     */
+    setHistoryOpen: (open) => set(produce((draft) => {
+      draft.historyOpen = open;
+    })),
+
+    /**
+     * Choose the properties SELECTSIMILAR compares
+     * @param {string[]} properties - Property names
+     */
+    setSimilarProperties: (properties) => set(produce((draft) => {
+      draft.similarProperties = [...properties];
+    })),
 
     /**
      * Add a new entity to the drawing
      * @param {Object} entity - Entity to add
      */
-    addEntity: (entity) => set(produce((draft) => {
+    addEntity: (entity) => mutate('Add entity', (draft) => {
       const id = entity.id || uuidv4();
       entity.id = id; // Ensure id is set on the instance
       draft.entities.set(id, entity); // Store the class instance, not a plain object
       console.log('Entity added:', entity); // Debug log
       // Add to spatial index
-      const bbox = get().getEntityBounds(entity);
-      if (bbox) {
-        spatialIndex.insert({
-          minX: bbox.minX,
-          minY: bbox.minY,
-          maxX: bbox.maxX,
-          maxY: bbox.maxY,
-          entityId: id
-        });
-      }
-    })),
+      indexEntity(id, entity);
+    }),
 
     /**
      * Update an existing entity
      * @param {string} id - Entity ID
      * @param {Object} updates - Properties to update
      */
-    updateEntity: (id, updates) => set(produce((draft) => {
+    updateEntity: (id, updates) => mutate('Modify entity', (draft) => {
       if (draft.entities.has(id)) {
         // Remove from spatial index
-        spatialIndex.remove(spatialIndex.all().find(item => item.entityId === id));
+        unindexEntity(id);
         
         // Update entity
-        const entity = draft.entities.get(id);
-        Object.assign(entity, updates);
+        const entity = updatedEntity(draft.entities.get(id), updates);
+        draft.entities.set(id, entity);
         
         // Re-add to spatial index
-        const bbox = get().getEntityBounds(entity);
-        if (bbox) {
-          spatialIndex.insert({
-            minX: bbox.minX,
-            minY: bbox.minY,
-            maxX: bbox.maxX,
-            maxY: bbox.maxY,
-            entityId: id
-          });
-        }
+        indexEntity(id, entity);
       }
-    })),
+    }),
 
     /**
      * Remove an entity
      * @param {string} id - Entity ID to remove
      */
-    removeEntity: (id) => set(produce((draft) => {
+    removeEntity: (id) => mutate('Erase entity', (draft) => {
       if (draft.entities.has(id)) {
         // Remove from spatial index
-        const item = spatialIndex.all().find(item => item.entityId === id);
-        if (item) spatialIndex.remove(item);
+        unindexEntity(id);
         
         // Remove from entities and selection
         draft.entities.delete(id);
         draft.selection.delete(id);
       }
-    })),
+    }),
 
     /**
      * Clear selection
@@ -162,37 +306,54 @@ const useCADStore = create((set, get) => {
       });
     })),
 
+    /**
+     * Save a named selection set (replaces a set with the same name)
+     * @param {string} name - Set name (case-insensitive)
+     * @param {string[]} ids - Entity IDs in the set
+     */
+    saveSelectionSet: (name, ids) => mutate('Save selection set', (draft) => {
+      draft.selectionSets.set(name.toLowerCase(), { name, ids: [...ids] });
+    }),
+
+    /**
+     * Delete a named selection set
+     * @param {string} name - Set name (case-insensitive)
+     */
+    deleteSelectionSet: (name) => mutate('Delete selection set', (draft) => {
+      draft.selectionSets.delete(name.toLowerCase());
+    }),
+
     /**
      * Add a new layer
      * @param {Object} layer - Layer properties
      */
-    addLayer: (layer) => set(produce((draft) => {
+    addLayer: (layer) => mutate('Add layer', (draft) => {
       const id = layer.id || uuidv4();
       draft.layers.set(id, { ...layer, id });
-    })),
+    }),
 
     /**
      * Update layer properties
      * @param {string} id - Layer ID
      * @param {Object} updates - Properties to update
      */
-    updateLayer: (id, updates) => set(produce((draft) => {
+    updateLayer: (id, updates) => mutate('Change layer', (draft) => {
       if (draft.layers.has(id)) {
         Object.assign(draft.layers.get(id), updates);
       }
-    })),
+    }),
 
     /**
      * Remove a layer (moves entities to layer 0)
      * @param {string} id - Layer ID to remove
      */
-    removeLayer: (id) => set(produce((draft) => {
+    removeLayer: (id) => mutate('Remove layer', (draft) => {
       if (id === '0') return; // Cannot remove layer 0
       
       // Move entities to layer 0
-      draft.entities.forEach((entity) => {
+      draft.entities.forEach((entity, entityId) => {
         if (entity.layerId === id) {
-          entity.layerId = '0';
+          draft.entities.set(entityId, updatedEntity(entity, { layerId: '0' }));
         }
       });
       
@@ -202,7 +363,16 @@ const useCADStore = create((set, get) => {
       if (draft.currentLayer === id) {
         draft.currentLayer = '0';
       }
-    })),
+    }),
+
+    /**
+     * Add or replace a linetype definition
+     * @param {Object} linetype - { name, description, pattern }
+     */
+    addLinetype: (linetype) => mutate('Add linetype', (draft) => {
+      const name = linetype.name.toLowerCase();
+      draft.linetypes.set(name, { ...linetype, name });
+    }),
 
     /**
      * Set current layer
@@ -340,6 +510,8 @@ const useCADStore = create((set, get) => {
           return bounds;
           
         case 'polyline':
+          // Polyline instances account for their arc segments
+          if (typeof entity.getBounds === 'function') return entity.getBounds();
           if (!entity.vertices || entity.vertices.length === 0) {
             return { minX: 0, minY: 0, maxX: 0, maxY: 0 };
           }
@@ -357,12 +529,113 @@ const useCADStore = create((set, get) => {
           }
           
           return { minX, minY, maxX, maxY };
+
+        case 'array':
+          // Associative arrays cover all of their generated items
+          return typeof entity.getBounds === 'function' ? entity.getBounds() : null;
+
+        case 'text':
+          return typeof entity.getBounds === 'function' ? entity.getBounds() : null;
         
         default:
           return null;
       }
     },
 
+    /**
+     * Replace the whole drawing (used by file open / recovery)
+     * @param {Object} drawing - { entities: Map, layers: Map, linetypes?, selectionSets?, units?, snap?, plotSettings?, mirrorText?, currentLayer? }
+     */
+    loadDrawing: (drawing) => {
+      mutate('Load drawing', (draft) => {
+        draft.entities = drawing.entities;
+        draft.layers = drawing.layers;
+        draft.linetypes = drawing.linetypes || new Map();
+        draft.selectionSets = drawing.selectionSets || new Map();
+        draft.selection = new Set();
+        draft.currentLayer = drawing.currentLayer || '0';
+        if (drawing.units) {
+          draft.units = { ...draft.units, ...drawing.units };
+        }
+        if (drawing.snap) {
+          draft.snap = { ...draft.snap, ...drawing.snap };
+        }
+        if (drawing.plotSettings) {
+          draft.plotSettings = { ...draft.plotSettings, ...drawing.plotSettings };
+        }
+        if (typeof drawing.mirrorText === 'boolean') {
+          draft.mirrorText = drawing.mirrorText;
+        }
+      });
+      get().rebuildSpatialIndex();
+    },
+
+    /**
+     * Start collecting drawing changes into one undo step
+     */
+    beginTransaction: () => {
+      transaction = { patches: [], inversePatches: [] };
+    },
+
+    /**
+     * Close the open transaction
+     * @returns {Object|null} { patches, inversePatches }, or null if nothing changed
+     */
+    endTransaction: () => {
+      const step = transaction;
+      transaction = null;
+      return step && step.patches.length > 0 ? step : null;
+    },
+
+    /**
+     * Set who receives the changes made outside a transaction (direct store
+     * calls), each as a step of its own
+     * @param {Function|null} listener - ({ label, patches, inversePatches }) => void
+     */
+    setTransactionListener: (listener) => {
+      transactionListener = listener;
+    },
+
+    /**
+     * Undo or redo a recorded step. Applying it is not recorded again.
+     * @param {Object} step - { patches, inversePatches }
+     * @param {boolean} undo - Apply the inverse patches
+     */
+    applyStep: (step, undo) => {
+      const patches = undo ? step.inversePatches : step.patches;
+      // Entities the step touched, or null when it replaced them all
+      const replacedAll = patches.some(patch => patch.path[0] === 'entities' && patch.path.length < 2);
+      const touched = replacedAll
+        ? null
+        : new Set(patches.filter(patch => patch.path[0] === 'entities').map(patch => patch.path[1]));
+
+      set(state => produce(applyPatches(state, patches), (draft) => {
+        // Entities the step removed cannot stay selected
+        draft.selection.forEach(id => {
+          if ((!touched || touched.has(id)) && !draft.entities.has(id)) draft.selection.delete(id);
+        });
+      }));
+
+      // Bring the spatial index up to date with the entities the step touched
+      if (!touched) {
+        get().rebuildSpatialIndex();
+        return;
+      }
+      const { entities } = get();
+      touched.forEach(id => {
+        unindexEntity(id);
+        if (entities.has(id)) indexEntity(id, entities.get(id));
+      });
+    },
+
+    /**
+     * Publish the undo history for display
+     * @param {Object} history - { steps: [{ label, timestamp, entityCount }], index, branches: [{ id, forkIndex, steps }] }
+     */
+    setUndoHistory: (history) => set(produce((draft) => {
+      draft.undoHistory = history;
+    })),
+
     /**
      * Rebuild spatial index (use after bulk operations)
      */
@@ -370,18 +643,7 @@ const useCADStore = create((set, get) => {
       spatialIndex.clear();
       const { entities } = get();
       
-      entities.forEach((entity, id) => {
-        const bbox = get().getEntityBounds(entity);
-        if (bbox) {
-          spatialIndex.insert({
-            minX: bbox.minX,
-            minY: bbox.minY,
-            maxX: bbox.maxX,
-            maxY: bbox.maxY,
-            entityId: id
-          });
-        }
-      });
+      entities.forEach((entity, id) => indexEntity(id, entity));
     },
 
     // Getter for spatial index (for advanced queries)
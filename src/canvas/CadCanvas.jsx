@@ -3,10 +3,17 @@ import { Stage, Layer } from 'react-konva';
 import useViewport from './useViewport';
 import Grid from './Grid';
 import RenderEntities from './RenderEntities';
+import RenderGrips from './RenderGrips';
+import RenderSelection from './RenderSelection';
+import useSelectionTool from './useSelectionTool';
 import useCADStore from '../app/store';
 import commandBus from '../app/commandBus';
 import snapEngine from '../core/snapping/SnapEngine';
 import SnapVisual from '../core/snapping/SnapVisual';
+import { GRIPSIZE, findGrip, selectionGrips } from '../core/selection/grips';
+
+// A grip released further than this (in pixels) from where it was pressed was dragged
+const GRIP_DRAG_PIXELS = 3;
 
 /**
  * Main CAD Canvas component
@@ -15,8 +22,13 @@ import SnapVisual from '../core/snapping/SnapVisual';
 const CadCanvas = ({ width = 800, height = 600 }) => {
   const stageRef = useRef();
   const viewport = useViewport();
+  const selectionTool = useSelectionTool(viewport);
+  const { cancel: cancelSelection } = selectionTool;
   const [stageSize, setStageSize] = useState({ width, height });
   const [currentSnap, setCurrentSnap] = useState(null);
+  const [hoverGrip, setHoverGrip] = useState(null);
+  // Screen position a grip was pressed at, until the click that follows
+  const gripPress = useRef(null);
 
   // Store references for event handling
   const currentCommand = useCADStore(state => state.currentCommand);
@@ -24,6 +36,26 @@ const CadCanvas = ({ width = 800, height = 600 }) => {
   const updateCommandState = useCADStore(state => state.updateCommandState);
   const ortho = useCADStore(state => state.ortho);
   const snap = useCADStore(state => state.snap);
+  const pendingViewport = useCADStore(state => state.pendingViewport);
+  const { setView } = viewport;
+
+  // Mirror the view into the store so autosave can persist it
+  useEffect(() => {
+    useCADStore.getState().setViewport({ scale: viewport.scale, offset: viewport.offset });
+  }, [viewport.scale, viewport.offset]);
+
+  // Apply views requested from outside the canvas (e.g. recovery)
+  useEffect(() => {
+    if (pendingViewport) {
+      setView(pendingViewport);
+      useCADStore.getState().requestViewport(null);
+    }
+  }, [pendingViewport, setView]);
+
+  // A window or lasso in progress belongs to the command (or idle state) it was started in
+  useEffect(() => {
+    cancelSelection();
+  }, [currentCommand, cancelSelection]);
 
   // Handle window resize
   useEffect(() => {
@@ -43,6 +75,13 @@ const CadCanvas = ({ width = 800, height = 600 }) => {
     return () => window.removeEventListener('resize', handleResize);
   }, []);
 
+  // Grip of the selection under a screen point (only while no command runs)
+  const gripAt = (pointer) => {
+    const { entities, selection } = useCADStore.getState();
+    const selected = Array.from(selection).map(id => entities.get(id)).filter(Boolean);
+    return findGrip(selectionGrips(selected), viewport.toWorld(pointer), (GRIPSIZE + 1) / viewport.scale);
+  };
+
   // Handle mouse events for commands
   const handleStageClick = async (e) => {
     // Don't process click if we're panning
@@ -50,11 +89,26 @@ const CadCanvas = ({ width = 800, height = 600 }) => {
     
     const stage = e.target.getStage();
     const pointer = stage.getPointerPosition();
+
+    // Clicking a grip makes it hot; releasing it after a drag places it
+    if (gripPress.current) {
+      const press = gripPress.current;
+      gripPress.current = null;
+      if (Math.hypot(pointer.x - press.x, pointer.y - press.y) < GRIP_DRAG_PIXELS) return;
+    }
+
+    // Picks, windows and lassos select while no command runs or the command is selecting
+    if (selectionTool.isActive()) {
+      selectionTool.onClick(pointer, e.evt.shiftKey);
+      return;
+    }
+
     let worldPoint = viewport.toWorld(pointer);
+    let snapResult = null;
 
     // Apply snapping if enabled
     if (snap.enabled && currentCommand) {
-      const snapResult = snapEngine.findSnapPoint(pointer, viewport);
+      snapResult = snapEngine.findSnapPoint(pointer, viewport);
       if (snapResult) {
         worldPoint = snapResult.point;
         console.log('Snapped to:', snapResult.type, 'at', worldPoint);
@@ -68,10 +122,8 @@ const CadCanvas = ({ width = 800, height = 600 }) => {
 
     console.log('Click at world coordinates:', worldPoint);
 
-    // Send point input to current command
-    if (currentCommand) {
-      await commandBus.sendInput('point', worldPoint);
-    }
+    // Send point input to current command (with the snap, e.g. for deferred perpendicular or tangent)
+    await commandBus.sendInput('point', worldPoint, { shiftKey: e.evt.shiftKey, snap: snapResult });
   };
 
   const handleMouseMove = (e) => {
@@ -80,6 +132,8 @@ const CadCanvas = ({ width = 800, height = 600 }) => {
     let worldPoint = viewport.toWorld(pointer);
     let snapResult = null;
 
+    selectionTool.onMouseMove(pointer, e.evt.buttons);
+
     // Apply snapping if enabled
     if (snap.enabled && currentCommand) {
       snapResult = snapEngine.findSnapPoint(pointer, viewport);
@@ -93,6 +147,14 @@ const CadCanvas = ({ width = 800, height = 600 }) => {
       setCurrentSnap(null);
     }
 
+    // Highlight the grip under the cursor
+    const grip = currentCommand ? null : gripAt(pointer);
+    setHoverGrip(previous => (
+      previous && grip && previous.entityId === grip.entityId && previous.kind === grip.kind && previous.index === grip.index
+        ? previous
+        : grip
+    ));
+
     // Apply ortho constraint if enabled and we have a reference point
     if (ortho && currentCommand && commandState.lastPoint) {
       worldPoint = snapEngine.applyOrtho(commandState.lastPoint, worldPoint);
@@ -113,14 +175,49 @@ const CadCanvas = ({ width = 800, height = 600 }) => {
 
   const handleMouseDown = (e) => {
     // Handle pan start (middle mouse button or shift+left click)
-    if (e.evt.button === 1 || (e.evt.button === 0 && e.evt.shiftKey)) {
+    // Shift+click deselects while selecting, and has its own meaning in some commands (e.g. TRIM's extend)
+    const shiftPick = e.evt.button === 0 && (
+      selectionTool.isActive() || (commandBus.currentCommand && commandBus.currentCommand.acceptsShiftPick)
+    );
+    if (e.evt.button === 1 || (e.evt.button === 0 && e.evt.shiftKey && !shiftPick)) {
       viewport.beginPan(e);
+      return;
+    }
+
+    // Pressing a grip of the selection starts grip editing
+    if (e.evt.button === 0 && !commandBus.currentCommand) {
+      const pointer = e.target.getStage().getPointerPosition();
+      const grip = gripAt(pointer);
+      if (grip) {
+        gripPress.current = pointer;
+        setHoverGrip(null);
+        commandBus.run('gripedit', { grip }).catch(error => {
+          console.error('Command failed:', error);
+        });
+        return;
+      }
+    }
+
+    if (e.evt.button === 0 && selectionTool.isActive()) {
+      selectionTool.onMouseDown(e.target.getStage().getPointerPosition());
     }
   };
 
   // Handle keyboard shortcuts
   useEffect(() => {
     const handleKeyDown = (e) => {
+      // Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z) undo and redo, except while editing text in a field
+      const key = e.key.toLowerCase();
+      const editingText = ['INPUT', 'TEXTAREA'].includes(e.target.tagName) && e.target.value;
+      if ((e.ctrlKey || e.metaKey) && (key === 'z' || key === 'y') && !editingText) {
+        e.preventDefault();
+        const command = key === 'y' || e.shiftKey ? 'redo' : 'undo';
+        commandBus.run(command).catch(error => {
+          console.error('Command failed:', error);
+        });
+        return;
+      }
+
       // Send key input to current command first
       if (currentCommand) {
         commandBus.sendInput('key', e.key);
@@ -128,9 +225,19 @@ const CadCanvas = ({ width = 800, height = 600 }) => {
       
       // Handle global shortcuts
       switch (e.key) {
-        case 'Escape':
+        case 'Escape': {
+          const hadWindow = cancelSelection();
           if (currentCommand) {
             commandBus.cancel();
+          } else if (!hadWindow) {
+            useCADStore.getState().clearSelection();
+          }
+          break;
+        }
+        case ' ':
+          // Space cycles grip modes; keep it from scrolling or pressing buttons
+          if (currentCommand && !['INPUT', 'TEXTAREA'].includes(e.target.tagName)) {
+            e.preventDefault();
           }
           break;
         case 'F8':
@@ -156,7 +263,7 @@ const CadCanvas = ({ width = 800, height = 600 }) => {
 
     document.addEventListener('keydown', handleKeyDown);
     return () => document.removeEventListener('keydown', handleKeyDown);
-  }, [currentCommand]);
+  }, [currentCommand, cancelSelection]);
 
   return (
     <div className="w-full h-full bg-gray-900 relative">
@@ -183,6 +290,8 @@ const CadCanvas = ({ width = 800, height = 600 }) => {
             viewport={viewport}
           />
           <RenderEntities viewport={viewport} />
+          <RenderGrips viewport={viewport} hoverGrip={hoverGrip} />
+          <RenderSelection viewport={viewport} box={selectionTool.box} lasso={selectionTool.lasso} />
           
           {/* Snap visual indicator */}
           {currentSnap && (
@@ -1,6 +1,8 @@
 import React from 'react';
-import { Line, Circle, Arc, Rect } from 'react-konva';
+import { Line, Circle, Arc, Rect, Text } from 'react-konva';
 import useCADStore from '../app/store';
+import { segmentPoints } from '../core/geometry/bulge';
+import { hasWidth, widthOutlines } from '../core/geometry/polylineWidth';
 
 /**
  * Renders all entities in the CAD drawing
@@ -9,13 +11,17 @@ const RenderEntities = ({ viewport }) => {
   const entities = useCADStore(state => state.entities);
   const selection = useCADStore(state => state.selection);
   const layers = useCADStore(state => state.layers);
+  // Entities a command's preview replaces (e.g. CHAMFER) are left out while it is shown
+  const previewHidden = useCADStore(state => state.commandState.previewHidden);
 
-  const renderEntity = (entity) => {
+  const renderEntity = (entity, parent = null) => {
     const layer = layers.get(entity.layerId);
     if (!layer || !layer.visible) return null;
 
-    const isSelected = selection.has(entity.id);
-    const color = isSelected ? '#ffff00' : (entity.color || layer.color || '#ffffff');
+    // Array items highlight with their array and take on its preview colour
+    const isSelected = selection.has(parent ? parent.id : entity.id);
+    const ownColor = parent && parent.isPreview ? parent.color : entity.color;
+    const color = isSelected ? '#ffff00' : (ownColor || layer.color || '#ffffff');
     const strokeWidth = Math.max(1, (entity.lineweight || 1) / viewport.scale);
 
     switch (entity.type) {
@@ -95,16 +101,22 @@ const RenderEntities = ({ viewport }) => {
           />
         );
 
-      case 'polyline':
+      case 'polyline': {
         if (!entity.vertices || entity.vertices.length < 2) return null;
         
         const polyPoints = [];
-        entity.vertices.forEach(vertex => {
-          const screenPoint = viewport.toScreen(vertex);
+        const addPoint = (point) => {
+          const screenPoint = viewport.toScreen(point);
           polyPoints.push(screenPoint.x, screenPoint.y);
+        };
+        entity.vertices.forEach((vertex, index) => {
+          addPoint(vertex);
+          // Arc segments are drawn as short chords up to the next vertex
+          const next = entity.vertices[index + 1] || (entity.closed ? entity.vertices[0] : null);
+          if (vertex.bulge && next) segmentPoints(vertex, next, vertex.bulge).slice(1, -1).forEach(addPoint);
         });
 
-        return (
+        const centreLine = (
           <Line
             key={entity.id}
             points={polyPoints}
@@ -117,6 +129,62 @@ const RenderEntities = ({ viewport }) => {
             entityId={entity.id}
           />
         );
+        if (!hasWidth(entity.vertices)) return centreLine;
+
+        // Wide segments are filled outlines under the centre line
+        return (
+          <React.Fragment key={entity.id}>
+            {widthOutlines(entity.vertices, entity.closed).map((outline, index) => (
+              <Line
+                key={`${entity.id}-width-${index}`}
+                points={outline.flatMap(point => {
+                  const screenPoint = viewport.toScreen(point);
+                  return [screenPoint.x, screenPoint.y];
+                })}
+                closed={true}
+                fill={color}
+                listening={true}
+                entityId={entity.id}
+              />
+            ))}
+            {centreLine}
+          </React.Fragment>
+        );
+      }
+
+      case 'text': {
+        const textScreen = viewport.toScreen(entity.position);
+        const fontSize = entity.height * viewport.scale;
+        // Wide enough for the text, centred on the position
+        const textWidth = Math.max(1, entity.text.length) * fontSize;
+        return (
+          <Text
+            key={entity.id}
+            x={textScreen.x}
+            y={textScreen.y}
+            text={entity.text}
+            fontSize={fontSize}
+            fontFamily="sans-serif"
+            width={textWidth}
+            align="center"
+            offsetX={textWidth / 2}
+            offsetY={fontSize / 2}
+            rotation={entity.rotation * 180 / Math.PI}
+            scaleY={entity.mirrored ? -1 : 1}
+            fill={color}
+            listening={true}
+            entityId={entity.id}
+          />
+        );
+      }
+
+      case 'array':
+        if (typeof entity.getItems !== 'function') return null;
+        return (
+          <React.Fragment key={entity.id}>
+            {entity.getItems().map(item => renderEntity(item, entity))}
+          </React.Fragment>
+        );
 
       default:
         console.warn(`Unknown entity type: ${entity.type}`);
@@ -127,7 +195,7 @@ const RenderEntities = ({ viewport }) => {
   // Filter out entities from locked layers for selection
   const visibleEntities = Array.from(entities.values()).filter(entity => {
     const layer = layers.get(entity.layerId);
-    return layer && layer.visible;
+    return layer && layer.visible && !(previewHidden && previewHidden.includes(entity.id));
   });
 
   return (
@@ -0,0 +1,53 @@
+import React from 'react';
+import { Rect } from 'react-konva';
+import useCADStore from '../app/store';
+import { GRIPSIZE, selectionGrips } from '../core/selection/grips';
+
+const GRIP_COLORS = {
+  cold: '#0066ff',
+  hover: '#00cc66',
+  hot: '#ff3333'
+};
+
+const sameGrip = (a, b) => !!a && !!b && a.entityId === b.entityId && a.kind === b.kind && a.index === b.index;
+
+/**
+ * Renders grips on the selected entities while no other command is running
+ */
+const RenderGrips = ({ viewport, hoverGrip = null }) => {
+  const entities = useCADStore(state => state.entities);
+  const selection = useCADStore(state => state.selection);
+  const currentCommand = useCADStore(state => state.currentCommand);
+  const hotGrip = useCADStore(state => state.commandState.hotGrip);
+
+  if (currentCommand && currentCommand !== 'gripedit') return null;
+
+  const selected = Array.from(selection).map(id => entities.get(id)).filter(Boolean);
+  const grips = selectionGrips(selected);
+
+  return (
+    <>
+      {grips.map(grip => {
+        const screen = viewport.toScreen(grip.point);
+        let color = GRIP_COLORS.cold;
+        if (sameGrip(grip, hotGrip)) color = GRIP_COLORS.hot;
+        else if (sameGrip(grip, hoverGrip)) color = GRIP_COLORS.hover;
+        return (
+          <Rect
+            key={`${grip.entityId}-${grip.kind}-${grip.index}`}
+            x={screen.x - GRIPSIZE}
+            y={screen.y - GRIPSIZE}
+            width={GRIPSIZE * 2}
+            height={GRIPSIZE * 2}
+            fill={color}
+            stroke="#ffffff"
+            strokeWidth={1}
+            listening={false}
+          />
+        );
+      })}
+    </>
+  );
+};
+
+export default RenderGrips;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { Line } from 'react-konva';
+import { isCrossingLasso } from '../core/selection/hitTest';
+
+const WINDOW_STYLE = { stroke: '#3399ff', fill: 'rgba(51, 153, 255, 0.15)', dash: undefined };
+const CROSSING_STYLE = { stroke: '#33cc66', fill: 'rgba(51, 204, 102, 0.15)', dash: [6, 4] };
+
+/**
+ * Renders the selection window or lasso in progress: blue and solid for a
+ * window, green and dashed for a crossing selection
+ */
+const RenderSelection = ({ viewport, box = null, lasso = null }) => {
+  let points = null;
+  let crossing = false;
+
+  if (box) {
+    points = [
+      box.start,
+      { x: box.end.x, y: box.start.y },
+      box.end,
+      { x: box.start.x, y: box.end.y }
+    ];
+    crossing = box.end.x < box.start.x;
+  } else if (lasso && lasso.length > 1) {
+    points = lasso;
+    crossing = isCrossingLasso(lasso);
+  }
+  if (!points) return null;
+
+  const style = crossing ? CROSSING_STYLE : WINDOW_STYLE;
+  return (
+    <Line
+      points={points.flatMap(point => {
+        const screen = viewport.toScreen(point);
+        return [screen.x, screen.y];
+      })}
+      closed={true}
+      stroke={style.stroke}
+      fill={style.fill}
+      dash={style.dash}
+      strokeWidth={1}
+      listening={false}
+    />
+  );
+};
+
+export default RenderSelection;
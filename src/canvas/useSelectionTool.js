@@ -0,0 +1,138 @@
+import { useState, useRef, useCallback } from 'react';
+import useCADStore from '../app/store';
+import commandBus from '../app/commandBus';
+import { entitiesInLasso, entitiesInWindow, isCrossingLasso, pickEntity } from '../core/selection/hitTest';
+
+// Dragging further than this (in pixels) with the button held draws a lasso
+const LASSO_PIXELS = 5;
+// Spacing of recorded lasso points in pixels
+const LASSO_STEP_PIXELS = 3;
+
+/**
+ * Selection tool hook for the canvas
+ *
+ * Active while no command runs, or while the running command is collecting
+ * objects (`isSelecting()`). A click picks the entity under the cursor;
+ * a click on empty space starts a window whose second click selects:
+ * left to right is a window (entities entirely inside), right to left a
+ * crossing (inside or touching). Dragging with the button held draws a
+ * lasso, clockwise for window and counter-clockwise for crossing. Shift
+ * removes from the selection instead of adding. The result goes to the
+ * store and, during a command, to the command as 'selection' input.
+ */
+const useSelectionTool = (viewport) => {
+  const [box, setBox] = useState(null);
+  const [lasso, setLasso] = useState(null);
+  // Where the left button went down: { screen, world }
+  const press = useRef(null);
+  const lastLassoScreen = useRef(null);
+  // Whether a window or lasso is in progress (readable from stale closures)
+  const inProgress = useRef(false);
+
+  const isActive = useCallback(() => {
+    const command = commandBus.currentCommand;
+    return !command || (typeof command.isSelecting === 'function' && command.isSelecting());
+  }, []);
+
+  /**
+   * Add entities to (or remove them from) the selection and pass it on
+   * @param {string[]} ids - Entity ids
+   * @param {boolean} remove - Deselect instead
+   */
+  const select = useCallback((ids, remove) => {
+    const store = useCADStore.getState();
+    const next = new Set(store.selection);
+    ids.forEach(id => (remove ? next.delete(id) : next.add(id)));
+    store.setSelection(Array.from(next));
+
+    if (commandBus.currentCommand) {
+      commandBus.sendInput('selection', Array.from(useCADStore.getState().selection));
+    }
+  }, []);
+
+  const onMouseDown = useCallback((pointer) => {
+    press.current = { screen: pointer, world: viewport.toWorld(pointer) };
+    lastLassoScreen.current = null;
+  }, [viewport]);
+
+  const onMouseMove = useCallback((pointer, buttons) => {
+    const world = viewport.toWorld(pointer);
+    if (box) {
+      setBox({ ...box, end: world });
+      return;
+    }
+    if (!press.current || !(buttons & 1)) return;
+
+    const last = lastLassoScreen.current;
+    if (!last) {
+      const start = press.current.screen;
+      if (Math.hypot(pointer.x - start.x, pointer.y - start.y) < LASSO_PIXELS) return;
+      setLasso([press.current.world, world]);
+      lastLassoScreen.current = pointer;
+      inProgress.current = true;
+    } else if (Math.hypot(pointer.x - last.x, pointer.y - last.y) >= LASSO_STEP_PIXELS) {
+      setLasso(points => [...(points || []), world]);
+      lastLassoScreen.current = pointer;
+    }
+  }, [viewport, box]);
+
+  /**
+   * Handle a click while the tool is active
+   * @param {Object} pointer - Screen point
+   * @param {boolean} shiftKey - Deselect
+   */
+  const onClick = useCallback((pointer, shiftKey) => {
+    const world = viewport.toWorld(pointer);
+    press.current = null;
+    inProgress.current = false;
+
+    if (lasso) {
+      const points = [...lasso, world];
+      setLasso(null);
+      lastLassoScreen.current = null;
+      select(entitiesInLasso(points, { crossing: isCrossingLasso(points) }).map(entity => entity.id), shiftKey);
+      return;
+    }
+
+    if (box) {
+      setBox(null);
+      const crossing = world.x < box.start.x;
+      select(entitiesInWindow(box.start, world, { crossing }).map(entity => entity.id), shiftKey || box.remove);
+      return;
+    }
+
+    const entity = pickEntity(world);
+    if (entity) {
+      select([entity.id], shiftKey);
+    } else {
+      setBox({ start: world, end: world, remove: shiftKey });
+      inProgress.current = true;
+    }
+  }, [viewport, box, lasso, select]);
+
+  /**
+   * Abandon a window or lasso in progress
+   * @returns {boolean} True if there was one
+   */
+  const cancel = useCallback(() => {
+    const cancelled = inProgress.current;
+    press.current = null;
+    lastLassoScreen.current = null;
+    inProgress.current = false;
+    setBox(null);
+    setLasso(null);
+    return cancelled;
+  }, []);
+
+  return {
+    box,
+    lasso,
+    isActive,
+    onMouseDown,
+    onMouseMove,
+    onClick,
+    cancel
+  };
+};
+
+export default useSelectionTool;
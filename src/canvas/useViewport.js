@@ -149,6 +149,15 @@ const useViewport = () => {
     setOffset(newOffset);
   }, []);
 
+  /**
+   * Set scale and offset directly (e.g. when restoring a saved view)
+   * @param {Object} view - { scale, offset: {x, y} }
+   */
+  const setView = useCallback((view) => {
+    if (view.scale) setScale(Math.max(MIN_SCALE, Math.min(MAX_SCALE, view.scale)));
+    if (view.offset) setOffset({ ...view.offset });
+  }, []);
+
   return {
     scale,
     offset,
@@ -159,7 +168,8 @@ const useViewport = () => {
     beginPan,
     pan,
     endPan,
-    fitToBounds
+    fitToBounds,
+    setView
   };
 };
 
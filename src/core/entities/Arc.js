@@ -13,7 +13,7 @@ export class Arc {
     this.endAngle = endAngle;     // in radians
     this.layerId = options.layerId || '0';
     this.color = options.color || null;
-    this.lineweight = options.lineweight || 1;
+    this.lineweight = options.lineweight || null; // Millimetres; null is ByLayer
     this.linetype = options.linetype || 'continuous';
   }
 
@@ -190,6 +190,40 @@ export class Arc {
       }
     );
   }
+
+  /**
+   * Convert to serializable object
+   * @returns {Object} Serializable representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      center: this.center,
+      radius: this.radius,
+      startAngle: this.startAngle,
+      endAngle: this.endAngle,
+      layerId: this.layerId,
+      color: this.color,
+      lineweight: this.lineweight,
+      linetype: this.linetype
+    };
+  }
+
+  /**
+   * Create from serializable object
+   * @param {Object} data - Serialized data
+   * @returns {Arc} Arc instance
+   */
+  static fromJSON(data) {
+    return new Arc(data.center, data.radius, data.startAngle, data.endAngle, {
+      id: data.id,
+      layerId: data.layerId,
+      color: data.color,
+      lineweight: data.lineweight,
+      linetype: data.linetype
+    });
+  }
 }
 
 export default Arc;
@@ -0,0 +1,303 @@
+import { v4 as uuidv4 } from 'uuid';
+import Line from './Line';
+import Circle from './Circle';
+import Arc from './Arc';
+import Rectangle from './Rectangle';
+import Polyline from './Polyline';
+import { transformEntity, transformPoint } from '../geometry/transform';
+import {
+  entityToPath,
+  pathLength,
+  pathParameterAtLength,
+  pathPoint,
+  pathTangent
+} from '../geometry/paths';
+
+// Entity types an array can repeat
+const ITEM_CLASSES = {
+  line: Line,
+  circle: Circle,
+  arc: Arc,
+  rectangle: Rectangle,
+  polyline: Polyline
+};
+
+export const ARRAY_KINDS = ['rectangular', 'polar', 'path'];
+
+export const DEFAULT_ARRAY_PARAMS = {
+  rectangular: { columns: 4, rows: 3, columnSpacing: 1, rowSpacing: 1, angle: 0 },
+  polar: { center: { x: 0, y: 0 }, count: 6, fillAngle: Math.PI * 2, rotateItems: true },
+  path: { path: null, count: 6, spacing: 0, alignItems: true }
+};
+
+const boundsOf = (entities) => entities.reduce((acc, entity) => {
+  const bounds = entity.getBounds();
+  if (!acc) return { ...bounds };
+  return {
+    minX: Math.min(acc.minX, bounds.minX),
+    minY: Math.min(acc.minY, bounds.minY),
+    maxX: Math.max(acc.maxX, bounds.maxX),
+    maxY: Math.max(acc.maxY, bounds.maxY)
+  };
+}, null);
+
+/**
+ * Associative array entity class
+ * Keeps the source items plus the layout parameters; the repeated copies are
+ * generated on demand, so changing a count or spacing regenerates the array.
+ * Kinds and their params:
+ * - rectangular: { columns, rows, columnSpacing, rowSpacing, angle (radians) }
+ * - polar: { center, count, fillAngle (radians, negative for clockwise), rotateItems }
+ * - path: { path (serialized line/arc/polyline), count, spacing (0 = divide evenly), alignItems }
+ */
+export class ArrayEntity {
+  constructor(kind, items, params = {}, options = {}) {
+    this.id = options.id || uuidv4();
+    this.type = 'array';
+    this.kind = kind;
+    this.items = items.map(item => (typeof item.toJSON === 'function' ? item.toJSON() : { ...item }));
+    this.params = { ...DEFAULT_ARRAY_PARAMS[kind], ...params };
+    this.layerId = options.layerId || '0';
+    this.color = options.color || null;
+    this.lineweight = options.lineweight || null; // Millimetres; null is ByLayer
+    this.linetype = options.linetype || 'continuous';
+    // Point of the source items that is placed along a path (defaults to their centre)
+    this.basePoint = options.basePoint || this.getSourceCenter();
+  }
+
+  /**
+   * Source items as entity instances
+   * @returns {Array} Entities
+   */
+  getSourceItems() {
+    return this.items
+      .map(data => (ITEM_CLASSES[data.type] ? ITEM_CLASSES[data.type].fromJSON(data) : null))
+      .filter(Boolean);
+  }
+
+  /**
+   * Centre of the source items' bounds
+   * @returns {Object} Point {x, y}
+   */
+  getSourceCenter() {
+    const bounds = boundsOf(this.getSourceItems());
+    if (!bounds) return { x: 0, y: 0 };
+    return { x: (bounds.minX + bounds.maxX) / 2, y: (bounds.minY + bounds.maxY) / 2 };
+  }
+
+  /**
+   * Transform for every copy, the untransformed source first
+   * @returns {Array<Object>} Transforms { offset, angle, origin }
+   */
+  getTransforms() {
+    const params = this.params;
+    const transforms = [];
+
+    switch (this.kind) {
+      case 'rectangular': {
+        const cos = Math.cos(params.angle || 0);
+        const sin = Math.sin(params.angle || 0);
+        for (let row = 0; row < params.rows; row++) {
+          for (let column = 0; column < params.columns; column++) {
+            const x = column * params.columnSpacing;
+            const y = row * params.rowSpacing;
+            transforms.push({ offset: { x: x * cos - y * sin, y: x * sin + y * cos } });
+          }
+        }
+        break;
+      }
+
+      case 'polar': {
+        const fullCircle = Math.abs(params.fillAngle) >= Math.PI * 2 - 1e-9;
+        const steps = fullCircle ? params.count : params.count - 1;
+        const step = steps > 0 ? params.fillAngle / steps : 0;
+        for (let i = 0; i < params.count; i++) {
+          const angle = step * i;
+          if (params.rotateItems) {
+            transforms.push({ angle, origin: params.center });
+          } else {
+            const moved = transformPoint(this.basePoint, { angle, origin: params.center });
+            transforms.push({ offset: { x: moved.x - this.basePoint.x, y: moved.y - this.basePoint.y } });
+          }
+        }
+        break;
+      }
+
+      case 'path': {
+        const path = params.path && entityToPath(params.path);
+        if (!path) break;
+        const length = pathLength(path);
+        const divisions = path.closed ? params.count : params.count - 1;
+        const spacing = params.spacing > 0 ? params.spacing : (divisions > 0 ? length / divisions : 0);
+        const startTangent = pathTangent(path, 0);
+        const startAngle = Math.atan2(startTangent.y, startTangent.x);
+
+        for (let i = 0; i < params.count; i++) {
+          const distance = spacing * i;
+          if (distance > length + 1e-9) break;
+          const t = pathParameterAtLength(path, distance);
+          const point = pathPoint(path, t);
+          const tangent = pathTangent(path, t);
+          transforms.push({
+            angle: params.alignItems ? Math.atan2(tangent.y, tangent.x) - startAngle : 0,
+            origin: this.basePoint,
+            offset: { x: point.x - this.basePoint.x, y: point.y - this.basePoint.y }
+          });
+        }
+        break;
+      }
+    }
+
+    return transforms;
+  }
+
+  /**
+   * Generate the arrayed entities. Ids are derived from the array id so they
+   * stay stable between regenerations.
+   * @returns {Array} Entities
+   */
+  getItems() {
+    const sources = this.getSourceItems();
+    const items = [];
+    this.getTransforms().forEach((transform, copy) => {
+      sources.forEach((source, index) => {
+        const item = transformEntity(source, transform, { id: `${this.id}-${copy}-${index}` });
+        if (item) items.push(item);
+      });
+    });
+    return items;
+  }
+
+  /**
+   * Number of copies in the array
+   * @returns {number} Copy count
+   */
+  getCopyCount() {
+    return this.getTransforms().length;
+  }
+
+  /**
+   * Replace the array with independent entities
+   * @returns {Array} Entities with new ids
+   */
+  explode() {
+    return this.getItems().map(item => item.clone());
+  }
+
+  /**
+   * Get bounding box
+   * @returns {Object} Bounds {minX, minY, maxX, maxY}
+   */
+  getBounds() {
+    return boundsOf(this.getItems()) || { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+  }
+
+  /**
+   * Copy with different parameters (same id), for regenerating an edited array
+   * @param {Object} params - Parameters to change
+   * @returns {ArrayEntity} New array
+   */
+  withParams(params) {
+    return new ArrayEntity(this.kind, this.items, { ...this.params, ...params }, {
+      id: this.id,
+      layerId: this.layerId,
+      color: this.color,
+      lineweight: this.lineweight,
+      linetype: this.linetype,
+      basePoint: this.basePoint
+    });
+  }
+
+  /**
+   * Copy with the source items, path, centre and base point run through a
+   * geometric edit, for moving, rotating, scaling or mirroring the array
+   * @param {Function} editEntity - Entity => edited entity
+   * @param {Function} editPoint - Point => edited point
+   * @param {Object} params - Layout parameters the edit changes
+   * @param {Object} options - Constructor options (a new id unless one is given)
+   * @returns {ArrayEntity} New array
+   */
+  mapGeometry(editEntity, editPoint, params = {}, options = {}) {
+    const editItem = (data) => {
+      const edited = editEntity(ITEM_CLASSES[data.type].fromJSON(data));
+      edited.id = data.id;
+      return edited.toJSON();
+    };
+    const next = { ...this.params, ...params };
+    if (next.center) next.center = editPoint(next.center);
+    if (next.path) next.path = editItem(next.path);
+    return new ArrayEntity(this.kind, this.items.map(editItem), next, {
+      layerId: this.layerId,
+      color: this.color,
+      lineweight: this.lineweight,
+      linetype: this.linetype,
+      ...options,
+      basePoint: editPoint(this.basePoint)
+    });
+  }
+
+  /**
+   * Move array by offset (source items, centre and path move together)
+   * @param {Object} offset - Offset {x, y}
+   * @returns {ArrayEntity} New array (same id)
+   */
+  move(offset) {
+    return this.mapGeometry(
+      entity => transformEntity(entity, { offset }),
+      point => ({ x: point.x + offset.x, y: point.y + offset.y }),
+      {},
+      { id: this.id }
+    );
+  }
+
+  /**
+   * Create copy of array
+   * @returns {ArrayEntity} New array copy
+   */
+  clone() {
+    return new ArrayEntity(this.kind, this.items, this.params, {
+      layerId: this.layerId,
+      color: this.color,
+      lineweight: this.lineweight,
+      linetype: this.linetype,
+      basePoint: this.basePoint
+    });
+  }
+
+  /**
+   * Convert to serializable object
+   * @returns {Object} Serializable representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      kind: this.kind,
+      items: this.items,
+      params: this.params,
+      basePoint: this.basePoint,
+      layerId: this.layerId,
+      color: this.color,
+      lineweight: this.lineweight,
+      linetype: this.linetype
+    };
+  }
+
+  /**
+   * Create from serializable object
+   * @param {Object} data - Serialized data
+   * @returns {ArrayEntity} ArrayEntity instance
+   */
+  static fromJSON(data) {
+    return new ArrayEntity(data.kind, data.items || [], data.params, {
+      id: data.id,
+      layerId: data.layerId,
+      color: data.color,
+      lineweight: data.lineweight,
+      linetype: data.linetype,
+      basePoint: data.basePoint
+    });
+  }
+}
+
+export default ArrayEntity;
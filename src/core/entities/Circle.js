@@ -11,7 +11,7 @@ export class Circle {
     this.radius = radius;
     this.layerId = options.layerId || '0';
     this.color = options.color || null;
-    this.lineweight = options.lineweight || 1;
+    this.lineweight = options.lineweight || null; // Millimetres; null is ByLayer
     this.linetype = options.linetype || 'continuous';
     this.filled = options.filled || false;
   }
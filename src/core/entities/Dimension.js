@@ -1,4 +1,6 @@
 import { v4 as uuidv4 } from 'uuid';
+import Line from './Line';
+import Text from './Text';
 
 /**
  * Dimension entity class
@@ -14,6 +16,156 @@ export class Dimension {
     this.scale = options.scale || 1.0;
     this.text = options.text || `${value.toFixed(2)} ${this.unit}`;
     this.position = options.position || null; // where to render the dimension text
+    this.layerId = options.layerId || '0';
+    // Set when the dimension was mirrored with mirror text on: the text is drawn
+    // reflected, and reversed runs it against the dimension line direction
+    this.textMirrored = options.textMirrored || false;
+    this.textReversed = options.textReversed || false;
+  }
+
+  /**
+   * Get the measured points on the dimensioned entity
+   * @param {Object} target - Referenced entity
+   * @returns {Array|null} [start, end] or null if the entity type is not measurable
+   */
+  getMeasuredPoints(target) {
+    if (!target) return null;
+    switch (target.type) {
+      case 'line':
+        return [target.start, target.end];
+      case 'rectangle': {
+        const minX = Math.min(target.corner1.x, target.corner2.x);
+        const maxX = Math.max(target.corner1.x, target.corner2.x);
+        const minY = Math.min(target.corner1.y, target.corner2.y);
+        return [{ x: minX, y: minY }, { x: maxX, y: minY }];
+      }
+      case 'circle':
+      case 'arc':
+        return [
+          { x: target.center.x - target.radius, y: target.center.y },
+          { x: target.center.x + target.radius, y: target.center.y }
+        ];
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Get the exploded geometry of an aligned dimension: extension lines,
+   * dimension line and text placement
+   * @param {Object} target - Referenced entity
+   * @returns {Object|null} { segments: [{start, end}], text, textPosition, textHeight, angle,
+   *   lineAngle, mirrored } - angle is the text angle, kept readable unless the text is mirrored
+   */
+  getGeometry(target) {
+    const measured = this.getMeasuredPoints(target);
+    if (!measured) return null;
+
+    const [p1, p2] = measured;
+    const dx = p2.x - p1.x;
+    const dy = p2.y - p1.y;
+    const length = Math.sqrt(dx * dx + dy * dy);
+    if (length < 1e-9) return null;
+
+    // Unit normal to the measured direction
+    const nx = -dy / length;
+    const ny = dx / length;
+
+    // Offset the dimension line through `position` when given, else by 10% of the length
+    let offset = -length * 0.1;
+    if (this.position) {
+      offset = (this.position.x - p1.x) * nx + (this.position.y - p1.y) * ny;
+    }
+
+    const d1 = { x: p1.x + nx * offset, y: p1.y + ny * offset };
+    const d2 = { x: p2.x + nx * offset, y: p2.y + ny * offset };
+    const textHeight = length * 0.05;
+    const side = offset < 0 ? -1 : 1;
+
+    const lineAngle = Math.atan2(dy, dx);
+    let angle = lineAngle;
+    if (this.textMirrored) {
+      if (this.textReversed) angle += Math.PI;
+    } else if (angle > Math.PI / 2 + 1e-9 || angle <= -Math.PI / 2 + 1e-9) {
+      // Never upside down
+      angle += angle > 0 ? -Math.PI : Math.PI;
+    }
+
+    return {
+      segments: [
+        { start: { ...p1 }, end: d1 },
+        { start: { ...p2 }, end: d2 },
+        { start: d1, end: d2 }
+      ],
+      text: this.text,
+      textPosition: this.position ? { ...this.position } : {
+        x: (d1.x + d2.x) / 2 + nx * side * textHeight,
+        y: (d1.y + d2.y) / 2 + ny * side * textHeight
+      },
+      textHeight,
+      angle,
+      lineAngle,
+      mirrored: this.textMirrored
+    };
+  }
+
+  /**
+   * Explode into the lines and text it is drawn with
+   * @param {Map} entities - Drawing entities, to look up the referenced entity
+   * @returns {Array|null} Lines and a Text, or null if the target is missing or not measurable
+   */
+  explode(entities) {
+    const geometry = this.getGeometry(entities && entities.get(this.entityId));
+    if (!geometry) return null;
+
+    const options = { layerId: this.layerId };
+    return [
+      ...geometry.segments.map(segment => new Line(segment.start, segment.end, options)),
+      new Text(geometry.textPosition, geometry.text, {
+        ...options,
+        height: geometry.textHeight,
+        rotation: geometry.angle,
+        mirrored: geometry.mirrored
+      })
+    ];
+  }
+
+  /**
+   * Convert to serializable object
+   * @returns {Object} Serializable representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      entityId: this.entityId,
+      value: this.value,
+      unit: this.unit,
+      scale: this.scale,
+      text: this.text,
+      position: this.position,
+      layerId: this.layerId,
+      textMirrored: this.textMirrored,
+      textReversed: this.textReversed
+    };
+  }
+
+  /**
+   * Create from serializable object
+   * @param {Object} data - Serialized data
+   * @returns {Dimension} Dimension instance
+   */
+  static fromJSON(data) {
+    return new Dimension(data.entityId, data.value, {
+      id: data.id,
+      unit: data.unit,
+      scale: data.scale,
+      text: data.text,
+      position: data.position,
+      layerId: data.layerId,
+      textMirrored: data.textMirrored,
+      textReversed: data.textReversed
+    });
   }
 }
 
@@ -1,7 +1,14 @@
 import { v4 as uuidv4 } from 'uuid';
+import Line from './Line';
+import Arc from './Arc';
+import { bulgeArc, segmentBounds, segmentLength } from '../geometry/bulge';
+import { maxHalfWidth } from '../geometry/polylineWidth';
 
 /**
  * Polyline entity class
+ * Vertices are {x, y} with an optional `bulge` for an arc segment to the
+ * next vertex (see geometry/bulge) and optional `startWidth`/`endWidth`
+ * for a wide segment (see geometry/polylineWidth).
  */
 export class Polyline {
   constructor(vertices, options = {}) {
@@ -10,7 +17,7 @@ export class Polyline {
     this.vertices = vertices.map(v => ({ ...v })); // Deep copy vertices
     this.layerId = options.layerId || '0';
     this.color = options.color || null;
-    this.lineweight = options.lineweight || 1;
+    this.lineweight = options.lineweight || null; // Millimetres; null is ByLayer
     this.linetype = options.linetype || 'continuous';
     this.closed = options.closed || false;
   }
@@ -20,24 +27,10 @@ export class Polyline {
    * @returns {number} Total length
    */
   getLength() {
-    let totalLength = 0;
-    
-    for (let i = 0; i < this.vertices.length - 1; i++) {
-      const dx = this.vertices[i + 1].x - this.vertices[i].x;
-      const dy = this.vertices[i + 1].y - this.vertices[i].y;
-      totalLength += Math.sqrt(dx * dx + dy * dy);
-    }
-
-    // Add closing segment if closed
-    if (this.closed && this.vertices.length > 2) {
-      const first = this.vertices[0];
-      const last = this.vertices[this.vertices.length - 1];
-      const dx = first.x - last.x;
-      const dy = first.y - last.y;
-      totalLength += Math.sqrt(dx * dx + dy * dy);
-    }
-
-    return totalLength;
+    return this.getSegments().reduce(
+      (totalLength, segment) => totalLength + segmentLength(segment.start, segment.end, segment.bulge),
+      0
+    );
   }
 
   /**
@@ -102,15 +95,18 @@ export class Polyline {
     let maxX = this.vertices[0].x;
     let maxY = this.vertices[0].y;
 
-    for (let i = 1; i < this.vertices.length; i++) {
-      const vertex = this.vertices[i];
-      minX = Math.min(minX, vertex.x);
-      minY = Math.min(minY, vertex.y);
-      maxX = Math.max(maxX, vertex.x);
-      maxY = Math.max(maxY, vertex.y);
+    // Arc segments can reach past their end vertices
+    for (const segment of this.getSegments()) {
+      const bounds = segmentBounds(segment.start, segment.end, segment.bulge);
+      minX = Math.min(minX, bounds.minX);
+      minY = Math.min(minY, bounds.minY);
+      maxX = Math.max(maxX, bounds.maxX);
+      maxY = Math.max(maxY, bounds.maxY);
     }
 
-    return { minX, minY, maxX, maxY };
+    // Wide segments reach half their width past the centre line
+    const half = maxHalfWidth(this.vertices);
+    return { minX: minX - half, minY: minY - half, maxX: maxX + half, maxY: maxY + half };
   }
 
   /**
@@ -136,30 +132,49 @@ export class Polyline {
   }
 
   /**
-   * Get all line segments
-   * @returns {Array} Array of line segments [{start, end}, ...]
+   * Get all segments
+   * @returns {Array} Array of segments [{start, end, bulge}, ...] (bulge 0 for straight segments)
    */
   getSegments() {
     const segments = [];
+    const segment = (from, to) => ({
+      start: { x: from.x, y: from.y },
+      end: { x: to.x, y: to.y },
+      bulge: from.bulge || 0
+    });
     
     for (let i = 0; i < this.vertices.length - 1; i++) {
-      segments.push({
-        start: { ...this.vertices[i] },
-        end: { ...this.vertices[i + 1] }
-      });
+      segments.push(segment(this.vertices[i], this.vertices[i + 1]));
     }
 
     // Add closing segment if closed
     if (this.closed && this.vertices.length > 2) {
-      segments.push({
-        start: { ...this.vertices[this.vertices.length - 1] },
-        end: { ...this.vertices[0] }
-      });
+      segments.push(segment(this.vertices[this.vertices.length - 1], this.vertices[0]));
     }
 
     return segments;
   }
 
+  /**
+   * Explode into one line or arc per segment
+   * @returns {Array<Line|Arc>} Lines and arcs with the polyline's properties
+   */
+  explode() {
+    const options = {
+      layerId: this.layerId,
+      color: this.color,
+      lineweight: this.lineweight,
+      linetype: this.linetype
+    };
+    return this.getSegments().map(segment => {
+      const arc = bulgeArc(segment.start, segment.end, segment.bulge);
+      if (!arc) return new Line(segment.start, segment.end, options);
+      // Arc entities run counter-clockwise, so clockwise segments swap ends
+      const from = arc.sweep >= 0 ? arc.startAngle : arc.startAngle + arc.sweep;
+      return new Arc(arc.center, arc.radius, from, from + Math.abs(arc.sweep), options);
+    });
+  }
+
   /**
    * Move polyline by offset
    * @param {Object} offset - Offset {x, y}
@@ -167,6 +182,7 @@ export class Polyline {
    */
   move(offset) {
     const newVertices = this.vertices.map(vertex => ({
+      ...vertex,
       x: vertex.x + offset.x,
       y: vertex.y + offset.y
     }));
@@ -187,10 +203,17 @@ export class Polyline {
    * @returns {Polyline} New polyline
    */
   scale(factor, origin = { x: 0, y: 0 }) {
-    const newVertices = this.vertices.map(vertex => ({
-      x: origin.x + (vertex.x - origin.x) * factor,
-      y: origin.y + (vertex.y - origin.y) * factor
-    }));
+    // A negative factor is a half turn, which keeps the bulges
+    const newVertices = this.vertices.map(vertex => {
+      const scaled = {
+        ...vertex,
+        x: origin.x + (vertex.x - origin.x) * factor,
+        y: origin.y + (vertex.y - origin.y) * factor
+      };
+      if (vertex.startWidth) scaled.startWidth = vertex.startWidth * Math.abs(factor);
+      if (vertex.endWidth) scaled.endWidth = vertex.endWidth * Math.abs(factor);
+      return scaled;
+    });
 
     return new Polyline(newVertices, {
       layerId: this.layerId,
@@ -214,6 +237,39 @@ export class Polyline {
       closed: this.closed
     });
   }
+
+  /**
+   * Convert to serializable object
+   * @returns {Object} Serializable representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      vertices: this.vertices,
+      closed: this.closed,
+      layerId: this.layerId,
+      color: this.color,
+      lineweight: this.lineweight,
+      linetype: this.linetype
+    };
+  }
+
+  /**
+   * Create from serializable object
+   * @param {Object} data - Serialized data
+   * @returns {Polyline} Polyline instance
+   */
+  static fromJSON(data) {
+    return new Polyline(data.vertices || [], {
+      id: data.id,
+      layerId: data.layerId,
+      color: data.color,
+      lineweight: data.lineweight,
+      linetype: data.linetype,
+      closed: data.closed
+    });
+  }
 }
 
 export default Polyline;
@@ -1,4 +1,6 @@
 import { v4 as uuidv4 } from 'uuid';
+import Line from './Line';
+import Polyline from './Polyline';
 
 /**
  * Rectangle entity class
@@ -11,7 +13,7 @@ export class Rectangle {
     this.corner2 = { ...corner2 };
     this.layerId = options.layerId || '0';
     this.color = options.color || null;
-    this.lineweight = options.lineweight || 1;
+    this.lineweight = options.lineweight || null; // Millimetres; null is ByLayer
     this.linetype = options.linetype || 'continuous';
     this.filled = options.filled || false;
   }
@@ -168,6 +170,68 @@ export class Rectangle {
       { start: corners[3], end: corners[0] }
     ];
   }
+
+  /**
+   * Explode into its four edges
+   * @returns {Array<Line>} Lines with the rectangle's properties
+   */
+  explode() {
+    return this.getEdges().map(edge => new Line(edge.start, edge.end, {
+      layerId: this.layerId,
+      color: this.color,
+      lineweight: this.lineweight,
+      linetype: this.linetype
+    }));
+  }
+
+  /**
+   * Convert to an editable closed polyline (same id)
+   * @returns {Polyline} Polyline through the corners
+   */
+  toPolyline() {
+    return new Polyline(this.getCorners(), {
+      id: this.id,
+      layerId: this.layerId,
+      color: this.color,
+      lineweight: this.lineweight,
+      linetype: this.linetype,
+      closed: true
+    });
+  }
+
+  /**
+   * Convert to serializable object
+   * @returns {Object} Serializable representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      corner1: this.corner1,
+      corner2: this.corner2,
+      layerId: this.layerId,
+      color: this.color,
+      lineweight: this.lineweight,
+      linetype: this.linetype,
+      filled: this.filled
+    };
+  }
+
+  /**
+   * Create from serializable object
+   * @param {Object} data - Serialized data
+   * @returns {Rectangle} Rectangle instance
+   */
+  static fromJSON(data) {
+    return new Rectangle(data.corner1, data.corner2, {
+      id: data.id,
+      layerId: data.layerId,
+      color: data.color,
+      lineweight: data.lineweight,
+      linetype: data.linetype,
+      filled: data.filled
+    });
+  }
 }
 
 export default Rectangle;
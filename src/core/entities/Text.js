@@ -0,0 +1,136 @@
+import { v4 as uuidv4 } from 'uuid';
+
+// Rough character width as a fraction of the text height, for bounds
+const CHAR_WIDTH = 0.6;
+
+/**
+ * Single-line text entity class
+ * Centred on its position, like dimension text (which it is created from
+ * when a dimension is exploded)
+ */
+export class Text {
+  constructor(position, text, options = {}) {
+    this.id = options.id || uuidv4();
+    this.type = 'text';
+    this.position = { ...position };
+    this.text = text;
+    this.height = options.height || 1;
+    this.rotation = options.rotation || 0; // radians
+    this.mirrored = options.mirrored || false;
+    this.layerId = options.layerId || '0';
+    this.color = options.color || null;
+    this.lineweight = options.lineweight || null; // Millimetres; null is ByLayer
+    this.linetype = options.linetype || 'continuous';
+  }
+
+  /**
+   * Approximate corners of the text box
+   * @returns {Array} Corners [{x, y}] counterclockwise
+   */
+  getCorners() {
+    const halfWidth = this.text.length * this.height * CHAR_WIDTH / 2;
+    const halfHeight = this.height / 2;
+    const cos = Math.cos(this.rotation);
+    const sin = Math.sin(this.rotation);
+    return [
+      [-halfWidth, -halfHeight],
+      [halfWidth, -halfHeight],
+      [halfWidth, halfHeight],
+      [-halfWidth, halfHeight]
+    ].map(([x, y]) => ({
+      x: this.position.x + x * cos - y * sin,
+      y: this.position.y + x * sin + y * cos
+    }));
+  }
+
+  /**
+   * Get bounding box
+   * @returns {Object} Bounds {minX, minY, maxX, maxY}
+   */
+  getBounds() {
+    const corners = this.getCorners();
+    return {
+      minX: Math.min(...corners.map(corner => corner.x)),
+      minY: Math.min(...corners.map(corner => corner.y)),
+      maxX: Math.max(...corners.map(corner => corner.x)),
+      maxY: Math.max(...corners.map(corner => corner.y))
+    };
+  }
+
+  /**
+   * Move text by offset
+   * @param {Object} offset - Offset {x, y}
+   * @returns {Text} New text
+   */
+  move(offset) {
+    return new Text(
+      { x: this.position.x + offset.x, y: this.position.y + offset.y },
+      this.text,
+      {
+        height: this.height,
+        rotation: this.rotation,
+        mirrored: this.mirrored,
+        layerId: this.layerId,
+        color: this.color,
+        lineweight: this.lineweight,
+        linetype: this.linetype
+      }
+    );
+  }
+
+  /**
+   * Clone the text
+   * @returns {Text} New text instance
+   */
+  clone() {
+    return new Text(this.position, this.text, {
+      height: this.height,
+      rotation: this.rotation,
+      mirrored: this.mirrored,
+      layerId: this.layerId,
+      color: this.color,
+      lineweight: this.lineweight,
+      linetype: this.linetype
+    });
+  }
+
+  /**
+   * Convert to serializable object
+   * @returns {Object} Serializable representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      position: this.position,
+      text: this.text,
+      height: this.height,
+      rotation: this.rotation,
+      mirrored: this.mirrored,
+      layerId: this.layerId,
+      color: this.color,
+      lineweight: this.lineweight,
+      linetype: this.linetype
+    };
+  }
+
+  /**
+   * Create from serializable object
+   * @param {Object} data - Serialized data
+   * @returns {Text} Text instance
+   */
+  static fromJSON(data) {
+    return new Text(data.position, data.text, {
+      id: data.id,
+      height: data.height,
+      rotation: data.rotation,
+      mirrored: data.mirrored,
+      layerId: data.layerId,
+      color: data.color,
+      lineweight: data.lineweight,
+      linetype: data.linetype
+    });
+  }
+}
+
+export default Text;
@@ -0,0 +1,69 @@
+import Line from './Line';
+import Circle from './Circle';
+import Arc from './Arc';
+import Rectangle from './Rectangle';
+import Polyline from './Polyline';
+import Dimension from './Dimension';
+import ArrayEntity from './ArrayEntity';
+import Text from './Text';
+
+/**
+ * Entity class registry keyed by entity type
+ * Used to rehydrate plain objects (files, clipboard, storage) into class instances
+ */
+export const entityClasses = {
+  line: Line,
+  circle: Circle,
+  arc: Arc,
+  rectangle: Rectangle,
+  polyline: Polyline,
+  dimension: Dimension,
+  array: ArrayEntity,
+  text: Text
+};
+
+/**
+ * Create an entity class instance from serialized data
+ * @param {Object} data - Serialized entity (must contain `type`)
+ * @returns {Object|null} Entity instance or null for unknown types
+ */
+export const entityFromJSON = (data) => {
+  const EntityClass = data && entityClasses[data.type];
+  if (!EntityClass) return null;
+  return EntityClass.fromJSON(data);
+};
+
+/**
+ * Convert an entity (class instance or plain object) to serializable data
+ * @param {Object} entity - Entity to serialize
+ * @returns {Object} Plain serializable object
+ */
+export const entityToJSON = (entity) => {
+  if (typeof entity.toJSON === 'function') {
+    return entity.toJSON();
+  }
+  // Plain object entities (e.g. created directly through addEntity)
+  const EntityClass = entityClasses[entity.type];
+  return EntityClass ? EntityClass.fromJSON(entity).toJSON() : { ...entity };
+};
+
+/**
+ * Replace associative arrays with the entities they generate, for consumers
+ * that only handle the basic entity types (exporters, plotting)
+ * @param {Map} entities - Entities keyed by id
+ * @returns {Map} Entities keyed by id, arrays expanded
+ */
+export const expandArrays = (entities) => {
+  const expanded = new Map();
+  entities.forEach((entity, id) => {
+    if (entity.type === 'array' && typeof entity.getItems === 'function') {
+      if (entity.isPreview) return;
+      entity.getItems().forEach(item => expanded.set(item.id, item));
+    } else {
+      expanded.set(id, entity);
+    }
+  });
+  return expanded;
+};
+
+export { Line, Circle, Arc, Rectangle, Polyline, Dimension, ArrayEntity, Text };
@@ -0,0 +1,193 @@
+/**
+ * Polyline bulges
+ *
+ * As in DXF LWPOLYLINE, a vertex's `bulge` describes the segment from that
+ * vertex to the next one: 0 (or missing) is a straight segment, otherwise
+ * it is the tangent of a quarter of the arc's included angle. Positive
+ * bulges run counter-clockwise (increasing angle), negative clockwise, and
+ * a bulge of ±1 is a half circle.
+ */
+
+const EPS = 1e-9;
+const TWO_PI = Math.PI * 2;
+
+/**
+ * Arc of a bulged segment
+ * @param {Object} start - Segment start {x, y}
+ * @param {Object} end - Segment end {x, y}
+ * @param {number} bulge - Bulge of the segment
+ * @returns {Object|null} { center, radius, startAngle, sweep } with a signed sweep,
+ *   or null for a straight (or zero-length) segment
+ */
+export const bulgeArc = (start, end, bulge) => {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const chord = Math.hypot(dx, dy);
+  if (!bulge || Math.abs(bulge) < EPS || chord < EPS) return null;
+
+  const sweep = 4 * Math.atan(bulge);
+  // Distance from the chord midpoint to the centre, to the left of start -> end
+  const offset = (chord / 2) / Math.tan(sweep / 2);
+  const center = {
+    x: (start.x + end.x) / 2 - dy / chord * offset,
+    y: (start.y + end.y) / 2 + dx / chord * offset
+  };
+  return {
+    center,
+    radius: chord / (2 * Math.abs(Math.sin(sweep / 2))),
+    startAngle: Math.atan2(start.y - center.y, start.x - center.x),
+    sweep
+  };
+};
+
+/**
+ * Bulge for an arc sweep
+ * @param {number} sweep - Signed included angle in radians (-2π..2π, not a full turn)
+ * @returns {number} Bulge
+ */
+export const sweepToBulge = (sweep) => Math.tan(sweep / 4);
+
+/**
+ * Bulge of the arc that leaves `start` along `tangent` and ends at `end`
+ * @param {Object} start - Segment start {x, y}
+ * @param {Object} tangent - Direction at the start {x, y}
+ * @param {Object} end - Segment end {x, y}
+ * @returns {number} Bulge (0 when end lies straight ahead)
+ */
+export const tangentBulge = (start, tangent, end) => {
+  const chordAngle = Math.atan2(end.y - start.y, end.x - start.x);
+  const tangentAngle = Math.atan2(tangent.y, tangent.x);
+  let delta = chordAngle - tangentAngle;
+  while (delta > Math.PI) delta -= TWO_PI;
+  while (delta <= -Math.PI) delta += TWO_PI;
+  // The chord turns half as far as the arc sweeps
+  return sweepToBulge(2 * delta);
+};
+
+/**
+ * Bulge of the arc from `start` through `through` to `end`
+ * @param {Object} start - Segment start {x, y}
+ * @param {Object} through - Point the arc passes {x, y}
+ * @param {Object} end - Segment end {x, y}
+ * @returns {number} Bulge (0 when the points are in line)
+ */
+export const throughPointBulge = (start, through, end) => {
+  const a = { x: start.x - through.x, y: start.y - through.y };
+  const b = { x: end.x - through.x, y: end.y - through.y };
+  // Angle the chord subtends at the through point; the arc sweeps twice its supplement
+  const angle = Math.atan2(a.x * b.y - a.y * b.x, a.x * b.x + a.y * b.y);
+  if (Math.abs(angle) < EPS || Math.PI - Math.abs(angle) < EPS) return 0;
+  return sweepToBulge(-Math.sign(angle) * 2 * (Math.PI - Math.abs(angle)));
+};
+
+/**
+ * Unit direction a segment leaves its end point with (for continuing tangentially)
+ * @param {Object} start - Segment start {x, y}
+ * @param {Object} end - Segment end {x, y}
+ * @param {number} bulge - Bulge of the segment
+ * @returns {Object|null} Direction {x, y}, or null for a zero-length segment
+ */
+export const segmentEndTangent = (start, end, bulge) => {
+  const arc = bulgeArc(start, end, bulge);
+  if (arc) {
+    const angle = arc.startAngle + arc.sweep;
+    const direction = arc.sweep >= 0 ? 1 : -1;
+    return { x: -Math.sin(angle) * direction, y: Math.cos(angle) * direction };
+  }
+  const length = Math.hypot(end.x - start.x, end.y - start.y);
+  if (length < EPS) return null;
+  return { x: (end.x - start.x) / length, y: (end.y - start.y) / length };
+};
+
+/**
+ * Length of a bulged segment
+ */
+export const segmentLength = (start, end, bulge) => {
+  const arc = bulgeArc(start, end, bulge);
+  return arc ? arc.radius * Math.abs(arc.sweep) : Math.hypot(end.x - start.x, end.y - start.y);
+};
+
+/**
+ * Point halfway along a bulged segment
+ */
+export const segmentMidpoint = (start, end, bulge) => {
+  const arc = bulgeArc(start, end, bulge);
+  if (!arc) return { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+  const angle = arc.startAngle + arc.sweep / 2;
+  return { x: arc.center.x + arc.radius * Math.cos(angle), y: arc.center.y + arc.radius * Math.sin(angle) };
+};
+
+/**
+ * Bounding box of a bulged segment (ends plus the quadrant points the arc passes)
+ * @returns {Object} {minX, minY, maxX, maxY}
+ */
+export const segmentBounds = (start, end, bulge) => {
+  const points = [start, end];
+  const arc = bulgeArc(start, end, bulge);
+  if (arc) {
+    const from = arc.sweep >= 0 ? arc.startAngle : arc.startAngle + arc.sweep;
+    const span = Math.abs(arc.sweep);
+    for (let k = Math.ceil(from / (Math.PI / 2)); k * Math.PI / 2 < from + span; k++) {
+      const angle = k * Math.PI / 2;
+      points.push({ x: arc.center.x + arc.radius * Math.cos(angle), y: arc.center.y + arc.radius * Math.sin(angle) });
+    }
+  }
+  return {
+    minX: Math.min(...points.map(point => point.x)),
+    minY: Math.min(...points.map(point => point.y)),
+    maxX: Math.max(...points.map(point => point.x)),
+    maxY: Math.max(...points.map(point => point.y))
+  };
+};
+
+/**
+ * Points along a bulged segment, both ends included (for renderers that
+ * cannot draw arcs)
+ * @param {number} step - Largest angle between points
+ * @returns {Array<Object>} Points
+ */
+export const segmentPoints = (start, end, bulge, step = Math.PI / 32) => {
+  const arc = bulgeArc(start, end, bulge);
+  if (!arc) return [{ ...start }, { ...end }];
+  const count = Math.max(1, Math.ceil(Math.abs(arc.sweep) / step));
+  const points = [{ ...start }];
+  for (let i = 1; i < count; i++) {
+    const angle = arc.startAngle + arc.sweep * i / count;
+    points.push({ x: arc.center.x + arc.radius * Math.cos(angle), y: arc.center.y + arc.radius * Math.sin(angle) });
+  }
+  points.push({ ...end });
+  return points;
+};
+
+/**
+ * Vertices with their bulges negated - the same outline after a reflection
+ * @param {Array<Object>} vertices - Polyline vertices
+ * @returns {Array<Object>} New vertices
+ */
+export const negateBulges = (vertices) => vertices.map(vertex => (
+  vertex.bulge ? { ...vertex, bulge: -vertex.bulge } : { ...vertex }
+));
+
+/**
+ * Vertices of the same outline traversed the other way: order reversed and
+ * each segment's bulge (negated) and widths (swapped) moved to its new start vertex
+ * @param {Array<Object>} vertices - Polyline vertices
+ * @param {boolean} closed - Whether the polyline is closed
+ * @returns {Array<Object>} New vertices
+ */
+export const reverseVertices = (vertices, closed) => {
+  const count = vertices.length;
+  return vertices.map((_, i) => {
+    const index = count - 1 - i;
+    const vertex = { ...vertices[index] };
+    delete vertex.bulge;
+    delete vertex.startWidth;
+    delete vertex.endWidth;
+    // Segment (index - 1 -> index) now runs index -> index - 1
+    const previous = index > 0 ? vertices[index - 1] : (closed ? vertices[count - 1] : null);
+    if (previous && previous.bulge) vertex.bulge = -previous.bulge;
+    if (previous && previous.endWidth) vertex.startWidth = previous.endWidth;
+    if (previous && previous.startWidth) vertex.endWidth = previous.startWidth;
+    return vertex;
+  });
+};
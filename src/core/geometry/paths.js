@@ -0,0 +1,377 @@
+import snapEngine from '../snapping/SnapEngine';
+import Line from '../entities/Line';
+import Arc from '../entities/Arc';
+import Polyline from '../entities/Polyline';
+import { bulgeArc, sweepToBulge } from './bulge';
+import { distance as dist, lerp, normalizeAngle } from './vec2';
+
+/**
+ * Entity paths
+ *
+ * A path is an entity broken into pieces - line segments and circular arcs -
+ * with a single parameter t running from 0 to pieces.length (piece index +
+ * local 0..1). Closed paths (circles, closed polylines, rectangles) are
+ * periodic in t. Modify commands use paths to find intersections and to cut
+ * entities into sub-ranges without caring about the entity type.
+ *
+ * Arc pieces store a signed sweep: positive is counter-clockwise (increasing angle).
+ */
+
+const EPS = 1e-9;
+const TWO_PI = Math.PI * 2;
+
+/**
+ * Copy the display properties shared by all entity types
+ * @param {Object} entity - Source entity
+ * @returns {Object} { layerId, color, lineweight, linetype }
+ */
+export const entityProperties = (entity) => ({
+  layerId: entity.layerId,
+  color: entity.color,
+  lineweight: entity.lineweight,
+  linetype: entity.linetype
+});
+
+const rectangleCorners = (rectangle) => {
+  const minX = Math.min(rectangle.corner1.x, rectangle.corner2.x);
+  const minY = Math.min(rectangle.corner1.y, rectangle.corner2.y);
+  const maxX = Math.max(rectangle.corner1.x, rectangle.corner2.x);
+  const maxY = Math.max(rectangle.corner1.y, rectangle.corner2.y);
+  return [
+    { x: minX, y: minY },
+    { x: maxX, y: minY },
+    { x: maxX, y: maxY },
+    { x: minX, y: maxY }
+  ];
+};
+
+// Bulged segments become arc pieces, the rest line pieces
+const segmentPiece = (start, end) => {
+  const arc = bulgeArc(start, end, start.bulge);
+  if (arc) return { type: 'arc', ...arc };
+  return { type: 'line', start: { x: start.x, y: start.y }, end: { x: end.x, y: end.y } };
+};
+
+const linePieces = (vertices, closed) => {
+  const pieces = [];
+  for (let i = 0; i < vertices.length - 1; i++) {
+    pieces.push(segmentPiece(vertices[i], vertices[i + 1]));
+  }
+  if (closed && vertices.length > 2) {
+    pieces.push(segmentPiece(vertices[vertices.length - 1], vertices[0]));
+  }
+  return pieces;
+};
+
+/**
+ * Build the path for an entity (class instance or plain object)
+ * @param {Object} entity - Line, circle, arc, polyline or rectangle
+ * @returns {Object|null} { pieces, closed } or null for unsupported types
+ */
+export const entityToPath = (entity) => {
+  switch (entity.type) {
+    case 'line':
+      return { pieces: [{ type: 'line', start: { ...entity.start }, end: { ...entity.end } }], closed: false };
+
+    case 'circle':
+      return {
+        pieces: [{ type: 'arc', center: { ...entity.center }, radius: entity.radius, startAngle: 0, sweep: TWO_PI }],
+        closed: true
+      };
+
+    case 'arc': {
+      let sweep = entity.endAngle - entity.startAngle;
+      if (sweep <= 0) sweep += TWO_PI;
+      return {
+        pieces: [{ type: 'arc', center: { ...entity.center }, radius: entity.radius, startAngle: entity.startAngle, sweep }],
+        closed: false
+      };
+    }
+
+    case 'polyline': {
+      if (!entity.vertices || entity.vertices.length < 2) return null;
+      const closed = !!entity.closed && entity.vertices.length > 2;
+      return { pieces: linePieces(entity.vertices, closed), closed };
+    }
+
+    case 'rectangle':
+      return { pieces: linePieces(rectangleCorners(entity), true), closed: true };
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Point on a piece at local parameter u (0..1)
+ */
+export const piecePoint = (piece, u) => {
+  if (piece.type === 'line') {
+    return lerp(piece.start, piece.end, u);
+  }
+  const angle = piece.startAngle + piece.sweep * u;
+  return {
+    x: piece.center.x + piece.radius * Math.cos(angle),
+    y: piece.center.y + piece.radius * Math.sin(angle)
+  };
+};
+
+/**
+ * Unit tangent of a piece at local parameter u, in the direction of increasing u
+ */
+export const pieceTangent = (piece, u) => {
+  if (piece.type === 'line') {
+    const length = dist(piece.start, piece.end) || 1;
+    return { x: (piece.end.x - piece.start.x) / length, y: (piece.end.y - piece.start.y) / length };
+  }
+  const angle = piece.startAngle + piece.sweep * u;
+  const direction = piece.sweep >= 0 ? 1 : -1;
+  return { x: -Math.sin(angle) * direction, y: Math.cos(angle) * direction };
+};
+
+export const pieceLength = (piece) => (
+  piece.type === 'line' ? dist(piece.start, piece.end) : Math.abs(piece.sweep) * piece.radius
+);
+
+/**
+ * Local parameter of the point on an arc piece at the given angle,
+ * or null when the angle is outside the sweep
+ */
+const arcAngleParameter = (piece, angle, tolerance = EPS) => {
+  const span = Math.abs(piece.sweep);
+  let delta = normalizeAngle((angle - piece.startAngle) * (piece.sweep >= 0 ? 1 : -1));
+  if (delta > span + tolerance && delta > TWO_PI - tolerance) delta -= TWO_PI;
+  if (delta < -tolerance || delta > span + tolerance) return null;
+  return Math.max(0, Math.min(1, delta / span));
+};
+
+/**
+ * Nearest local parameter on a piece to a point
+ * @returns {number} u in 0..1
+ */
+export const pieceParameter = (piece, point) => {
+  if (piece.type === 'line') {
+    const dx = piece.end.x - piece.start.x;
+    const dy = piece.end.y - piece.start.y;
+    const lengthSq = dx * dx + dy * dy;
+    if (lengthSq < EPS * EPS) return 0;
+    const u = ((point.x - piece.start.x) * dx + (point.y - piece.start.y) * dy) / lengthSq;
+    return Math.max(0, Math.min(1, u));
+  }
+
+  const angle = Math.atan2(point.y - piece.center.y, point.x - piece.center.x);
+  const u = arcAngleParameter(piece, angle, 0);
+  if (u !== null) return u;
+  // Outside the sweep - the nearest point is one of the ends
+  return dist(point, piecePoint(piece, 0)) <= dist(point, piecePoint(piece, 1)) ? 0 : 1;
+};
+
+/**
+ * Split a path parameter into piece index and local parameter
+ */
+const locate = (path, t) => {
+  const count = path.pieces.length;
+  let value = t;
+  if (path.closed) {
+    value = ((value % count) + count) % count;
+  }
+  const index = Math.min(Math.max(Math.floor(value), 0), count - 1);
+  return { index, u: Math.max(0, Math.min(1, value - index)) };
+};
+
+/**
+ * Point on a path at parameter t
+ */
+export const pathPoint = (path, t) => {
+  const { index, u } = locate(path, t);
+  return piecePoint(path.pieces[index], u);
+};
+
+/**
+ * Unit tangent of a path at parameter t
+ */
+export const pathTangent = (path, t) => {
+  const { index, u } = locate(path, t);
+  return pieceTangent(path.pieces[index], u);
+};
+
+/**
+ * Nearest parameter on a path to a point
+ * @returns {{t: number, point: Object, distance: number}} Nearest location
+ */
+export const pathParameter = (path, point) => {
+  let best = null;
+  path.pieces.forEach((piece, index) => {
+    const u = pieceParameter(piece, point);
+    const onPiece = piecePoint(piece, u);
+    const distance = dist(point, onPiece);
+    if (!best || distance < best.distance) {
+      best = { t: index + u, point: onPiece, distance };
+    }
+  });
+  return best;
+};
+
+/**
+ * Length of a path between two parameters (t0 <= t1; wraps for closed paths)
+ */
+export const pathRangeLength = (path, t0, t1) => {
+  const count = path.pieces.length;
+  let length = 0;
+  let t = t0;
+  while (t < t1 - EPS) {
+    const index = Math.floor(t + EPS);
+    const next = Math.min(index + 1, t1);
+    const piece = path.pieces[((index % count) + count) % count];
+    length += pieceLength(piece) * (next - t);
+    t = next;
+  }
+  return length;
+};
+
+export const pathLength = (path) => path.pieces.reduce((sum, piece) => sum + pieceLength(piece), 0);
+
+/**
+ * Parameter at a distance along a path from its start (clamped to the path)
+ */
+export const pathParameterAtLength = (path, length) => {
+  let remaining = Math.max(0, length);
+  for (let index = 0; index < path.pieces.length; index++) {
+    const pieceLen = pieceLength(path.pieces[index]);
+    if (remaining <= pieceLen || index === path.pieces.length - 1) {
+      return index + (pieceLen > EPS ? Math.min(1, remaining / pieceLen) : 0);
+    }
+    remaining -= pieceLen;
+  }
+  return 0;
+};
+
+const circleOf = (piece) => ({ center: piece.center, radius: piece.radius });
+
+/**
+ * Intersection points of two pieces, using the SnapEngine routines
+ */
+const pieceIntersections = (a, b) => {
+  if (a.type === 'line' && b.type === 'line') {
+    return snapEngine.lineLineIntersection(a, b);
+  }
+  if (a.type === 'arc' && b.type === 'arc') {
+    return snapEngine.circleCircleIntersection(circleOf(a), circleOf(b)).filter(point => (
+      arcAngleParameter(a, Math.atan2(point.y - a.center.y, point.x - a.center.x)) !== null &&
+      arcAngleParameter(b, Math.atan2(point.y - b.center.y, point.x - b.center.x)) !== null
+    ));
+  }
+  const arc = a.type === 'arc' ? a : b;
+  const line = a.type === 'arc' ? b : a;
+  if (dist(line.start, line.end) < EPS) return [];
+  return snapEngine.circleLineIntersection(circleOf(arc), line).filter(point => (
+    arcAngleParameter(arc, Math.atan2(point.y - arc.center.y, point.x - arc.center.x)) !== null
+  ));
+};
+
+/**
+ * Find where two paths cross
+ * @param {Object} pathA - First path
+ * @param {Object} pathB - Second path
+ * @returns {Array<{point: Object, t: number, s: number}>} Intersections with parameters on A (t) and B (s)
+ */
+export const pathIntersections = (pathA, pathB) => {
+  const results = [];
+  pathA.pieces.forEach((pieceA, indexA) => {
+    pathB.pieces.forEach((pieceB, indexB) => {
+      pieceIntersections(pieceA, pieceB).forEach(point => {
+        const t = indexA + pieceParameter(pieceA, point);
+        const s = indexB + pieceParameter(pieceB, point);
+        // Shared vertices are reported by both adjacent pieces
+        if (!results.some(existing => dist(existing.point, point) < EPS)) {
+          results.push({ point, t, s });
+        }
+      });
+    });
+  });
+  return results;
+};
+
+/**
+ * Build an entity covering part of a path. For closed paths t1 < t0 wraps
+ * around the seam. The result keeps the display properties of the source.
+ * @param {Object} entity - Source entity
+ * @param {Object} path - Path of the source entity
+ * @param {number} t0 - Start parameter
+ * @param {number} t1 - End parameter
+ * @returns {Object|null} New entity, or null when the range is degenerate
+ */
+export const extractPathRange = (entity, path, t0, t1) => {
+  const count = path.pieces.length;
+  let end = t1;
+  if (path.closed && end <= t0 + EPS) end += count;
+  if (end <= t0 + EPS || pathRangeLength(path, t0, end) < EPS) return null;
+
+  const options = entityProperties(entity);
+  const start = pathPoint(path, t0);
+  const finish = pathPoint(path, end);
+
+  if (entity.type === 'line') {
+    return new Line(start, finish, options);
+  }
+
+  if (entity.type === 'arc' || entity.type === 'circle') {
+    const piece = path.pieces[0];
+    const sweep = piece.sweep;
+    const base = path.closed ? t0 - Math.floor(t0 / count) * count : t0;
+    const startAngle = piece.startAngle + sweep * base;
+    const endAngle = startAngle + sweep * (end - t0);
+    return new Arc(piece.center, piece.radius, normalizeAngle(startAngle), normalizeAngle(endAngle), options);
+  }
+
+  // Polylines and rectangles become open polylines through the covered
+  // vertices; arc pieces carry the bulge of the part they cover and wide
+  // segments the widths at its ends
+  const breaks = [t0];
+  for (let k = Math.floor(t0) + 1; k < end - EPS; k++) {
+    if (k > t0 + EPS) breaks.push(k);
+  }
+  breaks.push(end);
+  const sources = entity.type === 'polyline' ? entity.vertices : [];
+  const vertices = breaks.map((t, i) => {
+    const point = i === 0 ? start : (i === breaks.length - 1 ? finish : pathPoint(path, t));
+    if (i === breaks.length - 1) return point;
+    const { index, u } = locate(path, t + EPS);
+    const piece = path.pieces[index];
+    const vertex = piece.type === 'arc'
+      ? { ...point, bulge: sweepToBulge(piece.sweep * (breaks[i + 1] - t)) }
+      : point;
+    const source = sources[index];
+    if (source && (source.startWidth || source.endWidth)) {
+      const widthAt = (local) => (source.startWidth || 0) + ((source.endWidth || 0) - (source.startWidth || 0)) * local;
+      vertex.startWidth = widthAt(Math.max(0, u - EPS));
+      vertex.endWidth = widthAt(Math.min(1, u - EPS + breaks[i + 1] - t));
+    }
+    return vertex;
+  });
+  return new Polyline(vertices, options);
+};
+
+/**
+ * Bounding box of a path (arcs use their full circle - good enough for reach estimates)
+ * @returns {Object} {minX, minY, maxX, maxY}
+ */
+export const pathBounds = (path) => {
+  const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  const include = (x, y) => {
+    bounds.minX = Math.min(bounds.minX, x);
+    bounds.minY = Math.min(bounds.minY, y);
+    bounds.maxX = Math.max(bounds.maxX, x);
+    bounds.maxY = Math.max(bounds.maxY, y);
+  };
+  path.pieces.forEach(piece => {
+    if (piece.type === 'line') {
+      include(piece.start.x, piece.start.y);
+      include(piece.end.x, piece.end.y);
+    } else {
+      include(piece.center.x - piece.radius, piece.center.y - piece.radius);
+      include(piece.center.x + piece.radius, piece.center.y + piece.radius);
+    }
+  });
+  return bounds;
+};
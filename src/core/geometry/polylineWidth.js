@@ -0,0 +1,94 @@
+import { bulgeArc, segmentPoints } from './bulge';
+
+/**
+ * Polyline widths
+ *
+ * As in DXF LWPOLYLINE, a vertex's `startWidth` and `endWidth` give the
+ * width of the segment from that vertex to the next one, tapering linearly
+ * between the two. Wide segments are drawn as filled outlines; corners
+ * between two wide segments get a bevel so the outline has no notch.
+ */
+
+const EPS = 1e-9;
+
+const segmentWidths = (vertex) => ({ start: vertex.startWidth || 0, end: vertex.endWidth || 0 });
+
+/**
+ * Check whether any segment of a polyline has a width
+ * @param {Array<Object>} vertices - Polyline vertices
+ * @returns {boolean} True if some segment is wide
+ */
+export const hasWidth = (vertices) => vertices.some(vertex => vertex.startWidth > 0 || vertex.endWidth > 0);
+
+/**
+ * Widest half-width of a polyline, for picking and bounds
+ * @param {Array<Object>} vertices - Polyline vertices
+ * @returns {number} Half of the largest width
+ */
+export const maxHalfWidth = (vertices) => vertices.reduce(
+  (widest, vertex) => Math.max(widest, (vertex.startWidth || 0) / 2, (vertex.endWidth || 0) / 2),
+  0
+);
+
+// Left-hand unit normals along a segment at each sample point
+const sampleNormals = (start, end, samples) => {
+  const arc = bulgeArc(start, end, start.bulge);
+  if (arc) {
+    const direction = arc.sweep >= 0 ? 1 : -1;
+    return samples.map(point => {
+      const radius = Math.hypot(point.x - arc.center.x, point.y - arc.center.y) || 1;
+      // Left of a counter-clockwise arc points at the centre
+      return {
+        x: -(point.x - arc.center.x) / radius * direction,
+        y: -(point.y - arc.center.y) / radius * direction
+      };
+    });
+  }
+  const length = Math.hypot(end.x - start.x, end.y - start.y);
+  const normal = { x: -(end.y - start.y) / length, y: (end.x - start.x) / length };
+  return samples.map(() => normal);
+};
+
+/**
+ * Filled outlines of a polyline's wide segments
+ * @param {Array<Object>} vertices - Polyline vertices {x, y, bulge?, startWidth?, endWidth?}
+ * @param {boolean} closed - Whether the polyline is closed
+ * @returns {Array<Array<Object>>} Polygons (point lists), one per wide segment plus corner bevels
+ */
+export const widthOutlines = (vertices, closed) => {
+  const wraps = closed && vertices.length > 2;
+  const count = wraps ? vertices.length : vertices.length - 1;
+  const segments = [];
+  for (let i = 0; i < count; i++) {
+    const start = vertices[i];
+    const end = vertices[(i + 1) % vertices.length];
+    const widths = segmentWidths(start);
+    if (Math.hypot(end.x - start.x, end.y - start.y) < EPS || (widths.start <= 0 && widths.end <= 0)) {
+      segments.push(null);
+      continue;
+    }
+    const samples = segmentPoints(start, end, start.bulge);
+    const normals = sampleNormals(start, end, samples);
+    const left = [];
+    const right = [];
+    samples.forEach((point, j) => {
+      const half = (widths.start + (widths.end - widths.start) * j / (samples.length - 1)) / 2;
+      left.push({ x: point.x + normals[j].x * half, y: point.y + normals[j].y * half });
+      right.push({ x: point.x - normals[j].x * half, y: point.y - normals[j].y * half });
+    });
+    segments.push({ left, right, polygon: [...left, ...[...right].reverse()] });
+  }
+
+  const outlines = segments.filter(Boolean).map(segment => segment.polygon);
+  // Bevel the corners where two wide segments meet
+  for (let i = 0; i < count; i++) {
+    const next = wraps ? (i + 1) % count : i + 1;
+    if (next >= count || !segments[i] || !segments[next]) continue;
+    const corner = vertices[(i + 1) % vertices.length];
+    const before = segments[i];
+    const after = segments[next];
+    outlines.push([corner, before.left[before.left.length - 1], after.left[0]]);
+    outlines.push([corner, before.right[before.right.length - 1], after.right[0]]);
+  }
+  return outlines;
+};
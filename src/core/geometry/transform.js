@@ -0,0 +1,176 @@
+import Line from '../entities/Line';
+import Circle from '../entities/Circle';
+import Arc from '../entities/Arc';
+import Rectangle from '../entities/Rectangle';
+import Polyline from '../entities/Polyline';
+import Text from '../entities/Text';
+import { entityProperties } from './paths';
+import { normalizeAngle } from './vec2';
+
+/**
+ * Entity transforms
+ *
+ * A transform is a rotation about `origin` followed by a move by `offset`:
+ * { offset: {x, y}, angle (radians), origin: {x, y} }. Transformed entities
+ * are new instances; rectangles rotated off the axes become closed polylines.
+ * Arrays transform their source items and layout, and regenerate the copies.
+ */
+
+const EPS = 1e-9;
+
+/**
+ * Apply a transform to a point
+ * @param {Object} point - Point {x, y}
+ * @param {Object} transform - { offset, angle, origin }
+ * @returns {Object} Transformed point
+ */
+export const transformPoint = (point, transform) => {
+  const offset = transform.offset || { x: 0, y: 0 };
+  const angle = transform.angle || 0;
+  const origin = transform.origin || { x: 0, y: 0 };
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const dx = point.x - origin.x;
+  const dy = point.y - origin.y;
+  return {
+    x: origin.x + dx * cos - dy * sin + offset.x,
+    y: origin.y + dx * sin + dy * cos + offset.y
+  };
+};
+
+/**
+ * Apply a transform to an entity
+ * @param {Object} entity - Line, circle, arc, rectangle, polyline, text or array
+ * @param {Object} transform - { offset, angle, origin }
+ * @param {Object} options - Extra constructor options (e.g. id)
+ * @returns {Object|null} Transformed copy, or null for unsupported types
+ */
+export const transformEntity = (entity, transform, options = {}) => {
+  const apply = (point) => transformPoint(point, transform);
+  const angle = transform.angle || 0;
+  const properties = { ...entityProperties(entity), ...options };
+
+  switch (entity.type) {
+    case 'line':
+      return new Line(apply(entity.start), apply(entity.end), properties);
+
+    case 'circle':
+      return new Circle(apply(entity.center), entity.radius, { ...properties, filled: entity.filled });
+
+    case 'arc':
+      return new Arc(
+        apply(entity.center),
+        entity.radius,
+        normalizeAngle(entity.startAngle + angle),
+        normalizeAngle(entity.endAngle + angle),
+        properties
+      );
+
+    case 'rectangle': {
+      // Quarter turns keep the rectangle axis-aligned
+      if (Math.abs(Math.sin(2 * angle)) < EPS) {
+        return new Rectangle(apply(entity.corner1), apply(entity.corner2), {
+          ...properties,
+          filled: entity.filled
+        });
+      }
+      const minX = Math.min(entity.corner1.x, entity.corner2.x);
+      const minY = Math.min(entity.corner1.y, entity.corner2.y);
+      const maxX = Math.max(entity.corner1.x, entity.corner2.x);
+      const maxY = Math.max(entity.corner1.y, entity.corner2.y);
+      const corners = [
+        { x: minX, y: minY },
+        { x: maxX, y: minY },
+        { x: maxX, y: maxY },
+        { x: minX, y: maxY }
+      ];
+      return new Polyline(corners.map(apply), { ...properties, closed: true });
+    }
+
+    case 'polyline':
+      // Rotations keep the direction of arc segments, so bulges carry over
+      return new Polyline((entity.vertices || []).map(vertex => ({ ...vertex, ...apply(vertex) })), {
+        ...properties,
+        closed: entity.closed
+      });
+
+    case 'text':
+      return new Text(apply(entity.position), entity.text, {
+        ...properties,
+        height: entity.height,
+        rotation: entity.rotation + angle,
+        mirrored: entity.mirrored
+      });
+
+    case 'array':
+      // A rectangular grid turns its rows and columns with the items
+      return entity.mapGeometry(
+        item => transformEntity(item, transform),
+        apply,
+        entity.kind === 'rectangular' ? { angle: (entity.params.angle || 0) + angle } : {},
+        properties
+      );
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Scale an entity about a point
+ * @param {Object} entity - Line, circle, arc, rectangle, polyline, text or array
+ * @param {number} factor - Scale factor (positive)
+ * @param {Object} origin - Fixed point {x, y}
+ * @param {Object} options - Extra constructor options (e.g. id)
+ * @returns {Object|null} Scaled copy, or null for unsupported types
+ */
+export const scaleEntity = (entity, factor, origin, options = {}) => {
+  const apply = (point) => ({
+    x: origin.x + (point.x - origin.x) * factor,
+    y: origin.y + (point.y - origin.y) * factor
+  });
+  const properties = { ...entityProperties(entity), ...options };
+
+  switch (entity.type) {
+    case 'line':
+      return new Line(apply(entity.start), apply(entity.end), properties);
+
+    case 'circle':
+      return new Circle(apply(entity.center), entity.radius * factor, { ...properties, filled: entity.filled });
+
+    case 'arc':
+      return new Arc(apply(entity.center), entity.radius * factor, entity.startAngle, entity.endAngle, properties);
+
+    case 'rectangle':
+      return new Rectangle(apply(entity.corner1), apply(entity.corner2), { ...properties, filled: entity.filled });
+
+    case 'polyline':
+      // Widths scale with the outline; bulges describe angles and stay
+      return new Polyline((entity.vertices || []).map(vertex => {
+        const scaled = { ...vertex, ...apply(vertex) };
+        if (vertex.startWidth) scaled.startWidth = vertex.startWidth * factor;
+        if (vertex.endWidth) scaled.endWidth = vertex.endWidth * factor;
+        return scaled;
+      }), { ...properties, closed: entity.closed });
+
+    case 'text':
+      return new Text(apply(entity.position), entity.text, {
+        ...properties,
+        height: entity.height * factor,
+        rotation: entity.rotation,
+        mirrored: entity.mirrored
+      });
+
+    case 'array': {
+      // Spacings scale with the items; polar angles do not change
+      const { columnSpacing, rowSpacing, spacing } = entity.params;
+      const params = entity.kind === 'rectangular'
+        ? { columnSpacing: columnSpacing * factor, rowSpacing: rowSpacing * factor }
+        : entity.kind === 'path' ? { spacing: spacing * factor } : {};
+      return entity.mapGeometry(item => scaleEntity(item, factor, origin), apply, params, properties);
+    }
+
+    default:
+      return null;
+  }
+};
@@ -94,6 +94,16 @@ export const normalize = (v) => {
   return { x: v.x / len, y: v.y / len };
 };
 
+/**
+ * Unit vector in the direction of a vector
+ * @param {Object} v - Vector
+ * @returns {Object|null} Unit vector, or null for a zero-length vector
+ */
+export const unit = (v) => {
+  const len = length(v);
+  return len < EPS ? null : { x: v.x / len, y: v.y / len };
+};
+
 /**
  * Rotate vector by angle (radians)
  * @param {Object} v - Vector to rotate
@@ -166,9 +176,21 @@ export const angleBetween = (a, b) => {
   return Math.acos(clamp(dotProduct, -1, 1));
 };
 
+/**
+ * Wrap an angle into [0, 2π)
+ * @param {number} radians - Angle in radians
+ * @returns {number} Equivalent angle in [0, 2π)
+ */
+export const normalizeAngle = (radians) => {
+  const TWO_PI = Math.PI * 2;
+  let a = radians % TWO_PI;
+  if (a < 0) a += TWO_PI;
+  return a;
+};
+
 export default {
   vec2, add, subtract, scale, dot, cross, 
   length, lengthSquared, distance, distanceSquared,
-  normalize, rotate, perpendicular, lerp, equals,
-  clamp, angle, angleBetween, EPS
+  normalize, unit, rotate, perpendicular, lerp, equals,
+  clamp, angle, angleBetween, normalizeAngle, EPS
 };
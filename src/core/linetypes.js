@@ -0,0 +1,60 @@
+/**
+ * Linetype definitions
+ *
+ * Patterns follow the DXF/LIN convention in drawing units:
+ * positive = dash, negative = gap, 0 = dot. An empty pattern is a solid line.
+ */
+
+export const STANDARD_LINETYPES = {
+  continuous: { name: 'continuous', description: 'Solid line', pattern: [] },
+  dashed: { name: 'dashed', description: 'Dashed __ __ __', pattern: [0.5, -0.25] },
+  hidden: { name: 'hidden', description: 'Hidden _ _ _ _', pattern: [0.25, -0.125] },
+  center: { name: 'center', description: 'Center ____ _ ____', pattern: [1.25, -0.25, 0.25, -0.25] },
+  phantom: { name: 'phantom', description: 'Phantom ____ _ _ ____', pattern: [1.25, -0.25, 0.25, -0.25, 0.25, -0.25] },
+  dot: { name: 'dot', description: 'Dot . . . .', pattern: [0, -0.25] },
+  dashdot: { name: 'dashdot', description: 'Dash dot __ . __ .', pattern: [0.5, -0.25, 0, -0.25] },
+  border: { name: 'border', description: 'Border __ __ . __ __ .', pattern: [0.5, -0.25, 0.5, -0.25, 0, -0.25] },
+  divide: { name: 'divide', description: 'Divide __ . . __ . .', pattern: [0.5, -0.25, 0, -0.25, 0, -0.25] }
+};
+
+/**
+ * Look up a linetype definition by name
+ * @param {string} name - Linetype name (case-insensitive)
+ * @param {Map} [custom] - Drawing-specific linetypes (store.linetypes)
+ * @returns {Object} Linetype definition (falls back to continuous)
+ */
+export const getLinetype = (name, custom = null) => {
+  const key = (name || 'continuous').toLowerCase();
+  if (custom && custom.has(key)) return custom.get(key);
+  return STANDARD_LINETYPES[key] || STANDARD_LINETYPES.continuous;
+};
+
+
+/**
+ * Convert a linetype pattern to alternating dash/gap lengths for stroke dashing
+ * Dots (0-length elements) become `dotLength` so they stay visible.
+ * @param {Array<number>} pattern - DXF-style pattern
+ * @param {number} scale - Multiplier applied to every element (linetype scale)
+ * @param {number} dotLength - Length used for dots (already scaled)
+ * @returns {Array<number>} Dash/gap lengths (empty for solid lines)
+ */
+export const patternToDashArray = (pattern, scale = 1, dotLength = 0) => {
+  if (!pattern || pattern.length === 0) return [];
+  const dashes = [];
+  for (const element of pattern) {
+    const isGap = element < 0;
+    const length = element === 0 ? dotLength : Math.abs(element) * scale;
+    const expectsGap = dashes.length % 2 === 1;
+    if (isGap === expectsGap) {
+      dashes.push(length);
+    } else if (dashes.length > 0) {
+      // Merge consecutive elements of the same kind to keep strict alternation
+      dashes[dashes.length - 1] += length;
+    } else {
+      // Pattern starts with a gap: lead with a zero-length dash
+      dashes.push(0, length);
+    }
+  }
+  if (dashes.length % 2 === 1) dashes.push(0);
+  return dashes;
+};
@@ -0,0 +1,225 @@
+import useCADStore from '../../app/store';
+import Line from '../entities/Line';
+import Circle from '../entities/Circle';
+import Arc from '../entities/Arc';
+import Rectangle from '../entities/Rectangle';
+import Polyline from '../entities/Polyline';
+import { entityProperties } from '../geometry/paths';
+import { transformEntity } from '../geometry/transform';
+import { segmentMidpoint, throughPointBulge } from '../geometry/bulge';
+
+/**
+ * Grips
+ *
+ * Grips are the editable points drawn on selected entities. Each grip is
+ * { entityId, kind, index, point }; the kind says what stretching it does:
+ * 'start'/'end'/'vertex'/'corner' move that point, 'edge' moves a rectangle
+ * side, 'mid' reshapes an arc (or moves a line), 'segment' moves a straight
+ * polyline segment or re-bends an arc segment through the new point,
+ * 'quadrant' changes a circle's radius and 'center'/'base' move the entity.
+ */
+
+const EPS = 1e-9;
+
+// Grip half-size in screen pixels
+export const GRIPSIZE = 4;
+
+// More selected entities than this show no grips, like GRIPOBJLIMIT
+export const GRIP_OBJECT_LIMIT = 100;
+
+/**
+ * Grip tolerance in world units for the current zoom level
+ * @returns {number} Tolerance
+ */
+export const gripTolerance = () => {
+  const { viewport } = useCADStore.getState();
+  return (GRIPSIZE + 1) / (viewport && viewport.scale ? viewport.scale : 1);
+};
+
+const grip = (entity, kind, point, index = 0) => ({ entityId: entity.id, kind, index, point: { x: point.x, y: point.y } });
+
+const segmentCount = (polyline) => (
+  polyline.closed && polyline.vertices.length > 2 ? polyline.vertices.length : polyline.vertices.length - 1
+);
+
+/**
+ * Grips of an entity
+ * @param {Object} entity - Entity
+ * @returns {Array<Object>} Grips { entityId, kind, index, point }
+ */
+export const entityGrips = (entity) => {
+  switch (entity.type) {
+    case 'line':
+      return [
+        grip(entity, 'start', entity.start),
+        grip(entity, 'mid', { x: (entity.start.x + entity.end.x) / 2, y: (entity.start.y + entity.end.y) / 2 }),
+        grip(entity, 'end', entity.end)
+      ];
+
+    case 'circle':
+      return [
+        grip(entity, 'center', entity.center),
+        ...[0, 1, 2, 3].map(i => grip(entity, 'quadrant', {
+          x: entity.center.x + entity.radius * Math.cos(i * Math.PI / 2),
+          y: entity.center.y + entity.radius * Math.sin(i * Math.PI / 2)
+        }, i))
+      ];
+
+    case 'arc':
+      return [
+        grip(entity, 'start', entity.getStartPoint()),
+        grip(entity, 'mid', entity.getMidPoint()),
+        grip(entity, 'end', entity.getEndPoint()),
+        grip(entity, 'center', entity.center)
+      ];
+
+    case 'rectangle': {
+      const corners = entity.getCorners();
+      return [
+        ...corners.map((corner, i) => grip(entity, 'corner', corner, i)),
+        ...corners.map((corner, i) => {
+          const next = corners[(i + 1) % corners.length];
+          return grip(entity, 'edge', { x: (corner.x + next.x) / 2, y: (corner.y + next.y) / 2 }, i);
+        })
+      ];
+    }
+
+    case 'polyline': {
+      const vertices = entity.vertices || [];
+      const grips = vertices.map((vertex, i) => grip(entity, 'vertex', vertex, i));
+      for (let i = 0; i < segmentCount(entity); i++) {
+        const start = vertices[i];
+        const end = vertices[(i + 1) % vertices.length];
+        grips.push(grip(entity, 'segment', segmentMidpoint(start, end, start.bulge), i));
+      }
+      return grips;
+    }
+
+    case 'text':
+      return [grip(entity, 'center', entity.position)];
+
+    case 'array':
+      return entity.basePoint ? [grip(entity, 'base', entity.basePoint)] : [];
+
+    default:
+      return [];
+  }
+};
+
+/**
+ * Grips of the selected entities, or none past GRIP_OBJECT_LIMIT
+ * @param {Array<Object>} entities - Selected entities
+ * @returns {Array<Object>} Grips
+ */
+export const selectionGrips = (entities) => (
+  entities.length > GRIP_OBJECT_LIMIT ? [] : entities.flatMap(entity => entityGrips(entity))
+);
+
+/**
+ * Grip closest to a point within the tolerance
+ * @param {Array<Object>} grips - Grips
+ * @param {Object} point - World point {x, y}
+ * @param {number} tolerance - Largest distance in world units
+ * @returns {Object|null} Grip
+ */
+export const findGrip = (grips, point, tolerance = gripTolerance()) => {
+  let best = null;
+  let bestDistance = tolerance;
+  grips.forEach(candidate => {
+    // Grips are squares, so measure like the pick box
+    const distance = Math.max(Math.abs(candidate.point.x - point.x), Math.abs(candidate.point.y - point.y));
+    if (distance <= bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+  return best;
+};
+
+// Arc through three points, from `start` via `through` to `end`
+const arcThroughPoints = (start, through, end, properties) => {
+  const bulge = throughPointBulge(start, through, end);
+  if (!bulge) return null;
+  const polyline = new Polyline([{ ...start, bulge }, end]);
+  const [arc] = polyline.explode();
+  return arc && arc.type === 'arc'
+    ? new Arc(arc.center, arc.radius, arc.startAngle, arc.endAngle, properties)
+    : null;
+};
+
+const arcGripPoints = (arc) => ({ start: arc.getStartPoint(), mid: arc.getMidPoint(), end: arc.getEndPoint() });
+
+/**
+ * Stretch an entity by dragging one of its grips
+ * @param {Object} entity - Entity
+ * @param {Object} target - Grip being dragged { kind, index, point }
+ * @param {Object} point - New grip location {x, y}
+ * @returns {Object|null} Edited entity (same id), or null if the edit does not apply
+ */
+export const stretchGrip = (entity, target, point) => {
+  const properties = { ...entityProperties(entity), id: entity.id };
+  const offset = { x: point.x - target.point.x, y: point.y - target.point.y };
+
+  if (target.kind === 'center' || target.kind === 'base' || (entity.type === 'line' && target.kind === 'mid')) {
+    return transformEntity(entity, { offset }, { id: entity.id });
+  }
+
+  switch (entity.type) {
+    case 'line':
+      return target.kind === 'start'
+        ? new Line(point, entity.end, properties)
+        : new Line(entity.start, point, properties);
+
+    case 'circle': {
+      const radius = Math.hypot(point.x - entity.center.x, point.y - entity.center.y);
+      return radius > EPS ? new Circle(entity.center, radius, { ...properties, filled: entity.filled }) : null;
+    }
+
+    case 'arc': {
+      // The arc keeps passing through its other two grips
+      const points = { ...arcGripPoints(entity), [target.kind]: point };
+      return arcThroughPoints(points.start, points.mid, points.end, properties);
+    }
+
+    case 'rectangle': {
+      const bounds = entity.getBounds();
+      if (target.kind === 'corner') {
+        const opposite = entity.getCorners()[(target.index + 2) % 4];
+        return new Rectangle(opposite, point, { ...properties, filled: entity.filled });
+      }
+      // Edges run minY, maxX, maxY, minX (corner i to corner i + 1)
+      const side = ['minY', 'maxX', 'maxY', 'minX'][target.index];
+      bounds[side] = side.endsWith('X') ? point.x : point.y;
+      return new Rectangle(
+        { x: bounds.minX, y: bounds.minY },
+        { x: bounds.maxX, y: bounds.maxY },
+        { ...properties, filled: entity.filled }
+      );
+    }
+
+    case 'polyline': {
+      const vertices = entity.vertices.map(vertex => ({ ...vertex }));
+      const options = { ...properties, closed: entity.closed };
+      if (target.kind === 'vertex') {
+        vertices[target.index] = { ...vertices[target.index], x: point.x, y: point.y };
+        return new Polyline(vertices, options);
+      }
+      const start = vertices[target.index];
+      const endIndex = (target.index + 1) % vertices.length;
+      const end = vertices[endIndex];
+      if (start.bulge) {
+        // Bend the arc segment through the new point
+        const bulge = throughPointBulge(start, point, end);
+        if (bulge) start.bulge = bulge;
+        else delete start.bulge;
+        return new Polyline(vertices, options);
+      }
+      vertices[target.index] = { ...start, x: start.x + offset.x, y: start.y + offset.y };
+      vertices[endIndex] = { ...end, x: end.x + offset.x, y: end.y + offset.y };
+      return new Polyline(vertices, options);
+    }
+
+    default:
+      return null;
+  }
+};
@@ -0,0 +1,278 @@
+import useCADStore from '../../app/store';
+import { entityToPath, pathIntersections, pathParameter, piecePoint } from '../geometry/paths';
+import { maxHalfWidth } from '../geometry/polylineWidth';
+
+/**
+ * Hit testing for object picking
+ * Finds the entity under the cursor using the spatial index, then measures
+ * the true distance to each candidate's geometry.
+ */
+
+// Pick box half-size in screen pixels
+export const PICKBOX = 5;
+
+/**
+ * Pick tolerance in world units for the current zoom level
+ * @returns {number} Tolerance
+ */
+export const pickTolerance = () => {
+  const { viewport } = useCADStore.getState();
+  return PICKBOX / (viewport && viewport.scale ? viewport.scale : 1);
+};
+
+/**
+ * Distance from a point to an entity's geometry
+ * @param {Object} entity - Entity
+ * @param {Object} point - World point {x, y}
+ * @returns {number} Distance (Infinity for entities without pickable geometry)
+ */
+export const distanceToEntity = (entity, point) => {
+  if (entity.type === 'array' && typeof entity.getItems === 'function') {
+    return entity.getItems().reduce((best, item) => Math.min(best, distanceToEntity(item, point)), Infinity);
+  }
+  if (entity.type === 'text' && typeof entity.getCorners === 'function') {
+    // Anywhere on the text box picks it
+    const corners = entity.getCorners();
+    const inside = corners.every((corner, i) => {
+      const next = corners[(i + 1) % corners.length];
+      return (next.x - corner.x) * (point.y - corner.y) - (next.y - corner.y) * (point.x - corner.x) >= 0;
+    });
+    if (inside) return 0;
+    return pathParameter(entityToPath({ type: 'polyline', vertices: corners, closed: true }), point).distance;
+  }
+  const path = entityToPath(entity);
+  if (!path) return Infinity;
+  const distance = pathParameter(path, point).distance;
+  // Anywhere on a wide polyline picks it
+  return entity.type === 'polyline' ? Math.max(0, distance - maxHalfWidth(entity.vertices)) : distance;
+};
+
+/**
+ * Check whether an entity can be picked (not a preview, layer visible and unlocked)
+ * @param {Object} entity - Entity
+ * @returns {boolean} True if pickable
+ */
+export const isPickable = (entity) => {
+  if (!entity || entity.isPreview) return false;
+  const layer = useCADStore.getState().layers.get(entity.layerId);
+  return !!layer && layer.visible !== false && !layer.locked;
+};
+
+/**
+ * Find the entity closest to a point within the pick tolerance
+ * @param {Object} point - World point {x, y}
+ * @param {Object} options - { tolerance, filter(entity) }
+ * @returns {Object|null} Closest entity, or null if nothing is in reach
+ */
+export const pickEntity = (point, options = {}) => {
+  const tolerance = options.tolerance !== undefined ? options.tolerance : pickTolerance();
+  const candidates = useCADStore.getState().queryEntities({
+    minX: point.x - tolerance,
+    minY: point.y - tolerance,
+    maxX: point.x + tolerance,
+    maxY: point.y + tolerance
+  });
+
+  let best = null;
+  let bestDistance = tolerance;
+  candidates.forEach(entity => {
+    if (!isPickable(entity) || (options.filter && !options.filter(entity))) return;
+    const distance = distanceToEntity(entity, point);
+    if (distance <= bestDistance) {
+      best = entity;
+      bestDistance = distance;
+    }
+  });
+  return best;
+};
+
+/**
+ * Normalized window bounds from two corner points
+ * @param {Object} corner1 - First corner {x, y}
+ * @param {Object} corner2 - Opposite corner {x, y}
+ * @returns {Object} Bounds {minX, minY, maxX, maxY}
+ */
+export const windowBounds = (corner1, corner2) => ({
+  minX: Math.min(corner1.x, corner2.x),
+  minY: Math.min(corner1.y, corner2.y),
+  maxX: Math.max(corner1.x, corner2.x),
+  maxY: Math.max(corner1.y, corner2.y)
+});
+
+/**
+ * Check whether a point lies inside (or on the edge of) a window
+ * @param {Object} point - Point {x, y}
+ * @param {Object} window - Bounds {minX, minY, maxX, maxY}
+ * @returns {boolean} True if inside
+ */
+export const pointInWindow = (point, window) => (
+  point.x >= window.minX && point.x <= window.maxX &&
+  point.y >= window.minY && point.y <= window.maxY
+);
+
+const boundsInside = (bounds, window) => (
+  !!bounds &&
+  bounds.minX >= window.minX && bounds.maxX <= window.maxX &&
+  bounds.minY >= window.minY && bounds.maxY <= window.maxY
+);
+
+// Extreme points of a path piece: line ends, or arc ends plus the quadrant
+// points the arc sweeps through
+const pieceExtremes = (piece) => {
+  if (piece.type === 'line') return [piece.start, piece.end];
+  const points = [piecePoint(piece, 0), piecePoint(piece, 1)];
+  // Clockwise pieces (polyline arc segments) sweep the same angles backwards
+  const from = piece.sweep >= 0 ? piece.startAngle : piece.startAngle + piece.sweep;
+  for (let k = Math.ceil(from / (Math.PI / 2)); k * Math.PI / 2 < from + Math.abs(piece.sweep); k++) {
+    const angle = k * Math.PI / 2;
+    points.push({
+      x: piece.center.x + piece.radius * Math.cos(angle),
+      y: piece.center.y + piece.radius * Math.sin(angle)
+    });
+  }
+  return points;
+};
+
+/**
+ * Check whether an entity lies entirely inside a window
+ * @param {Object} entity - Entity
+ * @param {Object} window - Bounds {minX, minY, maxX, maxY}
+ * @returns {boolean} True if fully inside
+ */
+export const entityInsideWindow = (entity, window) => {
+  if (entity.type === 'array' && typeof entity.getItems === 'function') {
+    return entity.getItems().every(item => entityInsideWindow(item, window));
+  }
+  const path = entityToPath(entity);
+  if (path) {
+    return path.pieces.every(piece => pieceExtremes(piece).every(point => pointInWindow(point, window)));
+  }
+  return boundsInside(useCADStore.getState().getEntityBounds(entity), window);
+};
+
+/**
+ * Check whether an entity is inside a window or crosses its edge
+ * @param {Object} entity - Entity
+ * @param {Object} window - Bounds {minX, minY, maxX, maxY}
+ * @returns {boolean} True if inside or crossing
+ */
+export const entityCrossesWindow = (entity, window) => {
+  if (entity.type === 'array' && typeof entity.getItems === 'function') {
+    return entity.getItems().some(item => entityCrossesWindow(item, window));
+  }
+  if (entityInsideWindow(entity, window)) return true;
+  const path = entityToPath(entity);
+  if (!path) return false;
+  const edge = entityToPath({
+    type: 'rectangle',
+    corner1: { x: window.minX, y: window.minY },
+    corner2: { x: window.maxX, y: window.maxY }
+  });
+  return pathIntersections(path, edge).length > 0;
+};
+
+/**
+ * Find the pickable entities selected by a window
+ * @param {Object} corner1 - First corner {x, y}
+ * @param {Object} corner2 - Opposite corner {x, y}
+ * @param {Object} options - { crossing: also take entities crossing the edge, filter(entity) }
+ * @returns {Array} Entities
+ */
+export const entitiesInWindow = (corner1, corner2, options = {}) => {
+  const window = windowBounds(corner1, corner2);
+  const test = options.crossing ? entityCrossesWindow : entityInsideWindow;
+  return useCADStore.getState().queryEntities(window).filter(entity => (
+    isPickable(entity) &&
+    (!options.filter || options.filter(entity)) &&
+    test(entity, window)
+  ));
+};
+
+/**
+ * Check whether a point lies inside a polygon (even-odd rule)
+ * @param {Object} point - Point {x, y}
+ * @param {Array<Object>} polygon - Polygon points [{x, y}]
+ * @returns {boolean} True if inside
+ */
+export const pointInPolygon = (point, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+const boundsCorners = (bounds) => [
+  { x: bounds.minX, y: bounds.minY },
+  { x: bounds.maxX, y: bounds.minY },
+  { x: bounds.maxX, y: bounds.maxY },
+  { x: bounds.minX, y: bounds.maxY }
+];
+
+// Outline tested against a lasso: the entity's path, the text box, or its bounds
+const outlinePath = (entity) => {
+  const path = entityToPath(entity);
+  if (path) return path;
+  let corners = null;
+  if (typeof entity.getCorners === 'function') {
+    corners = entity.getCorners();
+  } else {
+    const bounds = useCADStore.getState().getEntityBounds(entity);
+    if (bounds) corners = boundsCorners(bounds);
+  }
+  return corners ? entityToPath({ type: 'polyline', vertices: corners, closed: true }) : null;
+};
+
+// An outline that does not cross the lasso lies inside it if any of its points does
+const lassoTest = (entity, polygon, lassoPath, crossing) => {
+  if (entity.type === 'array' && typeof entity.getItems === 'function') {
+    const items = entity.getItems();
+    return crossing
+      ? items.some(item => lassoTest(item, polygon, lassoPath, true))
+      : items.every(item => lassoTest(item, polygon, lassoPath, false));
+  }
+  const path = outlinePath(entity);
+  if (!path || path.pieces.length === 0) return false;
+  const crosses = pathIntersections(path, lassoPath).length > 0;
+  if (crosses) return crossing;
+  return pointInPolygon(piecePoint(path.pieces[0], 0), polygon);
+};
+
+/**
+ * Check whether a lasso selects by crossing. Like AutoCAD, a lasso drawn
+ * clockwise on screen is a window and one drawn counter-clockwise a crossing
+ * (world y points down, as on screen).
+ * @param {Array<Object>} polygon - Lasso points [{x, y}]
+ * @returns {boolean} True for a crossing lasso
+ */
+export const isCrossingLasso = (polygon) => polygon.reduce((sum, point, i) => {
+  const next = polygon[(i + 1) % polygon.length];
+  return sum + point.x * next.y - next.x * point.y;
+}, 0) < 0;
+
+/**
+ * Find the pickable entities selected by a freehand lasso
+ * @param {Array<Object>} polygon - Lasso points [{x, y}] (closed implicitly)
+ * @param {Object} options - { crossing: also take entities crossing the lasso, filter(entity) }
+ * @returns {Array} Entities
+ */
+export const entitiesInLasso = (polygon, options = {}) => {
+  if (polygon.length < 3) return [];
+  const lassoPath = entityToPath({ type: 'polyline', vertices: polygon, closed: true });
+  const bounds = {
+    minX: Math.min(...polygon.map(point => point.x)),
+    minY: Math.min(...polygon.map(point => point.y)),
+    maxX: Math.max(...polygon.map(point => point.x)),
+    maxY: Math.max(...polygon.map(point => point.y))
+  };
+  return useCADStore.getState().queryEntities(bounds).filter(entity => (
+    isPickable(entity) &&
+    (!options.filter || options.filter(entity)) &&
+    lassoTest(entity, polygon, lassoPath, !!options.crossing)
+  ));
+};
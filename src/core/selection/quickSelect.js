@@ -0,0 +1,229 @@
+import useCADStore from '../../app/store';
+import { entityToPath, pathLength } from '../geometry/paths';
+import { isPickable } from './hitTest';
+import { resolveLineweight } from '../units';
+
+/**
+ * Quick select
+ *
+ * Builds the selection from entity properties instead of picking. Criteria
+ * are { type, conditions, mode, scope }: `type` limits the entity type ('*'
+ * for any), every condition { property, operator, value } must hold, and
+ * the mode says what happens with the matches - 'include' selects them,
+ * 'exclude' selects everything else and 'append' adds them to the current
+ * selection. `scope` 'selection' searches only the current selection.
+ */
+
+const NUMERIC_EPS = 1e-6;
+
+export const QSELECT_MODES = ['include', 'exclude', 'append'];
+
+/**
+ * Properties that can be tested. Numeric properties are undefined for
+ * entities they do not apply to (e.g. the radius of a line), which fails
+ * every comparison except '!='.
+ */
+export const QSELECT_PROPERTIES = [
+  { name: 'layer', label: 'Layer', numeric: false },
+  { name: 'color', label: 'Color', numeric: false },
+  { name: 'linetype', label: 'Linetype', numeric: false },
+  { name: 'lineweight', label: 'Lineweight', numeric: true },
+  { name: 'length', label: 'Length', numeric: true },
+  { name: 'radius', label: 'Radius', numeric: true },
+  { name: 'area', label: 'Area', numeric: true }
+];
+
+// Longest symbols first so '<=' is not read as '<'
+export const QSELECT_OPERATORS = ['<=', '>=', '!=', '=', '<', '>', '*'];
+
+const propertyInfo = (name) => QSELECT_PROPERTIES.find(property => property.name === name);
+
+/**
+ * Signed area enclosed by a closed path (line pieces by the shoelace
+ * formula, arc pieces add or remove their circular segment)
+ */
+const pathArea = (path) => path.pieces.reduce((sum, piece) => {
+  if (piece.type === 'line') {
+    return sum + (piece.start.x * piece.end.y - piece.end.x * piece.start.y) / 2;
+  }
+  const { center, radius, startAngle, sweep } = piece;
+  const start = { x: center.x + radius * Math.cos(startAngle), y: center.y + radius * Math.sin(startAngle) };
+  const end = { x: center.x + radius * Math.cos(startAngle + sweep), y: center.y + radius * Math.sin(startAngle + sweep) };
+  const chord = (start.x * end.y - end.x * start.y) / 2;
+  return sum + chord + radius * radius * (sweep - Math.sin(sweep)) / 2;
+}, 0);
+
+/**
+ * Value of a property for an entity (class instance or plain object)
+ * @param {Object} entity - Entity
+ * @param {string} name - Property name, or 'type'
+ * @param {Map} layers - Layers by id
+ * @returns {string|number|undefined} Value, undefined if it does not apply
+ */
+export const propertyValue = (entity, name, layers) => {
+  switch (name) {
+    case 'type':
+      return entity.type;
+
+    case 'layer': {
+      const layer = layers && layers.get(entity.layerId);
+      return layer && layer.name ? layer.name : entity.layerId;
+    }
+
+    case 'color':
+      return entity.color || 'bylayer';
+
+    case 'linetype':
+      return entity.linetype || 'continuous';
+
+    case 'lineweight':
+      // In millimetres, ByLayer resolved
+      return resolveLineweight(entity, layers && layers.get(entity.layerId));
+
+    case 'length': {
+      if (typeof entity.getLength === 'function') return entity.getLength();
+      if (typeof entity.getCircumference === 'function') return entity.getCircumference();
+      const path = entityToPath(entity);
+      return path ? pathLength(path) : undefined;
+    }
+
+    case 'radius':
+      return entity.type === 'circle' || entity.type === 'arc' ? entity.radius : undefined;
+
+    case 'area': {
+      if (typeof entity.getArea === 'function') return entity.getArea();
+      const path = entityToPath(entity);
+      return path && path.closed ? Math.abs(pathArea(path)) : undefined;
+    }
+
+    default:
+      return undefined;
+  }
+};
+
+// '*' and '?' wildcards, case-insensitive, like AutoCAD name matching
+const wildcardPattern = (text) => new RegExp(
+  `^${String(text).replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`,
+  'i'
+);
+
+/**
+ * Build the test for one condition
+ * @param {Object} condition - { property, operator, value }
+ * @param {Map} layers - Layers by id
+ * @returns {Function} (entity) => boolean
+ */
+export const conditionPredicate = ({ property, operator, value }, layers) => {
+  const info = propertyInfo(property);
+  if (!info) throw new Error(`Unknown property: ${property}`);
+  if (!QSELECT_OPERATORS.includes(operator)) throw new Error(`Unknown operator: ${operator}`);
+
+  if (operator === '*') {
+    return (entity) => propertyValue(entity, property, layers) !== undefined;
+  }
+
+  if (info.numeric) {
+    const target = Number(value);
+    if (!Number.isFinite(target)) throw new Error(`${info.label} needs a number`);
+    const tolerance = NUMERIC_EPS * Math.max(1, Math.abs(target));
+
+    return (entity) => {
+      const actual = propertyValue(entity, property, layers);
+      if (actual === undefined) return operator === '!=';
+      const equal = Math.abs(actual - target) <= tolerance;
+      switch (operator) {
+        case '=': return equal;
+        case '!=': return !equal;
+        case '<': return actual < target && !equal;
+        case '>': return actual > target && !equal;
+        case '<=': return actual < target || equal;
+        case '>=': return actual > target || equal;
+      }
+      return false;
+    };
+  }
+
+  if (operator !== '=' && operator !== '!=') {
+    throw new Error(`${info.label} can only be compared with = or !=`);
+  }
+  const pattern = wildcardPattern(value);
+  return (entity) => {
+    // Layers match by name or id
+    const matches = pattern.test(propertyValue(entity, property, layers)) ||
+      (property === 'layer' && pattern.test(entity.layerId));
+    return operator === '=' ? matches : !matches;
+  };
+};
+
+/**
+ * Build the predicate for a type and a list of conditions (all must hold)
+ * @param {Object} criteria - { type, conditions }
+ * @param {Map} layers - Layers by id
+ * @returns {Function} (entity) => boolean
+ */
+export const buildPredicate = ({ type = '*', conditions = [] }, layers) => {
+  const tests = conditions.map(condition => conditionPredicate(condition, layers));
+  return (entity) => (
+    (!type || type === '*' || entity.type === type) &&
+    tests.every(test => test(entity))
+  );
+};
+
+/**
+ * Work out the selection for quick select criteria against the drawing.
+ * Previews and entities on hidden or locked layers are never selected.
+ * @param {Object} criteria - { type, conditions, mode, scope }
+ * @returns {string[]} Ids of the new selection
+ */
+export const quickSelect = (criteria) => {
+  const { entities, layers, selection } = useCADStore.getState();
+  const mode = criteria.mode || 'include';
+  if (!QSELECT_MODES.includes(mode)) throw new Error(`Unknown mode: ${mode}`);
+
+  const predicate = buildPredicate(criteria, layers);
+  const candidates = criteria.scope === 'selection' && mode !== 'append'
+    ? Array.from(selection).map(id => entities.get(id)).filter(Boolean)
+    : Array.from(entities.values());
+  const pickable = candidates.filter(isPickable);
+
+  switch (mode) {
+    case 'exclude':
+      return pickable.filter(entity => !predicate(entity)).map(entity => entity.id);
+    case 'append': {
+      const ids = new Set(selection);
+      pickable.filter(predicate).forEach(entity => ids.add(entity.id));
+      return Array.from(ids);
+    }
+    default:
+      return pickable.filter(predicate).map(entity => entity.id);
+  }
+};
+
+/**
+ * Read quick select criteria from command line words, e.g.
+ * `circle radius=6 layer=HOLES` or `line length<0.5 append`. A word that is
+ * not a condition, mode or 'selection' is the entity type.
+ * @param {string[]} words - Command arguments
+ * @returns {Object} Criteria for quickSelect
+ */
+export const parseQuickSelect = (words) => {
+  const criteria = { type: '*', conditions: [], mode: 'include', scope: 'drawing' };
+
+  words.forEach(word => {
+    const lower = word.toLowerCase();
+    const match = /^([a-z]+)(<=|>=|!=|<>|=|<|>)(.*)$/i.exec(word);
+    if (match) {
+      const property = match[1].toLowerCase();
+      if (!propertyInfo(property)) throw new Error(`Unknown property: ${match[1]}`);
+      criteria.conditions.push({ property, operator: match[2] === '<>' ? '!=' : match[2], value: match[3] });
+    } else if (QSELECT_MODES.includes(lower)) {
+      criteria.mode = lower;
+    } else if (lower === 'selection') {
+      criteria.scope = 'selection';
+    } else {
+      criteria.type = lower;
+    }
+  });
+
+  return criteria;
+};
@@ -0,0 +1,67 @@
+import useCADStore from '../../app/store';
+import { isPickable } from './hitTest';
+import { propertyValue } from './quickSelect';
+
+/**
+ * Selection sets and similar-object selection
+ *
+ * Named selection sets are lists of entity ids kept with the drawing. Ids of
+ * entities that no longer exist stay in the set (an undo may bring them
+ * back) and are skipped when the set is used.
+ */
+
+// How a stored set (or any id list) is combined with the current selection
+export const SET_OPERATIONS = ['replace', 'union', 'subtract', 'intersect'];
+
+// Properties SELECTSIMILAR can compare
+export const SIMILAR_PROPERTIES = ['type', 'layer', 'color', 'linetype', 'lineweight'];
+
+/**
+ * Combine the current selection with a list of ids
+ * @param {Iterable<string>} current - Current selection
+ * @param {Iterable<string>} ids - Ids to combine with
+ * @param {string} operation - 'replace', 'union', 'subtract' or 'intersect'
+ * @returns {string[]} Resulting ids
+ */
+export const combineSelection = (current, ids, operation) => {
+  const other = new Set(ids);
+  switch (operation) {
+    case 'replace':
+      return Array.from(other);
+    case 'union':
+      return Array.from(new Set([...current, ...other]));
+    case 'subtract':
+      return Array.from(current).filter(id => !other.has(id));
+    case 'intersect':
+      return Array.from(current).filter(id => other.has(id));
+    default:
+      throw new Error(`Unknown selection set operation: ${operation}`);
+  }
+};
+
+/**
+ * Key of an entity for the compared properties (layers by id, so two layers
+ * with the same name stay apart)
+ */
+const similarityKey = (entity, properties, layers) => properties
+  .map(name => (name === 'layer' ? entity.layerId : String(propertyValue(entity, name, layers))))
+  .join('\u0000');
+
+/**
+ * Find the entities similar to any of the reference entities: every
+ * compared property equal. Previews and entities on hidden or locked layers
+ * are left out.
+ * @param {Object[]} references - Reference entities
+ * @param {string[]} properties - Property names from SIMILAR_PROPERTIES
+ * @returns {string[]} Ids of the similar entities (references included)
+ */
+export const findSimilar = (references, properties) => {
+  const unknown = properties.find(name => !SIMILAR_PROPERTIES.includes(name));
+  if (unknown) throw new Error(`Unknown property: ${unknown}`);
+
+  const { entities, layers } = useCADStore.getState();
+  const keys = new Set(references.map(entity => similarityKey(entity, properties, layers)));
+  return Array.from(entities.values())
+    .filter(entity => isPickable(entity) && keys.has(similarityKey(entity, properties, layers)))
+    .map(entity => entity.id);
+};
@@ -1,4 +1,5 @@
 import useCADStore from '../../app/store';
+import { bulgeArc, segmentMidpoint } from '../geometry/bulge';
 
 /**
  * Snapping Engine - Provides AutoCAD-like snap functionality
@@ -37,6 +38,12 @@ export class SnapEngine {
     // Get entities near mouse position
     const nearbyEntities = this.getNearbyEntities(worldPos, viewport);
 
+    // Perpendicular and tangent work from the command's last point. Before
+    // there is one, a command that sets `deferredSnap` takes them deferred:
+    // the point on the entity is worked out once its next point is known.
+    const { lastPoint, deferredSnap } = store.commandState;
+    const deferred = !lastPoint && deferredSnap;
+
     for (const entity of nearbyEntities) {
       if (snapSettings.endpoint) {
         candidates.push(...this.getEndpoints(entity));
@@ -47,6 +54,17 @@ export class SnapEngine {
       if (snapSettings.center) {
         candidates.push(...this.getCenters(entity));
       }
+      // Tangent first: on circles and arcs its deferred snap sits on the same point as perpendicular's
+      if (snapSettings.tangent) {
+        candidates.push(...(deferred
+          ? this.getDeferredPoints(entity, worldPos, 'tangent')
+          : this.getTangentPoints(entity, lastPoint)));
+      }
+      if (snapSettings.perpendicular) {
+        candidates.push(...(deferred
+          ? this.getDeferredPoints(entity, worldPos, 'perpendicular')
+          : this.getPerpendicularPoints(entity, lastPoint)));
+      }
       if (snapSettings.nearest) {
         candidates.push(...this.getNearestPoints(entity, worldPos));
       }
@@ -57,9 +75,14 @@ export class SnapEngine {
       candidates.push(...this.getIntersections(nearbyEntities, worldPos));
     }
 
-    // Find closest candidate within tolerance
+    // Find closest candidate within tolerance. Nearest and deferred snaps
+    // are the fallback: they always lie right under the cursor, so any other
+    // snap in reach wins. Between the two, a deferred snap is pushed first
+    // and keeps the tie.
     let bestSnap = null;
     let minDistance = Infinity;
+    let bestFallback = null;
+    let minFallbackDistance = Infinity;
 
     for (const candidate of candidates) {
       const screenPoint = viewport.toScreen(candidate.point);
@@ -67,14 +90,20 @@ export class SnapEngine {
         Math.pow(screenPoint.x - mousePos.x, 2) + 
         Math.pow(screenPoint.y - mousePos.y, 2)
       );
+      if (distance >= this.snapTolerance) continue;
 
-      if (distance < this.snapTolerance && distance < minDistance) {
+      if (candidate.type === 'nearest' || candidate.deferred) {
+        if (distance < minFallbackDistance) {
+          minFallbackDistance = distance;
+          bestFallback = candidate;
+        }
+      } else if (distance < minDistance) {
         minDistance = distance;
         bestSnap = candidate;
       }
     }
 
-    return bestSnap;
+    return bestSnap || bestFallback;
   }
 
   /**
@@ -91,7 +120,10 @@ export class SnapEngine {
       maxY: worldPos.y + tolerance
     };
 
-    return store.queryEntities(bounds);
+    // Snap to the items of associative arrays, never to previews following the cursor
+    return store.queryEntities(bounds).filter(entity => !entity.isPreview).flatMap(entity => (
+      entity.type === 'array' && typeof entity.getItems === 'function' ? entity.getItems() : [entity]
+    ));
   }
 
   /**
@@ -185,22 +217,15 @@ export class SnapEngine {
         break;
         
       case 'polyline':
-        if (entity.vertices && entity.vertices.length > 1) {
-          for (let i = 0; i < entity.vertices.length - 1; i++) {
-            const start = entity.vertices[i];
-            const end = entity.vertices[i + 1];
-            const midpoint = {
-              x: (start.x + end.x) / 2,
-              y: (start.y + end.y) / 2
-            };
-            points.push({
-              point: midpoint,
-              type: 'midpoint',
-              entity: entity.id,
-              visual: { type: 'triangle', size: 8 }
-            });
-          }
-        }
+        // Arc segments snap halfway along the arc, not the chord
+        this.polylineSegments(entity).forEach(({ start, end }) => {
+          points.push({
+            point: segmentMidpoint(start, end, start.bulge),
+            type: 'midpoint',
+            entity: entity.id,
+            visual: { type: 'triangle', size: 8 }
+          });
+        });
         break;
     }
     
@@ -280,11 +305,237 @@ export class SnapEngine {
           visual: { type: 'x', size: 6 }
         });
         break;
+
+      case 'arc':
+      case 'polyline': {
+        let best = null;
+        let bestDistance = Infinity;
+        this.getCurves(entity).forEach(curve => {
+          const point = this.nearestPointOnCurve(curve, worldPos);
+          const distance = Math.hypot(point.x - worldPos.x, point.y - worldPos.y);
+          if (distance < bestDistance) {
+            best = point;
+            bestDistance = distance;
+          }
+        });
+        if (best) {
+          points.push({
+            point: best,
+            type: 'nearest',
+            entity: entity.id,
+            visual: { type: 'x', size: 6 }
+          });
+        }
+        break;
+      }
     }
     
     return points;
   }
 
+  /**
+   * Segments of a polyline, including the closing one, as {start, end}
+   * vertex pairs (start carries the segment's bulge)
+   */
+  polylineSegments(entity) {
+    const vertices = entity.vertices || [];
+    const segments = [];
+    for (let i = 0; i < vertices.length - 1; i++) {
+      segments.push({ start: vertices[i], end: vertices[i + 1] });
+    }
+    if (entity.closed && vertices.length > 2) {
+      segments.push({ start: vertices[vertices.length - 1], end: vertices[0] });
+    }
+    return segments;
+  }
+
+  /**
+   * Break an entity into simple curves: lines {type: 'line', start, end},
+   * circles {type: 'circle', center, radius} and arcs {type: 'arc', center,
+   * radius, startAngle, sweep} with a signed sweep
+   */
+  getCurves(entity) {
+    switch (entity.type) {
+      case 'line':
+        return [{ type: 'line', start: entity.start, end: entity.end }];
+
+      case 'circle':
+        return [{ type: 'circle', center: entity.center, radius: entity.radius }];
+
+      case 'arc': {
+        let sweep = entity.endAngle - entity.startAngle;
+        if (sweep <= 0) sweep += 2 * Math.PI;
+        return [{ type: 'arc', center: entity.center, radius: entity.radius, startAngle: entity.startAngle, sweep }];
+      }
+
+      case 'polyline':
+        return this.polylineSegments(entity).map(({ start, end }) => {
+          const arc = bulgeArc(start, end, start.bulge);
+          return arc ? { type: 'arc', ...arc } : { type: 'line', start, end };
+        });
+
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Check whether a point on an arc's circle lies within the arc's sweep
+   */
+  isOnArc(arc, point) {
+    const span = Math.abs(arc.sweep);
+    const angle = Math.atan2(point.y - arc.center.y, point.x - arc.center.x);
+    let delta = ((angle - arc.startAngle) * (arc.sweep >= 0 ? 1 : -1)) % (2 * Math.PI);
+    if (delta < 0) delta += 2 * Math.PI;
+    return delta <= span + 1e-9 || delta >= 2 * Math.PI - 1e-9;
+  }
+
+  /**
+   * Find nearest point on a curve (see getCurves)
+   */
+  nearestPointOnCurve(curve, point) {
+    if (curve.type === 'line') {
+      return this.nearestPointOnLine(curve.start, curve.end, point);
+    }
+    const onCircle = this.nearestPointOnCircle(curve.center, curve.radius, point);
+    if (curve.type === 'circle' || this.isOnArc(curve, onCircle)) return onCircle;
+
+    // Outside the sweep - the nearest point is one of the arc's ends
+    const ends = [curve.startAngle, curve.startAngle + curve.sweep].map(angle => ({
+      x: curve.center.x + curve.radius * Math.cos(angle),
+      y: curve.center.y + curve.radius * Math.sin(angle)
+    }));
+    return Math.hypot(ends[0].x - point.x, ends[0].y - point.y) <=
+      Math.hypot(ends[1].x - point.x, ends[1].y - point.y) ? ends[0] : ends[1];
+  }
+
+  /**
+   * Points where a line from `from` meets a curve at right angles. On a line
+   * that is the foot of the perpendicular (if it falls within the segment),
+   * on a circle or arc the points in line with the center.
+   */
+  perpendicularPoints(curve, from) {
+    if (curve.type === 'line') {
+      const dx = curve.end.x - curve.start.x;
+      const dy = curve.end.y - curve.start.y;
+      const lenSq = dx * dx + dy * dy;
+      if (lenSq === 0) return [];
+      const t = ((from.x - curve.start.x) * dx + (from.y - curve.start.y) * dy) / lenSq;
+      if (t < 0 || t > 1) return [];
+      return [{ x: curve.start.x + t * dx, y: curve.start.y + t * dy }];
+    }
+
+    const dx = from.x - curve.center.x;
+    const dy = from.y - curve.center.y;
+    const distance = Math.hypot(dx, dy);
+    if (distance < 1e-9) return [];
+    const ratio = curve.radius / distance;
+    return [1, -1]
+      .map(side => ({ x: curve.center.x + side * dx * ratio, y: curve.center.y + side * dy * ratio }))
+      .filter(point => curve.type === 'circle' || this.isOnArc(curve, point));
+  }
+
+  /**
+   * Points where a line from `from` touches a circle or arc (none for lines,
+   * or when `from` is not outside the circle)
+   */
+  tangentPoints(curve, from) {
+    if (curve.type === 'line') return [];
+
+    const dx = from.x - curve.center.x;
+    const dy = from.y - curve.center.y;
+    const distance = Math.hypot(dx, dy);
+    if (distance <= curve.radius) return [];
+
+    // The tangent points lie either side of the line to `from`
+    const direction = Math.atan2(dy, dx);
+    const offset = Math.acos(curve.radius / distance);
+    return [direction + offset, direction - offset]
+      .map(angle => ({
+        x: curve.center.x + curve.radius * Math.cos(angle),
+        y: curve.center.y + curve.radius * Math.sin(angle)
+      }))
+      .filter(point => curve.type === 'circle' || this.isOnArc(curve, point));
+  }
+
+  /**
+   * Get perpendicular snap points from the last point onto an entity
+   */
+  getPerpendicularPoints(entity, from) {
+    if (!from) return [];
+    return this.getCurves(entity).flatMap(curve => this.perpendicularPoints(curve, from)).map(point => ({
+      point,
+      type: 'perpendicular',
+      entity: entity.id,
+      visual: { type: 'perpendicular', size: 10 }
+    }));
+  }
+
+  /**
+   * Get tangent snap points from the last point to an entity's circles and arcs
+   */
+  getTangentPoints(entity, from) {
+    if (!from) return [];
+    return this.getCurves(entity).flatMap(curve => this.tangentPoints(curve, from)).map(point => ({
+      point,
+      type: 'tangent',
+      entity: entity.id,
+      visual: { type: 'tangent', size: 10 }
+    }));
+  }
+
+  /**
+   * Get a deferred perpendicular or tangent snap: the nearest point on the
+   * curve under the cursor, carrying the curve so resolveDeferred can place
+   * it once the other end of the line is known
+   */
+  getDeferredPoints(entity, worldPos, type) {
+    let best = null;
+    let bestDistance = Infinity;
+    this.getCurves(entity).forEach(curve => {
+      if (type === 'tangent' && curve.type === 'line') return;
+      const point = this.nearestPointOnCurve(curve, worldPos);
+      const distance = Math.hypot(point.x - worldPos.x, point.y - worldPos.y);
+      if (distance < bestDistance) {
+        best = { point, curve };
+        bestDistance = distance;
+      }
+    });
+    if (!best) return [];
+
+    return [{
+      point: best.point,
+      type,
+      entity: entity.id,
+      deferred: { curve: best.curve },
+      visual: { type, size: 10 }
+    }];
+  }
+
+  /**
+   * Place a deferred snap now that the other end of the line is known
+   * @param {Object} snap - Snap result with `deferred` (see getDeferredPoints)
+   * @param {Object} from - Other end of the line
+   * @returns {Object|null} Point on the entity nearest to where it was picked, or null if there is none
+   */
+  resolveDeferred(snap, from) {
+    const { curve } = snap.deferred;
+    const points = snap.type === 'tangent'
+      ? this.tangentPoints(curve, from)
+      : this.perpendicularPoints(curve, from);
+
+    let best = null;
+    let bestDistance = Infinity;
+    points.forEach(point => {
+      const distance = Math.hypot(point.x - snap.point.x, point.y - snap.point.y);
+      if (distance < bestDistance) {
+        best = point;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
   /**
    * Get intersection points between entities
    */
@@ -379,8 +630,39 @@ export class SnapEngine {
     if (entity1.type === 'circle' && entity2.type === 'circle') {
       return this.circleCircleIntersection(entity1, entity2);
     }
-    
-    return [];
+
+    // Arcs and polylines (including their arc segments) curve by curve
+    const intersections = [];
+    this.getCurves(entity1).forEach(curve1 => {
+      this.getCurves(entity2).forEach(curve2 => {
+        this.curveIntersection(curve1, curve2).forEach(point => {
+          // Neighbouring segments share their vertex
+          if (!intersections.some(existing => Math.hypot(existing.x - point.x, existing.y - point.y) < 1e-9)) {
+            intersections.push(point);
+          }
+        });
+      });
+    });
+    return intersections;
+  }
+
+  /**
+   * Intersections of two curves (see getCurves)
+   */
+  curveIntersection(curve1, curve2) {
+    const onCurve = (curve, point) => curve.type !== 'arc' || this.isOnArc(curve, point);
+
+    if (curve1.type === 'line' && curve2.type === 'line') {
+      return this.lineLineIntersection(curve1, curve2);
+    }
+    if (curve1.type !== 'line' && curve2.type !== 'line') {
+      return this.circleCircleIntersection(curve1, curve2)
+        .filter(point => onCurve(curve1, point) && onCurve(curve2, point));
+    }
+    const round = curve1.type === 'line' ? curve2 : curve1;
+    const line = curve1.type === 'line' ? curve1 : curve2;
+    if (line.start.x === line.end.x && line.start.y === line.end.y) return [];
+    return this.circleLineIntersection(round, line).filter(point => onCurve(round, point));
   }
 
   /**
@@ -115,6 +115,58 @@ const SnapVisual = ({ snapPoint, viewport }) => {
           </Group>
         );
         
+      case 'perpendicular': {
+        // Right-angle symbol standing on the base line
+        const half = visual.size / 2;
+        return (
+          <Group>
+            <Line
+              points={[
+                screenPos.x - half, screenPos.y - half,
+                screenPos.x - half, screenPos.y + half,
+                screenPos.x + half, screenPos.y + half
+              ]}
+              stroke={color}
+              strokeWidth={2}
+            />
+            <Line
+              points={[
+                screenPos.x - half, screenPos.y,
+                screenPos.x, screenPos.y,
+                screenPos.x, screenPos.y + half
+              ]}
+              stroke={color}
+              strokeWidth={2}
+            />
+          </Group>
+        );
+      }
+
+      case 'tangent': {
+        // Circle with a line touching its top
+        const half = visual.size / 2;
+        return (
+          <Group>
+            <Circle
+              x={screenPos.x}
+              y={screenPos.y}
+              radius={half}
+              stroke={color}
+              strokeWidth={2}
+              fill="transparent"
+            />
+            <Line
+              points={[
+                screenPos.x - half, screenPos.y - half,
+                screenPos.x + half, screenPos.y - half
+              ]}
+              stroke={color}
+              strokeWidth={2}
+            />
+          </Group>
+        );
+      }
+
       default:
         return null;
     }
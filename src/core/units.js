@@ -0,0 +1,54 @@
+/**
+ * Drawing length units
+ *
+ * `store.units.lengthUnit` names what one world unit represents. It drives
+ * $INSUNITS in DXF export and real-world sizes in SVG/PDF output.
+ */
+
+export const LENGTH_UNITS = {
+  unitless: { name: 'Unitless', insUnits: 0, millimetres: 1 },
+  in: { name: 'Inches', insUnits: 1, millimetres: 25.4 },
+  ft: { name: 'Feet', insUnits: 2, millimetres: 304.8 },
+  mm: { name: 'Millimetres', insUnits: 4, millimetres: 1 },
+  cm: { name: 'Centimetres', insUnits: 5, millimetres: 10 },
+  m: { name: 'Metres', insUnits: 6, millimetres: 1000 }
+};
+
+export const DEFAULT_LENGTH_UNIT = 'mm';
+
+/**
+ * Get the unit definition for a length unit key
+ * @param {string} unit - Length unit key (mm, cm, m, in, ft, unitless)
+ * @returns {Object} Unit definition (defaults to millimetres)
+ */
+export const getLengthUnit = (unit) => LENGTH_UNITS[unit] || LENGTH_UNITS[DEFAULT_LENGTH_UNIT];
+
+/**
+ * Map a DXF $INSUNITS code to a length unit key
+ * @param {number} code - $INSUNITS value
+ * @returns {string|null} Length unit key, or null if not supported
+ */
+export const lengthUnitFromInsUnits = (code) => {
+  const entry = Object.entries(LENGTH_UNITS).find(([, unit]) => unit.insUnits === code);
+  return entry ? entry[0] : null;
+};
+
+/**
+ * Scale factor converting world units to millimetres
+ * @param {string} unit - Length unit key
+ * @returns {number} Millimetres per world unit
+ */
+export const millimetresPerUnit = (unit) => getLengthUnit(unit).millimetres;
+
+// Lineweight for entities and layers that set none, like AutoCAD's LWDEFAULT
+export const DEFAULT_LINEWEIGHT = 0.25;
+
+/**
+ * Lineweight an entity plots with: its own, else its layer's (ByLayer),
+ * else the default
+ * @param {Object} entity - Entity (lineweight null means ByLayer)
+ * @param {Object} layer - The entity's layer
+ * @returns {number} Lineweight in millimetres
+ */
+export const resolveLineweight = (entity, layer) =>
+  entity.lineweight || (layer && layer.lineweight) || DEFAULT_LINEWEIGHT;
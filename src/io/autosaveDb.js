@@ -0,0 +1,164 @@
+/**
+ * IndexedDB storage for autosave snapshots
+ *
+ * Snapshots hold a serialized drawing (see tcadFormat) plus the viewport.
+ * A single session record tracks whether the last session ended with
+ * unsaved changes, which is what triggers the recovery prompt on startup.
+ */
+
+const DB_NAME = 'testcad-autosave';
+const DB_VERSION = 1;
+const SNAPSHOT_STORE = 'snapshots';
+const META_STORE = 'meta';
+const SESSION_KEY = 'session';
+
+let databasePromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Check whether IndexedDB is available (not in node or some private modes)
+ * @returns {boolean} True when snapshots can be stored
+ */
+export const isAutosaveAvailable = () => typeof indexedDB !== 'undefined';
+
+/**
+ * Open (and create/upgrade) the autosave database once per page
+ * @returns {Promise<IDBDatabase>} Database
+ */
+const openDatabase = () => {
+  if (!isAutosaveAvailable()) {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+          const snapshots = db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id', autoIncrement: true });
+          snapshots.createIndex('timestamp', 'timestamp');
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        databasePromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return databasePromise;
+};
+
+/**
+ * Run work inside a transaction and wait for it to commit
+ * @param {Array<string>} storeNames - Object stores
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - Called with the transaction, may return a promise
+ * @returns {Promise<*>} Value returned by work
+ */
+const withTransaction = async (storeNames, mode, work) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeNames, mode);
+  const done = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+  const result = await work(transaction);
+  await done;
+  return result;
+};
+
+/**
+ * Strip the document from a snapshot record for listing
+ */
+const toSummary = ({ id, timestamp, reason, sessionId, entityCount }) => ({
+  id, timestamp, reason, sessionId, entityCount
+});
+
+/**
+ * Store a snapshot and prune the oldest ones beyond maxSnapshots
+ * @param {Object} snapshot - { timestamp, reason, sessionId, entityCount, document, viewport }
+ * @param {number} maxSnapshots - Number of snapshots to keep
+ * @returns {Promise<number>} Id of the new snapshot
+ */
+export const saveSnapshot = (snapshot, maxSnapshots) => {
+  return withTransaction([SNAPSHOT_STORE], 'readwrite', async (transaction) => {
+    const store = transaction.objectStore(SNAPSHOT_STORE);
+    const id = await promisify(store.add(snapshot));
+    const keys = await promisify(store.index('timestamp').getAllKeys());
+    // Keys come back oldest first
+    const excess = keys.length - maxSnapshots;
+    for (let i = 0; i < excess; i++) {
+      store.delete(keys[i]);
+    }
+    return id;
+  });
+};
+
+/**
+ * List stored snapshots without their documents, newest first
+ * @returns {Promise<Array<Object>>} Snapshot summaries
+ */
+export const listSnapshots = () => {
+  return withTransaction([SNAPSHOT_STORE], 'readonly', async (transaction) => {
+    const records = await promisify(transaction.objectStore(SNAPSHOT_STORE).index('timestamp').getAll());
+    return records.reverse().map(toSummary);
+  });
+};
+
+/**
+ * Load a full snapshot
+ * @param {number} id - Snapshot id
+ * @returns {Promise<Object|null>} Snapshot, or null if it no longer exists
+ */
+export const loadSnapshot = (id) => {
+  return withTransaction([SNAPSHOT_STORE], 'readonly', async (transaction) => {
+    const record = await promisify(transaction.objectStore(SNAPSHOT_STORE).get(id));
+    return record || null;
+  });
+};
+
+/**
+ * Delete all snapshots
+ * @returns {Promise<void>}
+ */
+export const clearSnapshots = () => {
+  return withTransaction([SNAPSHOT_STORE], 'readwrite', async (transaction) => {
+    await promisify(transaction.objectStore(SNAPSHOT_STORE).clear());
+  });
+};
+
+/**
+ * Read the session record
+ * @returns {Promise<Object|null>} { sessionId, dirty, updatedAt } or null
+ */
+export const getSessionState = () => {
+  return withTransaction([META_STORE], 'readonly', async (transaction) => {
+    const record = await promisify(transaction.objectStore(META_STORE).get(SESSION_KEY));
+    return record || null;
+  });
+};
+
+/**
+ * Write the session record
+ * @param {Object} session - { sessionId, dirty, updatedAt }
+ * @returns {Promise<void>}
+ */
+export const setSessionState = (session) => {
+  return withTransaction([META_STORE], 'readwrite', async (transaction) => {
+    await promisify(transaction.objectStore(META_STORE).put(session, SESSION_KEY));
+  });
+};
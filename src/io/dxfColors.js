@@ -0,0 +1,119 @@
+/**
+ * AutoCAD Color Index (ACI) helpers for DXF import/export
+ *
+ * ACI 0 = ByBlock, 256 = ByLayer. Indices 1-9 are the named standard colors,
+ * 10-249 are generated from 24 hues x 5 shades x 2 saturations, 250-255 are grays.
+ */
+
+export const ACI_BYBLOCK = 0;
+export const ACI_BYLAYER = 256;
+
+const STANDARD_COLORS = {
+  1: [255, 0, 0],
+  2: [255, 255, 0],
+  3: [0, 255, 0],
+  4: [0, 255, 255],
+  5: [0, 0, 255],
+  6: [255, 0, 255],
+  7: [255, 255, 255],
+  8: [128, 128, 128],
+  9: [192, 192, 192]
+};
+
+const GRAY_LEVELS = [51, 80, 105, 130, 190, 255];
+const SHADE_VALUES = [1.0, 0.65, 0.5, 0.3, 0.15];
+
+const hsvToRgb = (h, s, v) => {
+  const c = v * s;
+  const x = c * (1 - Math.abs(((h / 60) % 2) - 1));
+  const m = v - c;
+  let rgb;
+  if (h < 60) rgb = [c, x, 0];
+  else if (h < 120) rgb = [x, c, 0];
+  else if (h < 180) rgb = [0, c, x];
+  else if (h < 240) rgb = [0, x, c];
+  else if (h < 300) rgb = [x, 0, c];
+  else rgb = [c, 0, x];
+  return rgb.map(component => Math.round((component + m) * 255));
+};
+
+const toHex = ([r, g, b]) =>
+  '#' + [r, g, b].map(component => component.toString(16).padStart(2, '0')).join('');
+
+const fromHex = (hex) => {
+  const clean = hex.replace('#', '');
+  const full = clean.length === 3 ? clean.split('').map(c => c + c).join('') : clean;
+  const value = parseInt(full, 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+// Precomputed RGB table for indices 1-255
+const ACI_TABLE = (() => {
+  const table = [null];
+  for (let index = 1; index <= 255; index++) {
+    if (STANDARD_COLORS[index]) {
+      table.push(STANDARD_COLORS[index]);
+    } else if (index >= 250) {
+      const level = GRAY_LEVELS[index - 250];
+      table.push([level, level, level]);
+    } else {
+      const hue = Math.floor((index - 10) / 10) * 15;
+      const sub = index % 10;
+      const value = SHADE_VALUES[Math.floor(sub / 2)];
+      const saturation = sub % 2 === 0 ? 1.0 : 0.5;
+      table.push(hsvToRgb(hue, saturation, value));
+    }
+  }
+  return table;
+})();
+
+/**
+ * Convert an ACI index to a hex color
+ * @param {number} index - ACI index
+ * @returns {string|null} Hex color, or null for ByLayer/ByBlock/invalid
+ */
+export const aciToHex = (index) => {
+  const aci = Math.abs(index);
+  if (aci < 1 || aci > 255) return null;
+  return toHex(ACI_TABLE[aci]);
+};
+
+/**
+ * Find the nearest ACI index for a hex color
+ * @param {string|null} hex - Hex color (#rrggbb or #rgb)
+ * @returns {number} ACI index (ACI_BYLAYER when hex is null)
+ */
+export const hexToAci = (hex) => {
+  if (!hex) return ACI_BYLAYER;
+  const [r, g, b] = fromHex(hex);
+  let best = 7;
+  let bestDistance = Infinity;
+  for (let index = 1; index <= 255; index++) {
+    const [tr, tg, tb] = ACI_TABLE[index];
+    const distance = (tr - r) ** 2 + (tg - g) ** 2 + (tb - b) ** 2;
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = index;
+      if (distance === 0) break;
+    }
+  }
+  return best;
+};
+
+/**
+ * Convert a DXF true color (group 420, 0x00RRGGBB) to hex
+ * @param {number} value - 24-bit color value
+ * @returns {string} Hex color
+ */
+export const trueColorToHex = (value) =>
+  toHex([(value >> 16) & 255, (value >> 8) & 255, value & 255]);
+
+/**
+ * Convert a hex color to a DXF true color value (group 420)
+ * @param {string} hex - Hex color
+ * @returns {number} 24-bit color value
+ */
+export const hexToTrueColor = (hex) => {
+  const [r, g, b] = fromHex(hex);
+  return (r << 16) | (g << 8) | b;
+};
@@ -0,0 +1,385 @@
+import Line from '../core/entities/Line';
+import Circle from '../core/entities/Circle';
+import Arc from '../core/entities/Arc';
+import Polyline from '../core/entities/Polyline';
+import { aciToHex, trueColorToHex, ACI_BYLAYER, ACI_BYBLOCK } from './dxfColors';
+import { lengthUnitFromInsUnits } from '../core/units';
+
+/**
+ * DXF reader (ASCII, R12 through 2000+)
+ *
+ * Reads the HEADER, LAYER/LTYPE tables and the ENTITIES section, producing
+ * entity class instances. DXF is Y up and world space is Y down like the
+ * screen, so Y is flipped on the way in: arc angles (converted to radians)
+ * change sign and swap ends, and bulges turn the other way.
+ * Entities that cannot be mapped are counted in `unsupported` instead of failing.
+ */
+
+const DEG_TO_RAD = Math.PI / 180;
+
+/**
+ * Split DXF text into group code/value pairs
+ * @param {string} text - DXF file contents
+ * @returns {Array<{code: number, value: string}>} Group pairs
+ */
+export const parseDxfPairs = (text) => {
+  const lines = text.split(/\r\n|\r|\n/);
+  const pairs = [];
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    const code = parseInt(lines[i].trim(), 10);
+    if (isNaN(code)) {
+      throw new Error(`Invalid DXF group code "${lines[i]}" at line ${i + 1}`);
+    }
+    pairs.push({ code, value: lines[i + 1].trim() });
+  }
+  return pairs;
+};
+
+/**
+ * Group pairs into sections: { HEADER: [...pairs], TABLES: [...], ... }
+ */
+const splitSections = (pairs) => {
+  const sections = {};
+  let current = null;
+  for (let i = 0; i < pairs.length; i++) {
+    const { code, value } = pairs[i];
+    if (code === 0 && value === 'SECTION') {
+      const name = pairs[i + 1] && pairs[i + 1].code === 2 ? pairs[i + 1].value : 'UNKNOWN';
+      current = [];
+      sections[name] = current;
+      i++;
+    } else if (code === 0 && value === 'ENDSEC') {
+      current = null;
+    } else if (code === 0 && value === 'EOF') {
+      break;
+    } else if (current) {
+      current.push(pairs[i]);
+    }
+  }
+  return sections;
+};
+
+/**
+ * Group section pairs into records starting at each code 0
+ * @returns {Array<{type: string, pairs: Array}>} Records
+ */
+const splitRecords = (pairs) => {
+  const records = [];
+  let current = null;
+  for (const pair of pairs) {
+    if (pair.code === 0) {
+      current = { type: pair.value, pairs: [] };
+      records.push(current);
+    } else if (current) {
+      current.pairs.push(pair);
+    }
+  }
+  return records;
+};
+
+const firstValue = (record, code) => {
+  const pair = record.pairs.find(p => p.code === code);
+  return pair ? pair.value : undefined;
+};
+
+const firstNumber = (record, code, fallback = 0) => {
+  const value = firstValue(record, code);
+  const number = value === undefined ? NaN : parseFloat(value);
+  return isNaN(number) ? fallback : number;
+};
+
+const parseHeader = (pairs) => {
+  const header = {};
+  let name = null;
+  for (const { code, value } of pairs) {
+    if (code === 9) {
+      name = value;
+    } else if (name) {
+      if (code === 10 || code === 20 || code === 30) {
+        const point = typeof header[name] === 'object' ? header[name] : {};
+        point[code === 10 ? 'x' : code === 20 ? 'y' : 'z'] = parseFloat(value);
+        header[name] = point;
+      } else if (header[name] === undefined) {
+        const number = Number(value);
+        header[name] = value !== '' && !isNaN(number) ? number : value;
+      }
+    }
+  }
+  return header;
+};
+
+const parseTables = (pairs) => {
+  const layers = [];
+  const linetypes = [];
+
+  for (const record of splitRecords(pairs)) {
+    if (record.type === 'LAYER') {
+      const name = firstValue(record, 2);
+      if (!name) continue;
+      const aci = firstNumber(record, 62, 7);
+      const flags = firstNumber(record, 70, 0);
+      const trueColor = firstValue(record, 420);
+      const lineweight = firstNumber(record, 370, -3);
+      layers.push({
+        id: name,
+        name,
+        color: trueColor !== undefined ? trueColorToHex(parseInt(trueColor, 10)) : (aciToHex(aci) || '#ffffff'),
+        // Negative color = layer off, flag 1 = frozen
+        visible: aci >= 0 && (flags & 1) === 0,
+        locked: (flags & 4) !== 0,
+        plottable: firstNumber(record, 290, 1) !== 0,
+        linetype: (firstValue(record, 6) || 'continuous').toLowerCase(),
+        ...(lineweight > 0 ? { lineweight: lineweight / 100 } : {})
+      });
+    } else if (record.type === 'LTYPE') {
+      const name = firstValue(record, 2);
+      if (!name || /^(BYLAYER|BYBLOCK)$/i.test(name)) continue;
+      linetypes.push({
+        name: name.toLowerCase(),
+        description: firstValue(record, 3) || '',
+        pattern: record.pairs.filter(p => p.code === 49).map(p => parseFloat(p.value))
+      });
+    }
+  }
+
+  return { layers, linetypes };
+};
+
+/**
+ * Resolve the common entity properties (layer, color, linetype, lineweight)
+ */
+const readCommonOptions = (record, layersByName) => {
+  const layerId = firstValue(record, 8) || '0';
+  const layer = layersByName.get(layerId);
+
+  let color = null; // null = ByLayer
+  const trueColor = firstValue(record, 420);
+  const aci = firstNumber(record, 62, ACI_BYLAYER);
+  if (trueColor !== undefined) {
+    color = trueColorToHex(parseInt(trueColor, 10));
+  } else if (aci !== ACI_BYLAYER && aci !== ACI_BYBLOCK) {
+    color = aciToHex(aci);
+  }
+
+  const linetypeName = firstValue(record, 6);
+  let linetype;
+  if (!linetypeName || /^BYLAYER$/i.test(linetypeName)) {
+    linetype = layer ? layer.linetype : 'continuous';
+  } else if (/^BYBLOCK$/i.test(linetypeName)) {
+    linetype = 'continuous';
+  } else {
+    linetype = linetypeName.toLowerCase();
+  }
+
+  const options = { layerId, color, linetype };
+  const lineweight = firstNumber(record, 370, -1);
+  if (lineweight > 0) {
+    options.lineweight = lineweight / 100; // hundredths of mm -> mm
+  } else if (layer && layer.lineweight) {
+    options.lineweight = layer.lineweight;
+  }
+  return options;
+};
+
+/**
+ * Entities with an extrusion of (0, 0, -1) are mirrored in their OCS
+ */
+const isMirroredOcs = (record) => firstNumber(record, 230, 1) < 0;
+
+const readLwPolylineVertices = (record) => {
+  const vertices = [];
+  let current = null;
+  for (const { code, value } of record.pairs) {
+    if (code === 10) {
+      current = { x: parseFloat(value), y: 0 };
+      vertices.push(current);
+    } else if (code === 20 && current) {
+      current.y = parseFloat(value);
+    } else if (code === 42 && current) {
+      const bulge = parseFloat(value);
+      if (bulge) current.bulge = bulge;
+    } else if ((code === 40 || code === 41) && current) {
+      const width = parseFloat(value);
+      if (width > 0) current[code === 40 ? 'startWidth' : 'endWidth'] = width;
+    }
+  }
+  // A constant width (43) applies to every segment without its own
+  const constantWidth = firstNumber(record, 43);
+  if (constantWidth > 0) {
+    vertices.forEach(vertex => {
+      if (vertex.startWidth === undefined && vertex.endWidth === undefined) {
+        vertex.startWidth = constantWidth;
+        vertex.endWidth = constantWidth;
+      }
+    });
+  }
+  return vertices;
+};
+
+/**
+ * Convert one entity record into an entity instance
+ * @returns {Object|null} Entity or null when unsupported
+ */
+const readEntity = (record, layersByName) => {
+  const options = readCommonOptions(record, layersByName);
+  const mirrored = isMirroredOcs(record);
+  const ocsX = (x) => (mirrored ? -x : x);
+
+  switch (record.type) {
+    case 'LINE':
+      return new Line(
+        { x: firstNumber(record, 10), y: -firstNumber(record, 20) },
+        { x: firstNumber(record, 11), y: -firstNumber(record, 21) },
+        options
+      );
+
+    case 'CIRCLE':
+      return new Circle(
+        { x: ocsX(firstNumber(record, 10)), y: -firstNumber(record, 20) },
+        firstNumber(record, 40),
+        options
+      );
+
+    case 'ARC': {
+      let startAngle = firstNumber(record, 50) * DEG_TO_RAD;
+      let endAngle = firstNumber(record, 51) * DEG_TO_RAD;
+      if (mirrored) {
+        // Mirroring about the Y axis reverses the arc direction
+        [startAngle, endAngle] = [Math.PI - endAngle, Math.PI - startAngle];
+      }
+      // Flipping Y keeps the arc counter-clockwise, so the ends swap
+      return new Arc(
+        { x: ocsX(firstNumber(record, 10)), y: -firstNumber(record, 20) },
+        firstNumber(record, 40),
+        -endAngle,
+        -startAngle,
+        options
+      );
+    }
+
+    case 'LWPOLYLINE': {
+      // Flipping Y reverses the direction of every arc segment, and a mirrored OCS reverses it back
+      const vertices = readLwPolylineVertices(record).map(v => (
+        v.bulge ? { ...v, x: ocsX(v.x), y: -v.y, bulge: mirrored ? v.bulge : -v.bulge } : { ...v, x: ocsX(v.x), y: -v.y }
+      ));
+      if (vertices.length < 2) return null;
+      return new Polyline(vertices, { ...options, closed: (firstNumber(record, 70) & 1) !== 0 });
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Read a classic POLYLINE followed by VERTEX records up to SEQEND
+ * @returns {{entity: Object|null, next: number}} Entity and index of the next record
+ */
+const readPolyline = (records, index, layersByName) => {
+  const record = records[index];
+  const flags = firstNumber(record, 70);
+  const vertices = [];
+  let next = index + 1;
+
+  while (next < records.length && records[next].type === 'VERTEX') {
+    const vertexFlags = firstNumber(records[next], 70);
+    // Skip spline frame control points and mesh face records
+    if ((vertexFlags & 16) === 0 && (vertexFlags & 128) === 0) {
+      const vertex = { x: firstNumber(records[next], 10), y: -firstNumber(records[next], 20) };
+      const bulge = firstNumber(records[next], 42);
+      if (bulge) vertex.bulge = -bulge;
+      // Vertex widths default to the polyline's
+      const startWidth = firstNumber(records[next], 40, firstNumber(record, 40));
+      const endWidth = firstNumber(records[next], 41, firstNumber(record, 41));
+      if (startWidth > 0) vertex.startWidth = startWidth;
+      if (endWidth > 0) vertex.endWidth = endWidth;
+      vertices.push(vertex);
+    }
+    next++;
+  }
+  if (next < records.length && records[next].type === 'SEQEND') {
+    next++;
+  }
+
+  // Polygon meshes (16) and polyface meshes (64) have no 2D equivalent
+  if ((flags & 16) !== 0 || (flags & 64) !== 0 || vertices.length < 2) {
+    return { entity: null, next };
+  }
+
+  const options = readCommonOptions(record, layersByName);
+  return {
+    entity: new Polyline(vertices, { ...options, closed: (flags & 1) !== 0 }),
+    next
+  };
+};
+
+/**
+ * Read a DXF document
+ * @param {string} text - DXF file contents
+ * @returns {Object} { header, lengthUnit, layers, linetypes, entities, unsupported, counts }
+ */
+export const readDxf = (text) => {
+  const sections = splitSections(parseDxfPairs(text));
+  const header = sections.HEADER ? parseHeader(sections.HEADER) : {};
+  const { layers, linetypes } = sections.TABLES ? parseTables(sections.TABLES) : { layers: [], linetypes: [] };
+
+  const layersByName = new Map(layers.map(layer => [layer.name, layer]));
+  const entities = [];
+  const unsupported = {};
+  const counts = {};
+
+  const records = sections.ENTITIES ? splitRecords(sections.ENTITIES) : [];
+  let index = 0;
+  while (index < records.length) {
+    const record = records[index];
+    let entity = null;
+
+    if (record.type === 'POLYLINE') {
+      const result = readPolyline(records, index, layersByName);
+      entity = result.entity;
+      index = result.next;
+    } else {
+      entity = readEntity(record, layersByName);
+      index++;
+    }
+
+    if (entity) {
+      entities.push(entity);
+      counts[record.type] = (counts[record.type] || 0) + 1;
+
+      // Entities may reference layers missing from the LAYER table
+      if (!layersByName.has(entity.layerId)) {
+        const layer = {
+          id: entity.layerId,
+          name: entity.layerId,
+          color: '#ffffff',
+          visible: true,
+          locked: false,
+          linetype: 'continuous'
+        };
+        layersByName.set(layer.name, layer);
+        layers.push(layer);
+      }
+    } else {
+      unsupported[record.type] = (unsupported[record.type] || 0) + 1;
+    }
+  }
+
+  const lengthUnit = header.$INSUNITS !== undefined ? lengthUnitFromInsUnits(header.$INSUNITS) : null;
+
+  return { header, lengthUnit, layers, linetypes, entities, unsupported, counts };
+};
+
+/**
+ * Format an import summary for the command line
+ * @param {Object} result - Result of readDxf
+ * @returns {string} Summary text
+ */
+export const summarizeDxfImport = (result) => {
+  const imported = Object.entries(result.counts).map(([type, count]) => `${count} ${type}`).join(', ');
+  const skipped = Object.entries(result.unsupported).map(([type, count]) => `${count} ${type}`).join(', ');
+  let summary = `Imported ${result.entities.length} entities on ${result.layers.length} layers`;
+  if (imported) summary += ` (${imported})`;
+  if (skipped) summary += `; unsupported: ${skipped}`;
+  return summary;
+};
@@ -0,0 +1,503 @@
+import { hexToAci, aciToHex, hexToTrueColor, ACI_BYLAYER } from './dxfColors';
+import { getLinetype } from '../core/linetypes';
+import { getLengthUnit } from '../core/units';
+import { expandArrays } from '../core/entities';
+
+/**
+ * DXF writer (ASCII, AutoCAD 2000 / AC1015)
+ *
+ * Emits HEADER, CLASSES, TABLES (LTYPE, LAYER, STYLE, APPID, BLOCK_RECORD),
+ * BLOCKS, ENTITIES and OBJECTS. Rectangles are written as closed LWPOLYLINEs
+ * and dimensions are exploded into LINE + TEXT geometry. World space is Y
+ * down like the screen and DXF is Y up, so Y is flipped on the way out:
+ * angles change sign, arcs run from the flipped end angle and bulges turn
+ * the other way.
+ */
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+// Lineweights AutoCAD accepts, in hundredths of a millimetre
+const VALID_LINEWEIGHTS = [0, 5, 9, 13, 15, 18, 20, 25, 30, 35, 40, 50, 53, 60, 70, 80, 90, 100, 106, 120, 140, 158, 200, 211];
+
+// Characters not allowed in DXF symbol table names
+const INVALID_NAME_CHARS = /[<>/\\":;?*|=`]/g;
+
+// World (Y down) to DXF (Y up)
+const toDxfPoint = (point) => ({ x: point.x, y: -point.y });
+
+const toDxfVertex = (vertex) => (
+  vertex.bulge ? { ...vertex, y: -vertex.y, bulge: -vertex.bulge } : { ...vertex, y: -vertex.y }
+);
+
+/**
+ * Normalize an angle in radians to DXF degrees in [0, 360)
+ */
+const toDxfDegrees = (angle) => {
+  let degrees = (angle * RAD_TO_DEG) % 360;
+  if (degrees < 0) degrees += 360;
+  return degrees;
+};
+
+/**
+ * Map a lineweight in millimetres to the nearest valid DXF value
+ */
+const toDxfLineweight = (millimetres) => {
+  const target = millimetres * 100;
+  return VALID_LINEWEIGHTS.reduce((best, value) =>
+    Math.abs(value - target) < Math.abs(best - target) ? value : best
+  );
+};
+
+/**
+ * Format a number without exponent notation noise
+ */
+const formatNumber = (value) => {
+  if (!isFinite(value)) return '0';
+  const rounded = Math.abs(value) < 1e-12 ? 0 : value;
+  return String(parseFloat(rounded.toPrecision(15)));
+};
+
+/**
+ * Accumulates group code/value pairs and hands out entity handles
+ */
+class DxfBuilder {
+  constructor() {
+    this.lines = [];
+    this.nextHandle = 0x20; // Leave low handles for fixed objects
+  }
+
+  pair(code, value) {
+    this.lines.push(String(code), typeof value === 'number' ? formatNumber(value) : String(value));
+  }
+
+  point(code, { x, y }) {
+    this.pair(code, x);
+    this.pair(code + 10, y);
+    this.pair(code + 20, 0);
+  }
+
+  handle() {
+    return (this.nextHandle++).toString(16).toUpperCase();
+  }
+
+  toString() {
+    return this.lines.join('\n') + '\n';
+  }
+}
+
+/**
+ * Build a unique, DXF-safe name for every layer (layer '0' stays '0')
+ */
+const buildLayerNames = (layers) => {
+  const names = new Map();
+  const used = new Set(['0']);
+  layers.forEach((layer, id) => {
+    if (id === '0') {
+      names.set(id, '0');
+      return;
+    }
+    const base = (layer.name || id).replace(INVALID_NAME_CHARS, '_').trim() || 'LAYER';
+    let name = base;
+    for (let suffix = 2; used.has(name.toUpperCase()); suffix++) {
+      name = `${base}_${suffix}`;
+    }
+    used.add(name.toUpperCase());
+    names.set(id, name);
+  });
+  return names;
+};
+
+/**
+ * Write the color groups (62 and optionally 420) for a hex color
+ */
+const writeColor = (builder, hex, fallbackAci) => {
+  if (!hex) {
+    builder.pair(62, fallbackAci);
+    return;
+  }
+  const aci = hexToAci(hex);
+  builder.pair(62, aci);
+  if (aciToHex(aci) !== hex.toLowerCase()) {
+    builder.pair(420, hexToTrueColor(hex));
+  }
+};
+
+/**
+ * Convert an entity into one or more DXF primitive descriptions
+ * @returns {Array<Object>} Primitives { kind, ...geometry }
+ */
+const toPrimitives = (entity, entities) => {
+  switch (entity.type) {
+    case 'line':
+      return [{ kind: 'LINE', start: toDxfPoint(entity.start), end: toDxfPoint(entity.end) }];
+
+    case 'circle':
+      return [{ kind: 'CIRCLE', center: toDxfPoint(entity.center), radius: entity.radius }];
+
+    case 'arc':
+      // Still counter-clockwise once flipped, so the ends swap
+      return [{
+        kind: 'ARC',
+        center: toDxfPoint(entity.center),
+        radius: entity.radius,
+        startAngle: -entity.endAngle,
+        endAngle: -entity.startAngle
+      }];
+
+    case 'rectangle': {
+      const minX = Math.min(entity.corner1.x, entity.corner2.x);
+      const maxX = Math.max(entity.corner1.x, entity.corner2.x);
+      const minY = -Math.max(entity.corner1.y, entity.corner2.y);
+      const maxY = -Math.min(entity.corner1.y, entity.corner2.y);
+      return [{
+        kind: 'LWPOLYLINE',
+        closed: true,
+        vertices: [
+          { x: minX, y: minY },
+          { x: maxX, y: minY },
+          { x: maxX, y: maxY },
+          { x: minX, y: maxY }
+        ]
+      }];
+    }
+
+    case 'polyline':
+      if (!entity.vertices || entity.vertices.length < 2) return [];
+      return [{ kind: 'LWPOLYLINE', closed: !!entity.closed, vertices: entity.vertices.map(toDxfVertex) }];
+
+    case 'dimension': {
+      if (typeof entity.getGeometry !== 'function') return [];
+      const geometry = entity.getGeometry(entities.get(entity.entityId));
+      if (!geometry) return [];
+      return [
+        ...geometry.segments.map(segment => ({
+          kind: 'LINE',
+          start: toDxfPoint(segment.start),
+          end: toDxfPoint(segment.end)
+        })),
+        {
+          kind: 'TEXT',
+          position: toDxfPoint(geometry.textPosition),
+          height: geometry.textHeight,
+          text: geometry.text,
+          rotation: -(geometry.angle || 0),
+          mirrored: geometry.mirrored
+        }
+      ];
+    }
+
+    case 'text':
+      return [{
+        kind: 'TEXT',
+        position: toDxfPoint(entity.position),
+        height: entity.height,
+        text: entity.text,
+        rotation: -(entity.rotation || 0),
+        mirrored: entity.mirrored
+      }];
+
+    default:
+      return null;
+  }
+};
+
+const writePrimitive = (builder, primitive, common, ownerHandle) => {
+  builder.pair(0, primitive.kind);
+  builder.pair(5, builder.handle());
+  builder.pair(330, ownerHandle);
+  builder.pair(100, 'AcDbEntity');
+  builder.pair(8, common.layer);
+  if (common.linetype) builder.pair(6, common.linetype);
+  writeColor(builder, common.color, ACI_BYLAYER);
+  if (common.lineweight !== undefined) builder.pair(370, common.lineweight);
+
+  switch (primitive.kind) {
+    case 'LINE':
+      builder.pair(100, 'AcDbLine');
+      builder.point(10, primitive.start);
+      builder.point(11, primitive.end);
+      break;
+
+    case 'CIRCLE':
+      builder.pair(100, 'AcDbCircle');
+      builder.point(10, primitive.center);
+      builder.pair(40, primitive.radius);
+      break;
+
+    case 'ARC':
+      builder.pair(100, 'AcDbCircle');
+      builder.point(10, primitive.center);
+      builder.pair(40, primitive.radius);
+      builder.pair(100, 'AcDbArc');
+      builder.pair(50, toDxfDegrees(primitive.startAngle));
+      builder.pair(51, toDxfDegrees(primitive.endAngle));
+      break;
+
+    case 'LWPOLYLINE': {
+      builder.pair(100, 'AcDbPolyline');
+      builder.pair(90, primitive.vertices.length);
+      builder.pair(70, primitive.closed ? 1 : 0);
+      // One width everywhere is the constant width (43), anything else goes per vertex
+      // (the last vertex of an open polyline starts no segment)
+      const segmentStarts = primitive.closed ? primitive.vertices : primitive.vertices.slice(0, -1);
+      const widths = segmentStarts.flatMap(vertex => [vertex.startWidth || 0, vertex.endWidth || 0]);
+      const constant = widths.every(width => width === widths[0]);
+      if (constant) builder.pair(43, widths[0] || 0);
+      primitive.vertices.forEach(vertex => {
+        builder.pair(10, vertex.x);
+        builder.pair(20, vertex.y);
+        if (!constant) {
+          builder.pair(40, vertex.startWidth || 0);
+          builder.pair(41, vertex.endWidth || 0);
+        }
+        if (vertex.bulge) builder.pair(42, vertex.bulge);
+      });
+      break;
+    }
+
+    case 'TEXT':
+      builder.pair(100, 'AcDbText');
+      builder.point(10, primitive.position);
+      builder.pair(40, primitive.height);
+      builder.pair(1, primitive.text);
+      builder.pair(50, toDxfDegrees(primitive.rotation || 0));
+      builder.pair(7, 'Standard');
+      if (primitive.mirrored) {
+        builder.pair(71, 4); // Upside down
+      }
+      builder.pair(100, 'AcDbText');
+      break;
+  }
+};
+
+const writeTableHeader = (builder, name, count) => {
+  const handle = builder.handle();
+  builder.pair(0, 'TABLE');
+  builder.pair(2, name);
+  builder.pair(5, handle);
+  builder.pair(330, 0);
+  builder.pair(100, 'AcDbSymbolTable');
+  builder.pair(70, count);
+  return handle;
+};
+
+const writeTableEntryHeader = (builder, type, subclass, ownerHandle) => {
+  const handle = builder.handle();
+  builder.pair(0, type);
+  builder.pair(5, handle);
+  builder.pair(330, ownerHandle);
+  builder.pair(100, 'AcDbSymbolTableRecord');
+  builder.pair(100, subclass);
+  return handle;
+};
+
+/**
+ * Compute drawing extents for $EXTMIN/$EXTMAX
+ */
+const computeExtents = (state) => {
+  let extents = null;
+  state.entities.forEach(entity => {
+    const bounds = typeof entity.getBounds === 'function'
+      ? entity.getBounds()
+      : (state.getEntityBounds ? state.getEntityBounds(entity) : null);
+    if (!bounds) return;
+    if (!extents) {
+      extents = { ...bounds };
+    } else {
+      extents.minX = Math.min(extents.minX, bounds.minX);
+      extents.minY = Math.min(extents.minY, bounds.minY);
+      extents.maxX = Math.max(extents.maxX, bounds.maxX);
+      extents.maxY = Math.max(extents.maxY, bounds.maxY);
+    }
+  });
+  return extents || { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+};
+
+/**
+ * Write the drawing as DXF text
+ * @param {Object} state - Store state (entities, layers, linetypes, units)
+ * @returns {{text: string, skipped: Object}} DXF text and counts of entity types that could not be written
+ */
+export const writeDxf = (state) => {
+  const builder = new DxfBuilder();
+  const layerNames = buildLayerNames(state.layers);
+  const lengthUnit = getLengthUnit(state.units && state.units.lengthUnit);
+  const entities = expandArrays(state.entities);
+  const extents = computeExtents({ ...state, entities });
+  const skipped = {};
+
+  // Collect primitives first so the LTYPE table only lists what is used
+  const items = [];
+  const usedLinetypes = new Set();
+  state.layers.forEach(layer => usedLinetypes.add((layer.linetype || 'continuous').toLowerCase()));
+  entities.forEach(entity => {
+    if (entity.isPreview) return;
+    const primitives = toPrimitives(entity, entities);
+    if (!primitives) {
+      skipped[entity.type] = (skipped[entity.type] || 0) + 1;
+      return;
+    }
+    const linetype = (entity.linetype || 'continuous').toLowerCase();
+    const layer = state.layers.get(entity.layerId);
+    const layerLinetype = ((layer && layer.linetype) || 'continuous').toLowerCase();
+    usedLinetypes.add(linetype);
+    items.push({
+      primitives,
+      common: {
+        layer: layerNames.get(entity.layerId) || '0',
+        // Only write the linetype when it differs from the layer (otherwise ByLayer)
+        linetype: linetype !== layerLinetype ? linetype.toUpperCase() : null,
+        color: entity.color || null,
+        lineweight: entity.lineweight ? toDxfLineweight(entity.lineweight) : undefined
+      }
+    });
+  });
+
+  // HEADER
+  builder.pair(0, 'SECTION');
+  builder.pair(2, 'HEADER');
+  builder.pair(9, '$ACADVER');
+  builder.pair(1, 'AC1015');
+  builder.pair(9, '$HANDSEED');
+  builder.pair(5, 'FFFFF');
+  builder.pair(9, '$INSUNITS');
+  builder.pair(70, lengthUnit.insUnits);
+  builder.pair(9, '$MEASUREMENT');
+  builder.pair(70, lengthUnit.insUnits === 1 || lengthUnit.insUnits === 2 ? 0 : 1);
+  builder.pair(9, '$EXTMIN');
+  builder.point(10, { x: extents.minX, y: -extents.maxY });
+  builder.pair(9, '$EXTMAX');
+  builder.point(10, { x: extents.maxX, y: -extents.minY });
+  builder.pair(0, 'ENDSEC');
+
+  // CLASSES
+  builder.pair(0, 'SECTION');
+  builder.pair(2, 'CLASSES');
+  builder.pair(0, 'ENDSEC');
+
+  // TABLES
+  builder.pair(0, 'SECTION');
+  builder.pair(2, 'TABLES');
+
+  const linetypeNames = ['BYBLOCK', 'BYLAYER', ...Array.from(usedLinetypes)
+    .filter(name => name !== 'continuous')
+    .map(name => name.toUpperCase())];
+  const ltypeTable = writeTableHeader(builder, 'LTYPE', linetypeNames.length + 1);
+  [...linetypeNames.slice(0, 2), 'CONTINUOUS', ...linetypeNames.slice(2)].forEach(name => {
+    const definition = /^(BYBLOCK|BYLAYER)$/.test(name)
+      ? { description: '', pattern: [] }
+      : getLinetype(name, state.linetypes);
+    writeTableEntryHeader(builder, 'LTYPE', 'AcDbLinetypeTableRecord', ltypeTable);
+    builder.pair(2, name);
+    builder.pair(70, 0);
+    builder.pair(3, definition.description || '');
+    builder.pair(72, 65);
+    builder.pair(73, definition.pattern.length);
+    builder.pair(40, definition.pattern.reduce((sum, element) => sum + Math.abs(element), 0));
+    definition.pattern.forEach(element => {
+      builder.pair(49, element);
+      builder.pair(74, 0);
+    });
+  });
+  builder.pair(0, 'ENDTAB');
+
+  const layerTable = writeTableHeader(builder, 'LAYER', state.layers.size);
+  state.layers.forEach((layer, id) => {
+    writeTableEntryHeader(builder, 'LAYER', 'AcDbLayerTableRecord', layerTable);
+    builder.pair(2, layerNames.get(id));
+    builder.pair(70, (layer.locked ? 4 : 0));
+    const aci = layer.color ? hexToAci(layer.color) : 7;
+    // Negative color number marks the layer as off
+    builder.pair(62, layer.visible === false ? -aci : aci);
+    if (layer.color && aciToHex(aci) !== layer.color.toLowerCase()) {
+      builder.pair(420, hexToTrueColor(layer.color));
+    }
+    builder.pair(6, (layer.linetype || 'continuous').toUpperCase());
+    builder.pair(290, layer.plottable === false ? 0 : 1);
+    builder.pair(370, layer.lineweight ? toDxfLineweight(layer.lineweight) : -3);
+  });
+  builder.pair(0, 'ENDTAB');
+
+  const styleTable = writeTableHeader(builder, 'STYLE', 1);
+  writeTableEntryHeader(builder, 'STYLE', 'AcDbTextStyleTableRecord', styleTable);
+  builder.pair(2, 'Standard');
+  builder.pair(70, 0);
+  builder.pair(40, 0);
+  builder.pair(41, 1);
+  builder.pair(50, 0);
+  builder.pair(71, 0);
+  builder.pair(42, 2.5);
+  builder.pair(3, 'txt');
+  builder.pair(4, '');
+  builder.pair(0, 'ENDTAB');
+
+  const appidTable = writeTableHeader(builder, 'APPID', 1);
+  writeTableEntryHeader(builder, 'APPID', 'AcDbRegAppTableRecord', appidTable);
+  builder.pair(2, 'ACAD');
+  builder.pair(70, 0);
+  builder.pair(0, 'ENDTAB');
+
+  const blockRecordTable = writeTableHeader(builder, 'BLOCK_RECORD', 2);
+  const modelSpace = writeTableEntryHeader(builder, 'BLOCK_RECORD', 'AcDbBlockTableRecord', blockRecordTable);
+  builder.pair(2, '*Model_Space');
+  const paperSpace = writeTableEntryHeader(builder, 'BLOCK_RECORD', 'AcDbBlockTableRecord', blockRecordTable);
+  builder.pair(2, '*Paper_Space');
+  builder.pair(0, 'ENDTAB');
+
+  builder.pair(0, 'ENDSEC');
+
+  // BLOCKS
+  builder.pair(0, 'SECTION');
+  builder.pair(2, 'BLOCKS');
+  [['*Model_Space', modelSpace], ['*Paper_Space', paperSpace]].forEach(([name, owner]) => {
+    builder.pair(0, 'BLOCK');
+    builder.pair(5, builder.handle());
+    builder.pair(330, owner);
+    builder.pair(100, 'AcDbEntity');
+    builder.pair(8, '0');
+    builder.pair(100, 'AcDbBlockBegin');
+    builder.pair(2, name);
+    builder.pair(70, 0);
+    builder.point(10, { x: 0, y: 0 });
+    builder.pair(3, name);
+    builder.pair(1, '');
+    builder.pair(0, 'ENDBLK');
+    builder.pair(5, builder.handle());
+    builder.pair(330, owner);
+    builder.pair(100, 'AcDbEntity');
+    builder.pair(8, '0');
+    builder.pair(100, 'AcDbBlockEnd');
+  });
+  builder.pair(0, 'ENDSEC');
+
+  // ENTITIES
+  builder.pair(0, 'SECTION');
+  builder.pair(2, 'ENTITIES');
+  items.forEach(({ primitives, common }) => {
+    primitives.forEach(primitive => writePrimitive(builder, primitive, common, modelSpace));
+  });
+  builder.pair(0, 'ENDSEC');
+
+  // OBJECTS - root dictionary with the mandatory ACAD_GROUP entry
+  const rootDictionary = builder.handle();
+  const groupDictionary = builder.handle();
+  builder.pair(0, 'SECTION');
+  builder.pair(2, 'OBJECTS');
+  builder.pair(0, 'DICTIONARY');
+  builder.pair(5, rootDictionary);
+  builder.pair(330, 0);
+  builder.pair(100, 'AcDbDictionary');
+  builder.pair(281, 1);
+  builder.pair(3, 'ACAD_GROUP');
+  builder.pair(350, groupDictionary);
+  builder.pair(0, 'DICTIONARY');
+  builder.pair(5, groupDictionary);
+  builder.pair(330, rootDictionary);
+  builder.pair(100, 'AcDbDictionary');
+  builder.pair(281, 1);
+  builder.pair(0, 'ENDSEC');
+
+  builder.pair(0, 'EOF');
+
+  return { text: builder.toString(), skipped };
+};
@@ -0,0 +1,47 @@
+/**
+ * Browser file helpers shared by import/export commands
+ */
+
+/**
+ * Trigger a download of text or binary content
+ * @param {string} filename - Suggested file name
+ * @param {string|Blob|Uint8Array} content - File contents
+ * @param {string} mimeType - MIME type
+ */
+export const downloadFile = (filename, content, mimeType = 'text/plain') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Prompt the user to pick a file and read it as text
+ * @param {string} accept - Accept filter for the file input (e.g. '.json,.dxf')
+ * @returns {Promise<{name: string, text: string}|null>} File contents, or null if no file was chosen
+ */
+export const pickTextFile = (accept = '') => {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.onchange = () => {
+      const file = input.files && input.files[0];
+      if (!file) {
+        resolve(null);
+        return;
+      }
+      file.text()
+        .then(text => resolve({ name: file.name, text }))
+        .catch(reject);
+    };
+    // Dismissing the dialog fires cancel instead of change
+    input.oncancel = () => resolve(null);
+    input.click();
+  });
+};
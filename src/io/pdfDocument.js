@@ -0,0 +1,201 @@
+/**
+ * Minimal vector PDF writer
+ *
+ * Supports stroked/filled paths, dashes, clipping and Helvetica text - enough
+ * for plotting CAD geometry without a browser or a PDF library. Page
+ * coordinates are in millimetres with the origin at the bottom-left (PDF convention).
+ */
+
+const PT_PER_MM = 72 / 25.4;
+
+const num = (value) => {
+  const rounded = Math.abs(value) < 1e-9 ? 0 : value;
+  return String(parseFloat(rounded.toFixed(4)));
+};
+
+const hexToRgb = (hex) => {
+  const clean = (hex || '#000000').replace('#', '');
+  const full = clean.length === 3 ? clean.split('').map(c => c + c).join('') : clean;
+  const value = parseInt(full, 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(c => c / 255);
+};
+
+// PDF literal strings: escape delimiters, keep to printable ASCII
+const escapeText = (text) => String(text)
+  .replace(/[^\x20-\x7e]/g, '?')
+  .replace(/\\/g, '\\\\')
+  .replace(/\(/g, '\\(')
+  .replace(/\)/g, '\\)');
+
+/**
+ * A single page; drawing methods take millimetres
+ */
+export class PdfPage {
+  constructor(widthMm, heightMm) {
+    this.width = widthMm;
+    this.height = heightMm;
+    this.ops = [];
+  }
+
+  op(text) {
+    this.ops.push(text);
+    return this;
+  }
+
+  pt(mm) {
+    return num(mm * PT_PER_MM);
+  }
+
+  save() { return this.op('q'); }
+  restore() { return this.op('Q'); }
+
+  setStrokeColor(hex) {
+    const [r, g, b] = hexToRgb(hex);
+    return this.op(`${num(r)} ${num(g)} ${num(b)} RG`);
+  }
+
+  setFillColor(hex) {
+    const [r, g, b] = hexToRgb(hex);
+    return this.op(`${num(r)} ${num(g)} ${num(b)} rg`);
+  }
+
+  /**
+   * @param {number} widthMm - Line width in millimetres
+   */
+  setLineWidth(widthMm) {
+    return this.op(`${this.pt(widthMm)} w`);
+  }
+
+  /**
+   * @param {Array<number>} dashesMm - Alternating dash/gap lengths in millimetres (empty = solid)
+   */
+  setDash(dashesMm = []) {
+    return this.op(`[${dashesMm.map(d => this.pt(d)).join(' ')}] 0 d`);
+  }
+
+  setLineCap(style) { return this.op(`${style} J`); }
+  setLineJoin(style) { return this.op(`${style} j`); }
+
+  moveTo(x, y) { return this.op(`${this.pt(x)} ${this.pt(y)} m`); }
+  lineTo(x, y) { return this.op(`${this.pt(x)} ${this.pt(y)} l`); }
+
+  curveTo(x1, y1, x2, y2, x3, y3) {
+    return this.op(`${this.pt(x1)} ${this.pt(y1)} ${this.pt(x2)} ${this.pt(y2)} ${this.pt(x3)} ${this.pt(y3)} c`);
+  }
+
+  rect(x, y, width, height) {
+    return this.op(`${this.pt(x)} ${this.pt(y)} ${this.pt(width)} ${this.pt(height)} re`);
+  }
+
+  closePath() { return this.op('h'); }
+  stroke() { return this.op('S'); }
+  fill() { return this.op('f'); }
+  fillAndStroke() { return this.op('B'); }
+
+  /**
+   * Intersect the clipping region with the current path
+   */
+  clip() { return this.op('W n'); }
+
+  /**
+   * Draw Helvetica text
+   * @param {number} x - Baseline start X (mm)
+   * @param {number} y - Baseline Y (mm)
+   * @param {number} sizeMm - Cap height-ish font size in millimetres
+   * @param {string} text - Text (non-ASCII is replaced)
+   * @param {Object} options - { angle (radians), align: 'left'|'center'|'right',
+   *   mirrored: reflect the glyphs across the baseline }
+   */
+  text(x, y, sizeMm, text, options = {}) {
+    const angle = options.angle || 0;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const flip = options.mirrored ? -1 : 1;
+    // Approximate Helvetica advance width of 0.5em for alignment
+    const width = String(text).length * sizeMm * 0.5;
+    const shift = options.align === 'center' ? width / 2 : options.align === 'right' ? width : 0;
+    const tx = x - shift * cos;
+    const ty = y - shift * sin;
+    return this.op(
+      `BT /F1 ${this.pt(sizeMm)} Tf ${num(cos)} ${num(sin)} ${num(-sin * flip)} ${num(cos * flip)} ` +
+      `${this.pt(tx)} ${this.pt(ty)} Tm (${escapeText(text)}) Tj ET`
+    );
+  }
+
+  getContent() {
+    return this.ops.join('\n');
+  }
+}
+
+/**
+ * PDF document made of PdfPages
+ */
+export class PdfDocument {
+  constructor(info = {}) {
+    this.pages = [];
+    this.info = info;
+  }
+
+  /**
+   * @param {number} widthMm - Page width in millimetres
+   * @param {number} heightMm - Page height in millimetres
+   * @returns {PdfPage} New page
+   */
+  addPage(widthMm, heightMm) {
+    const page = new PdfPage(widthMm, heightMm);
+    this.pages.push(page);
+    return page;
+  }
+
+  /**
+   * Serialize the document. Output is pure ASCII so string length equals byte length.
+   * @returns {string} PDF file contents
+   */
+  toString() {
+    const objects = [];
+    const addObject = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+    const fontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const infoEntries = Object.entries(this.info)
+      .filter(([, value]) => value)
+      .map(([key, value]) => `/${key} (${escapeText(value)})`)
+      .join(' ');
+    const infoId = addObject(`<< /Producer (TestCad) ${infoEntries} >>`);
+
+    const pageIds = this.pages.map(page => {
+      const content = page.getContent();
+      const contentId = addObject(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+      return addObject(
+        `<< /Type /Page /Parent ${pagesId} 0 R ` +
+        `/MediaBox [0 0 ${num(page.width * PT_PER_MM)} ${num(page.height * PT_PER_MM)}] ` +
+        `/Resources << /Font << /F1 ${fontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+      );
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    let output = '%PDF-1.4\n';
+    const offsets = [];
+    objects.forEach((body, index) => {
+      offsets.push(output.length);
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    });
+
+    const xrefOffset = output.length;
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach(offset => {
+      output += `${String(offset).padStart(10, '0')} 00000 n \n`;
+    });
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+    output += `startxref\n${xrefOffset}\n%%EOF\n`;
+    return output;
+  }
+}
+
+export default PdfDocument;
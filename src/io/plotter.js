@@ -0,0 +1,429 @@
+import PdfDocument from './pdfDocument';
+import { getLinetype, patternToDashArray } from '../core/linetypes';
+import { millimetresPerUnit, resolveLineweight } from '../core/units';
+import { expandArrays } from '../core/entities';
+import { bulgeArc } from '../core/geometry/bulge';
+import { hasWidth, widthOutlines } from '../core/geometry/polylineWidth';
+
+/**
+ * Plotter - lays out the drawing on a paper sheet and renders it to vector PDF
+ *
+ * World coordinates share the screen's Y-down orientation, so the plot flips Y
+ * to match what is seen on the canvas. Scales are "paper:drawing" in real
+ * units: 1:50 means 1 mm on paper represents 50 mm in the drawing.
+ */
+
+// Sheet sizes in millimetres, portrait (width < height)
+export const PAPER_SIZES = {
+  A4: { width: 210, height: 297 },
+  A3: { width: 297, height: 420 },
+  A2: { width: 420, height: 594 },
+  A1: { width: 594, height: 841 },
+  A0: { width: 841, height: 1189 },
+  'ANSI A': { width: 215.9, height: 279.4 },
+  'ANSI B': { width: 279.4, height: 431.8 },
+  'ANSI C': { width: 431.8, height: 558.8 },
+  'ANSI D': { width: 558.8, height: 863.6 },
+  'ANSI E': { width: 863.6, height: 1117.6 }
+};
+
+export const DEFAULT_PLOT_SETTINGS = {
+  paper: 'A3',
+  orientation: 'landscape',
+  scale: 'fit',        // 'fit', '1:50', '2:1' or a number (paper mm per drawing mm)
+  margin: 10,          // Frame inset from the sheet edge, mm
+  linetypeScale: 1,
+  monochrome: false,
+  titleBlock: {
+    enabled: true,
+    title: '',
+    drawingNumber: '',
+    author: '',
+    company: '',
+    revision: '',
+    date: ''
+  }
+};
+
+const TITLE_BLOCK_WIDTH = 180;
+const TITLE_BLOCK_HEIGHT = 32;
+
+/**
+ * Resolve a paper name (case/spacing-insensitive: a3, ansi-b, ANSI B)
+ * @param {string} name - Paper name
+ * @returns {string|null} Key of PAPER_SIZES or null
+ */
+export const resolvePaperName = (name) => {
+  if (!name) return null;
+  const normalized = String(name).toUpperCase().replace(/[-_]/g, ' ').replace(/\s+/g, ' ').trim();
+  const withPrefix = /^[A-E]$/.test(normalized) ? `ANSI ${normalized}` : normalized;
+  return Object.keys(PAPER_SIZES).find(key => key === normalized || key === withPrefix) || null;
+};
+
+/**
+ * Parse a plot scale
+ * @param {string|number} scale - 'fit', 'a:b' or a ratio number
+ * @returns {number|null} Paper mm per real mm, or null for fit-to-paper
+ */
+export const parsePlotScale = (scale) => {
+  if (scale === undefined || scale === null || String(scale).toLowerCase() === 'fit') return null;
+  if (typeof scale === 'number') return scale > 0 ? scale : null;
+  const match = String(scale).trim().match(/^(\d*\.?\d+)\s*[:=/]\s*(\d*\.?\d+)$/);
+  if (match) {
+    const paper = parseFloat(match[1]);
+    const real = parseFloat(match[2]);
+    return paper > 0 && real > 0 ? paper / real : null;
+  }
+  const ratio = parseFloat(scale);
+  return ratio > 0 ? ratio : null;
+};
+
+/**
+ * Format a paper:real ratio as "1:n" or "n:1"
+ */
+const formatScale = (ratio) => {
+  if (ratio >= 1) return `${parseFloat(ratio.toPrecision(4))}:1`;
+  return `1:${parseFloat((1 / ratio).toPrecision(4))}`;
+};
+
+const isPlottable = (state, entity) => {
+  if (entity.isPreview) return false;
+  const layer = state.layers.get(entity.layerId);
+  return !!layer && layer.visible !== false && layer.plottable !== false;
+};
+
+const computeExtents = (state) => {
+  let extents = null;
+  expandArrays(state.entities).forEach(entity => {
+    if (!isPlottable(state, entity) || typeof entity.getBounds !== 'function') return;
+    const bounds = entity.getBounds();
+    if (!extents) {
+      extents = { ...bounds };
+    } else {
+      extents.minX = Math.min(extents.minX, bounds.minX);
+      extents.minY = Math.min(extents.minY, bounds.minY);
+      extents.maxX = Math.max(extents.maxX, bounds.maxX);
+      extents.maxY = Math.max(extents.maxY, bounds.maxY);
+    }
+  });
+  return extents;
+};
+
+/**
+ * Compute the sheet layout and the world -> paper transform
+ * @param {Object} state - Store state
+ * @param {Object} settings - Plot settings (merged with DEFAULT_PLOT_SETTINGS)
+ * @returns {Object} Layout { sheet, frame, area, titleBlock, ratio, scaleLabel, toPaper }
+ */
+export const computePlotLayout = (state, settings) => {
+  const paperName = resolvePaperName(settings.paper);
+  if (!paperName) {
+    throw new Error(`Unknown paper size: ${settings.paper}`);
+  }
+  const paper = PAPER_SIZES[paperName];
+  const landscape = settings.orientation !== 'portrait';
+  const sheet = {
+    name: paperName,
+    width: landscape ? paper.height : paper.width,
+    height: landscape ? paper.width : paper.height
+  };
+
+  const margin = settings.margin;
+  const frame = { x: margin, y: margin, width: sheet.width - margin * 2, height: sheet.height - margin * 2 };
+  const titleBlock = settings.titleBlock && settings.titleBlock.enabled !== false
+    ? {
+      x: frame.x + frame.width - Math.min(TITLE_BLOCK_WIDTH, frame.width),
+      y: frame.y,
+      width: Math.min(TITLE_BLOCK_WIDTH, frame.width),
+      height: TITLE_BLOCK_HEIGHT
+    }
+    : null;
+
+  // Drawing area sits above the title block band
+  const reserved = titleBlock ? titleBlock.height : 0;
+  const area = { x: frame.x, y: frame.y + reserved, width: frame.width, height: frame.height - reserved };
+
+  const mmPerUnit = millimetresPerUnit(state.units && state.units.lengthUnit);
+  const extents = computeExtents(state) || { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+  const extentWidth = (extents.maxX - extents.minX) * mmPerUnit;
+  const extentHeight = (extents.maxY - extents.minY) * mmPerUnit;
+
+  let ratio = parsePlotScale(settings.scale);
+  if (ratio === null) {
+    const fitX = extentWidth > 0 ? area.width / extentWidth : Infinity;
+    const fitY = extentHeight > 0 ? area.height / extentHeight : Infinity;
+    ratio = Math.min(fitX, fitY);
+    if (!isFinite(ratio)) ratio = 1;
+  }
+
+  // Paper millimetres per world unit
+  const unitScale = ratio * mmPerUnit;
+  const center = { x: (extents.minX + extents.maxX) / 2, y: (extents.minY + extents.maxY) / 2 };
+  const areaCenter = { x: area.x + area.width / 2, y: area.y + area.height / 2 };
+
+  const toPaper = (point) => ({
+    x: areaCenter.x + (point.x - center.x) * unitScale,
+    y: areaCenter.y - (point.y - center.y) * unitScale
+  });
+
+  return {
+    sheet,
+    frame,
+    area,
+    titleBlock,
+    ratio,
+    unitScale,
+    scaleLabel: formatScale(ratio),
+    toPaper
+  };
+};
+
+/**
+ * Approximate an arc (world space, radians) with cubic Bezier segments
+ * @returns {Array} [{ start, c1, c2, end }] in world space
+ */
+const arcToBeziers = (center, radius, startAngle, endAngle) => {
+  let span = endAngle - startAngle;
+  while (span <= 0) span += 2 * Math.PI;
+  while (span > 2 * Math.PI) span -= 2 * Math.PI;
+
+  const count = Math.max(1, Math.ceil(span / (Math.PI / 2)));
+  const step = span / count;
+  const k = (4 / 3) * Math.tan(step / 4);
+  const at = (angle) => ({ x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle) });
+
+  const curves = [];
+  for (let i = 0; i < count; i++) {
+    const a0 = startAngle + i * step;
+    const a1 = a0 + step;
+    const p0 = at(a0);
+    const p3 = at(a1);
+    curves.push({
+      start: p0,
+      c1: { x: p0.x - k * radius * Math.sin(a0), y: p0.y + k * radius * Math.cos(a0) },
+      c2: { x: p3.x + k * radius * Math.sin(a1), y: p3.y - k * radius * Math.cos(a1) },
+      end: p3
+    });
+  }
+  return curves;
+};
+
+/**
+ * Trace entity geometry as a path on the page
+ * @returns {boolean} True if a path was traced
+ */
+const traceEntity = (page, entity, state, layout) => {
+  const { toPaper } = layout;
+  const moveTo = (p) => { const q = toPaper(p); page.moveTo(q.x, q.y); };
+  const lineTo = (p) => { const q = toPaper(p); page.lineTo(q.x, q.y); };
+  const curves = (list, move = true) => list.forEach((curve, index) => {
+    if (move && index === 0) moveTo(curve.start);
+    const c1 = toPaper(curve.c1);
+    const c2 = toPaper(curve.c2);
+    const end = toPaper(curve.end);
+    page.curveTo(c1.x, c1.y, c2.x, c2.y, end.x, end.y);
+  });
+
+  switch (entity.type) {
+    case 'line':
+      moveTo(entity.start);
+      lineTo(entity.end);
+      return true;
+
+    case 'circle':
+      curves(arcToBeziers(entity.center, entity.radius, 0, 2 * Math.PI));
+      page.closePath();
+      return true;
+
+    case 'arc':
+      curves(arcToBeziers(entity.center, entity.radius, entity.startAngle, entity.endAngle));
+      return true;
+
+    case 'rectangle':
+      entity.getCorners().forEach((corner, index) => (index === 0 ? moveTo(corner) : lineTo(corner)));
+      page.closePath();
+      return true;
+
+    case 'polyline': {
+      if (!entity.vertices || entity.vertices.length < 2) return false;
+      const { vertices } = entity;
+      moveTo(vertices[0]);
+      const count = entity.closed ? vertices.length : vertices.length - 1;
+      for (let i = 0; i < count; i++) {
+        const start = vertices[i];
+        const end = vertices[(i + 1) % vertices.length];
+        const arc = bulgeArc(start, end, start.bulge);
+        if (!arc) {
+          lineTo(end);
+        } else if (arc.sweep > 0) {
+          curves(arcToBeziers(arc.center, arc.radius, arc.startAngle, arc.startAngle + arc.sweep), false);
+        } else {
+          // Clockwise: trace the counter-clockwise arc backwards
+          const reversed = arcToBeziers(arc.center, arc.radius, arc.startAngle + arc.sweep, arc.startAngle)
+            .reverse()
+            .map(curve => ({ start: curve.end, c1: curve.c2, c2: curve.c1, end: curve.start }));
+          curves(reversed, false);
+        }
+      }
+      if (entity.closed) page.closePath();
+      return true;
+    }
+
+    default:
+      return false;
+  }
+};
+
+const drawTitleBlock = (page, layout, settings, state) => {
+  const block = layout.titleBlock;
+  const info = settings.titleBlock || {};
+  page.setStrokeColor('#000000');
+  page.setFillColor('#000000');
+  page.setDash([]);
+  page.setLineWidth(0.5);
+  page.rect(block.x, block.y, block.width, block.height);
+  page.stroke();
+
+  // Three rows: title / drawing number + scale / author + date + revision
+  page.setLineWidth(0.25);
+  const rowHeight = block.height / 3;
+  const columnX = block.x + block.width / 2;
+  for (let row = 1; row < 3; row++) {
+    page.moveTo(block.x, block.y + rowHeight * row);
+    page.lineTo(block.x + block.width, block.y + rowHeight * row);
+  }
+  page.moveTo(columnX, block.y);
+  page.lineTo(columnX, block.y + rowHeight * 2);
+  page.stroke();
+
+  const label = (x, y, caption, value, size = 3) => {
+    page.text(x + 2, y + rowHeight - 3, 1.8, caption.toUpperCase());
+    page.text(x + 2, y + 2.5, size, value || '');
+  };
+
+  const date = info.date || new Date().toISOString().slice(0, 10);
+  const units = (state.units && state.units.lengthUnit) || 'mm';
+  label(block.x, block.y + rowHeight * 2, info.company || 'Title', info.title, 4);
+  label(block.x, block.y + rowHeight, 'Drawing no.', info.drawingNumber);
+  label(columnX, block.y + rowHeight, 'Scale / sheet', `${layout.scaleLabel} (${units})  ${layout.sheet.name}`);
+  label(block.x, block.y, 'Drawn by', info.author);
+  label(columnX, block.y, 'Date / rev', `${date}${info.revision ? `  rev ${info.revision}` : ''}`);
+};
+
+/**
+ * Plot the drawing to a single-page PDF
+ * @param {Object} state - Store state (entities, layers, linetypes, units)
+ * @param {Object} options - Plot settings overrides (see DEFAULT_PLOT_SETTINGS)
+ * @returns {{pdf: string, layout: Object, plotted: number}} PDF text, layout and count of plotted entities
+ */
+export const plotToPdf = (state, options = {}) => {
+  const settings = {
+    ...DEFAULT_PLOT_SETTINGS,
+    ...options,
+    titleBlock: { ...DEFAULT_PLOT_SETTINGS.titleBlock, ...(options.titleBlock || {}) }
+  };
+  const layout = computePlotLayout(state, settings);
+  const doc = new PdfDocument({ Title: settings.titleBlock.title, Author: settings.titleBlock.author });
+  const page = doc.addPage(layout.sheet.width, layout.sheet.height);
+
+  page.setLineCap(1);
+  page.setLineJoin(1);
+
+  // Border frame
+  page.setStrokeColor('#000000');
+  page.setLineWidth(0.7);
+  page.rect(layout.frame.x, layout.frame.y, layout.frame.width, layout.frame.height);
+  page.stroke();
+
+  if (layout.titleBlock) {
+    drawTitleBlock(page, layout, settings, state);
+  }
+
+  // Clip geometry to the drawing area
+  page.save();
+  page.rect(layout.area.x, layout.area.y, layout.area.width, layout.area.height);
+  page.clip();
+
+  const plotColor = (color) => {
+    if (settings.monochrome || !color || color.toLowerCase() === '#ffffff') return '#000000';
+    return color;
+  };
+
+  let plotted = 0;
+  const entities = expandArrays(state.entities);
+  entities.forEach(entity => {
+    if (!isPlottable(state, entity)) return;
+    const layer = state.layers.get(entity.layerId);
+    const color = plotColor(entity.color || layer.color);
+    // Lineweights are millimetres on paper, independent of plot scale
+    const lineweight = resolveLineweight(entity, layer);
+    const linetype = getLinetype(entity.linetype, state.linetypes);
+
+    page.setStrokeColor(color);
+    page.setFillColor(color);
+    page.setLineWidth(lineweight);
+    page.setDash(patternToDashArray(linetype.pattern, settings.linetypeScale * layout.unitScale, lineweight));
+
+    if (entity.type === 'dimension') {
+      const geometry = typeof entity.getGeometry === 'function'
+        ? entity.getGeometry(entities.get(entity.entityId))
+        : null;
+      if (!geometry) return;
+      page.setDash([]);
+      geometry.segments.forEach(segment => {
+        const start = layout.toPaper(segment.start);
+        const end = layout.toPaper(segment.end);
+        page.moveTo(start.x, start.y);
+        page.lineTo(end.x, end.y);
+      });
+      page.stroke();
+      const position = layout.toPaper(geometry.textPosition);
+      // Y is flipped on paper, so the text angle flips too
+      page.text(position.x, position.y, geometry.textHeight * layout.unitScale, geometry.text, {
+        angle: -geometry.angle,
+        align: 'center',
+        mirrored: geometry.mirrored
+      });
+      plotted++;
+      return;
+    }
+
+    if (entity.type === 'text') {
+      const position = layout.toPaper(entity.position);
+      page.text(position.x, position.y, entity.height * layout.unitScale, entity.text, {
+        angle: -entity.rotation,
+        align: 'center',
+        mirrored: entity.mirrored
+      });
+      plotted++;
+      return;
+    }
+
+    if (entity.type === 'polyline' && entity.vertices && hasWidth(entity.vertices)) {
+      // Wide segments are filled outlines, real-world size like the geometry
+      widthOutlines(entity.vertices, entity.closed).forEach(outline => {
+        outline.forEach((point, index) => {
+          const q = layout.toPaper(point);
+          if (index === 0) page.moveTo(q.x, q.y);
+          else page.lineTo(q.x, q.y);
+        });
+        page.closePath();
+        // One at a time, so overlapping outlines cannot cancel out
+        page.fill();
+      });
+    }
+
+    if (traceEntity(page, entity, state, layout)) {
+      if (entity.filled) {
+        page.fillAndStroke();
+      } else {
+        page.stroke();
+      }
+      plotted++;
+    }
+  });
+
+  page.restore();
+
+  return { pdf: doc.toString(), layout, plotted };
+};
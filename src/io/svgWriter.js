@@ -0,0 +1,285 @@
+import { getLinetype, patternToDashArray } from '../core/linetypes';
+import { getLengthUnit, resolveLineweight } from '../core/units';
+import { expandArrays } from '../core/entities';
+import { bulgeArc } from '../core/geometry/bulge';
+import { hasWidth, widthOutlines } from '../core/geometry/polylineWidth';
+
+/**
+ * SVG writer
+ *
+ * Produces a standalone SVG in real-world units: the viewBox is in drawing
+ * units and width/height are in millimetres (derived from store.units.lengthUnit).
+ * Each visible layer becomes a <g>; entities without their own color inherit
+ * the layer stroke (ByLayer). SVG and world space share the same Y direction,
+ * so the output matches what is on screen.
+ */
+
+const DEFAULT_OPTIONS = {
+  margin: 0,          // Extra space around the extents, in drawing units
+  linetypeScale: 1,   // Global linetype scale (LTSCALE)
+  whiteAsBlack: true  // Plot white (ACI 7) as black, like a CAD plotter
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const fmt = (value) => {
+  const rounded = Math.abs(value) < 1e-12 ? 0 : value;
+  return String(parseFloat(rounded.toPrecision(12)));
+};
+
+const attrs = (attributes) => Object.entries(attributes)
+  .filter(([, value]) => value !== undefined && value !== null && value !== '')
+  .map(([key, value]) => `${key}="${escapeXml(value)}"`)
+  .join(' ');
+
+/**
+ * Build an SVG path for an arc (angles in radians, counter-clockwise in world space)
+ * @param {Object} center - Center {x, y}
+ * @param {number} radius - Radius
+ * @param {number} startAngle - Start angle
+ * @param {number} endAngle - End angle
+ * @returns {string} Path data
+ */
+export const arcPathData = (center, radius, startAngle, endAngle) => {
+  let span = endAngle - startAngle;
+  while (span < 0) span += 2 * Math.PI;
+  while (span > 2 * Math.PI) span -= 2 * Math.PI;
+
+  const pointAt = (angle) => ({
+    x: center.x + radius * Math.cos(angle),
+    y: center.y + radius * Math.sin(angle)
+  });
+  const start = pointAt(startAngle);
+
+  // A single SVG arc command cannot describe a full circle - split it in two
+  if (span < 1e-9 || Math.abs(span - 2 * Math.PI) < 1e-9) {
+    const opposite = pointAt(startAngle + Math.PI);
+    return `M ${fmt(start.x)} ${fmt(start.y)} ` +
+      `A ${fmt(radius)} ${fmt(radius)} 0 1 1 ${fmt(opposite.x)} ${fmt(opposite.y)} ` +
+      `A ${fmt(radius)} ${fmt(radius)} 0 1 1 ${fmt(start.x)} ${fmt(start.y)}`;
+  }
+
+  const end = pointAt(startAngle + span);
+  const largeArc = span > Math.PI ? 1 : 0;
+  // Increasing angle runs from +X towards +Y, which is SVG's positive sweep direction
+  return `M ${fmt(start.x)} ${fmt(start.y)} ` +
+    `A ${fmt(radius)} ${fmt(radius)} 0 ${largeArc} 1 ${fmt(end.x)} ${fmt(end.y)}`;
+};
+
+/**
+ * SVG path data for a polyline with bulged (arc) segments
+ * @param {Array<Object>} vertices - Vertices {x, y, bulge?}
+ * @param {boolean} closed - Whether the polyline is closed
+ * @returns {string} Path data
+ */
+export const polylinePathData = (vertices, closed) => {
+  const commands = [`M ${fmt(vertices[0].x)} ${fmt(vertices[0].y)}`];
+  const count = closed ? vertices.length : vertices.length - 1;
+  for (let i = 0; i < count; i++) {
+    const start = vertices[i];
+    const end = vertices[(i + 1) % vertices.length];
+    const arc = bulgeArc(start, end, start.bulge);
+    if (arc) {
+      const largeArc = Math.abs(arc.sweep) > Math.PI ? 1 : 0;
+      commands.push(`A ${fmt(arc.radius)} ${fmt(arc.radius)} 0 ${largeArc} ${arc.sweep > 0 ? 1 : 0} ${fmt(end.x)} ${fmt(end.y)}`);
+    } else {
+      commands.push(`L ${fmt(end.x)} ${fmt(end.y)}`);
+    }
+  }
+  if (closed) commands.push('Z');
+  return commands.join(' ');
+};
+
+const computeExtents = (entities, isVisible) => {
+  let extents = null;
+  entities.forEach(entity => {
+    if (!isVisible(entity) || typeof entity.getBounds !== 'function') return;
+    const bounds = entity.getBounds();
+    if (!extents) {
+      extents = { ...bounds };
+    } else {
+      extents.minX = Math.min(extents.minX, bounds.minX);
+      extents.minY = Math.min(extents.minY, bounds.minY);
+      extents.maxX = Math.max(extents.maxX, bounds.maxX);
+      extents.maxY = Math.max(extents.maxY, bounds.maxY);
+    }
+  });
+  return extents || { minX: 0, minY: 0, maxX: 1, maxY: 1 };
+};
+
+/**
+ * Write the drawing as an SVG document
+ * @param {Object} state - Store state (entities, layers, linetypes, units)
+ * @param {Object} options - See DEFAULT_OPTIONS
+ * @returns {string} SVG text
+ */
+export const writeSvg = (state, options = {}) => {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const unit = getLengthUnit(state.units && state.units.lengthUnit);
+  const mmPerUnit = unit.millimetres;
+
+  const isVisible = (entity) => {
+    const layer = state.layers.get(entity.layerId);
+    return !entity.isPreview && !!layer && layer.visible !== false;
+  };
+
+  const plotColor = (color) => {
+    if (!color) return null;
+    return settings.whiteAsBlack && color.toLowerCase() === '#ffffff' ? '#000000' : color;
+  };
+
+  // Lineweights are in millimetres (ByLayer resolved); convert to drawing units for stroke-width
+  const strokeWidth = (entity) => resolveLineweight(entity, state.layers.get(entity.layerId)) / mmPerUnit;
+
+  const dashArray = (linetype, width) => {
+    const definition = getLinetype(linetype, state.linetypes);
+    const dashes = patternToDashArray(definition.pattern, settings.linetypeScale, width);
+    return dashes.length > 0 ? dashes.map(fmt).join(' ') : null;
+  };
+
+  const entities = expandArrays(state.entities);
+  const extents = computeExtents(entities, isVisible);
+  const minX = extents.minX - settings.margin;
+  const minY = extents.minY - settings.margin;
+  const width = Math.max(extents.maxX - extents.minX + settings.margin * 2, 1e-6);
+  const height = Math.max(extents.maxY - extents.minY + settings.margin * 2, 1e-6);
+  const sizeSuffix = unit.insUnits === 0 ? '' : 'mm';
+
+  // Group entities by layer, preserving layer order
+  const byLayer = new Map();
+  state.layers.forEach((layer, id) => byLayer.set(id, []));
+  entities.forEach(entity => {
+    if (isVisible(entity)) byLayer.get(entity.layerId).push(entity);
+  });
+
+  const renderEntity = (entity) => {
+    const lineWidth = strokeWidth(entity);
+    const style = {
+      stroke: plotColor(entity.color),
+      'stroke-width': fmt(lineWidth),
+      'stroke-dasharray': dashArray(entity.linetype, lineWidth)
+    };
+    const fill = entity.filled ? (plotColor(entity.color) || 'currentColor') : 'none';
+
+    switch (entity.type) {
+      case 'line':
+        return `<line ${attrs({
+          x1: fmt(entity.start.x), y1: fmt(entity.start.y),
+          x2: fmt(entity.end.x), y2: fmt(entity.end.y), ...style
+        })}/>`;
+
+      case 'circle':
+        return `<circle ${attrs({
+          cx: fmt(entity.center.x), cy: fmt(entity.center.y), r: fmt(entity.radius), fill, ...style
+        })}/>`;
+
+      case 'arc':
+        return `<path ${attrs({
+          d: arcPathData(entity.center, entity.radius, entity.startAngle, entity.endAngle),
+          fill: 'none', ...style
+        })}/>`;
+
+      case 'rectangle': {
+        const bounds = entity.getBounds();
+        return `<rect ${attrs({
+          x: fmt(bounds.minX), y: fmt(bounds.minY),
+          width: fmt(bounds.maxX - bounds.minX), height: fmt(bounds.maxY - bounds.minY),
+          fill, ...style
+        })}/>`;
+      }
+
+      case 'polyline': {
+        if (!entity.vertices || entity.vertices.length < 2) return '';
+        let centreLine;
+        if (entity.vertices.some(v => v.bulge)) {
+          centreLine = `<path ${attrs({ d: polylinePathData(entity.vertices, entity.closed), fill: 'none', ...style })}/>`;
+        } else {
+          const points = entity.vertices.map(v => `${fmt(v.x)},${fmt(v.y)}`).join(' ');
+          centreLine = `<${entity.closed ? 'polygon' : 'polyline'} ${attrs({ points, fill: 'none', ...style })}/>`;
+        }
+        if (!hasWidth(entity.vertices)) return centreLine;
+        // Wide segments are filled outlines
+        const outlines = widthOutlines(entity.vertices, entity.closed).map(outline => `<polygon ${attrs({
+          points: outline.map(p => `${fmt(p.x)},${fmt(p.y)}`).join(' '),
+          fill: plotColor(entity.color) || 'currentColor',
+          stroke: 'none'
+        })}/>`);
+        return `<g>${outlines.join('')}${centreLine}</g>`;
+      }
+
+      case 'dimension': {
+        if (typeof entity.getGeometry !== 'function') return '';
+        const geometry = entity.getGeometry(entities.get(entity.entityId));
+        if (!geometry) return '';
+        const lines = geometry.segments.map(segment => `<line ${attrs({
+          x1: fmt(segment.start.x), y1: fmt(segment.start.y),
+          x2: fmt(segment.end.x), y2: fmt(segment.end.y), ...style
+        })}/>`);
+        const { x, y } = geometry.textPosition;
+        const text = `<text ${attrs({
+          x: fmt(x), y: fmt(y),
+          'font-size': fmt(geometry.textHeight),
+          'font-family': 'sans-serif',
+          'text-anchor': 'middle',
+          fill: style.stroke || 'currentColor',
+          stroke: 'none',
+          transform: `rotate(${fmt(geometry.angle * 180 / Math.PI)} ${fmt(x)} ${fmt(y)})` +
+            (geometry.mirrored ? ` matrix(1 0 0 -1 0 ${fmt(2 * y)})` : '')
+        })}>${escapeXml(geometry.text)}</text>`;
+        return `<g>${lines.join('')}${text}</g>`;
+      }
+
+      case 'text': {
+        const { x, y } = entity.position;
+        return `<text ${attrs({
+          x: fmt(x), y: fmt(y),
+          'font-size': fmt(entity.height),
+          'font-family': 'sans-serif',
+          'text-anchor': 'middle',
+          fill: style.stroke || 'currentColor',
+          stroke: 'none',
+          transform: `rotate(${fmt(entity.rotation * 180 / Math.PI)} ${fmt(x)} ${fmt(y)})` +
+            (entity.mirrored ? ` matrix(1 0 0 -1 0 ${fmt(2 * y)})` : '')
+        })}>${escapeXml(entity.text)}</text>`;
+      }
+
+      default:
+        return '';
+    }
+  };
+
+  const groups = [];
+  byLayer.forEach((layerEntities, layerId) => {
+    const layer = state.layers.get(layerId);
+    // Every visible layer gets a group, even an empty one
+    if (layer.visible === false) return;
+    const layerColor = plotColor(layer.color) || '#000000';
+    const body = layerEntities.map(renderEntity).filter(Boolean).join('\n    ');
+    groups.push(`  <g ${attrs({
+      id: `layer-${layerId}`,
+      'data-layer': layer.name || layerId,
+      stroke: layerColor,
+      color: layerColor,
+      fill: 'none',
+      'stroke-linecap': 'round',
+      'stroke-linejoin': 'round'
+    })}>${body ? `\n    ${body}\n  ` : ''}</g>`);
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" ${attrs({
+      version: '1.1',
+      width: `${fmt(width * mmPerUnit)}${sizeSuffix}`,
+      height: `${fmt(height * mmPerUnit)}${sizeSuffix}`,
+      viewBox: `${fmt(minX)} ${fmt(minY)} ${fmt(width)} ${fmt(height)}`
+    })}>`,
+    ...groups,
+    '</svg>',
+    ''
+  ].join('\n');
+};
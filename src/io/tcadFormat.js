@@ -0,0 +1,191 @@
+import { entityFromJSON, entityToJSON } from '../core/entities';
+
+/**
+ * Native TestCad drawing format (.tcad.json)
+ *
+ * Document layout:
+ * {
+ *   format: 'tcad',
+ *   version: SCHEMA_VERSION,
+ *   units, snap, currentLayer, plotSettings, mirrorText (optional),
+ *   layers: [{ id, name, visible, locked, color, ... }],
+ *   linetypes: [{ name, description, pattern }],   (optional)
+ *   selectionSets: [{ name, ids }],                (optional)
+ *   entities: [{ id, type, ... }]
+ * }
+ */
+
+export const FORMAT_ID = 'tcad';
+export const SCHEMA_VERSION = 1;
+export const FILE_EXTENSION = '.tcad.json';
+
+/**
+ * Schema migrations, keyed by the version they upgrade FROM.
+ * Each migration receives a document of version N and returns version N + 1.
+ */
+const migrations = {
+  // Version 0: unversioned early saves - either a bare entity array or
+  // `{ entities, layers? }` with layers stored as an object map
+  0: (doc) => {
+    const legacy = Array.isArray(doc) ? { entities: doc } : doc;
+    const layers = Array.isArray(legacy.layers)
+      ? legacy.layers
+      : Object.entries(legacy.layers || {}).map(([id, layer]) => ({ ...layer, id }));
+
+    return {
+      ...legacy,
+      format: FORMAT_ID,
+      version: 1,
+      layers,
+      entities: legacy.entities || []
+    };
+  }
+};
+
+/**
+ * Upgrade a parsed document to the current schema version
+ * @param {Object|Array} doc - Parsed document of any known version
+ * @returns {Object} Document at SCHEMA_VERSION
+ */
+export const migrateDocument = (doc) => {
+  if (!doc || typeof doc !== 'object') {
+    throw new Error('Invalid drawing file: expected a JSON object');
+  }
+
+  let current = doc;
+  let version = Array.isArray(doc) ? 0 : (doc.version ?? 0);
+
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Drawing was saved with a newer schema (v${version}); this build supports up to v${SCHEMA_VERSION}`);
+  }
+
+  while (version < SCHEMA_VERSION) {
+    const migrate = migrations[version];
+    if (!migrate) {
+      throw new Error(`No migration available from schema v${version}`);
+    }
+    current = migrate(current);
+    version = current.version;
+  }
+
+  return current;
+};
+
+/**
+ * Build a serializable document from store state
+ * @param {Object} state - Store state (entities, layers, units, snap, currentLayer)
+ * @returns {Object} Document at SCHEMA_VERSION
+ */
+export const serializeDrawing = (state) => {
+  const entities = [];
+  state.entities.forEach((entity) => {
+    if (entity.isPreview) return; // Never persist command previews
+    entities.push(entityToJSON(entity));
+  });
+
+  return {
+    format: FORMAT_ID,
+    version: SCHEMA_VERSION,
+    units: { ...state.units },
+    snap: { ...state.snap },
+    plotSettings: state.plotSettings ? { ...state.plotSettings } : undefined,
+    mirrorText: typeof state.mirrorText === 'boolean' ? state.mirrorText : undefined,
+    currentLayer: state.currentLayer,
+    layers: Array.from(state.layers.values()).map(layer => ({ ...layer })),
+    linetypes: Array.from((state.linetypes || new Map()).values()).map(linetype => ({ ...linetype })),
+    // Ids of deleted entities are dropped on save
+    selectionSets: Array.from((state.selectionSets || new Map()).values()).map(selectionSet => ({
+      name: selectionSet.name,
+      ids: selectionSet.ids.filter(id => state.entities.has(id))
+    })),
+    entities
+  };
+};
+
+/**
+ * Rehydrate a document into store-ready structures
+ * @param {Object} doc - Parsed document (any supported version)
+ * @returns {Object} { entities: Map, layers: Map, linetypes: Map, selectionSets: Map, units, snap, plotSettings, mirrorText, currentLayer, skipped }
+ */
+export const deserializeDrawing = (doc) => {
+  const migrated = migrateDocument(doc);
+
+  const layers = new Map();
+  for (const layer of migrated.layers || []) {
+    if (layer && layer.id !== undefined) {
+      layers.set(String(layer.id), { ...layer, id: String(layer.id) });
+    }
+  }
+  // Layer 0 always exists
+  if (!layers.has('0')) {
+    layers.set('0', { id: '0', name: 'Layer 0', visible: true, locked: false, plottable: true, color: '#ffffff' });
+  }
+
+  const linetypes = new Map();
+  for (const linetype of migrated.linetypes || []) {
+    if (linetype && linetype.name) {
+      linetypes.set(linetype.name.toLowerCase(), { ...linetype, name: linetype.name.toLowerCase() });
+    }
+  }
+
+  const entities = new Map();
+  const skipped = [];
+  for (const data of migrated.entities || []) {
+    const entity = entityFromJSON(data);
+    if (!entity) {
+      skipped.push(data && data.type);
+      continue;
+    }
+    if (!layers.has(entity.layerId)) {
+      entity.layerId = '0';
+    }
+    entities.set(entity.id, entity);
+  }
+
+  const selectionSets = new Map();
+  for (const selectionSet of migrated.selectionSets || []) {
+    if (selectionSet && selectionSet.name && Array.isArray(selectionSet.ids)) {
+      selectionSets.set(String(selectionSet.name).toLowerCase(), {
+        name: String(selectionSet.name),
+        ids: selectionSet.ids.map(String).filter(id => entities.has(id))
+      });
+    }
+  }
+
+  const currentLayer = layers.has(migrated.currentLayer) ? migrated.currentLayer : '0';
+
+  return {
+    entities,
+    layers,
+    linetypes,
+    selectionSets,
+    units: migrated.units || null,
+    snap: migrated.snap || null,
+    plotSettings: migrated.plotSettings || null,
+    mirrorText: typeof migrated.mirrorText === 'boolean' ? migrated.mirrorText : null,
+    currentLayer,
+    skipped
+  };
+};
+
+/**
+ * Serialize store state to JSON text
+ * @param {Object} state - Store state
+ * @returns {string} JSON text
+ */
+export const stringifyDrawing = (state) => JSON.stringify(serializeDrawing(state), null, 2);
+
+/**
+ * Parse JSON text into store-ready structures
+ * @param {string} text - File contents
+ * @returns {Object} See deserializeDrawing
+ */
+export const parseDrawing = (text) => {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid drawing file: ${error.message}`);
+  }
+  return deserializeDrawing(doc);
+};
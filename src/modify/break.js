@@ -0,0 +1,89 @@
+import {
+  entityToPath,
+  pathParameter,
+  extractPathRange
+} from '../core/geometry/paths';
+
+/**
+ * Break operations
+ *
+ * The two break points are projected onto the entity. On open entities the
+ * part between them is removed, leaving up to two pieces. On closed ones the
+ * part from the first point to the second in the path direction
+ * (counterclockwise for circles) is removed, leaving one open piece - a
+ * circle becomes an arc.
+ */
+
+const EPS = 1e-9;
+
+export const BREAKABLE = ['line', 'arc', 'circle', 'polyline', 'rectangle'];
+
+/**
+ * Keep the entity's identity on a single piece of the same kind (dimensions, selection)
+ */
+const keepIdentity = (entity, pieces) => {
+  if (pieces.length > 0 && pieces[0].type === entity.type) {
+    pieces[0].id = entity.id;
+  }
+  return pieces;
+};
+
+/**
+ * Remove the part of an entity between two points
+ * @param {Object} entity - Line, arc, circle, polyline or rectangle
+ * @param {Object} point1 - First break point (projected onto the entity)
+ * @param {Object} point2 - Second break point
+ * @returns {Array<Object>|null} Remaining pieces (possibly empty), or null if
+ *   the points do not remove anything
+ */
+export const breakEntity = (entity, point1, point2) => {
+  const path = entityToPath(entity);
+  if (!path) return null;
+
+  const count = path.pieces.length;
+  const t1 = pathParameter(path, point1).t;
+  const t2 = pathParameter(path, point2).t;
+  if (Math.abs(t1 - t2) < EPS) return null;
+
+  if (path.closed) {
+    const remaining = extractPathRange(entity, path, t2, t1);
+    return remaining ? keepIdentity(entity, [remaining]) : null;
+  }
+
+  const lower = Math.min(t1, t2);
+  const upper = Math.max(t1, t2);
+  const pieces = [
+    extractPathRange(entity, path, 0, lower),
+    extractPathRange(entity, path, upper, count)
+  ].filter(Boolean);
+  return keepIdentity(entity, pieces);
+};
+
+/**
+ * Split an entity in two at a point without a gap. Closed polylines and
+ * rectangles are opened at the point; circles cannot be split at one point.
+ * @param {Object} entity - Line, arc, polyline or rectangle
+ * @param {Object} point - Break point (projected onto the entity)
+ * @returns {Array<Object>|null} New pieces, or null if the point is at an
+ *   end or the entity cannot be split
+ */
+export const breakEntityAtPoint = (entity, point) => {
+  if (entity.type === 'circle') return null;
+  const path = entityToPath(entity);
+  if (!path) return null;
+
+  const count = path.pieces.length;
+  const t = pathParameter(path, point).t;
+
+  if (path.closed) {
+    // Runs once round from the point back to itself
+    const opened = extractPathRange(entity, path, t, t);
+    return opened ? keepIdentity(entity, [opened]) : null;
+  }
+
+  if (t < EPS || t > count - EPS) return null;
+  return keepIdentity(entity, [
+    extractPathRange(entity, path, 0, t),
+    extractPathRange(entity, path, t, count)
+  ].filter(Boolean));
+};
@@ -0,0 +1,261 @@
+import Line from '../core/entities/Line';
+import Polyline from '../core/entities/Polyline';
+import {
+  entityToPath,
+  entityProperties,
+  pathParameter
+} from '../core/geometry/paths';
+import {
+  add,
+  cross,
+  distance as dist,
+  dot,
+  scale as mul,
+  subtract as sub,
+  unit
+} from '../core/geometry/vec2';
+
+/**
+ * Chamfer operations
+ *
+ * Bevels the corner where two lines (or two adjacent polyline segments) meet.
+ * The bevel starts distance1 from the corner along the first object and ends
+ * distance2 along the second - or, in angle mode, leaves the first object at
+ * a given angle after `length`. Which side of the corner is kept on each
+ * object comes from the pick points.
+ */
+
+const EPS = 1e-9;
+
+export const CHAMFER_METHODS = ['distance', 'angle'];
+
+/**
+ * Chamfer distances along the first and second object for a corner angle
+ * @param {Object} options - { method, distance1, distance2, length, angle }
+ * @param {number} cornerAngle - Angle between the kept directions (0..π)
+ * @returns {Array<number>|null} [distance1, distance2], or null if the angle does not fit
+ */
+export const chamferDistances = (options, cornerAngle) => {
+  if (options.method !== 'angle') {
+    return [options.distance1 || 0, options.distance2 || 0];
+  }
+  // Triangle corner/first point/second point: law of sines
+  const length = options.length || 0;
+  const angle = options.angle || 0;
+  const opposite = Math.PI - cornerAngle - angle;
+  if (length <= EPS) return [0, 0];
+  if (angle <= EPS || opposite <= EPS) return null;
+  return [length, length * Math.sin(angle) / Math.sin(opposite)];
+};
+
+/**
+ * The segment under a pick: the line itself or the picked polyline segment
+ */
+const pickedSegment = (entity, point) => {
+  if (entity.type === 'line') {
+    return { a: entity.start, b: entity.end };
+  }
+  if (entity.type === 'polyline') {
+    const path = entityToPath(entity);
+    if (!path) return null;
+    const index = Math.min(Math.floor(pathParameter(path, point).t), path.pieces.length - 1);
+    const piece = path.pieces[index];
+    return piece.type === 'line' ? { a: piece.start, b: piece.end, segment: index } : null;
+  }
+  return null;
+};
+
+/**
+ * Corner between two segments and the kept direction along each
+ */
+const cornerOf = (segment1, pick1, segment2, pick2) => {
+  const dir1 = unit(sub(segment1.b, segment1.a));
+  const dir2 = unit(sub(segment2.b, segment2.a));
+  if (!dir1 || !dir2) return null;
+  const denom = cross(dir1, dir2);
+  if (Math.abs(denom) < EPS) return null; // Parallel
+
+  const corner = add(segment1.a, mul(dir1, cross(sub(segment2.a, segment1.a), dir2) / denom));
+  const keep = (segment, dir, pick) => {
+    const along = dot(sub(pick, corner), dir);
+    if (Math.abs(along) > EPS) return along > 0 ? dir : mul(dir, -1);
+    // Picked right at the corner: keep the longer side
+    return dot(sub(segment.a, corner), dir) + dot(sub(segment.b, corner), dir) >= 0 ? dir : mul(dir, -1);
+  };
+  const keep1 = keep(segment1, dir1, pick1);
+  const keep2 = keep(segment2, dir2, pick2);
+  return { corner, keep1, keep2, angle: Math.acos(Math.max(-1, Math.min(1, dot(keep1, keep2)))) };
+};
+
+/**
+ * Line cut back (or lengthened) so it starts at the chamfer point
+ */
+const lineToPoint = (line, point, keep) => {
+  const toStart = dot(sub(line.start, point), keep);
+  const toEnd = dot(sub(line.end, point), keep);
+  if (Math.max(toStart, toEnd) <= EPS) return null; // Distance too large
+  const options = { ...entityProperties(line), id: line.id };
+  return toStart > toEnd ? new Line(line.start, point, options) : new Line(point, line.end, options);
+};
+
+/**
+ * Chamfer the corner of a polyline between two adjacent segments
+ * @returns {Object|null} { polyline, line } - line is the bevel for no-trim mode
+ */
+const chamferPolylineCorner = (entity, segment1, segment2, options) => {
+  const count = entity.vertices.length;
+  const segments = entity.closed ? count : count - 1;
+  let corner = null;
+  if ((segment1 + 1) % segments === segment2 && (entity.closed || segment2 > segment1)) corner = segment2;
+  else if ((segment2 + 1) % segments === segment1 && (entity.closed || segment1 > segment2)) corner = segment1;
+  if (corner === null) return null;
+
+  const vertex = entity.vertices[corner];
+  const prev = entity.vertices[(corner - 1 + count) % count];
+  const next = entity.vertices[(corner + 1) % count];
+  // Arc segments are not chamfered
+  if (prev.bulge || vertex.bulge) return null;
+  // The first pick's segment takes distance1
+  const firstIsPrev = segment1 !== corner;
+  const toFirst = firstIsPrev ? prev : next;
+  const toSecond = firstIsPrev ? next : prev;
+
+  const d1 = unit(sub(toFirst, vertex));
+  const d2 = unit(sub(toSecond, vertex));
+  if (!d1 || !d2) return null;
+  const distances = chamferDistances(options, Math.acos(Math.max(-1, Math.min(1, dot(d1, d2)))));
+  if (!distances) return null;
+  const [distance1, distance2] = distances;
+  if (distance1 > dist(vertex, toFirst) + EPS || distance2 > dist(vertex, toSecond) + EPS) return null;
+  if (distance1 <= EPS && distance2 <= EPS) return null;
+
+  const c1 = add(vertex, mul(d1, distance1));
+  const c2 = add(vertex, mul(d2, distance2));
+  if (!options.trim) {
+    return { polyline: null, line: new Line(c1, c2, entityProperties(entity)) };
+  }
+
+  const bevel = firstIsPrev ? [c1, c2] : [c2, c1];
+  const vertices = [
+    ...entity.vertices.slice(0, corner),
+    ...bevel.filter((point, i) => i === 0 || dist(point, bevel[0]) > EPS),
+    ...entity.vertices.slice(corner + 1)
+  ];
+  return {
+    polyline: new Polyline(vertices, { ...entityProperties(entity), id: entity.id, closed: entity.closed }),
+    line: null
+  };
+};
+
+/**
+ * Chamfer two picked objects
+ * @param {Object} first - { entity, point } first pick (line or polyline)
+ * @param {Object} second - { entity, point } second pick
+ * @param {Object} options - { method: 'distance'|'angle', distance1, distance2, length, angle, trim }
+ * @returns {Object|null} { remove: [entities], add: [entities] } for EntityEdit.replace,
+ *   or null when the objects cannot be chamfered
+ */
+export const chamferEntities = (first, second, options) => {
+  const segment1 = pickedSegment(first.entity, first.point);
+  const segment2 = pickedSegment(second.entity, second.point);
+  if (!segment1 || !segment2) return null;
+
+  if (first.entity.id === second.entity.id) {
+    if (first.entity.type !== 'polyline' || segment1.segment === segment2.segment) return null;
+    const result = chamferPolylineCorner(first.entity, segment1.segment, segment2.segment, options);
+    if (!result) return null;
+    return result.polyline
+      ? { remove: [first.entity], add: [result.polyline] }
+      : { remove: [], add: [result.line] };
+  }
+
+  // Separate objects: only whole lines can be trimmed back
+  if (first.entity.type !== 'line' || second.entity.type !== 'line') return null;
+
+  const corner = cornerOf(segment1, first.point, segment2, second.point);
+  if (!corner) return null;
+  const distances = chamferDistances(options, corner.angle);
+  if (!distances) return null;
+
+  const c1 = add(corner.corner, mul(corner.keep1, distances[0]));
+  const c2 = add(corner.corner, mul(corner.keep2, distances[1]));
+  const bevel = dist(c1, c2) > EPS ? [new Line(c1, c2, entityProperties(first.entity))] : [];
+
+  if (!options.trim) {
+    return bevel.length > 0 ? { remove: [], add: bevel } : null;
+  }
+
+  const line1 = lineToPoint(first.entity, c1, corner.keep1);
+  const line2 = lineToPoint(second.entity, c2, corner.keep2);
+  if (!line1 || !line2) return null;
+  return { remove: [first.entity, second.entity], add: [line1, line2, ...bevel] };
+};
+
+/**
+ * Chamfer every corner of a polyline, distance1 on the segment arriving at
+ * each vertex and distance2 on the one leaving it
+ * @param {Object} entity - Polyline
+ * @param {Object} options - Chamfer options (see chamferEntities)
+ * @returns {Object} { polyline: new Polyline (same id) or null if nothing changed, chamfered, tooShort }
+ */
+export const chamferPolyline = (entity, options) => {
+  const vertices = entity.vertices;
+  const count = vertices.length;
+  const corners = [];
+  for (let i = 0; i < count; i++) {
+    if (!entity.closed && (i === 0 || i === count - 1)) continue;
+    const prev = vertices[(i - 1 + count) % count];
+    const next = vertices[(i + 1) % count];
+    if (prev.bulge || vertices[i].bulge) continue; // Arc segments are not chamfered
+    const d1 = unit(sub(prev, vertices[i]));
+    const d2 = unit(sub(next, vertices[i]));
+    if (!d1 || !d2) continue;
+    const angle = Math.acos(Math.max(-1, Math.min(1, dot(d1, d2))));
+    if (Math.PI - angle < 1e-6) continue; // Straight through
+    const distances = chamferDistances(options, angle);
+    if (!distances || (distances[0] <= EPS && distances[1] <= EPS)) continue;
+    corners.push({
+      index: i,
+      before: distances[0],
+      after: distances[1],
+      points: [add(vertices[i], mul(d1, distances[0])), add(vertices[i], mul(d2, distances[1]))]
+    });
+  }
+
+  // A segment has to hold the chamfers at both of its ends
+  const planned = new Map(corners.map(corner => [corner.index, corner]));
+  const fits = (corner) => {
+    const prevIndex = (corner.index - 1 + count) % count;
+    const nextIndex = (corner.index + 1) % count;
+    const prevCorner = planned.get(prevIndex);
+    const nextCorner = planned.get(nextIndex);
+    return corner.before + (prevCorner ? prevCorner.after : 0) <= dist(vertices[corner.index], vertices[prevIndex]) + EPS &&
+      corner.after + (nextCorner ? nextCorner.before : 0) <= dist(vertices[corner.index], vertices[nextIndex]) + EPS;
+  };
+  const accepted = new Map();
+  corners.forEach(corner => {
+    if (fits(corner)) accepted.set(corner.index, corner);
+  });
+
+  if (accepted.size === 0) {
+    return { polyline: null, chamfered: 0, tooShort: corners.length };
+  }
+
+  const result = [];
+  vertices.forEach((vertex, i) => {
+    const corner = accepted.get(i);
+    if (!corner) {
+      result.push({ ...vertex });
+      return;
+    }
+    corner.points.forEach(point => {
+      if (result.length === 0 || dist(result[result.length - 1], point) > EPS) result.push(point);
+    });
+  });
+
+  return {
+    polyline: new Polyline(result, { ...entityProperties(entity), id: entity.id, closed: entity.closed }),
+    chamfered: accepted.size,
+    tooShort: corners.length - accepted.size
+  };
+};
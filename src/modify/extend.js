@@ -0,0 +1,174 @@
+import Line from '../core/entities/Line';
+import Arc from '../core/entities/Arc';
+import Polyline from '../core/entities/Polyline';
+import {
+  entityToPath,
+  entityProperties,
+  pathParameter,
+  pathTangent,
+  pathRangeLength,
+  pathIntersections,
+  pathBounds
+} from '../core/geometry/paths';
+import { sweepToBulge } from '../core/geometry/bulge';
+import { normalizeAngle } from '../core/geometry/vec2';
+
+/**
+ * Extend operations
+ *
+ * The end of an open entity nearest the pick point is lengthened until it
+ * meets the closest boundary edge: lines and polyline end segments along
+ * their direction, arcs and polyline arc segments along their circle. In edge mode the boundaries are
+ * treated as their implied infinite lines and full circles.
+ */
+
+const EPS = 1e-9;
+const TWO_PI = Math.PI * 2;
+
+/**
+ * A distance longer than anything in the given paths, used to turn rays into segments
+ */
+const reachOf = (paths) => {
+  const bounds = paths.map(pathBounds).reduce((acc, b) => ({
+    minX: Math.min(acc.minX, b.minX),
+    minY: Math.min(acc.minY, b.minY),
+    maxX: Math.max(acc.maxX, b.maxX),
+    maxY: Math.max(acc.maxY, b.maxY)
+  }));
+  return Math.hypot(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY) * 2 + 1;
+};
+
+/**
+ * Boundary as its implied geometry: lines stretched past both ends, arcs closed into circles
+ */
+const impliedBoundary = (path, reach) => ({
+  closed: false,
+  pieces: path.pieces.map(piece => {
+    if (piece.type === 'arc') {
+      return { type: 'arc', center: piece.center, radius: piece.radius, startAngle: 0, sweep: TWO_PI };
+    }
+    const length = Math.hypot(piece.end.x - piece.start.x, piece.end.y - piece.start.y);
+    if (length < EPS) return piece;
+    const dx = (piece.end.x - piece.start.x) / length * reach;
+    const dy = (piece.end.y - piece.start.y) / length * reach;
+    return {
+      type: 'line',
+      start: { x: piece.start.x - dx, y: piece.start.y - dy },
+      end: { x: piece.end.x + dx, y: piece.end.y + dy }
+    };
+  })
+});
+
+/**
+ * Rebuild an entity with one end moved (lines, polylines) or re-angled (arcs)
+ */
+const withNewEnd = (entity, atEnd, change) => {
+  const options = { ...entityProperties(entity), id: entity.id };
+  switch (entity.type) {
+    case 'line':
+      return new Line(atEnd ? entity.start : change.point, atEnd ? change.point : entity.end, options);
+
+    case 'polyline': {
+      const vertices = entity.vertices.map(v => ({ ...v }));
+      const last = vertices.length - 1;
+      vertices[atEnd ? last : 0] = { ...vertices[atEnd ? last : 0], ...change.point };
+      // A longer arc segment needs a new bulge on its start vertex
+      if (change.bulge !== undefined) vertices[atEnd ? last - 1 : 0].bulge = change.bulge;
+      return new Polyline(vertices, { ...options, closed: false });
+    }
+
+    case 'arc':
+      return new Arc(
+        entity.center,
+        entity.radius,
+        atEnd ? entity.startAngle : normalizeAngle(change.angle),
+        atEnd ? normalizeAngle(change.angle) : entity.endAngle,
+        options
+      );
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Extend the end of an entity nearest the pick point to the closest boundary
+ * @param {Object} entity - Line, arc or open polyline
+ * @param {Object} pickPoint - Point near the end to extend
+ * @param {Array<Object>} boundaries - Boundary edge entities
+ * @param {Object} options - { edgeMode: extend to the boundaries' implied extensions }
+ * @returns {Object|null} Extended entity (same id), or null if no boundary is reached
+ */
+export const extendEntity = (entity, pickPoint, boundaries, options = {}) => {
+  const path = entityToPath(entity);
+  if (!path || path.closed) return null;
+
+  let boundaryPaths = boundaries
+    .filter(boundary => boundary.id !== entity.id)
+    .map(entityToPath)
+    .filter(Boolean);
+  if (boundaryPaths.length === 0) return null;
+
+  const reach = reachOf([path, ...boundaryPaths]);
+  if (options.edgeMode) {
+    boundaryPaths = boundaryPaths.map(boundaryPath => impliedBoundary(boundaryPath, reach));
+  }
+
+  const count = path.pieces.length;
+  const { t } = pathParameter(path, pickPoint);
+  const atEnd = pathRangeLength(path, t, count) <= pathRangeLength(path, 0, t);
+  const piece = path.pieces[atEnd ? count - 1 : 0];
+
+  if (piece.type === 'line') {
+    const origin = atEnd ? piece.end : piece.start;
+    const tangent = pathTangent(path, atEnd ? count : 0);
+    const direction = atEnd ? tangent : { x: -tangent.x, y: -tangent.y };
+    const ray = {
+      pieces: [{
+        type: 'line',
+        start: origin,
+        end: { x: origin.x + direction.x * reach, y: origin.y + direction.y * reach }
+      }],
+      closed: false
+    };
+
+    let nearest = null;
+    boundaryPaths.forEach(boundaryPath => {
+      pathIntersections(ray, boundaryPath).forEach(hit => {
+        if (hit.t > EPS && (!nearest || hit.t < nearest.t)) nearest = hit;
+      });
+    });
+    return nearest ? withNewEnd(entity, atEnd, { point: nearest.point }) : null;
+  }
+
+  // Arc ends move along the full circle, never past the other end
+  // (polyline arc segments may run clockwise)
+  const span = Math.abs(piece.sweep);
+  const direction = piece.sweep >= 0 ? 1 : -1;
+  const circle = {
+    pieces: [{ type: 'arc', center: piece.center, radius: piece.radius, startAngle: 0, sweep: TWO_PI }],
+    closed: true
+  };
+  const endAngle = piece.startAngle + piece.sweep;
+  let best = null;
+  boundaryPaths.forEach(boundaryPath => {
+    pathIntersections(circle, boundaryPath).forEach(({ point }) => {
+      const angle = Math.atan2(point.y - piece.center.y, point.x - piece.center.x);
+      const delta = normalizeAngle((atEnd ? angle - endAngle : piece.startAngle - angle) * direction);
+      if (delta > EPS && delta < TWO_PI - span - EPS && (best === null || delta < best)) {
+        best = delta;
+      }
+    });
+  });
+  if (best === null) return null;
+
+  const angle = atEnd ? endAngle + best * direction : piece.startAngle - best * direction;
+  return withNewEnd(entity, atEnd, {
+    angle,
+    bulge: sweepToBulge(piece.sweep + best * direction),
+    point: {
+      x: piece.center.x + piece.radius * Math.cos(angle),
+      y: piece.center.y + piece.radius * Math.sin(angle)
+    }
+  });
+};
@@ -0,0 +1,371 @@
+import Line from '../core/entities/Line';
+import Arc from '../core/entities/Arc';
+import Polyline from '../core/entities/Polyline';
+import {
+  entityToPath,
+  entityProperties,
+  pathParameter
+} from '../core/geometry/paths';
+import { sweepToBulge } from '../core/geometry/bulge';
+import {
+  add,
+  cross,
+  distance as dist,
+  dot,
+  normalizeAngle,
+  scale as mul,
+  subtract as sub,
+  unit
+} from '../core/geometry/vec2';
+
+/**
+ * Fillet operations
+ *
+ * Two picked objects are joined by an arc tangent to both. The fillet centre
+ * is where the objects' offset curves (parallel lines, concentric circles)
+ * meet; of the possible centres, the one whose tangent points lie nearest the
+ * pick points wins. Lines and arcs are then trimmed or extended to the tangent
+ * points, circles are left whole. A radius of 0 makes a sharp corner instead.
+ *
+ * Polyline corners get the fillet arc as a bulged segment; only corners
+ * between two straight segments are filleted.
+ */
+
+const EPS = 1e-9;
+
+/**
+ * The curve a pick lies on: an infinite line or a full circle
+ * @returns {Object|null} { type: 'line', a, b, dir } or { type: 'circle', center, radius }
+ */
+const baseCurve = (entity, point) => {
+  switch (entity.type) {
+    case 'line': {
+      const dir = unit(sub(entity.end, entity.start));
+      return dir ? { type: 'line', a: entity.start, b: entity.end, dir } : null;
+    }
+
+    case 'arc':
+    case 'circle':
+      return { type: 'circle', center: entity.center, radius: entity.radius };
+
+    case 'polyline': {
+      const path = entityToPath(entity);
+      if (!path) return null;
+      const index = Math.min(Math.floor(pathParameter(path, point).t), path.pieces.length - 1);
+      const piece = path.pieces[index];
+      if (piece.type !== 'line') return null;
+      const dir = unit(sub(piece.end, piece.start));
+      return dir ? { type: 'line', a: piece.start, b: piece.end, dir, segment: index } : null;
+    }
+
+    default:
+      return null;
+  }
+};
+
+const offsetCurve = (curve, amount) => {
+  if (curve.type === 'line') {
+    const normal = { x: -curve.dir.y * amount, y: curve.dir.x * amount };
+    return { ...curve, a: add(curve.a, normal), b: add(curve.b, normal) };
+  }
+  const radius = curve.radius + amount;
+  return radius > EPS ? { ...curve, radius } : null;
+};
+
+const lineLine = (l1, l2) => {
+  const denom = cross(l1.dir, l2.dir);
+  if (Math.abs(denom) < EPS) return [];
+  const t = cross(sub(l2.a, l1.a), l2.dir) / denom;
+  return [add(l1.a, mul(l1.dir, t))];
+};
+
+const lineCircle = (line, circle) => {
+  const foot = add(line.a, mul(line.dir, dot(sub(circle.center, line.a), line.dir)));
+  const h = dist(foot, circle.center);
+  if (h > circle.radius + EPS) return [];
+  const half = Math.sqrt(Math.max(0, circle.radius * circle.radius - h * h));
+  if (half < EPS) return [foot];
+  return [add(foot, mul(line.dir, half)), sub(foot, mul(line.dir, half))];
+};
+
+const circleCircle = (c1, c2) => {
+  const d = dist(c1.center, c2.center);
+  if (d < EPS || d > c1.radius + c2.radius + EPS || d < Math.abs(c1.radius - c2.radius) - EPS) return [];
+  const a = (c1.radius * c1.radius - c2.radius * c2.radius + d * d) / (2 * d);
+  const h = Math.sqrt(Math.max(0, c1.radius * c1.radius - a * a));
+  const axis = mul(sub(c2.center, c1.center), 1 / d);
+  const base = add(c1.center, mul(axis, a));
+  if (h < EPS) return [base];
+  const normal = { x: -axis.y * h, y: axis.x * h };
+  return [add(base, normal), sub(base, normal)];
+};
+
+const curveIntersections = (c1, c2) => {
+  if (c1.type === 'line' && c2.type === 'line') return lineLine(c1, c2);
+  if (c1.type === 'line') return lineCircle(c1, c2);
+  if (c2.type === 'line') return lineCircle(c2, c1);
+  return circleCircle(c1, c2);
+};
+
+/**
+ * Where a circle of the given radius around center touches a curve
+ */
+const touchPoint = (curve, center, radius) => {
+  if (curve.type === 'line') {
+    return add(curve.a, mul(curve.dir, dot(sub(center, curve.a), curve.dir)));
+  }
+  const direction = unit(sub(center, curve.center));
+  if (!direction) return null;
+  const near = add(curve.center, mul(direction, curve.radius));
+  const far = sub(curve.center, mul(direction, curve.radius));
+  return Math.abs(dist(center, near) - radius) <= Math.abs(dist(center, far) - radius) ? near : far;
+};
+
+/**
+ * Possible fillet centres with their tangent points, best match for the picks first
+ */
+const filletCandidates = (curve1, curve2, radius, pick1, pick2) => {
+  const amounts = radius > EPS ? [radius, -radius] : [0];
+  const candidates = [];
+  amounts.forEach(amount1 => {
+    amounts.forEach(amount2 => {
+      const offset1 = offsetCurve(curve1, amount1);
+      const offset2 = offsetCurve(curve2, amount2);
+      if (!offset1 || !offset2) return;
+      curveIntersections(offset1, offset2).forEach(center => {
+        const t1 = touchPoint(curve1, center, radius);
+        const t2 = touchPoint(curve2, center, radius);
+        if (!t1 || !t2) return;
+        candidates.push({ center, t1, t2, score: dist(t1, pick1) + dist(t2, pick2) });
+      });
+    });
+  });
+  return candidates.sort((a, b) => a.score - b.score);
+};
+
+/**
+ * Direction (away from the tangent point) in which an object is kept: away
+ * from the other tangent point, or towards the pick for a sharp corner
+ */
+const keepDirection = (tangent, other, pick) => {
+  const away = sub(tangent, other);
+  return Math.hypot(away.x, away.y) > EPS ? away : sub(pick, tangent);
+};
+
+/**
+ * Cut or lengthen a line so it ends at the tangent point
+ * @returns {Object|null} { atEnd: whether the end point moved } or null if nothing is left
+ */
+const lineCut = (a, b, tangent, keep) => {
+  const toA = dot(sub(a, tangent), keep);
+  const toB = dot(sub(b, tangent), keep);
+  if (Math.max(toA, toB) <= EPS) return null; // Radius too large
+  return { atEnd: toA > toB };
+};
+
+const trimToTangent = (entity, curve, tangent, keep) => {
+  const options = { ...entityProperties(entity), id: entity.id };
+
+  switch (entity.type) {
+    case 'line': {
+      const cut = lineCut(entity.start, entity.end, tangent, keep);
+      if (!cut) return null;
+      return cut.atEnd
+        ? new Line(entity.start, tangent, options)
+        : new Line(tangent, entity.end, options);
+    }
+
+    case 'arc': {
+      const angle = normalizeAngle(Math.atan2(tangent.y - entity.center.y, tangent.x - entity.center.x));
+      const ccw = { x: -Math.sin(angle), y: Math.cos(angle) };
+      // Kept part runs counter-clockwise from the tangent point: it becomes the new start
+      if (dot(ccw, keep) > 0) {
+        return new Arc(entity.center, entity.radius, angle, entity.endAngle, options);
+      }
+      return new Arc(entity.center, entity.radius, entity.startAngle, angle, options);
+    }
+
+    case 'circle':
+      return entity;
+
+    case 'polyline': {
+      const last = entity.vertices.length - 1;
+      const cut = lineCut(curve.a, curve.b, tangent, keep);
+      if (!cut || entity.closed) return null;
+      // Only the free ends of an open polyline can move
+      const index = cut.atEnd ? curve.segment + 1 : curve.segment;
+      if (index !== 0 && index !== last) return null;
+      const vertices = entity.vertices.map(v => ({ ...v }));
+      vertices[index] = { ...tangent };
+      return new Polyline(vertices, { ...options, closed: false });
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Polyline vertices for the shorter arc from `from` to `to` around center
+ * (`from` carries the arc's bulge)
+ */
+const arcVertices = (center, from, to) => {
+  const n1 = sub(from, center);
+  const n2 = sub(to, center);
+  const sweep = Math.atan2(cross(n1, n2), dot(n1, n2));
+  return [{ x: from.x, y: from.y, bulge: sweepToBulge(sweep) }, { x: to.x, y: to.y }];
+};
+
+// Corners between two straight segments can be filleted
+const isStraightCorner = (prev, vertex) => !prev.bulge && !vertex.bulge;
+
+/**
+ * The shorter arc between two tangent points
+ */
+const filletArc = (center, radius, t1, t2, options) => {
+  let startAngle = normalizeAngle(Math.atan2(t1.y - center.y, t1.x - center.x));
+  let endAngle = normalizeAngle(Math.atan2(t2.y - center.y, t2.x - center.x));
+  if (normalizeAngle(endAngle - startAngle) > Math.PI) {
+    [startAngle, endAngle] = [endAngle, startAngle];
+  }
+  return new Arc(center, radius, startAngle, endAngle, options);
+};
+
+/**
+ * Fillet geometry at one polyline vertex
+ * @returns {Object|null} { t1, t2, center, distance } or null if the vertex is straight
+ */
+const vertexFillet = (prev, vertex, next, radius) => {
+  const d1 = unit(sub(prev, vertex));
+  const d2 = unit(sub(next, vertex));
+  if (!d1 || !d2) return null;
+  const angle = Math.acos(Math.max(-1, Math.min(1, dot(d1, d2))));
+  if (angle < EPS || Math.PI - angle < 1e-6) return null;
+
+  const distance = radius / Math.tan(angle / 2);
+  const bisector = unit(add(d1, d2));
+  return {
+    t1: add(vertex, mul(d1, distance)),
+    t2: add(vertex, mul(d2, distance)),
+    center: add(vertex, mul(bisector, radius / Math.sin(angle / 2))),
+    distance
+  };
+};
+
+/**
+ * Fillet the corner between two adjacent segments of one polyline
+ */
+const filletPolylineCorner = (entity, segment1, segment2, radius) => {
+  const count = entity.vertices.length;
+  const segments = entity.closed ? count : count - 1;
+  let corner = null;
+  if ((segment1 + 1) % segments === segment2 && (entity.closed || segment2 > segment1)) corner = segment2;
+  else if ((segment2 + 1) % segments === segment1 && (entity.closed || segment1 > segment2)) corner = segment1;
+  if (corner === null || radius <= EPS) return null;
+
+  const vertex = entity.vertices[corner];
+  const prev = entity.vertices[(corner - 1 + count) % count];
+  const next = entity.vertices[(corner + 1) % count];
+  if (!isStraightCorner(prev, vertex)) return null;
+  const fillet = vertexFillet(prev, vertex, next, radius);
+  if (!fillet || fillet.distance > dist(prev, vertex) + EPS || fillet.distance > dist(next, vertex) + EPS) {
+    return null;
+  }
+
+  const vertices = [
+    ...entity.vertices.slice(0, corner),
+    ...arcVertices(fillet.center, fillet.t1, fillet.t2),
+    ...entity.vertices.slice(corner + 1)
+  ];
+  return new Polyline(vertices, { ...entityProperties(entity), id: entity.id, closed: entity.closed });
+};
+
+/**
+ * Fillet two picked objects
+ * @param {Object} first - { entity, point } first pick
+ * @param {Object} second - { entity, point } second pick
+ * @param {number} radius - Fillet radius (0 for a sharp corner)
+ * @returns {Object|null} { remove: [entities], add: [entities] } for EntityEdit.replace,
+ *   or null when the objects cannot be filleted with this radius
+ */
+export const filletEntities = (first, second, radius) => {
+  const curve1 = baseCurve(first.entity, first.point);
+  const curve2 = baseCurve(second.entity, second.point);
+  if (!curve1 || !curve2) return null;
+
+  if (first.entity.id === second.entity.id) {
+    if (first.entity.type !== 'polyline' || curve1.segment === curve2.segment) return null;
+    const polyline = filletPolylineCorner(first.entity, curve1.segment, curve2.segment, radius);
+    return polyline ? { remove: [first.entity], add: [polyline] } : null;
+  }
+
+  const [best] = filletCandidates(curve1, curve2, radius, first.point, second.point);
+  if (!best) return null;
+
+  const new1 = trimToTangent(first.entity, curve1, best.t1, keepDirection(best.t1, best.t2, first.point));
+  const new2 = trimToTangent(second.entity, curve2, best.t2, keepDirection(best.t2, best.t1, second.point));
+  if (!new1 || !new2) return null;
+
+  const remove = [];
+  const added = [];
+  [[first.entity, new1], [second.entity, new2]].forEach(([entity, replacement]) => {
+    if (replacement !== entity) {
+      remove.push(entity);
+      added.push(replacement);
+    }
+  });
+  if (radius > EPS) {
+    added.push(filletArc(best.center, radius, best.t1, best.t2, entityProperties(first.entity)));
+  }
+  return { remove, add: added };
+};
+
+/**
+ * Fillet every corner of a polyline
+ * @param {Object} entity - Polyline
+ * @param {number} radius - Fillet radius (> 0)
+ * @returns {Object} { polyline: new Polyline (same id) or null if nothing changed, filleted, tooShort }
+ */
+export const filletPolyline = (entity, radius) => {
+  const vertices = entity.vertices;
+  const count = vertices.length;
+  const corners = [];
+  for (let i = 0; i < count; i++) {
+    if (!entity.closed && (i === 0 || i === count - 1)) continue;
+    if (!isStraightCorner(vertices[(i - 1 + count) % count], vertices[i])) continue;
+    const fillet = vertexFillet(vertices[(i - 1 + count) % count], vertices[i], vertices[(i + 1) % count], radius);
+    if (fillet) corners.push({ index: i, ...fillet });
+  }
+
+  // A segment has to hold the fillets at both of its ends
+  const planned = new Map(corners.map(corner => [corner.index, corner.distance]));
+  const fits = (corner) => [-1, 1].every(step => {
+    const neighbour = (corner.index + step + count) % count;
+    const length = dist(vertices[corner.index], vertices[neighbour]);
+    return corner.distance + (planned.get(neighbour) || 0) <= length + EPS;
+  });
+  const accepted = new Map();
+  corners.forEach(corner => {
+    if (fits(corner)) accepted.set(corner.index, corner);
+  });
+
+  if (accepted.size === 0) {
+    return { polyline: null, filleted: 0, tooShort: corners.length };
+  }
+
+  const result = [];
+  vertices.forEach((vertex, i) => {
+    const corner = accepted.get(i);
+    if (corner) {
+      result.push(...arcVertices(corner.center, corner.t1, corner.t2));
+    } else {
+      result.push({ ...vertex });
+    }
+  });
+
+  return {
+    polyline: new Polyline(result, { ...entityProperties(entity), id: entity.id, closed: entity.closed }),
+    filleted: accepted.size,
+    tooShort: corners.length - accepted.size
+  };
+};
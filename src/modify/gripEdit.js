@@ -0,0 +1,87 @@
+import { entityGrips, stretchGrip } from '../core/selection/grips';
+import { scaleEntity, transformEntity } from '../core/geometry/transform';
+import { mirrorEntity } from './mirror';
+
+/**
+ * Grip edit operations
+ *
+ * A hot grip edits the selection in one of five modes, cycled like
+ * AutoCAD's grip modes. The hot grip is the base point: Stretch drags every
+ * selected grip lying on it, Move moves by base -> point, Rotate turns by
+ * the angle of base -> point, Scale uses the distance base -> point as the
+ * factor and Mirror reflects across the line base -> point. Edited entities
+ * keep their ids, so the selection and any dimensions stay attached.
+ */
+
+const EPS = 1e-9;
+
+export const GRIP_MODES = ['stretch', 'move', 'rotate', 'scale', 'mirror'];
+
+const samePoint = (a, b) => Math.hypot(a.x - b.x, a.y - b.y) < EPS;
+
+/**
+ * Edit one entity in a grip mode
+ * @param {Object} entity - Entity
+ * @param {string} mode - One of GRIP_MODES
+ * @param {Object} base - Hot grip { kind, index, point }
+ * @param {Object} value - { point } for the cursor, plus { angle } or { factor } when typed
+ * @returns {Object|null} Edited entity (same id), or null when it does not change
+ */
+export const gripEditEntity = (entity, mode, base, value) => {
+  const { point } = value;
+  const origin = base.point;
+
+  switch (mode) {
+    case 'stretch': {
+      const target = entityGrips(entity).find(candidate => samePoint(candidate.point, origin));
+      return target ? stretchGrip(entity, target, point) : null;
+    }
+
+    case 'move': {
+      const offset = { x: point.x - origin.x, y: point.y - origin.y };
+      return transformEntity(entity, { offset }, { id: entity.id });
+    }
+
+    case 'rotate': {
+      const angle = value.angle !== undefined ? value.angle : Math.atan2(point.y - origin.y, point.x - origin.x);
+      return transformEntity(entity, { angle, origin }, { id: entity.id });
+    }
+
+    case 'scale': {
+      const factor = value.factor !== undefined ? value.factor : Math.hypot(point.x - origin.x, point.y - origin.y);
+      return factor > EPS ? scaleEntity(entity, factor, origin, { id: entity.id }) : null;
+    }
+
+    case 'mirror': {
+      // Dimensions follow the entity they measure
+      if (samePoint(point, origin) || entity.type === 'dimension') return null;
+      const mirrored = mirrorEntity(entity, origin, point);
+      if (mirrored) mirrored.id = entity.id;
+      return mirrored;
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Edit a set of entities in a grip mode
+ * @param {Array} entities - Selected entities
+ * @param {string} mode - One of GRIP_MODES
+ * @param {Object} base - Hot grip
+ * @param {Object} value - { point, angle?, factor? }
+ * @returns {Object} { remove: [entities], add: [entities] } for EntityEdit.replace
+ */
+export const gripEditEntities = (entities, mode, base, value) => {
+  const remove = [];
+  const add = [];
+  entities.forEach(entity => {
+    const edited = gripEditEntity(entity, mode, base, value);
+    if (edited) {
+      remove.push(entity);
+      add.push(edited);
+    }
+  });
+  return { remove, add };
+};
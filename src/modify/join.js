@@ -0,0 +1,233 @@
+import Line from '../core/entities/Line';
+import Circle from '../core/entities/Circle';
+import Arc from '../core/entities/Arc';
+import Polyline from '../core/entities/Polyline';
+import { entityProperties, entityToPath } from '../core/geometry/paths';
+import { reverseVertices, sweepToBulge } from '../core/geometry/bulge';
+import {
+  cross,
+  distance as dist,
+  dot,
+  normalizeAngle,
+  subtract as sub
+} from '../core/geometry/vec2';
+
+/**
+ * Join operations
+ *
+ * Collinear lines merge into one line and arcs on the same circle into one
+ * arc (or a circle when they cover it), both across gaps. Lines, arcs and
+ * open polylines that then meet end to end within the tolerance are chained
+ * into one polyline, closed when the chain returns to its start; arcs
+ * become bulged segments.
+ */
+
+export const DEFAULT_JOIN_TOLERANCE = 1e-6;
+export const JOINABLE = ['line', 'arc', 'polyline'];
+
+const TWO_PI = Math.PI * 2;
+
+/**
+ * Merge lines lying on one infinite line into a line spanning them all
+ * @returns {Array<{entity, sources}>} Merged lines
+ */
+const mergeCollinearLines = (lines, tolerance) => {
+  const groups = [];
+  const used = new Set();
+
+  lines.forEach(base => {
+    if (used.has(base.id)) return;
+    used.add(base.id);
+    const length = dist(base.start, base.end);
+    const sources = [base];
+    if (length > tolerance) {
+      const direction = { x: (base.end.x - base.start.x) / length, y: (base.end.y - base.start.y) / length };
+      const offLine = (point) => Math.abs(cross(direction, sub(point, base.start)));
+      lines.forEach(other => {
+        if (used.has(other.id) || offLine(other.start) > tolerance || offLine(other.end) > tolerance) return;
+        used.add(other.id);
+        sources.push(other);
+      });
+
+      if (sources.length > 1) {
+        const along = sources.flatMap(line => [line.start, line.end]).map(point => dot(sub(point, base.start), direction));
+        const at = (s) => ({ x: base.start.x + direction.x * s, y: base.start.y + direction.y * s });
+        groups.push({
+          entity: new Line(at(Math.min(...along)), at(Math.max(...along)), { ...entityProperties(base), id: base.id }),
+          sources
+        });
+        return;
+      }
+    }
+    groups.push({ entity: base, sources });
+  });
+
+  return groups;
+};
+
+/**
+ * Merge arcs on one circle into the arc that leaves out the largest gap,
+ * or a circle when there is no gap
+ * @returns {Array<{entity, sources}>} Merged arcs or circles
+ */
+const mergeCocircularArcs = (arcs, tolerance) => {
+  const groups = [];
+  const used = new Set();
+
+  arcs.forEach(base => {
+    if (used.has(base.id)) return;
+    used.add(base.id);
+    const sources = [base];
+    arcs.forEach(other => {
+      if (used.has(other.id) || dist(base.center, other.center) > tolerance ||
+          Math.abs(base.radius - other.radius) > tolerance) return;
+      used.add(other.id);
+      sources.push(other);
+    });
+
+    if (sources.length === 1) {
+      groups.push({ entity: base, sources });
+      return;
+    }
+
+    const angleTolerance = tolerance / base.radius;
+    const intervals = sources.map(arc => {
+      const start = normalizeAngle(arc.startAngle);
+      let sweep = normalizeAngle(arc.endAngle - arc.startAngle);
+      if (sweep === 0) sweep = TWO_PI;
+      return { start, sweep };
+    });
+    const covers = (interval, angle) => normalizeAngle(angle - interval.start) < interval.sweep + angleTolerance;
+
+    // Walk the circle from a start no other arc covers, so nothing wraps past the end
+    const origin = intervals.find(interval => !intervals.some(other => other !== interval &&
+      normalizeAngle(interval.start - other.start) > angleTolerance && covers(other, interval.start)));
+    const options = { ...entityProperties(base), id: base.id };
+    if (!origin) {
+      groups.push({ entity: new Circle(base.center, base.radius, options), sources });
+      return;
+    }
+
+    const relative = intervals
+      .map(interval => ({ start: normalizeAngle(interval.start - origin.start), sweep: interval.sweep }))
+      .sort((a, b) => a.start - b.start);
+    let covered = 0;
+    let gap = { from: 0, to: 0 };
+    relative.forEach(interval => {
+      if (interval.start - covered > gap.to - gap.from) gap = { from: covered, to: interval.start };
+      covered = Math.max(covered, interval.start + interval.sweep);
+    });
+    if (TWO_PI - covered > gap.to - gap.from) gap = { from: covered, to: TWO_PI };
+
+    const entity = gap.to - gap.from <= angleTolerance
+      ? new Circle(base.center, base.radius, options)
+      : new Arc(base.center, base.radius,
+        normalizeAngle(origin.start + gap.to), normalizeAngle(origin.start + gap.from), options);
+    groups.push({ entity, sources });
+  });
+
+  return groups;
+};
+
+/**
+ * Polyline vertices (with bulges) along an open line, arc or polyline
+ */
+const chainPoints = (entity) => {
+  switch (entity.type) {
+    case 'line':
+      return [{ ...entity.start }, { ...entity.end }];
+    case 'arc': {
+      const piece = entityToPath(entity).pieces[0];
+      return [{ ...entity.getStartPoint(), bulge: sweepToBulge(piece.sweep) }, entity.getEndPoint()];
+    }
+    case 'polyline':
+      return entity.vertices.map(vertex => ({ ...vertex }));
+    default:
+      return null;
+  }
+};
+
+/**
+ * Chain elements that meet end to end
+ * @returns {Array<{entity, sources}>} Joined polylines and untouched elements
+ */
+const chainElements = (elements, tolerance) => {
+  const unused = elements.filter(element => chainPoints(element.entity));
+  const results = elements.filter(element => !chainPoints(element.entity));
+
+  while (unused.length > 0) {
+    const first = unused.shift();
+    const members = [first];
+    let points = chainPoints(first.entity);
+    const isClosed = () => members.length > 1 && dist(points[0], points[points.length - 1]) <= tolerance;
+
+    let extended = true;
+    while (extended && !isClosed()) {
+      extended = false;
+      for (let i = 0; i < unused.length; i++) {
+        const next = chainPoints(unused[i].entity);
+        const reversed = reverseVertices(next, false);
+        const start = points[0];
+        const end = points[points.length - 1];
+
+        // The shared vertex is taken from the piece whose segment leaves it, keeping its bulge
+        if (dist(next[0], end) <= tolerance) points = [...points.slice(0, -1), ...next];
+        else if (dist(reversed[0], end) <= tolerance) points = [...points.slice(0, -1), ...reversed];
+        else if (dist(next[next.length - 1], start) <= tolerance) points = [...next.slice(0, -1), ...points];
+        else if (dist(reversed[reversed.length - 1], start) <= tolerance) points = [...reversed.slice(0, -1), ...points];
+        else continue;
+
+        members.push(unused[i]);
+        unused.splice(i, 1);
+        extended = true;
+        break;
+      }
+    }
+
+    if (members.length === 1) {
+      results.push(first);
+      continue;
+    }
+
+    // A polyline in the chain lends the result its identity and properties
+    const closed = isClosed();
+    const host = members.map(member => member.sources[0]).find(source => source.type === 'polyline');
+    const polyline = new Polyline(closed ? points.slice(0, -1) : points, {
+      ...entityProperties(host || first.sources[0]),
+      id: host ? host.id : undefined,
+      closed
+    });
+    results.push({ entity: polyline, sources: members.flatMap(member => member.sources) });
+  }
+
+  return results;
+};
+
+/**
+ * Join entities
+ * @param {Array} entities - Lines, arcs and open polylines (others are ignored)
+ * @param {number} tolerance - Largest gap between ends that still counts as touching
+ * @returns {Object} { remove: [entities], add: [entities], joined } for EntityEdit.replace;
+ *   joined is the number of source entities merged into others
+ */
+export const joinEntities = (entities, tolerance = DEFAULT_JOIN_TOLERANCE) => {
+  const lines = entities.filter(entity => entity.type === 'line');
+  const arcs = entities.filter(entity => entity.type === 'arc');
+  const polylines = entities.filter(entity => entity.type === 'polyline' && !entity.closed);
+
+  const merged = [
+    ...mergeCollinearLines(lines, tolerance),
+    ...mergeCocircularArcs(arcs, tolerance),
+    ...polylines.map(entity => ({ entity, sources: [entity] }))
+  ];
+  // Circles made from arcs are complete and take no part in chains
+  const circles = merged.filter(element => element.entity.type === 'circle');
+  const results = [...circles, ...chainElements(merged.filter(element => element.entity.type !== 'circle'), tolerance)];
+
+  const changed = results.filter(result => result.sources.length > 1);
+  return {
+    remove: changed.flatMap(result => result.sources),
+    add: changed.map(result => result.entity),
+    joined: changed.reduce((sum, result) => sum + result.sources.length - 1, 0)
+  };
+};
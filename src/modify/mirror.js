@@ -0,0 +1,196 @@
+import Line from '../core/entities/Line';
+import Circle from '../core/entities/Circle';
+import Arc from '../core/entities/Arc';
+import Rectangle from '../core/entities/Rectangle';
+import Polyline from '../core/entities/Polyline';
+import Dimension from '../core/entities/Dimension';
+import { entityProperties } from '../core/geometry/paths';
+import { transformEntity, transformPoint } from '../core/geometry/transform';
+import { negateBulges } from '../core/geometry/bulge';
+import { normalizeAngle } from '../core/geometry/vec2';
+
+/**
+ * Mirror operations
+ *
+ * Reflects entities across the line through two points. Arcs stay
+ * counterclockwise, so their start and end angles swap. Polylines keep their
+ * vertex order: vertex i of the copy is the reflection of vertex i. Dimension
+ * text stays readable unless mirror text is on, in which case it is reflected
+ * along with the geometry. Arrays reflect their source items and layout, so a
+ * polar array runs the other way round.
+ */
+
+const EPS = 1e-9;
+
+/**
+ * Reflect a point across the line through p1 and p2
+ * @param {Object} point - Point {x, y}
+ * @param {Object} p1 - First point of the mirror line
+ * @param {Object} p2 - Second point of the mirror line
+ * @returns {Object} Reflected point
+ */
+export const reflectPoint = (point, p1, p2) => {
+  const dx = p2.x - p1.x;
+  const dy = p2.y - p1.y;
+  const lengthSq = dx * dx + dy * dy;
+  if (lengthSq < EPS * EPS) return { x: point.x, y: point.y };
+
+  const t = ((point.x - p1.x) * dx + (point.y - p1.y) * dy) / lengthSq;
+  const footX = p1.x + dx * t;
+  const footY = p1.y + dy * t;
+  return { x: 2 * footX - point.x, y: 2 * footY - point.y };
+};
+
+/**
+ * Text flags for a mirrored dimension
+ */
+const mirroredTextFlags = (dimension, target, mirrorText) => {
+  if (!mirrorText) {
+    return { textMirrored: dimension.textMirrored, textReversed: dimension.textReversed };
+  }
+  if (dimension.textMirrored) {
+    // Mirroring reflected text again makes it read normally
+    return { textMirrored: false, textReversed: false };
+  }
+  // The reflected text runs against the new dimension line when the
+  // original text had been turned around to stay readable
+  const geometry = target ? dimension.getGeometry(target) : null;
+  return {
+    textMirrored: true,
+    textReversed: !!geometry && Math.cos(geometry.angle - geometry.lineAngle) < 0
+  };
+};
+
+/**
+ * Mirror a single entity
+ * @param {Object} entity - Entity to mirror (class instance or plain object)
+ * @param {Object} p1 - First point of the mirror line
+ * @param {Object} p2 - Second point of the mirror line
+ * @param {Object} options - { mirrorText, target: dimensioned entity, targetId: id the copy refers to }
+ * @returns {Object|null} Mirrored copy with a new id, or null for unsupported types
+ */
+export const mirrorEntity = (entity, p1, p2, options = {}) => {
+  const reflect = (point) => reflectPoint(point, p1, p2);
+  const axisAngle = Math.atan2(p2.y - p1.y, p2.x - p1.x);
+  const properties = entityProperties(entity);
+
+  switch (entity.type) {
+    case 'line':
+      return new Line(reflect(entity.start), reflect(entity.end), properties);
+
+    case 'circle':
+      return new Circle(reflect(entity.center), entity.radius, { ...properties, filled: entity.filled });
+
+    case 'arc':
+      // A reflection reverses direction: the old end becomes the new start
+      return new Arc(
+        reflect(entity.center),
+        entity.radius,
+        normalizeAngle(2 * axisAngle - entity.endAngle),
+        normalizeAngle(2 * axisAngle - entity.startAngle),
+        properties
+      );
+
+    case 'rectangle': {
+      const axisAligned = Math.abs(p2.x - p1.x) < EPS || Math.abs(p2.y - p1.y) < EPS;
+      if (axisAligned) {
+        return new Rectangle(reflect(entity.corner1), reflect(entity.corner2), {
+          ...properties,
+          filled: entity.filled
+        });
+      }
+      // Rotated by the reflection, so no longer axis-aligned
+      const minX = Math.min(entity.corner1.x, entity.corner2.x);
+      const minY = Math.min(entity.corner1.y, entity.corner2.y);
+      const maxX = Math.max(entity.corner1.x, entity.corner2.x);
+      const maxY = Math.max(entity.corner1.y, entity.corner2.y);
+      const corners = [
+        { x: minX, y: minY },
+        { x: maxX, y: minY },
+        { x: maxX, y: maxY },
+        { x: minX, y: maxY }
+      ];
+      return new Polyline(corners.map(reflect), { ...properties, closed: true });
+    }
+
+    case 'polyline':
+      // A reflection turns every arc segment the other way
+      return new Polyline(negateBulges(entity.vertices || []).map(vertex => ({ ...vertex, ...reflect(vertex) })), {
+        ...properties,
+        closed: entity.closed
+      });
+
+    case 'array': {
+      if (entity.kind === 'polar') {
+        return entity.mapGeometry(item => mirrorEntity(item, p1, p2), reflect, { fillAngle: -entity.params.fillAngle }, properties);
+      }
+      if (entity.kind !== 'rectangular') {
+        return entity.mapGeometry(item => mirrorEntity(item, p1, p2), reflect, {}, properties);
+      }
+      // The reflected rows run the other way; the grid starts from the far row
+      // instead, so the row spacing stays positive
+      const angle = 2 * axisAngle - (entity.params.angle || 0);
+      const rowsSpan = (entity.params.rows - 1) * entity.params.rowSpacing;
+      const offset = { x: Math.sin(angle) * rowsSpan, y: -Math.cos(angle) * rowsSpan };
+      return entity.mapGeometry(
+        item => transformEntity(mirrorEntity(item, p1, p2), { offset }),
+        point => transformPoint(reflect(point), { offset }),
+        { angle },
+        properties
+      );
+    }
+
+    case 'dimension': {
+      const source = typeof entity.getGeometry === 'function' ? entity : Dimension.fromJSON(entity);
+      return new Dimension(options.targetId || source.entityId, source.value, {
+        unit: source.unit,
+        scale: source.scale,
+        text: source.text,
+        position: source.position ? reflect(source.position) : null,
+        layerId: source.layerId,
+        ...mirroredTextFlags(source, options.target, options.mirrorText)
+      });
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Mirror a set of entities. Dimensions whose dimensioned entity is mirrored
+ * too are attached to its copy.
+ * @param {Array<Object>} entities - Entities to mirror
+ * @param {Object} p1 - First point of the mirror line
+ * @param {Object} p2 - Second point of the mirror line
+ * @param {Object} options - { mirrorText, lookup: id => entity for dimension targets }
+ * @returns {Object} { sources, copies }: the entities that were mirrored and
+ *   their copies (unsupported types are skipped)
+ */
+export const mirrorEntities = (entities, p1, p2, options = {}) => {
+  const lookup = options.lookup || (() => null);
+  const copyIds = new Map();
+  const sources = [];
+  const copies = [];
+
+  entities.filter(entity => entity.type !== 'dimension').forEach(entity => {
+    const copy = mirrorEntity(entity, p1, p2);
+    if (!copy) return;
+    copyIds.set(entity.id, copy.id);
+    sources.push(entity);
+    copies.push(copy);
+  });
+
+  entities.filter(entity => entity.type === 'dimension').forEach(entity => {
+    const copy = mirrorEntity(entity, p1, p2, {
+      mirrorText: options.mirrorText,
+      target: lookup(entity.entityId),
+      targetId: copyIds.get(entity.entityId)
+    });
+    if (!copy) return;
+    sources.push(entity);
+    copies.push(copy);
+  });
+
+  return { sources, copies };
+};
@@ -0,0 +1,555 @@
+import Line from '../core/entities/Line';
+import Circle from '../core/entities/Circle';
+import Arc from '../core/entities/Arc';
+import Rectangle from '../core/entities/Rectangle';
+import Polyline from '../core/entities/Polyline';
+import snapEngine from '../core/snapping/SnapEngine';
+import {
+  entityToPath,
+  entityProperties,
+  pathParameter,
+  pathTangent
+} from '../core/geometry/paths';
+import { bulgeArc, segmentMidpoint, segmentPoints, sweepToBulge } from '../core/geometry/bulge';
+import {
+  add,
+  cross,
+  distance as dist,
+  dot,
+  scale as mul,
+  subtract as sub
+} from '../core/geometry/vec2';
+
+/**
+ * Offset operations
+ *
+ * Builds a parallel copy of an entity at a distance, on the side of a given
+ * point. Polyline corners that open a gap are closed with a miter (falling
+ * back to a bevel past MITER_LIMIT) or a round join; loops created where the
+ * offset folds over itself are cut away, and a closed shape that pinches off
+ * gives one copy per remaining region. Polyline arc segments offset to
+ * concentric arc segments with the same sweep.
+ */
+
+const EPS = 1e-9;
+const MITER_LIMIT = 4;             // Max miter length as a multiple of the distance
+const ROUND_JOIN_STEP = Math.PI / 16;
+
+export const OFFSET_JOINS = ['miter', 'round'];
+
+/**
+ * Intersection of two infinite lines through (p1, p2) and (p3, p4)
+ * @returns {Object|null} Point, or null when parallel
+ */
+const infiniteLineIntersection = (p1, p2, p3, p4) => {
+  const d1 = sub(p2, p1);
+  const d2 = sub(p4, p3);
+  const denom = cross(d1, d2);
+  if (Math.abs(denom) < EPS * EPS) return null;
+  const t = cross(sub(p3, p1), d2) / denom;
+  return add(p1, mul(d1, t));
+};
+
+const signedArea = (points) => {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return area / 2;
+};
+
+/**
+ * Which side of the entity a point lies on
+ * @returns {number} +1 (left of the direction of travel / outside a circle),
+ *   -1 (right / inside), 0 when the point is on the entity
+ */
+export const offsetSide = (entity, point) => {
+  if (entity.type === 'circle' || entity.type === 'arc') {
+    const d = dist(entity.center, point);
+    if (Math.abs(d - entity.radius) < EPS) return 0;
+    return d > entity.radius ? 1 : -1;
+  }
+  const path = entityToPath(entity);
+  if (!path) return 0;
+  const nearest = pathParameter(path, point);
+  const side = cross(pathTangent(path, nearest.t), sub(point, nearest.point));
+  if (Math.abs(side) < EPS) return 0;
+  return side > 0 ? 1 : -1;
+};
+
+/**
+ * Distance from an entity to a point, for "through point" offsets
+ * @returns {number} Distance
+ */
+export const throughDistance = (entity, point) => {
+  const path = entityToPath(entity);
+  return path ? pathParameter(path, point).distance : 0;
+};
+
+/**
+ * Drop consecutive duplicate vertices (and the closing duplicate of a closed chain)
+ */
+const cleanVertices = (vertices, closed) => {
+  const result = [];
+  vertices.forEach(vertex => {
+    if (result.length === 0 || dist(result[result.length - 1], vertex) > EPS) {
+      result.push({ x: vertex.x, y: vertex.y });
+    }
+  });
+  if (closed && result.length > 1 && dist(result[0], result[result.length - 1]) <= EPS) {
+    result.pop();
+  }
+  return result;
+};
+
+/**
+ * Join points between offset segment k (a1->b1) and k+1 (a2->b2) around original vertex
+ */
+const joinPoints = (vertex, seg1, seg2, side, distance, join) => {
+  const turn = cross(seg1.dir, seg2.dir);
+  const straight = Math.abs(turn) < EPS;
+
+  if (straight && dot(seg1.dir, seg2.dir) > 0) {
+    return [seg1.b];
+  }
+
+  // The offset side is on the outside of the turn: the offset segments leave a gap
+  const gap = straight || turn * side < 0;
+  if (!gap) {
+    return [infiniteLineIntersection(seg1.a, seg1.b, seg2.a, seg2.b) || seg1.b];
+  }
+
+  if (join === 'round') {
+    const startAngle = Math.atan2(seg1.b.y - vertex.y, seg1.b.x - vertex.x);
+    const n1 = sub(seg1.b, vertex);
+    const n2 = sub(seg2.a, vertex);
+    const sweep = Math.atan2(cross(n1, n2), dot(n1, n2));
+    const steps = Math.max(1, Math.ceil(Math.abs(sweep) / ROUND_JOIN_STEP));
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+      const angle = startAngle + sweep * i / steps;
+      points.push({ x: vertex.x + distance * Math.cos(angle), y: vertex.y + distance * Math.sin(angle) });
+    }
+    return points;
+  }
+
+  const miter = straight ? null : infiniteLineIntersection(seg1.a, seg1.b, seg2.a, seg2.b);
+  if (!miter || dist(miter, vertex) > MITER_LIMIT * distance) {
+    return [seg1.b, seg2.a]; // Bevel
+  }
+  return [miter];
+};
+
+/**
+ * Segment intersection via SnapEngine (endpoints included)
+ */
+const segmentIntersection = (p1, p2, p3, p4) => {
+  const hits = snapEngine.lineLineIntersection({ start: p1, end: p2 }, { start: p3, end: p4 });
+  return hits.length > 0 ? hits[0] : null;
+};
+
+/**
+ * Distance from a point to the nearest segment of a chain
+ */
+const chainDistance = (point, source, closed) => {
+  const count = closed ? source.length : source.length - 1;
+  let best = Infinity;
+  for (let k = 0; k < count; k++) {
+    const start = source[k];
+    const end = source[(k + 1) % source.length];
+    const nearest = snapEngine.nearestPointOnLine(start, end, point);
+    best = Math.min(best, dist(point, nearest));
+  }
+  return best;
+};
+
+/**
+ * First place where a chain crosses itself
+ * @returns {Object|null} Crossing { i, j, point } between segments i and j
+ */
+const findCrossing = (pts, closed) => {
+  const count = closed ? pts.length : pts.length - 1;
+  for (let i = 0; i < count; i++) {
+    for (let j = i + 2; j < count; j++) {
+      if (closed && i === 0 && j === count - 1) continue; // Adjacent through the seam
+      const hit = segmentIntersection(pts[i], pts[(i + 1) % pts.length], pts[j], pts[(j + 1) % pts.length]);
+      if (hit) return { i, j, point: hit };
+    }
+  }
+  return null;
+};
+
+/**
+ * Cut away loops where an offset chain crosses itself. An open chain keeps
+ * the part joining its ends; a closed chain is split at every crossing and
+ * each piece that still winds like the source is kept, so an inward offset
+ * that pinches off becomes several loops.
+ * @param {Array<Object>} points - Offset vertices
+ * @param {boolean} closed - Closed chain
+ * @param {number} orientation - Sign of the source polygon's area (closed chains)
+ * @returns {Array<Array<Object>>} Chains without loops
+ */
+const removeLoops = (points, closed, orientation) => {
+  let guard = points.length * 4;
+
+  if (!closed) {
+    let pts = points;
+    let crossing = findCrossing(pts, false);
+    while (crossing && guard-- > 0) {
+      const { i, j, point } = crossing;
+      pts = cleanVertices([...pts.slice(0, i + 1), point, ...pts.slice(j + 1)], false);
+      crossing = pts.length > 2 ? findCrossing(pts, false) : null;
+    }
+    return [pts];
+  }
+
+  const loops = [];
+  const pending = [points];
+  while (pending.length > 0) {
+    const pts = pending.pop();
+    const crossing = pts.length > 3 && guard-- > 0 ? findCrossing(pts, true) : null;
+    if (crossing) {
+      const { i, j, point } = crossing;
+      const inner = cleanVertices([point, ...pts.slice(i + 1, j + 1)], true);
+      const outer = cleanVertices([...pts.slice(0, i + 1), point, ...pts.slice(j + 1)], true);
+      [outer, inner].forEach(part => {
+        if (part.length > 2) pending.push(part);
+      });
+      continue;
+    }
+    const area = signedArea(pts);
+    if (pts.length > 2 && Math.sign(area) === orientation && Math.abs(area) >= EPS) loops.push(pts);
+  }
+  return loops;
+};
+
+/**
+ * Offset a chain of straight segments
+ * @param {Array<Object>} vertices - Source vertices
+ * @param {boolean} closed - Closed chain
+ * @param {number} distance - Offset distance (> 0)
+ * @param {number} side - +1 left, -1 right of the direction of travel
+ * @param {string} join - 'miter' or 'round'
+ * @returns {Array<Array<Object>>} Offset vertices of each resulting chain (a
+ *   closed chain can pinch off into several), empty if the offset collapses
+ */
+export const offsetVertices = (vertices, closed, distance, side, join = 'miter') => {
+  const source = cleanVertices(vertices, closed);
+  if (source.length < 2 || (closed && source.length < 3)) return [];
+
+  const count = closed ? source.length : source.length - 1;
+  const segments = [];
+  for (let k = 0; k < count; k++) {
+    const start = source[k];
+    const end = source[(k + 1) % source.length];
+    const length = dist(start, end);
+    const dir = { x: (end.x - start.x) / length, y: (end.y - start.y) / length };
+    const normal = { x: -dir.y * side * distance, y: dir.x * side * distance };
+    segments.push({ dir, a: add(start, normal), b: add(end, normal) });
+  }
+
+  let points = [];
+  if (closed) {
+    for (let k = 0; k < count; k++) {
+      const previous = segments[(k - 1 + count) % count];
+      points.push(...joinPoints(source[k], previous, segments[k], side, distance, join));
+    }
+  } else {
+    points.push(segments[0].a);
+    for (let k = 1; k < count; k++) {
+      points.push(...joinPoints(source[k], segments[k - 1], segments[k], side, distance, join));
+    }
+    points.push(segments[count - 1].b);
+  }
+
+  const orientation = closed ? Math.sign(signedArea(source)) : 0;
+  const chains = removeLoops(cleanVertices(points, closed), closed, orientation);
+
+  if (!closed) return chains[0].length < 2 ? [] : chains;
+  // Loops of an inward offset larger than the shape come too close to it
+  return chains.filter(chain => chain.every(point => chainDistance(point, source, true) >= distance * (1 - 1e-6)));
+};
+
+/**
+ * Polyline vertices with arc segments replaced by short chords
+ */
+const chordVertices = (vertices, closed) => {
+  if (!vertices.some(vertex => vertex.bulge)) return vertices;
+  const count = closed ? vertices.length : vertices.length - 1;
+  const points = [{ x: vertices[0].x, y: vertices[0].y }];
+  for (let k = 0; k < count; k++) {
+    const end = vertices[(k + 1) % vertices.length];
+    points.push(...segmentPoints(vertices[k], end, vertices[k].bulge, ROUND_JOIN_STEP).slice(1));
+  }
+  // The closing segment led back to the first vertex
+  if (closed) points.pop();
+  return points;
+};
+
+/**
+ * Offset copy of each segment of a polyline that has arc segments. Arc
+ * segments keep their center and sweep, with the radius grown or shrunk by
+ * the distance. Each piece carries the directions it starts and ends in.
+ * @returns {Array<Object>|null} Pieces, or null when an arc collapses
+ */
+const offsetPieces = (vertices, closed, distance, side) => {
+  const count = closed ? vertices.length : vertices.length - 1;
+  const pieces = [];
+  for (let k = 0; k < count; k++) {
+    const start = vertices[k];
+    const end = vertices[(k + 1) % vertices.length];
+    if (dist(start, end) < EPS) continue;
+
+    const arc = bulgeArc(start, end, start.bulge);
+    if (!arc) {
+      const dir = mul(sub(end, start), 1 / dist(start, end));
+      const normal = { x: -dir.y * side * distance, y: dir.x * side * distance };
+      pieces.push({ vertex: start, startDir: dir, endDir: dir, a: add(start, normal), b: add(end, normal) });
+      continue;
+    }
+
+    // The left of a counter-clockwise arc is towards its center
+    const turn = Math.sign(arc.sweep);
+    const radius = arc.radius - side * turn * distance;
+    if (radius <= EPS) return null;
+    const endAngle = arc.startAngle + arc.sweep;
+    const at = (angle) => ({ x: arc.center.x + radius * Math.cos(angle), y: arc.center.y + radius * Math.sin(angle) });
+    const tangent = (angle) => ({ x: -Math.sin(angle) * turn, y: Math.cos(angle) * turn });
+    pieces.push({
+      vertex: start,
+      arc: { ...arc, radius },
+      startDir: tangent(arc.startAngle),
+      endDir: tangent(endAngle),
+      a: at(arc.startAngle),
+      b: at(endAngle)
+    });
+  }
+  return pieces;
+};
+
+/**
+ * Crossing of two offset pieces (extended to full lines and circles)
+ * nearest to the vertex they meet at
+ */
+const pieceCrossing = (piece1, piece2, vertex) => {
+  let hits;
+  if (!piece1.arc && !piece2.arc) {
+    const hit = infiniteLineIntersection(piece1.a, piece1.b, piece2.a, piece2.b);
+    hits = hit ? [hit] : [];
+  } else if (piece1.arc && piece2.arc) {
+    hits = snapEngine.circleCircleIntersection(piece1.arc, piece2.arc);
+  } else {
+    // Stretch the line well past its ends so only the circle limits the crossing
+    const line = piece1.arc ? piece2 : piece1;
+    const round = piece1.arc ? piece1.arc : piece2.arc;
+    const reach = dist(line.a, round.center) + round.radius;
+    const dir = mul(sub(line.b, line.a), 1 / dist(line.a, line.b));
+    hits = snapEngine.circleLineIntersection(round, {
+      start: add(line.a, mul(dir, -reach)),
+      end: add(line.b, mul(dir, reach))
+    });
+  }
+  let best = null;
+  hits.forEach(hit => {
+    if (!best || dist(hit, vertex) < dist(best, vertex)) best = hit;
+  });
+  return best;
+};
+
+/**
+ * How offset piece1 runs into piece2 around their source vertex: where
+ * piece1 ends, where piece2 starts and the vertices bridging the two (from
+ * the end, up to but not including the start)
+ */
+const joinPieces = (vertex, piece1, piece2, side, distance, join) => {
+  const turn = cross(piece1.endDir, piece2.startDir);
+  const straight = Math.abs(turn) < EPS;
+
+  if (straight && dot(piece1.endDir, piece2.startDir) > 0) {
+    return { end: piece1.b, start: piece1.b, bridge: [] };
+  }
+
+  // The offset side is on the outside of the turn: the offset pieces leave a gap
+  const gap = straight || turn * side < 0;
+  if (!gap) {
+    const crossing = pieceCrossing(piece1, piece2, vertex);
+    return crossing
+      ? { end: crossing, start: crossing, bridge: [] }
+      : { end: piece1.b, start: piece2.a, bridge: [{ ...piece1.b, bulge: 0 }] };
+  }
+
+  if (join === 'round') {
+    const n1 = sub(piece1.b, vertex);
+    const n2 = sub(piece2.a, vertex);
+    const bulge = sweepToBulge(Math.atan2(cross(n1, n2), dot(n1, n2)));
+    return { end: piece1.b, start: piece2.a, bridge: [{ ...piece1.b, bulge }] };
+  }
+
+  // Miter along the tangents at the ends; arcs reach it with a straight piece
+  const miter = straight ? null : infiniteLineIntersection(
+    piece1.b, add(piece1.b, piece1.endDir), piece2.a, add(piece2.a, piece2.startDir)
+  );
+  if (!miter || dist(miter, vertex) > MITER_LIMIT * distance) {
+    return { end: piece1.b, start: piece2.a, bridge: [{ ...piece1.b, bulge: 0 }] };
+  }
+  const end = piece1.arc ? piece1.b : miter;
+  const start = piece2.arc ? piece2.a : miter;
+  const bridge = [];
+  if (piece1.arc) bridge.push({ ...end, bulge: 0 });
+  if (piece2.arc) bridge.push({ ...miter, bulge: 0 });
+  return { end, start, bridge };
+};
+
+/**
+ * Bulge of an offset arc piece between the points it was trimmed or
+ * extended to, turning the same way as the source arc
+ */
+const trimmedBulge = (arc, start, end) => {
+  const from = Math.atan2(start.y - arc.center.y, start.x - arc.center.x);
+  const to = Math.atan2(end.y - arc.center.y, end.x - arc.center.x);
+  let sweep = to - from;
+  sweep += 2 * Math.PI * Math.round((arc.sweep - sweep) / (2 * Math.PI));
+  return sweepToBulge(sweep);
+};
+
+/**
+ * Offset a polyline chain that has arc segments, keeping them as arcs
+ * @param {Array<Object>} vertices - Source vertices (with bulges)
+ * @param {boolean} closed - Closed chain
+ * @param {number} distance - Offset distance (> 0)
+ * @param {number} side - +1 left, -1 right of the direction of travel
+ * @param {string} join - 'miter' or 'round'
+ * @returns {Array<Object>|null} Offset vertices with bulges, or null when an
+ *   arc collapses or the offset folds over itself
+ */
+const offsetBulgeVertices = (vertices, closed, distance, side, join) => {
+  const pieces = offsetPieces(vertices, closed, distance, side);
+  if (!pieces || pieces.length === 0) return null;
+
+  const count = pieces.length;
+  const joins = [];
+  for (let k = 0; k < (closed ? count : count - 1); k++) {
+    const next = pieces[(k + 1) % count];
+    joins.push(joinPieces(next.vertex, pieces[k], next, side, distance, join));
+  }
+
+  const points = [];
+  pieces.forEach((piece, k) => {
+    const start = k === 0 && !closed ? piece.a : joins[(k - 1 + count) % count].start;
+    const end = k === count - 1 && !closed ? piece.b : joins[k].end;
+    points.push({ x: start.x, y: start.y, bulge: piece.arc ? trimmedBulge(piece.arc, start, end) : 0 });
+    if (k < joins.length) points.push(...joins[k].bridge);
+    if (k === count - 1 && !closed) points.push({ x: end.x, y: end.y });
+  });
+
+  // Drop zero-length pieces; the vertex left carries the next piece's bulge
+  const result = [];
+  points.forEach(point => {
+    const last = result[result.length - 1];
+    if (last && dist(last, point) <= EPS) {
+      last.bulge = point.bulge;
+    } else {
+      result.push({ ...point });
+    }
+  });
+  if (closed && result.length > 1 && dist(result[0], result[result.length - 1]) <= EPS) result.pop();
+  result.forEach(vertex => {
+    if (!vertex.bulge) delete vertex.bulge;
+  });
+  if (result.length < 2) return null;
+
+  // Checked on the chorded outline: it must not cross itself, wind the other
+  // way or come closer to the source than the offset distance
+  const outline = chordVertices(result, closed);
+  if (findCrossing(outline, closed)) return null;
+  if (closed) {
+    const orientation = Math.sign(signedArea(chordVertices(vertices, closed)));
+    const area = signedArea(outline);
+    if (Math.sign(area) !== orientation || Math.abs(area) < EPS) return null;
+  }
+  const source = entityToPath({ type: 'polyline', vertices, closed });
+  const samples = [...outline];
+  for (let k = 0; k < (closed ? result.length : result.length - 1); k++) {
+    samples.push(segmentMidpoint(result[k], result[(k + 1) % result.length], result[k].bulge));
+  }
+  if (samples.some(point => pathParameter(source, point).distance < distance * (1 - 1e-6))) return null;
+
+  return result;
+};
+
+/**
+ * Offset an entity towards a point
+ * @param {Object} entity - Line, circle, arc, rectangle or polyline
+ * @param {number} distance - Offset distance (> 0)
+ * @param {Object} sidePoint - Point on the side to offset to
+ * @param {Object} options - { join: 'miter'|'round', layerId: override layer }
+ * @returns {Array<Object>} New entities - several when a closed polyline
+ *   pinches off into separate loops - or an empty array if the offset is impossible
+ */
+export const offsetEntity = (entity, distance, sidePoint, options = {}) => {
+  const side = offsetSide(entity, sidePoint);
+  if (side === 0 || !(distance > EPS)) return [];
+
+  const join = options.join || 'miter';
+  const properties = entityProperties(entity);
+  if (options.layerId) properties.layerId = options.layerId;
+
+  switch (entity.type) {
+    case 'line': {
+      const length = dist(entity.start, entity.end);
+      if (length < EPS) return [];
+      const normal = {
+        x: -(entity.end.y - entity.start.y) / length * side * distance,
+        y: (entity.end.x - entity.start.x) / length * side * distance
+      };
+      return [new Line(add(entity.start, normal), add(entity.end, normal), properties)];
+    }
+
+    case 'circle': {
+      const radius = entity.radius + side * distance;
+      return radius > EPS ? [new Circle(entity.center, radius, { ...properties, filled: entity.filled })] : [];
+    }
+
+    case 'arc': {
+      const radius = entity.radius + side * distance;
+      return radius > EPS ? [new Arc(entity.center, radius, entity.startAngle, entity.endAngle, properties)] : [];
+    }
+
+    case 'rectangle': {
+      const minX = Math.min(entity.corner1.x, entity.corner2.x);
+      const minY = Math.min(entity.corner1.y, entity.corner2.y);
+      const maxX = Math.max(entity.corner1.x, entity.corner2.x);
+      const maxY = Math.max(entity.corner1.y, entity.corner2.y);
+      const inside = sidePoint.x > minX && sidePoint.x < maxX && sidePoint.y > minY && sidePoint.y < maxY;
+      const grow = inside ? -distance : distance;
+
+      if (join === 'round' && !inside) {
+        // Rounded corners need a polyline
+        const corners = [{ x: minX, y: minY }, { x: maxX, y: minY }, { x: maxX, y: maxY }, { x: minX, y: maxY }];
+        return offsetVertices(corners, true, distance, -Math.sign(signedArea(corners)), 'round')
+          .map(vertices => new Polyline(vertices, { ...properties, closed: true }));
+      }
+      if (maxX - minX + 2 * grow <= EPS || maxY - minY + 2 * grow <= EPS) return [];
+      return [new Rectangle(
+        { x: minX - grow, y: minY - grow },
+        { x: maxX + grow, y: maxY + grow },
+        { ...properties, filled: entity.filled }
+      )];
+    }
+
+    case 'polyline': {
+      const closed = !!entity.closed && entity.vertices.length > 2;
+      // Arc segments stay arcs unless the offset folds over itself; then they
+      // are chorded so the loops can be cut away like on straight chains
+      const curved = entity.vertices.some(vertex => vertex.bulge) &&
+        offsetBulgeVertices(entity.vertices, closed, distance, side, join);
+      const chains = curved ? [curved] : offsetVertices(chordVertices(entity.vertices, closed), closed, distance, side, join);
+      return chains.map(vertices => new Polyline(vertices, { ...properties, closed }));
+    }
+
+    default:
+      return [];
+  }
+};
@@ -0,0 +1,349 @@
+import Polyline from '../core/entities/Polyline';
+import { entityProperties, entityToPath, pieceParameter, piecePoint } from '../core/geometry/paths';
+import { reverseVertices, sweepToBulge, tangentBulge } from '../core/geometry/bulge';
+import { joinEntities } from './join';
+import {
+  add,
+  dot,
+  scale as mul,
+  subtract as sub,
+  unit
+} from '../core/geometry/vec2';
+
+/**
+ * Polyline editing (PEDIT)
+ *
+ * Each operation returns a new polyline with the id of the one edited, or
+ * null when the edit does not apply. Fit replaces every segment with a pair
+ * of tangent arcs through the original vertices; the vertices it adds are
+ * marked `curveFit` so Decurve can take them out again.
+ */
+
+const EPS = 1e-9;
+
+export const PEDITABLE = ['polyline', 'line', 'arc', 'rectangle'];
+
+const rebuild = (polyline, vertices, closed = polyline.closed) => new Polyline(vertices, {
+  ...entityProperties(polyline),
+  id: polyline.id,
+  closed
+});
+
+const segmentCount = (polyline) => (
+  polyline.closed && polyline.vertices.length > 2 ? polyline.vertices.length : polyline.vertices.length - 1
+);
+
+/**
+ * Turn a line, arc or rectangle into a polyline with the same id
+ * @param {Object} entity - Entity to edit
+ * @returns {Object|null} Polyline (the entity itself if it already is one)
+ */
+export const toEditablePolyline = (entity) => {
+  const options = { ...entityProperties(entity), id: entity.id };
+  switch (entity.type) {
+    case 'polyline':
+      return entity;
+
+    case 'line':
+      return new Polyline([entity.start, entity.end], options);
+
+    case 'arc': {
+      const { sweep } = entityToPath(entity).pieces[0];
+      return new Polyline([{ ...entity.getStartPoint(), bulge: sweepToBulge(sweep) }, entity.getEndPoint()], options);
+    }
+
+    case 'rectangle':
+      return entity.toPolyline();
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Close or open a polyline
+ * @returns {Object|null} Polyline, or null if it cannot be closed (fewer than 3 vertices)
+ */
+export const setClosed = (polyline, closed) => {
+  if (closed && polyline.vertices.length < 3) return null;
+  return rebuild(polyline, polyline.vertices, closed);
+};
+
+/**
+ * Index of the segment nearest a point (segment i runs from vertex i to the next)
+ * @returns {{segment: number, u: number, distance: number}|null} Segment, local parameter and distance
+ */
+export const nearestSegment = (polyline, point) => {
+  const path = entityToPath(polyline);
+  if (!path) return null;
+  let best = null;
+  path.pieces.forEach((piece, segment) => {
+    const u = pieceParameter(piece, point);
+    const onPiece = piecePoint(piece, u);
+    const distance = Math.hypot(onPiece.x - point.x, onPiece.y - point.y);
+    if (!best || distance < best.distance) best = { segment, u, distance };
+  });
+  return best;
+};
+
+/**
+ * Index of the vertex nearest a point
+ * @returns {{index: number, distance: number}|null} Vertex index and distance
+ */
+export const nearestVertex = (polyline, point) => polyline.vertices.reduce((best, vertex, index) => {
+  const distance = Math.hypot(vertex.x - point.x, vertex.y - point.y);
+  return !best || distance < best.distance ? { index, distance } : best;
+}, null);
+
+/**
+ * Insert a vertex into a segment. The two new segments are straight; a
+ * tapered width is split at the point's position along the segment.
+ * @param {Object} polyline - Polyline
+ * @param {number} segment - Segment index
+ * @param {Object} point - New vertex location
+ * @param {number} u - Position along the segment (0..1) for splitting the width
+ * @returns {Object|null} Polyline
+ */
+export const insertVertex = (polyline, segment, point, u = 0.5) => {
+  if (segment < 0 || segment >= segmentCount(polyline)) return null;
+  const vertices = polyline.vertices.map(vertex => ({ ...vertex }));
+  const start = vertices[segment];
+  delete start.bulge;
+
+  const vertex = { x: point.x, y: point.y };
+  if (start.startWidth || start.endWidth) {
+    const startWidth = start.startWidth || 0;
+    const endWidth = start.endWidth || 0;
+    const middle = startWidth + (endWidth - startWidth) * u;
+    start.endWidth = middle;
+    vertex.startWidth = middle;
+    vertex.endWidth = endWidth;
+  }
+  vertices.splice(segment + 1, 0, vertex);
+  return rebuild(polyline, vertices);
+};
+
+/**
+ * Move a vertex (arc segments keep their bulge)
+ * @returns {Object|null} Polyline
+ */
+export const moveVertex = (polyline, index, point) => {
+  if (index < 0 || index >= polyline.vertices.length) return null;
+  const vertices = polyline.vertices.map(vertex => ({ ...vertex }));
+  vertices[index] = { ...vertices[index], x: point.x, y: point.y };
+  return rebuild(polyline, vertices);
+};
+
+/**
+ * Remove a vertex; its two segments become one straight segment
+ * @returns {Object|null} Polyline, or null when too few vertices would remain
+ */
+export const removeVertex = (polyline, index) => {
+  const count = polyline.vertices.length;
+  if (index < 0 || index >= count || count <= (polyline.closed ? 3 : 2)) return null;
+  const vertices = polyline.vertices.map(vertex => ({ ...vertex }));
+  const [removed] = vertices.splice(index, 1);
+
+  const previousIndex = index > 0 ? index - 1 : (polyline.closed ? vertices.length - 1 : null);
+  if (previousIndex !== null) {
+    const previous = vertices[previousIndex];
+    delete previous.bulge;
+    const lastOfOpen = !polyline.closed && previousIndex === vertices.length - 1;
+    if (lastOfOpen) {
+      // The last vertex of an open polyline starts no segment
+      delete previous.startWidth;
+      delete previous.endWidth;
+    } else if (removed.endWidth) {
+      previous.endWidth = removed.endWidth;
+    } else {
+      delete previous.endWidth;
+    }
+  }
+  return rebuild(polyline, vertices);
+};
+
+/**
+ * Give every segment the same width (0 removes the widths)
+ * @returns {Object} Polyline
+ */
+export const setWidth = (polyline, width) => rebuild(polyline, polyline.vertices.map(vertex => {
+  const updated = { ...vertex };
+  delete updated.startWidth;
+  delete updated.endWidth;
+  if (width > 0) {
+    updated.startWidth = width;
+    updated.endWidth = width;
+  }
+  return updated;
+}));
+
+/**
+ * Set the start and end width of one segment
+ * @returns {Object|null} Polyline
+ */
+export const setSegmentWidth = (polyline, segment, startWidth, endWidth) => {
+  if (segment < 0 || segment >= segmentCount(polyline)) return null;
+  const vertices = polyline.vertices.map(vertex => ({ ...vertex }));
+  const vertex = vertices[segment];
+  delete vertex.startWidth;
+  delete vertex.endWidth;
+  if (startWidth > 0) vertex.startWidth = startWidth;
+  if (endWidth > 0) vertex.endWidth = endWidth;
+  return rebuild(polyline, vertices);
+};
+
+/**
+ * Reverse the direction of a polyline
+ * @returns {Object} Polyline
+ */
+export const reversePolyline = (polyline) => rebuild(polyline, reverseVertices(polyline.vertices, polyline.closed));
+
+/**
+ * Remove fit curves: vertices added by Fit go and every segment becomes straight
+ * @returns {Object} Polyline
+ */
+export const decurvePolyline = (polyline) => {
+  const vertices = [];
+  polyline.vertices.forEach(vertex => {
+    if (vertex.curveFit && vertices.length > 0) {
+      // The added vertex carried the far end of the original segment's taper
+      const previous = vertices[vertices.length - 1];
+      if (vertex.endWidth) previous.endWidth = vertex.endWidth;
+      else delete previous.endWidth;
+      return;
+    }
+    const kept = { ...vertex };
+    delete kept.bulge;
+    delete kept.curveFit;
+    vertices.push(kept);
+  });
+  return rebuild(polyline, vertices);
+};
+
+/**
+ * Tangent direction of a fit curve at each vertex
+ */
+const fitTangents = (points, closed) => {
+  const count = points.length;
+  const tangents = points.map((point, i) => {
+    if (!closed && (i === 0 || i === count - 1)) return null;
+    const previous = points[(i - 1 + count) % count];
+    const next = points[(i + 1) % count];
+    return unit(sub(next, previous)) || unit(sub(next, point));
+  });
+  if (!closed) {
+    // Free ends mirror the neighbouring tangent about the end chord
+    const endTangent = (end, neighbour, neighbourTangent) => {
+      const chord = unit(sub(neighbour, end));
+      if (!neighbourTangent) return chord;
+      return unit(sub(mul(chord, 2 * dot(chord, neighbourTangent)), neighbourTangent)) || chord;
+    };
+    tangents[0] = endTangent(points[0], points[1], tangents[1]);
+    const last = count - 1;
+    const reversed = endTangent(points[last], points[last - 1], tangents[last - 1] && mul(tangents[last - 1], -1));
+    tangents[last] = reversed && mul(reversed, -1);
+  }
+  return tangents;
+};
+
+/**
+ * Join point of a biarc from p0 (leaving along t0) to p1 (arriving along t1),
+ * with equal tangent lengths on both sides
+ * @returns {Object|null} { joint, tangent } or null when no biarc fits
+ */
+const biarcJoint = (p0, t0, p1, t1) => {
+  const v = sub(p1, p0);
+  const t = add(t0, t1);
+  const a = 2 * (1 - dot(t0, t1));
+  const vt = dot(v, t);
+  const vv = dot(v, v);
+  const alpha = Math.abs(a) < EPS
+    ? (vt > EPS ? vv / (2 * vt) : null)
+    : (-vt + Math.sqrt(vt * vt + a * vv)) / a;
+  if (alpha === null || !(alpha > EPS)) return null;
+
+  const control0 = add(p0, mul(t0, alpha));
+  const control1 = sub(p1, mul(t1, alpha));
+  const tangent = unit(sub(control1, control0));
+  if (!tangent) return null;
+  return { joint: mul(add(control0, control1), 0.5), tangent };
+};
+
+/**
+ * Fit a smooth curve through the vertices: each segment becomes two tangent arcs
+ * @returns {Object|null} Polyline, or null with fewer than 3 vertices
+ */
+export const fitPolyline = (polyline) => {
+  const source = decurvePolyline(polyline);
+  const points = source.vertices;
+  if (points.length < 3) return null;
+
+  const tangents = fitTangents(points, source.closed);
+  const vertices = [];
+  const count = segmentCount(source);
+  points.forEach((point, i) => {
+    const vertex = { ...point };
+    vertices.push(vertex);
+    if (i >= count) return;
+
+    const next = points[(i + 1) % points.length];
+    const biarc = tangents[i] && tangents[(i + 1) % points.length]
+      ? biarcJoint(point, tangents[i], next, tangents[(i + 1) % points.length])
+      : null;
+    if (!biarc) return; // Left straight
+
+    vertex.bulge = tangentBulge(point, tangents[i], biarc.joint);
+    const joint = { x: biarc.joint.x, y: biarc.joint.y, bulge: tangentBulge(biarc.joint, biarc.tangent, next), curveFit: true };
+    if (point.startWidth || point.endWidth) {
+      const startWidth = point.startWidth || 0;
+      const endWidth = point.endWidth || 0;
+      vertex.endWidth = (startWidth + endWidth) / 2;
+      joint.startWidth = vertex.endWidth;
+      joint.endWidth = endWidth;
+    }
+    vertices.push(joint);
+  });
+  return rebuild(source, vertices);
+};
+
+// joinEntities may chain the pieces starting from another entity; flip the
+// result back if the polyline's own first segment now runs the other way
+const keepDirection = (before, merged) => {
+  const [first, second] = before.vertices;
+  const matches = (a, b) => Math.hypot(a.x - b.x, a.y - b.y) < EPS;
+  const reversed = merged.vertices.some((vertex, i) => {
+    const next = merged.vertices[i + 1];
+    return next && matches(vertex, second) && matches(next, first);
+  });
+  return reversed ? rebuild(merged, reverseVertices(merged.vertices, merged.closed)) : merged;
+};
+
+/**
+ * Join lines, arcs and open polylines to the ends of an open polyline, as
+ * long as they keep touching it
+ * @param {Object} polyline - Open polyline
+ * @param {Array} entities - Candidates to join
+ * @param {number} tolerance - Largest gap that still counts as touching
+ * @returns {Object|null} { polyline, joined: [entities] }, or null if nothing touched
+ */
+export const joinToPolyline = (polyline, entities, tolerance) => {
+  if (polyline.closed) return null;
+  let current = polyline;
+  const remaining = entities.filter(entity => entity.id !== polyline.id);
+  const joined = [];
+
+  let extended = true;
+  while (extended && !current.closed) {
+    extended = false;
+    for (let i = 0; i < remaining.length; i++) {
+      const result = joinEntities([current, remaining[i]], tolerance);
+      const merged = result.add.find(entity => entity.id === polyline.id);
+      if (result.joined === 0 || !merged) continue;
+      current = keepDirection(current, merged);
+      joined.push(...remaining.splice(i, 1));
+      extended = true;
+      break;
+    }
+  }
+  return joined.length > 0 ? { polyline: current, joined } : null;
+};
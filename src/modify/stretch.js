@@ -0,0 +1,92 @@
+import Line from '../core/entities/Line';
+import Rectangle from '../core/entities/Rectangle';
+import Polyline from '../core/entities/Polyline';
+import { entityProperties } from '../core/geometry/paths';
+import { transformEntity } from '../core/geometry/transform';
+import { entityInsideWindow, pointInWindow } from '../core/selection/hitTest';
+
+/**
+ * Stretch operations
+ *
+ * Entities lying entirely inside one of the crossing windows move by the
+ * displacement. Of the rest, only the defining points inside a window move:
+ * line endpoints, polyline vertices and rectangle corners. Circles, arcs and
+ * arrays that are only partly inside stay where they are.
+ */
+
+const EPS = 1e-9;
+
+const moved = (point, offset) => ({ x: point.x + offset.x, y: point.y + offset.y });
+
+/**
+ * Stretch one entity
+ * @param {Object} entity - Entity
+ * @param {Array<Object>} windows - Crossing window bounds {minX, minY, maxX, maxY}
+ * @param {Object} offset - Displacement {x, y}
+ * @returns {Object|null} Stretched entity (same id), or null when nothing moves
+ */
+export const stretchEntity = (entity, windows, offset) => {
+  const inside = (point) => windows.some(window => pointInWindow(point, window));
+  // Polyline vertices keep their bulge, so arc segments keep their included angle
+  const shift = (point) => (inside(point) ? { ...point, ...moved(point, offset) } : { ...point });
+  const properties = { ...entityProperties(entity), id: entity.id };
+
+  if (windows.some(window => entityInsideWindow(entity, window))) {
+    return transformEntity(entity, { offset }, { id: entity.id });
+  }
+
+  switch (entity.type) {
+    case 'line':
+      if (!inside(entity.start) && !inside(entity.end)) return null;
+      return new Line(shift(entity.start), shift(entity.end), properties);
+
+    case 'polyline':
+      if (!entity.vertices.some(inside)) return null;
+      return new Polyline(entity.vertices.map(shift), { ...properties, closed: entity.closed });
+
+    case 'rectangle': {
+      const minX = Math.min(entity.corner1.x, entity.corner2.x);
+      const minY = Math.min(entity.corner1.y, entity.corner2.y);
+      const maxX = Math.max(entity.corner1.x, entity.corner2.x);
+      const maxY = Math.max(entity.corner1.y, entity.corner2.y);
+      const corners = [
+        { x: minX, y: minY },
+        { x: maxX, y: minY },
+        { x: maxX, y: maxY },
+        { x: minX, y: maxY }
+      ];
+      if (!corners.some(inside)) return null;
+      const [a, b, c, d] = corners.map(shift);
+      // A whole side moving keeps the rectangle square to the axes
+      const square = Math.abs(a.y - b.y) < EPS && Math.abs(b.x - c.x) < EPS &&
+        Math.abs(c.y - d.y) < EPS && Math.abs(d.x - a.x) < EPS;
+      if (square) {
+        return new Rectangle(a, c, { ...properties, filled: entity.filled });
+      }
+      return new Polyline([a, b, c, d], { ...properties, closed: true });
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Stretch a set of entities
+ * @param {Array} entities - Entities found by the crossing windows
+ * @param {Array<Object>} windows - Crossing window bounds
+ * @param {Object} offset - Displacement {x, y}
+ * @returns {Object} { remove: [entities], add: [entities] } for EntityEdit.replace
+ */
+export const stretchEntities = (entities, windows, offset) => {
+  const remove = [];
+  const add = [];
+  entities.forEach(entity => {
+    const stretched = stretchEntity(entity, windows, offset);
+    if (stretched) {
+      remove.push(entity);
+      add.push(stretched);
+    }
+  });
+  return { remove, add };
+};
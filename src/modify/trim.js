@@ -0,0 +1,95 @@
+import {
+  entityToPath,
+  pathParameter,
+  pathIntersections,
+  extractPathRange
+} from '../core/geometry/paths';
+
+/**
+ * Trim operations
+ *
+ * An entity is cut at every intersection with the cutting edges; the piece
+ * between the two cuts that surround the pick point is removed.
+ */
+
+const EPS = 1e-9;
+
+/**
+ * Parameters on a path where the cutting edges cross it, sorted and de-duplicated
+ * @param {Object} path - Path of the entity being trimmed
+ * @param {Object} entity - Entity being trimmed (excluded from the edges)
+ * @param {Array<Object>} edges - Cutting edge entities
+ * @returns {Array<number>} Sorted parameters
+ */
+export const findCuts = (path, entity, edges) => {
+  const cuts = [];
+  edges.forEach(edge => {
+    if (edge.id === entity.id) return;
+    const edgePath = entityToPath(edge);
+    if (!edgePath) return;
+    pathIntersections(path, edgePath).forEach(({ t }) => cuts.push(t));
+  });
+
+  // Closed paths meet at the seam: t = count is the same place as t = 0
+  const count = path.pieces.length;
+  const normalized = path.closed ? cuts.map(t => (t >= count - EPS ? 0 : t)) : cuts;
+  normalized.sort((a, b) => a - b);
+  return normalized.filter((t, index) => index === 0 || t - normalized[index - 1] > EPS);
+};
+
+/**
+ * Trim the part of an entity picked at a point
+ * @param {Object} entity - Entity to trim
+ * @param {Object} pickPoint - Point on (or near) the part to remove
+ * @param {Array<Object>} edges - Cutting edge entities
+ * @returns {Array<Object>|null} Remaining pieces (possibly empty), or null if the
+ *   picked part is not bounded by any cutting edge
+ */
+export const trimEntity = (entity, pickPoint, edges) => {
+  const path = entityToPath(entity);
+  if (!path) return null;
+
+  const pick = pathParameter(path, pickPoint).t;
+  const cuts = findCuts(path, entity, edges);
+  const count = path.pieces.length;
+
+  const pieces = [];
+  if (path.closed) {
+    // A closed shape needs two cuts before anything can be removed
+    if (cuts.length < 2) return null;
+    const before = cuts.filter(t => t < pick);
+    const after = cuts.filter(t => t > pick);
+    const lower = before.length > 0 ? before[before.length - 1] : cuts[cuts.length - 1];
+    const upper = after.length > 0 ? after[0] : cuts[0];
+    const remaining = extractPathRange(entity, path, upper, lower);
+    if (remaining) pieces.push(remaining);
+  } else {
+    const lower = cuts.filter(t => t < pick - EPS).pop();
+    const upper = cuts.find(t => t > pick + EPS);
+    if (lower === undefined && upper === undefined) return null;
+
+    const head = lower !== undefined ? extractPathRange(entity, path, 0, lower) : null;
+    const tail = upper !== undefined ? extractPathRange(entity, path, upper, count) : null;
+    if (head) pieces.push(head);
+    if (tail) pieces.push(tail);
+  }
+
+  // A single piece of the same kind keeps the entity's identity (dimensions, selection)
+  if (pieces.length === 1 && pieces[0].type === entity.type) {
+    pieces[0].id = entity.id;
+  }
+  return pieces;
+};
+
+/**
+ * Points where a fence (open chain of points) crosses an entity
+ * @param {Object} entity - Entity
+ * @param {Array<Object>} fencePoints - Fence vertices
+ * @returns {Array<Object>} Crossing points
+ */
+export const fenceCrossings = (entity, fencePoints) => {
+  const path = entityToPath(entity);
+  if (!path || fencePoints.length < 2) return [];
+  const fencePath = entityToPath({ type: 'polyline', vertices: fencePoints, closed: false });
+  return pathIntersections(path, fencePath).map(({ point }) => point);
+};
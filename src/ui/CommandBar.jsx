@@ -17,6 +17,9 @@ const CommandBar = () => {
     switch (e.key) {
       case 'Enter':
         e.preventDefault();
+        // Typed input is handled here; only a bare Enter goes on to the canvas
+        // (where it ends or repeats commands)
+        if (input.trim()) e.stopPropagation();
         await handleCommand(input.trim());
         break;
         
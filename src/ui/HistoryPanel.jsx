@@ -0,0 +1,121 @@
+import React from 'react';
+import useCADStore from '../app/store';
+import commandBus from '../app/commandBus';
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString();
+
+const entityCountLabel = (count) => `${count} entit${count === 1 ? 'y' : 'ies'}`;
+
+/**
+ * Undo history panel
+ * Lists the history steps with their time and the number of entities they
+ * touched; clicking one undoes or redoes until it is the last step applied.
+ * Undone steps stay listed (dimmed) and, once a new change replaces them,
+ * move to a branch that can be switched back to.
+ */
+const HistoryPanel = () => {
+  const isOpen = useCADStore(state => state.historyOpen);
+  const { steps, index, branches } = useCADStore(state => state.undoHistory);
+
+  // A command in progress would mix its changes into the jump
+  const stopCommand = async () => {
+    if (commandBus.currentCommand) {
+      await commandBus.cancel();
+    }
+  };
+
+  const goTo = async (target) => {
+    await stopCommand();
+    await commandBus.goToStep(target);
+  };
+
+  const switchBranch = async (branchId) => {
+    await stopCommand();
+    await commandBus.switchBranch(branchId);
+  };
+
+  if (!isOpen) return null;
+
+  const rowClass = (row) => {
+    if (row === index) return 'bg-blue-600 text-white';
+    return row > index ? 'text-gray-500 hover:bg-gray-700' : 'text-gray-300 hover:bg-gray-700';
+  };
+
+  return (
+    <div className="absolute top-24 right-4 z-40 w-80 max-h-[70vh] flex flex-col bg-gray-800 border border-gray-600 rounded shadow-lg text-xs">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-700">
+        <span className="text-sm font-medium text-white">History</span>
+        <div className="flex gap-1">
+          <button
+            onClick={() => goTo(index - 1)}
+            disabled={index < 0}
+            className="px-2 py-0.5 rounded bg-gray-700 hover:bg-gray-600 text-gray-300 disabled:opacity-50"
+            title="Undo (Ctrl+Z)"
+          >
+            ↶
+          </button>
+          <button
+            onClick={() => goTo(index + 1)}
+            disabled={index >= steps.length - 1}
+            className="px-2 py-0.5 rounded bg-gray-700 hover:bg-gray-600 text-gray-300 disabled:opacity-50"
+            title="Redo (Ctrl+Y)"
+          >
+            ↷
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto py-1">
+        <button onClick={() => goTo(-1)} className={`block w-full px-4 py-1 text-left ${rowClass(-1)}`}>
+          Start
+        </button>
+        {steps.map((step, row) => (
+          <button
+            key={row}
+            onClick={() => goTo(row)}
+            className={`flex w-full gap-2 px-4 py-1 text-left ${rowClass(row)}`}
+            title={entityCountLabel(step.entityCount)}
+          >
+            <span className="flex-1 font-mono truncate">{step.label}</span>
+            <span>{step.entityCount}</span>
+            <span className="w-20 text-right">{formatTime(step.timestamp)}</span>
+          </button>
+        ))}
+
+        {branches.length > 0 && (
+          <div className="mt-1 pt-1 border-t border-gray-700">
+            <div className="px-4 py-1 text-gray-500">Branches</div>
+            {branches.map(branch => (
+              <button
+                key={branch.id}
+                onClick={() => switchBranch(branch.id)}
+                className="block w-full px-4 py-1 text-left text-gray-300 hover:bg-gray-700"
+                title="Switch to this branch"
+              >
+                <div className="font-mono truncate">
+                  {branch.steps.map(step => step.label).join(' › ')}
+                </div>
+                <div className="text-gray-500">
+                  after {branch.forkIndex >= 0 ? steps[branch.forkIndex]?.label : 'Start'} ·{' '}
+                  {branch.steps.length} step{branch.steps.length === 1 ? '' : 's'} ·{' '}
+                  {formatTime(branch.steps[branch.steps.length - 1].timestamp)}
+                </div>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="flex justify-end px-4 py-3 border-t border-gray-700">
+        <button
+          onClick={() => useCADStore.getState().setHistoryOpen(false)}
+          className="px-3 py-1 text-xs rounded bg-gray-700 hover:bg-gray-600 text-gray-300"
+        >
+          Close
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default HistoryPanel;
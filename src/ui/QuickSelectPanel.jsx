@@ -0,0 +1,196 @@
+import React, { useState, useMemo } from 'react';
+import useCADStore from '../app/store';
+import {
+  QSELECT_MODES,
+  QSELECT_OPERATORS,
+  QSELECT_PROPERTIES,
+  propertyValue,
+  quickSelect
+} from '../core/selection/quickSelect';
+
+const MODE_LABELS = {
+  include: 'Include in new selection',
+  exclude: 'Exclude from new selection',
+  append: 'Append to current selection'
+};
+
+const OPERATOR_LABELS = {
+  '=': '= Equals',
+  '!=': '≠ Not equal',
+  '<': '< Less than',
+  '>': '> Greater than',
+  '<=': '≤ At most',
+  '>=': '≥ At least',
+  '*': '* Any value'
+};
+
+const newCondition = () => ({ property: 'layer', operator: '=', value: '' });
+
+const fieldClass = 'px-1 py-0.5 text-xs bg-gray-900 border border-gray-600 rounded text-gray-200';
+
+/**
+ * Quick select panel
+ * Selects entities by type and properties (QSELECT). Every condition must
+ * hold; the result replaces, inverts into or adds to the selection.
+ */
+const QuickSelectPanel = () => {
+  const isOpen = useCADStore(state => state.quickSelectOpen);
+  const entities = useCADStore(state => state.entities);
+  const layers = useCADStore(state => state.layers);
+  const selectionSize = useCADStore(state => state.selection.size);
+  const [type, setType] = useState('*');
+  const [conditions, setConditions] = useState([newCondition()]);
+  const [mode, setMode] = useState('include');
+  const [scope, setScope] = useState('drawing');
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Entity types and text property values in the drawing, offered as choices
+  const choices = useMemo(() => {
+    const found = { type: new Set(), layer: new Set(), color: new Set(), linetype: new Set() };
+    if (!isOpen) return found;
+    entities.forEach(entity => {
+      if (entity.isPreview) return;
+      Object.keys(found).forEach(name => found[name].add(String(propertyValue(entity, name, layers))));
+    });
+    layers.forEach(layer => found.layer.add(layer.name || layer.id));
+    return found;
+  }, [isOpen, entities, layers]);
+
+  const updateCondition = (index, changes) => {
+    setConditions(list => list.map((condition, i) => (i === index ? { ...condition, ...changes } : condition)));
+  };
+
+  const close = () => {
+    setMessage(null);
+    setError(null);
+    useCADStore.getState().setQuickSelectOpen(false);
+  };
+
+  const handleApply = () => {
+    try {
+      const ids = quickSelect({ type, conditions, mode, scope });
+      useCADStore.getState().setSelection(ids);
+      setMessage(`${ids.length} entit${ids.length === 1 ? 'y' : 'ies'} selected`);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+      setMessage(null);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="absolute top-4 left-4 z-40 w-96 flex flex-col bg-gray-800 border border-gray-600 rounded shadow-lg text-xs">
+      <div className="px-4 py-3 border-b border-gray-700 text-sm font-medium text-white">Quick Select</div>
+
+      <div className="px-4 py-2 space-y-2 text-gray-300">
+        <label className="flex items-center justify-between">
+          <span>Apply to</span>
+          <select
+            value={mode === 'append' ? 'drawing' : scope}
+            onChange={e => setScope(e.target.value)}
+            disabled={mode === 'append'}
+            className={fieldClass}
+          >
+            <option value="drawing">Entire drawing</option>
+            <option value="selection" disabled={selectionSize === 0}>Current selection ({selectionSize})</option>
+          </select>
+        </label>
+
+        <label className="flex items-center justify-between">
+          <span>Object type</span>
+          <select value={type} onChange={e => setType(e.target.value)} className={fieldClass}>
+            <option value="*">Any</option>
+            {Array.from(choices.type).sort().map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </label>
+
+        <div className="pt-1 border-t border-gray-700">
+          {conditions.map((condition, index) => {
+            const options = choices[condition.property];
+            return (
+              <div key={index} className="flex items-center gap-1 py-1">
+                <select
+                  value={condition.property}
+                  onChange={e => updateCondition(index, { property: e.target.value })}
+                  className={fieldClass}
+                >
+                  {QSELECT_PROPERTIES.map(property => (
+                    <option key={property.name} value={property.name}>{property.label}</option>
+                  ))}
+                </select>
+                <select
+                  value={condition.operator}
+                  onChange={e => updateCondition(index, { operator: e.target.value })}
+                  className={fieldClass}
+                >
+                  {QSELECT_OPERATORS.map(operator => (
+                    <option key={operator} value={operator}>{OPERATOR_LABELS[operator]}</option>
+                  ))}
+                </select>
+                <input
+                  value={condition.value}
+                  onChange={e => updateCondition(index, { value: e.target.value })}
+                  disabled={condition.operator === '*'}
+                  list={options ? `qselect-${condition.property}` : undefined}
+                  className={`${fieldClass} flex-1 min-w-0`}
+                />
+                {options && (
+                  <datalist id={`qselect-${condition.property}`}>
+                    {Array.from(options).sort().map(value => <option key={value} value={value} />)}
+                  </datalist>
+                )}
+                <button
+                  onClick={() => setConditions(list => list.filter((_, i) => i !== index))}
+                  className="px-1 text-gray-500 hover:text-white"
+                  title="Remove condition"
+                >
+                  ✕
+                </button>
+              </div>
+            );
+          })}
+          <button
+            onClick={() => setConditions(list => [...list, newCondition()])}
+            className="mt-1 px-2 py-0.5 rounded bg-gray-700 hover:bg-gray-600 text-gray-300"
+          >
+            Add condition
+          </button>
+        </div>
+
+        <div className="pt-1 border-t border-gray-700">
+          {QSELECT_MODES.map(name => (
+            <label key={name} className="flex items-center gap-2 py-0.5">
+              <input type="radio" name="qselect-mode" checked={mode === name} onChange={() => setMode(name)} />
+              {MODE_LABELS[name]}
+            </label>
+          ))}
+        </div>
+
+        {message && <div className="text-green-400">{message}</div>}
+        {error && <div className="text-red-400">{error}</div>}
+      </div>
+
+      <div className="flex justify-end gap-2 px-4 py-3 border-t border-gray-700">
+        <button
+          onClick={close}
+          className="px-3 py-1 text-xs rounded bg-gray-700 hover:bg-gray-600 text-gray-300"
+        >
+          Close
+        </button>
+        <button
+          onClick={handleApply}
+          className="px-3 py-1 text-xs rounded bg-blue-600 hover:bg-blue-500 text-white"
+        >
+          Select
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default QuickSelectPanel;
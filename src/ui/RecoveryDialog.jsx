@@ -0,0 +1,147 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import useCADStore from '../app/store';
+import autosave from '../app/autosave';
+
+const formatTimestamp = (timestamp) => new Date(timestamp).toLocaleString();
+
+/**
+ * Autosave recovery dialog
+ * Opens on startup when the previous session has unsaved work, and on demand
+ * (RECOVER command) to restore any of the stored snapshots.
+ */
+const RecoveryDialog = () => {
+  const isOpen = useCADStore(state => state.recoveryOpen);
+  const [snapshots, setSnapshots] = useState([]);
+  const [recovery, setRecovery] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  // Offer the previous session's work once on startup
+  useEffect(() => {
+    let active = true;
+    autosave.getStartupRecovery().then(snapshot => {
+      if (active && snapshot) {
+        setRecovery(snapshot);
+        useCADStore.getState().setRecoveryOpen(true);
+      }
+    });
+    return () => { active = false; };
+  }, []);
+
+  const refresh = useCallback(async () => {
+    try {
+      setSnapshots(await autosave.listSnapshots());
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) refresh();
+  }, [isOpen, refresh]);
+
+  const close = () => {
+    setRecovery(null);
+    useCADStore.getState().setRecoveryOpen(false);
+  };
+
+  const handleRestore = async (id) => {
+    setBusy(true);
+    try {
+      const result = await autosave.restore(id);
+      if (result.skipped > 0) {
+        console.warn(`Recovery skipped ${result.skipped} unknown entities`);
+      }
+      close();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDiscard = async () => {
+    await autosave.discardRecovery();
+    close();
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="absolute inset-0 z-50 flex items-center justify-center bg-black bg-opacity-60">
+      <div className="w-[28rem] max-h-[80vh] flex flex-col bg-gray-800 border border-gray-600 rounded shadow-lg">
+        <div className="px-4 py-3 border-b border-gray-700">
+          <div className="text-sm font-medium text-white">
+            {recovery ? 'Recover unsaved drawing?' : 'Autosave snapshots'}
+          </div>
+          {recovery && (
+            <div className="mt-1 text-xs text-gray-400">
+              The previous session ended with unsaved changes
+              ({recovery.entityCount} entities, {formatTimestamp(recovery.timestamp)}).
+            </div>
+          )}
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-4 py-2">
+          {snapshots.length === 0 && (
+            <div className="py-4 text-xs text-gray-500">No snapshots stored.</div>
+          )}
+          {snapshots.map(snapshot => (
+            <div
+              key={snapshot.id}
+              className={`flex items-center justify-between py-2 border-b border-gray-700 text-xs ${
+                recovery && snapshot.id === recovery.id ? 'text-white' : 'text-gray-300'
+              }`}
+            >
+              <div>
+                <div className="font-mono">{formatTimestamp(snapshot.timestamp)}</div>
+                <div className="text-gray-500">
+                  {snapshot.entityCount} entities · {snapshot.reason}
+                </div>
+              </div>
+              <button
+                onClick={() => handleRestore(snapshot.id)}
+                disabled={busy}
+                className="px-2 py-1 rounded bg-blue-600 hover:bg-blue-500 text-white disabled:opacity-50"
+              >
+                Restore
+              </button>
+            </div>
+          ))}
+          {error && <div className="py-2 text-xs text-red-400">{error}</div>}
+        </div>
+
+        <div className="flex justify-end gap-2 px-4 py-3 border-t border-gray-700">
+          {recovery ? (
+            <>
+              <button
+                onClick={handleDiscard}
+                disabled={busy}
+                className="px-3 py-1 text-xs rounded bg-gray-700 hover:bg-gray-600 text-gray-300"
+              >
+                Discard
+              </button>
+              <button
+                onClick={() => handleRestore(recovery.id)}
+                disabled={busy}
+                className="px-3 py-1 text-xs rounded bg-blue-600 hover:bg-blue-500 text-white"
+              >
+                Recover latest
+              </button>
+            </>
+          ) : (
+            <button
+              onClick={close}
+              className="px-3 py-1 text-xs rounded bg-gray-700 hover:bg-gray-600 text-gray-300"
+            >
+              Close
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecoveryDialog;
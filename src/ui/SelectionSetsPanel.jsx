@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import useCADStore from '../app/store';
+import { combineSelection } from '../core/selection/selectionSets';
+
+const OPERATION_BUTTONS = [
+  { operation: 'replace', label: 'Recall', title: 'Select this set' },
+  { operation: 'union', label: '∪', title: 'Add this set to the selection' },
+  { operation: 'subtract', label: '−', title: 'Remove this set from the selection' },
+  { operation: 'intersect', label: '∩', title: 'Keep only selected entities that are in this set' }
+];
+
+const smallButton = 'px-2 py-0.5 rounded bg-gray-700 hover:bg-gray-600 text-gray-300 disabled:opacity-50';
+
+/**
+ * Named selection sets panel (SELSET)
+ * Saves the current selection under a name, and recalls or combines stored
+ * sets with the selection. Sets are saved with the drawing.
+ */
+const SelectionSetsPanel = () => {
+  const isOpen = useCADStore(state => state.selectionSetsOpen);
+  const selectionSets = useCADStore(state => state.selectionSets);
+  const entities = useCADStore(state => state.entities);
+  const selectionSize = useCADStore(state => state.selection.size);
+  const [name, setName] = useState('');
+
+  const close = () => useCADStore.getState().setSelectionSetsOpen(false);
+
+  const handleSave = () => {
+    const store = useCADStore.getState();
+    store.saveSelectionSet(name.trim(), Array.from(store.selection));
+    setName('');
+  };
+
+  const handleCombine = (selectionSet, operation) => {
+    const store = useCADStore.getState();
+    store.setSelection(combineSelection(store.selection, selectionSet.ids, operation));
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="absolute bottom-4 left-4 z-40 w-80 max-h-[80vh] flex flex-col bg-gray-800 border border-gray-600 rounded shadow-lg text-xs">
+      <div className="px-4 py-3 border-b border-gray-700 text-sm font-medium text-white">Selection Sets</div>
+
+      <div className="flex gap-1 px-4 py-2 border-b border-gray-700">
+        <input
+          value={name}
+          onChange={e => setName(e.target.value)}
+          placeholder="Name"
+          className="flex-1 min-w-0 px-1 py-0.5 bg-gray-900 border border-gray-600 rounded text-gray-200"
+        />
+        <button
+          onClick={handleSave}
+          disabled={!name.trim() || selectionSize === 0}
+          className="px-2 py-0.5 rounded bg-blue-600 hover:bg-blue-500 text-white disabled:opacity-50"
+          title={`Save the current selection (${selectionSize})`}
+        >
+          Save
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-4 py-2">
+        {selectionSets.size === 0 && (
+          <div className="py-4 text-gray-500">No selection sets stored.</div>
+        )}
+        {Array.from(selectionSets.values()).map(selectionSet => (
+          <div key={selectionSet.name} className="py-2 border-b border-gray-700 text-gray-300">
+            <div className="flex justify-between">
+              <span className="text-white">{selectionSet.name}</span>
+              <span className="text-gray-500">
+                {selectionSet.ids.filter(id => entities.has(id)).length} entities
+              </span>
+            </div>
+            <div className="flex gap-1 mt-1">
+              {OPERATION_BUTTONS.map(({ operation, label, title }) => (
+                <button
+                  key={operation}
+                  onClick={() => handleCombine(selectionSet, operation)}
+                  className={smallButton}
+                  title={title}
+                >
+                  {label}
+                </button>
+              ))}
+              <button
+                onClick={() => useCADStore.getState().deleteSelectionSet(selectionSet.name)}
+                className={`${smallButton} ml-auto`}
+                title="Delete this set"
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex justify-end px-4 py-3 border-t border-gray-700">
+        <button
+          onClick={close}
+          className="px-3 py-1 text-xs rounded bg-gray-700 hover:bg-gray-600 text-gray-300"
+        >
+          Close
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SelectionSetsPanel;
@@ -59,6 +59,21 @@ const Toolbar = () => {
 
   return (
     <div className="bg-gray-900 border-b border-gray-700 p-2">
+      {/* File Tools */}
+      <div className="flex gap-1 mb-2">
+        <div className="text-xs text-gray-400 font-medium py-2 pr-2">File:</div>
+        <ToolButton icon="📂" label="Open" command="open" />
+        <ToolButton icon="💾" label="Save" command="save" />
+        <ToolButton icon="📥" label="Import DXF" command="importdxf" />
+        <ToolButton icon="📤" label="Export DXF" command="exportdxf" />
+        <ToolButton icon="🖼️" label="Export SVG" command="exportsvg" />
+        <ToolButton icon="🖨️" label="Plot" command="plot" />
+        <ToolButton icon="🛟" label="Recover" command="recover" />
+        <ToolButton icon="↶" label="Undo" command="undo" />
+        <ToolButton icon="↷" label="Redo" command="redo" />
+        <ToolButton icon="🕘" label="History" command="history" />
+      </div>
+
       {/* Drawing Tools */}
       <div className="flex gap-1 mb-2">
         <div className="text-xs text-gray-400 font-medium py-2 pr-2">Draw:</div>
@@ -80,6 +95,25 @@ const Toolbar = () => {
         <ToolButton icon="✂️" label="Trim" command="trim" />
         <ToolButton icon="⬅️" label="Extend" command="extend" />
         <ToolButton icon="⫸" label="Offset" command="offset" />
+        <ToolButton icon="◜" label="Fillet" command="fillet" />
+        <ToolButton icon="◸" label="Chamfer" command="chamfer" />
+        <ToolButton icon="▦" label="Array" command="array" />
+        <ToolButton icon="▤" label="Edit Array" command="arrayedit" />
+        <ToolButton icon="⇔" label="Stretch" command="stretch" />
+        <ToolButton icon="⌇" label="Break" command="break" />
+        <ToolButton icon="⋮" label="Break at Point" command="breakatpoint" />
+        <ToolButton icon="⛓" label="Join" command="join" />
+        <ToolButton icon="✎" label="Edit Polyline" command="pedit" />
+        <ToolButton icon="💥" label="Explode" command="explode" />
+        <ToolButton icon="⬠" label="Convert to Polyline" command="convertpoly" />
+      </div>
+
+      {/* Selection Tools */}
+      <div className="flex gap-1 mb-2">
+        <div className="text-xs text-gray-400 font-medium py-2 pr-2">Select:</div>
+        <ToolButton icon="⚲" label="Quick Select" command="qselect" />
+        <ToolButton icon="≈" label="Select Similar" command="selectsimilar" />
+        <ToolButton icon="🗂" label="Selection Sets" command="selset" />
       </div>
 
       {/* Mode Toggles */}
@@ -132,6 +166,18 @@ const Toolbar = () => {
             >
               INT
             </button>
+            <button
+              onClick={() => useCADStore.getState().toggleSnap('perpendicular')}
+              className={`text-xs px-1 rounded ${snap.perpendicular ? 'bg-green-700' : 'text-gray-500'}`}
+            >
+              PER
+            </button>
+            <button
+              onClick={() => useCADStore.getState().toggleSnap('tangent')}
+              className={`text-xs px-1 rounded ${snap.tangent ? 'bg-green-700' : 'text-gray-500'}`}
+            >
+              TAN
+            </button>
           </div>
         )}
       </div>